@@ -0,0 +1,148 @@
+// ─── Sync Server ─────────────────────────────────────────────────────────────
+// Reference backend for the app's "Sync server" storage option; the API is
+// described in API.md. No dependencies: `npm run server`.
+//
+// The board is stored as the opaque string the app sends — when encryption
+// is on that is ciphertext, and the server never sees the passphrase.
+import { createServer } from 'node:http'
+import { readFile, writeFile, rename } from 'node:fs/promises'
+import { createHash, timingSafeEqual } from 'node:crypto'
+import { resolve } from 'node:path'
+
+const PORT      = Number(process.env.PORT) || 8787
+const HOST      = process.env.HOST || '127.0.0.1'
+const TOKEN     = process.env.TOKEN || ''
+const DATA_FILE = resolve(process.env.DATA_FILE || 'cybertasks-board.json')
+const MAX_BODY  = (Number(process.env.MAX_BODY_MB) || 25) * 1024 * 1024
+const ORIGINS   = (process.env.ORIGINS || 'http://localhost:5173,http://localhost:4173,https://cmisch.github.io')
+  .split(',').map(s => s.trim()).filter(Boolean)
+const LOOPBACK  = ['127.0.0.1', '::1', 'localhost']
+
+if (!TOKEN && !LOOPBACK.includes(HOST)) {
+  console.error(`Refusing to listen on ${HOST} without TOKEN: anyone who can reach it could read and overwrite the board.`)
+  process.exit(1)
+}
+
+// ─── Board File ──────────────────────────────────────────────────────────────
+// { rev, raw, savedAt }. Writes go to a temp file renamed over the old one,
+// so a crash mid-write never leaves half a board behind.
+let board = { rev:0, raw:null, savedAt:null }
+try {
+  const stored = JSON.parse(await readFile(DATA_FILE, 'utf8'))
+  if (!Number.isInteger(stored.rev) || (stored.raw !== null && typeof stored.raw !== 'string')) throw new Error('unexpected shape')
+  board = stored
+} catch (err) {
+  if (err.code !== 'ENOENT') {
+    console.error(`Could not read ${DATA_FILE}: ${err.message}`)
+    process.exit(1)
+  }
+}
+
+async function persist(next) {
+  const tmp = `${DATA_FILE}.tmp`
+  await writeFile(tmp, JSON.stringify(next))
+  await rename(tmp, DATA_FILE)
+}
+
+// ─── HTTP ────────────────────────────────────────────────────────────────────
+const digest = (s) => createHash('sha256').update(s).digest()
+const authorized = (given) => !TOKEN || (!!given && timingSafeEqual(digest(given), digest(TOKEN)))
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type':'application/json', 'Cache-Control':'no-store' })
+  res.end(JSON.stringify(body))
+}
+
+function readBody(req) {
+  return new Promise((resolveBody, reject) => {
+    const chunks = []
+    let size = 0
+    req.on('data', c => {
+      size += c.length
+      if (size > MAX_BODY) { reject(Object.assign(new Error('Board is too large.'), { status:413 })); req.destroy() }
+      else chunks.push(c)
+    })
+    req.on('end', () => resolveBody(Buffer.concat(chunks).toString('utf8')))
+    req.on('error', reject)
+  })
+}
+
+// Saves are handled one at a time so the revision check and the write can't
+// interleave.
+let queue = Promise.resolve()
+
+async function putBoard(req, res) {
+  let body
+  try { body = JSON.parse(await readBody(req)) } catch (err) {
+    send(res, err.status || 400, { error:err.status ? err.message : 'Body must be JSON.' })
+    return
+  }
+  if (typeof body?.raw !== 'string' || !Number.isInteger(body.baseRev)) {
+    send(res, 400, { error:'Expected { raw: string, baseRev: integer }.' })
+    return
+  }
+  const run = queue.then(async () => {
+    if (body.baseRev !== board.rev) { send(res, 409, { raw:board.raw, rev:board.rev }); return }
+    const next = { rev:board.rev + 1, raw:body.raw, savedAt:new Date().toISOString() }
+    await persist(next)
+    board = next
+    send(res, 200, { rev:board.rev })
+    broadcast()
+  })
+  queue = run.catch(err => {
+    console.error(`Save failed: ${err.message}`)
+    send(res, 500, { error:'The server could not store the board.' })
+  })
+}
+
+// ─── Events ──────────────────────────────────────────────────────────────────
+const listeners = new Set()
+const revEvent = () => `event: rev\ndata: ${JSON.stringify({ rev:board.rev })}\n\n`
+
+function broadcast() {
+  listeners.forEach(res => res.write(revEvent()))
+}
+
+function subscribe(req, res) {
+  res.writeHead(200, { 'Content-Type':'text/event-stream', 'Cache-Control':'no-store', Connection:'keep-alive' })
+  res.write(`retry: 3000\n\n${revEvent()}`)
+  listeners.add(res)
+  req.on('close', () => listeners.delete(res))
+}
+
+setInterval(() => listeners.forEach(res => res.write(': ping\n\n')), 25000).unref()
+
+const server = createServer((req, res) => {
+  const origin = req.headers.origin
+  if (origin) {
+    if (!ORIGINS.includes('*') && !ORIGINS.includes(origin)) { send(res, 403, { error:`Origin ${origin} is not allowed.` }); return }
+    res.setHeader('Access-Control-Allow-Origin', origin)
+    res.setHeader('Vary', 'Origin')
+  }
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, { 'Access-Control-Allow-Methods':'GET, PUT', 'Access-Control-Allow-Headers':'Authorization, Content-Type', 'Access-Control-Max-Age':'600' })
+    res.end()
+    return
+  }
+
+  const url = new URL(req.url, 'http://localhost')
+  const bearer = req.headers.authorization?.match(/^Bearer (.+)$/)?.[1]
+  if (!authorized(url.pathname === '/api/events' ? url.searchParams.get('token') || bearer : bearer)) {
+    send(res, 401, { error:'Missing or wrong access token.' })
+    return
+  }
+
+  if (url.pathname === '/api/board' && req.method === 'GET') send(res, 200, { raw:board.raw, rev:board.rev })
+  else if (url.pathname === '/api/board' && req.method === 'PUT') putBoard(req, res)
+  else if (url.pathname === '/api/events' && req.method === 'GET') subscribe(req, res)
+  else send(res, 404, { error:'Not found.' })
+})
+
+server.listen(PORT, HOST, () => {
+  console.log(`Sync server on http://${HOST.includes(':') ? `[${HOST}]` : HOST}:${PORT} — board file ${DATA_FILE} (rev ${board.rev})`)
+  console.log(`Allowed origins: ${ORIGINS.join(', ')}${TOKEN ? '' : ' · no access token set'}`)
+})
+
+const stop = () => { listeners.forEach(res => res.end()); server.close(() => process.exit(0)) }
+process.on('SIGINT', stop)
+process.on('SIGTERM', stop)
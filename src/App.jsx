@@ -1,115 +1,85 @@
-import { useState, useEffect, useRef, useMemo, useCallback } from 'react'
+import { useState, useEffect, useRef, useMemo, useCallback, Fragment } from 'react'
 import * as XLSX from 'xlsx'
+import {
+  PRIORITIES, CATEGORIES, PRIORITY_COLORS, PRIORITY_LABELS,
+  MAX_TITLE, MAX_NOTES, DEFAULT_TASK
+} from './constants.js'
+import { genId, parseLocalDate, formatDate, isOverdue, getDaysLeft, downloadFile } from './helpers.js'
+import { Toast, Modal, Field, Highlight, inputStyle, btnStyle } from './ui.jsx'
+import { readImportFile } from './importer.js'
+import ImportModal from './ImportModal.jsx'
+import { useBoardHistory, describeActivity, FIELD_NAMES } from './history.js'
+import { isDoneStage, withStage, checkTransition, applyWorkflow, worstRule } from './workflow.js'
+import WorkflowModal from './WorkflowModal.jsx'
+import {
+  STORE_VERSION, DEFAULT_SETTINGS, StoreError, packStore, encodeStore, backupFileName, parseBackup, restoreStore,
+  quarantine as setAside, openSealedStore, plaintextCopies
+} from './storage.js'
+import {
+  pickBoard, addBoard, updateBoard, deleteBoard, transferTask, boardSummary
+} from './boards.js'
+import BoardsModal from './BoardsModal.jsx'
+import { usePref } from './prefs.js'
+import { BUILTIN_TEMPLATES, newTemplate, checklistCounts, boardProgress } from './checklists.js'
+import ChecklistEditor from './ChecklistEditor.jsx'
+import { describeRecurrence, validateRecurrence, attachRecurrence, nextDue, spawnCompleted, catchUpRecurring } from './recurrence.js'
+import RecurrenceEditor from './RecurrenceEditor.jsx'
+import { newTaskTemplate, dueOffsetOf, taskFromTemplate } from './templates.js'
+import { parseQuery, matchTask, highlightTerms, noteSnippet } from './query.js'
+import SearchBox from './SearchBox.jsx'
+import Dashboard from './Dashboard.jsx'
+import Calendar from './Calendar.jsx'
+import Timeline from './Timeline.jsx'
+import { buildCalendar } from './ics.js'
+import { parseSealed, createLock, openLock, seal } from './crypto.js'
+import LockScreen from './LockScreen.jsx'
+import SecurityModal from './SecurityModal.jsx'
+import { FINDING_CATEGORIES, emptyFinding, validateFinding, cleanFinding, derivedPriority, findingScore, findingSeverity } from './findings.js'
+import FindingEditor, { ScoreBadge } from './FindingEditor.jsx'
+import ReportModal from './ReportModal.jsx'
+import { doneLookup, openBlockers, blockedTasks, applyLinks, linkProblem, pruneLinks, checkBlocked } from './deps.js'
+import DependencyEditor from './DependencyEditor.jsx'
+import { removeMember, hasLoggedTime } from './members.js'
+import MembersModal, { Avatar } from './MembersModal.jsx'
+import { entryMs, loggedMs, runningEntry, startTimer, stopTimer, entriesProblem, formatDuration, toHours } from './timesheet.js'
+import TimeEntriesEditor, { Elapsed } from './TimeEntries.jsx'
+import TimesheetModal from './TimesheetModal.jsx'
+import { slaStatus, describeSla } from './sla.js'
+import { reminderEvents, loadReminderState, saveReminderState, collectDue, snoozeAll } from './reminders.js'
+import SlaModal from './SlaModal.jsx'
+import { BACKENDS, SyncError, createAdapter, loadBackend, saveBackend } from './adapters.js'
+import { createSync } from './sync.js'
+import SyncModal, { SYNC_LABELS } from './SyncModal.jsx'
+import ConflictModal from './ConflictModal.jsx'
+import { bindings, comboOf, formatCombo, isTyping, keysOf } from './keymap.js'
+import CommandPalette from './CommandPalette.jsx'
+import ShortcutsModal from './ShortcutsModal.jsx'
+import { SORT_MODES, LANE_MODES, sortCards, placeCard, laneKey, swimlanesOf, laneFields } from './order.js'
+import BulkBar from './BulkBar.jsx'
 
-// ─── Constants ───────────────────────────────────────────────────────────────
-const COLUMNS   = ['Backlog', 'In Progress', 'Review/QA', 'Completed']
-const PRIORITIES = ['Critical', 'High', 'Medium', 'Low']
-const CATEGORIES = [
-  'Pen Testing', 'Client Work', 'Compliance', 'Internal',
-  'Incident Response', 'Vulnerability Assessment', 'Other'
+// Alternatives to the board, toggled from the header.
+const VIEWS = [
+  ['overview', '▦', 'All boards overview'],
+  ['calendar', '📅', 'Calendar'],
+  ['timeline', '▤', 'Timeline'],
+  ['metrics',  '📊', 'Metrics dashboard'],
 ]
-const PRIORITY_COLORS  = { Critical:'#ef4444', High:'#f97316', Medium:'#eab308', Low:'#22c55e' }
-const PRIORITY_LABELS  = { Critical:'🔴 Critical', High:'🟠 High', Medium:'🟡 Medium', Low:'🟢 Low' }
-const COL_COLORS = {
-  'Backlog':'#3b82f6', 'In Progress':'#f97316',
-  'Review/QA':'#a855f7', 'Completed':'#22c55e'
-}
-const MAX_TITLE = 100
-const MAX_NOTES = 2000
-const DEFAULT_TASK = { title:'', priority:'Medium', category:'Internal', due:'', notes:'', stage:'Backlog' }
-
-// ─── Helpers ─────────────────────────────────────────────────────────────────
-const genId = () => Date.now().toString(36) + Math.random().toString(36).slice(2)
-
-function parseLocalDate(str) {
-  if (!str) return null
-  const [y, m, d] = str.split('-').map(Number)
-  return new Date(y, m - 1, d)
-}
-
-function formatDate(str) {
-  if (!str) return ''
-  const d = parseLocalDate(str)
-  return d ? d.toLocaleDateString() : ''
-}
 
-function isOverdue(due, stage) {
-  if (!due || stage === 'Completed') return false
-  const dueDate = parseLocalDate(due)
-  if (!dueDate) return false
-  const today = new Date(); today.setHours(0, 0, 0, 0)
-  return dueDate < today
-}
-
-function getDaysLeft(due) {
-  if (!due) return null
-  const dueDate = parseLocalDate(due)
-  if (!dueDate) return null
-  const today = new Date(); today.setHours(0, 0, 0, 0)
-  return Math.ceil((dueDate - today) / (1000 * 60 * 60 * 24))
-}
-
-// ─── Shared Styles ────────────────────────────────────────────────────────────
-const inputStyle = {
-  background: '#161b2e', border: '1px solid #1e3a2f', color: '#e2e8f0',
-  padding: '8px 12px', borderRadius: 6, fontSize: 13,
-  width: '100%', boxSizing: 'border-box', fontFamily: "'Courier New', monospace"
-}
-const btnStyle = (bg, color) => ({
-  background: bg, color, border: `1px solid ${color}44`,
-  padding: '5px 11px', borderRadius: 5, cursor: 'pointer',
-  fontSize: 11, fontFamily: "'Courier New', monospace", transition: 'opacity 0.15s'
-})
-
-// ─── Toast ────────────────────────────────────────────────────────────────────
-function Toast({ msg, onDone }) {
-  useEffect(() => { const t = setTimeout(onDone, 2800); return () => clearTimeout(t) }, [onDone])
-  return (
-    <div role="alert" aria-live="assertive" style={{
-      position:'fixed', bottom:24, right:24, background:'#1e3a2f',
-      border:'1px solid #00ff88', color:'#00ff88', padding:'10px 18px',
-      borderRadius:8, fontSize:13, zIndex:999, boxShadow:'0 4px 20px #00000088'
-    }}>
-      {msg}
-    </div>
-  )
-}
-
-// ─── Modal ────────────────────────────────────────────────────────────────────
-function Modal({ children, onClose, label }) {
-  useEffect(() => {
-    const h = (e) => { if (e.key === 'Escape') onClose() }
-    window.addEventListener('keydown', h)
-    return () => window.removeEventListener('keydown', h)
-  }, [onClose])
-
-  return (
-    <div role="dialog" aria-modal="true" aria-label={label}
-      style={{ position:'fixed', inset:0, background:'#000000bb', display:'flex', alignItems:'center', justifyContent:'center', zIndex:200, padding:16 }}
-      onClick={(e) => { if (e.target === e.currentTarget) onClose() }}>
-      <div style={{ background:'#0d1117', border:'1px solid #1e3a2f', borderRadius:12, padding:24, width:'100%', maxWidth:460, maxHeight:'90vh', overflowY:'auto' }}>
-        {children}
-      </div>
-    </div>
-  )
-}
-
-// ─── Field ────────────────────────────────────────────────────────────────────
-function Field({ label, htmlFor, children, hint }) {
-  return (
-    <div style={{ marginBottom: 12 }}>
-      <label htmlFor={htmlFor} style={{ display:'block', fontSize:11, color:'#64748b', marginBottom:5, letterSpacing:1 }}>
-        {label.toUpperCase()}
-        {hint && <span style={{ color:'#475569', fontWeight:'normal', marginLeft:6 }}>{hint}</span>}
-      </label>
-      {children}
-    </div>
-  )
-}
+const SLA_COLORS = { running:'#94a3b8', 'at-risk':'#eab308', breached:'#ef4444' }
+const REMINDER_ICONS = { 'due-soon':'⏰', overdue:'⚠', 'sla-risk':'⏳', 'sla-breach':'🚨' }
+const SNOOZE = 3600000
+const SYNC_COLORS = { saving:'#93c5fd', offline:'#eab308', error:'#ef4444' }
+const EMPTY_BOARD = { tasks:[], settings:DEFAULT_SETTINGS }
 
 // ─── App ──────────────────────────────────────────────────────────────────────
 export default function App() {
-  const [tasks,      setTasks]      = useState([])
+  const { data, apply, undo, redo, reset, rebase, undoLabel, redoLabel } =
+    useBoardHistory(EMPTY_BOARD)
+  const { tasks: allTasks, settings } = data
+  const [boardId,    setBoardId]    = usePref('board', null)
+  const board   = pickBoard(settings.boards, boardId)
+  const columns = board.columns
+  const tasks   = useMemo(() => allTasks.filter(x => x.boardId === board.id), [allTasks, board.id])
   const [loaded,     setLoaded]     = useState(false)
   const [showForm,   setShowForm]   = useState(false)
   const [formData,   setFormData]   = useState(DEFAULT_TASK)
@@ -122,147 +92,1141 @@ export default function App() {
   const [dragging,   setDragging]   = useState(null)
   const [dragOver,   setDragOver]   = useState(null)
   const [toast,      setToast]      = useState(null)
+  const [importSrc,  setImportSrc]  = useState(null)
+  const [quarantine, setQuarantine] = useState(null)
+  const [dataMenu,   setDataMenu]   = useState(false)
+  const [restoreSrc, setRestoreSrc] = useState(null)
+  const [showFlow,   setShowFlow]   = useState(false)
+  const [showBoards, setShowBoards] = useState(false)
+  const [view,       setView]       = useState('board')
+  const [xferTo,     setXferTo]     = useState('')
+  const [weighted,   setWeighted]   = usePref('weightByChecklist', false)
+  const [newMenu,    setNewMenu]    = useState(false)
+  const [tplDraft,   setTplDraft]   = useState(null)
+  const [viewsMenu,  setViewsMenu]  = useState(false)
+  const [viewName,   setViewName]   = useState('')
+  const [cipher,     setCipher]     = useState(null)
+  const [lockedEnv,  setLockedEnv]  = useState(null)
+  const [showSec,    setShowSec]    = useState(false)
+  const [showReport, setShowReport] = useState(false)
+  const [autoLock,   setAutoLock]   = usePref('autoLock', 15)
+  const [showTeam,   setShowTeam]   = useState(false)
+  const [showTime,   setShowTime]   = useState(false)
+  const [assignedTo, setAssignedTo] = useState('')
+  const [me,         setMe]         = usePref('me', null)
+  const [showSla,    setShowSla]    = useState(false)
+  const [remindLead, setRemindLead] = usePref('remindLead', 24)
+  const [notify,     setNotify]     = usePref('notify', false)
+  const [now,        setNow]        = useState(Date.now)
+  const [backend,    setBackend]    = useState(loadBackend)
+  const [syncStatus, setSyncStatus] = useState(null)
+  const [showSync,   setShowSync]   = useState(false)
+  const [conflicts,  setConflicts]  = useState([])
+  const [onConflict, setOnConflict] = usePref('conflicts', 'ask')
+  const [shortcuts,  setShortcuts]  = usePref('shortcuts', {})
+  const [showKeys,   setShowKeys]   = useState(false)
+  const [palette,    setPalette]    = useState(false)
+  const [cursor,     setCursor]     = useState(null)
+  const [announce,   setAnnounce]   = useState('')
+  const [sortMode,   setSortMode]   = usePref('sortMode', 'manual')
+  const [laneBy,     setLaneBy]     = usePref('swimlanes', '')
+  const [picked,     setPicked]     = useState(() => new Set())
+
+  const exportRef  = useRef()
+  const titleRef   = useRef()
+  const importRef  = useRef()
+  const dataRef    = useRef()
+  const restoreRef = useRef()
+  const newRef     = useRef()
+  const viewsRef   = useRef()
+  const sync       = useRef(null)
+  const carryLock  = useRef(null)
+  const draftId    = useRef(null)
+  const lastActive = useRef(Date.now())
+  const refocus    = useRef(null)
+  const onShortcut = useRef(null)
+  const pickAnchor = useRef(null)
+
+  const showToast = useCallback((msg, action = null, duration) => setToast({ msg, action, duration, id:Date.now() }), [])
+
+  // Every data mutation goes through a labelled command so it can be undone.
+  // Recurring tasks that reach a done column spawn their next occurrence here.
+  const commit = useCallback((label, updater, msg) => {
+    apply(label, b => {
+      const t = updater(b.tasks)
+      return t === b.tasks ? b : { ...b, tasks:spawnCompleted(b.tasks, t, b.settings.boards) }
+    })
+    if (msg) showToast(msg, { label:'Undo', onClick:undo })
+  }, [apply, undo, showToast])
+
+  const doUndo = useCallback(() => {
+    if (!undoLabel) return
+    undo(); showToast(`↶ Undone: ${undoLabel}`)
+  }, [undo, undoLabel, showToast])
+
+  const doRedo = useCallback(() => {
+    if (!redoLabel) return
+    redo(); showToast(`↷ Redone: ${redoLabel}`)
+  }, [redo, redoLabel, showToast])
 
-  const exportRef = useRef()
-  const titleRef  = useRef()
+  // Recurring occurrences that fell due while the app was closed are created,
+  // as an undoable command.
+  const openData = useCallback((res) => {
+    const caught = catchUpRecurring(res.data.tasks, res.data.settings.boards)
+    reset(res.data)
+    const n = caught.length - res.data.tasks.length
+    if (!n) return
+    apply('Create missed recurring tasks', d => ({ ...d, tasks:caught }))
+    showToast(`🔁 Created ${n} missed recurring task${n === 1 ? '' : 's'}.`)
+  }, [reset, apply, showToast])
 
-  const showToast = useCallback((msg) => setToast(msg), [])
+  // Drops the decrypted board from memory, undo history included, and shows
+  // the lock screen over the sealed copy in storage.
+  const showLock = useCallback((env) => {
+    reset(EMPTY_BOARD)
+    setCipher(null); setLockedEnv(env); setConflicts([])
+    setShowForm(false); setActiveNote(null); setNoteText(''); setImportSrc(null); setRestoreSrc(null)
+    setShowSec(false); setShowReport(false); setShowTeam(false); setShowTime(false); setShowSla(false); setShowSync(false); setShowKeys(false); setPalette(false); setSearch(''); setToast(null)
+  }, [reset])
 
-  // Load from localStorage once on mount
+  // Opens the board from the chosen storage backend, upgrading older store
+  // versions, and again whenever the backend is switched. Unreadable or
+  // newer-version data is quarantined and saving is paused; an encrypted
+  // store waits for the lock screen. Changes saved by other tabs or clients
+  // are merged in as they arrive.
   useEffect(() => {
-    try {
-      const s = localStorage.getItem('cybertasks')
-      if (s) setTasks(JSON.parse(s))
-    } catch {
-      showToast('⚠ Could not load saved tasks.')
+    let live = true
+    const s = createSync(createAdapter(backend), {
+      onRemote: (patch, found) => {
+        rebase(patch)
+        if (found.length) setConflicts(cs => [...cs.filter(c => !found.some(f => f.kind === c.kind && f.id === c.id)), ...found])
+      },
+      onLocked: showLock,
+      onDecrypted: () => { setCipher(null); showToast('🔓 Encryption was turned off elsewhere.') },
+      onStatus: setSyncStatus,
+      onError: (err) => showToast(err instanceof SyncError || err instanceof StoreError ? `⚠ ${err.message}` : '⚠ Could not save. Storage may be full.')
+    })
+    sync.current = s
+    s.open(carryLock.current).then(res => {
+      if (!live) return
+      carryLock.current = null
+      if (res.status === 'locked') showLock(res.env)
+      else {
+        if (res.status === 'ok') openData(res)
+        if (res.status === 'quarantined') { reset(EMPTY_BOARD); setQuarantine(res); showToast('⚠ Could not load saved tasks.') }
+        setCipher(res.lock)
+        s.start(res.data || null, res.lock)
+      }
+      setLoaded(true)
+    }, err => {
+      if (!live) return
+      showToast(err instanceof SyncError ? `⚠ Could not load saved tasks — ${err.message}` : '⚠ Could not load saved tasks.')
+      setLoaded(true)
+    })
+    return () => { live = false; s.close() }
+  }, [backend, openData, showLock, rebase, reset, showToast])
+
+  // Hands every board change to the sync engine, which saves them in order.
+  useEffect(() => {
+    if (!loaded || quarantine || lockedEnv) return
+    sync.current.push(data)
+  }, [data, loaded, quarantine, lockedEnv])
+
+  // Last writer wins unless conflicts are to be reviewed.
+  useEffect(() => {
+    if (onConflict !== 'lww' || !conflicts.length) return
+    showToast(`⚖ ${conflicts.length} conflicting edit${conflicts.length === 1 ? '' : 's'} settled — the latest was kept.`)
+    setConflicts([])
+  }, [conflicts, onConflict, showToast])
+
+  const lockNow = useCallback(async () => {
+    await sync.current.flush()
+    const res = await sync.current.open()
+    if (res.status !== 'locked') {
+      sync.current.start(res.data || null)
+      showToast('⚠ Could not lock — the encrypted board was not found.')
+      return
     }
-    setLoaded(true)
-  }, [showToast])
+    showLock(res.env)
+  }, [showLock, showToast])
 
-  // Persist to localStorage on every tasks change
+  // Auto-lock after `autoLock` idle minutes while encryption is on
   useEffect(() => {
-    if (!loaded) return
-    try { localStorage.setItem('cybertasks', JSON.stringify(tasks)) }
-    catch { showToast('⚠ Could not save. Storage may be full.') }
-  }, [tasks, loaded, showToast])
+    if (!cipher || !autoLock) return
+    const touch = () => { lastActive.current = Date.now() }
+    const events = ['pointerdown', 'mousemove', 'keydown', 'wheel', 'touchstart']
+    touch()
+    events.forEach(e => window.addEventListener(e, touch, { passive:true }))
+    const timer = setInterval(() => { if (Date.now() - lastActive.current >= autoLock * 60000) lockNow() }, 15000)
+    return () => { clearInterval(timer); events.forEach(e => window.removeEventListener(e, touch)) }
+  }, [cipher, autoLock, lockNow])
 
-  // Close export menu on outside click — registered once
+  // Clock for SLA countdowns and reminders
   useEffect(() => {
-    const h = (e) => { if (exportRef.current && !exportRef.current.contains(e.target)) setExportMenu(false) }
+    const t = setInterval(() => setNow(Date.now()), 30000)
+    return () => clearInterval(t)
+  }, [])
+
+  // Reminders: the fired/snoozed record is re-read on every check so another
+  // tab, or a reload, does not announce the same reminder again.
+  useEffect(() => {
+    if (!loaded || lockedEnv || quarantine) return
+    const events = reminderEvents(allTasks, { boards:settings.boards, policies:settings.slaPolicies, leadHours:remindLead, now })
+    const saved = loadReminderState()
+    const { fire, state, changed } = collectDue(events, saved || { since:now, fired:{}, snoozed:{} }, now)
+    if (!saved || changed) saveReminderState(state)
+    if (!fire.length) return
+    const worst = ['sla-breach', 'overdue', 'sla-risk', 'due-soon'].find(k => fire.some(e => e.kind === k))
+    const text = fire.slice(0, 3).map(e => e.text).join('; ') + (fire.length > 3 ? ` +${fire.length - 3} more` : '')
+    const keys = fire.map(e => e.key)
+    showToast(`${REMINDER_ICONS[worst]} ${text}`, {
+      label:'Snooze 1h', onClick:() => saveReminderState(snoozeAll(loadReminderState(), keys, Date.now() + SNOOZE))
+    }, 15000)
+    if (notify && typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+      // With encryption on, titles stay out of the OS notification centre.
+      try { new Notification('Cybersec Task Manager', { body:cipher ? `${fire.length} reminder${fire.length === 1 ? '' : 's'} — open the board for details.` : text, tag:keys[0] }) } catch { /* unsupported here */ }
+    }
+  }, [now, allTasks, settings.boards, settings.slaPolicies, remindLead, notify, cipher, loaded, lockedEnv, quarantine, showToast])
+
+  // Close header menus on outside click — registered once
+  useEffect(() => {
+    const h = (e) => {
+      if (exportRef.current && !exportRef.current.contains(e.target)) setExportMenu(false)
+      if (dataRef.current && !dataRef.current.contains(e.target)) setDataMenu(false)
+      if (newRef.current && !newRef.current.contains(e.target)) setNewMenu(false)
+      if (viewsRef.current && !viewsRef.current.contains(e.target)) setViewsMenu(false)
+    }
     document.addEventListener('mousedown', h)
     return () => document.removeEventListener('mousedown', h)
   }, [])
 
+  // Keyboard shortcuts (keymap.js). Text fields keep their keys, and only
+  // undo/redo reach past an open dialog. Handled keys don't scroll the page.
+  useEffect(() => {
+    const keys = bindings(shortcuts)
+    const h = (e) => {
+      const action = keys.get(comboOf(e))
+      if (!action || e.defaultPrevented) return
+      if (isTyping(e.target) && action.id !== 'palette') return
+      if (document.querySelector('[role="dialog"]') && action.id !== 'undo' && action.id !== 'redo') return
+      if (onShortcut.current(action, e.target.dataset?.taskId) !== false) e.preventDefault()
+    }
+    window.addEventListener('keydown', h)
+    return () => window.removeEventListener('keydown', h)
+  }, [shortcuts])
+
   // Auto-focus title when form opens
   useEffect(() => { if (showForm && titleRef.current) titleRef.current.focus() }, [showForm])
 
-  // Memoized filtered list
-  const filtered = useMemo(() =>
-    tasks.filter(x =>
-      x.title.toLowerCase().includes(search.toLowerCase()) ||
-      x.category.toLowerCase().includes(search.toLowerCase())
-    ), [tasks, search])
+  // Memoized filtered list — the search box takes the query language in query.js
+  const query    = useMemo(() => parseQuery(search), [search])
+  const marks    = useMemo(() => highlightTerms(query), [query])
+  const members  = settings.members
+  const meMember = members.find(m => m.id === me && m.active)
+  const slaOf    = useMemo(() => new Map(tasks.map(x => [x.id, slaStatus(x, columns, settings.slaPolicies, now)])), [tasks, columns, settings.slaPolicies, now])
+  const filtered = useMemo(() => {
+    const ctx = { members, me:meMember?.id, sla:x => slaOf.get(x.id) }
+    const assigned = (x) => assignedTo === 'none' ? !x.assignees?.length : x.assignees?.includes(assignedTo === 'me' ? ctx.me : assignedTo)
+    return query.empty && !assignedTo ? tasks : tasks.filter(x => (query.empty || matchTask(x, query, columns, ctx)) && (!assignedTo || assigned(x)))
+  }, [tasks, query, columns, members, meMember, assignedTo, slaOf])
+  const narrowed = !query.empty || !!assignedTo
+
+  // Shown cards per column and swimlane, in display order; colCards flattens
+  // each column for keyboard navigation.
+  const swimlanes = useMemo(() => swimlanesOf(tasks, laneBy, members), [tasks, laneBy, members])
+  const cells     = useMemo(() => columns.map(c => {
+    const cards = sortCards(filtered.filter(x => x.stage === c.name), sortMode)
+    return laneBy ? swimlanes.map(l => cards.filter(x => laneKey(x, laneBy) === l.key)) : [cards]
+  }), [columns, filtered, sortMode, laneBy, swimlanes])
+  const colCards  = useMemo(() => cells.map(c => c.flat()), [cells])
+  const pickedTasks = filtered.filter(x => picked.has(x.id))
+
+  // The focused card; the first card is the tab stop until one is chosen.
+  const focused  = filtered.find(x => x.id === cursor) || null
+  const tabStop  = focused?.id ?? colCards.find(l => l.length)?.[0].id
+
+  // Puts focus back on a card after it moved column or its neighbour went.
+  useEffect(() => {
+    const ids = refocus.current
+    if (!ids) return
+    refocus.current = null
+    const id = ids.find(i => filtered.some(x => x.id === i))
+    if (id) focusCard(id)
+  }, [filtered])
+
+  // Memoized progress stats over what is currently shown
+  const pct = useMemo(() => boardProgress(filtered, columns, weighted), [filtered, columns, weighted])
+  const activeView = settings.savedViews.find(v => v.query === search.trim())
+
+  const taskById   = useMemo(() => new Map(allTasks.map(x => [x.id, x])), [allTasks])
+  const isTaskDone = useMemo(() => doneLookup(settings.boards), [settings.boards])
+  const boardNames = useMemo(() => new Map(settings.boards.map(b => [b.id, b.name])), [settings.boards])
+  const memberById = useMemo(() => new Map(members.map(m => [m.id, m])), [members])
+  const myTimer    = meMember ? runningEntry(allTasks, meMember.id) : null
 
-  // Memoized progress stats
-  const { pct } = useMemo(() => {
-    const c = tasks.filter(x => x.stage === 'Completed').length
-    return { completed: c, pct: tasks.length ? Math.round((c / tasks.length) * 100) : 0 }
-  }, [tasks])
+  const templates = useMemo(() => [...BUILTIN_TEMPLATES, ...settings.checklistTemplates], [settings.checklistTemplates])
 
   // ── Form helpers ──
-  function validateForm(data) {
+  function validateForm(form) {
     const errs = {}
-    if (!data.title.trim())         errs.title = 'Title is required.'
-    if (data.title.length > MAX_TITLE) errs.title = `Max ${MAX_TITLE} characters.`
-    if (data.notes.length > MAX_NOTES) errs.notes = `Max ${MAX_NOTES} characters.`
+    if (!form.title.trim())         errs.title = 'Title is required.'
+    if (form.title.length > MAX_TITLE) errs.title = `Max ${MAX_TITLE} characters.`
+    if (form.notes.length > MAX_NOTES) errs.notes = `Max ${MAX_NOTES} characters.`
+    const recur = validateRecurrence(form.recurrence, form.due)
+    if (recur) errs.recurrence = recur
+    const finding = validateFinding(form.finding)
+    if (Object.keys(finding).length) errs.finding = finding
+    const links = linkProblem(linkBase(), draftId.current, form.blockedBy, form.blocks)
+    if (links) errs.links = links
+    const est = String(form.estimate ?? '').trim()
+    if (est && !(Number(est) > 0 && Number(est) <= 10000)) errs.estimate = 'Enter hours between 0 and 10000.'
+    const time = entriesProblem(form.timeEntries)
+    if (time) errs.time = time
     return errs
   }
 
-  function openForm(task = null) {
+  function openForm(task = null, tpl = null) {
     setFormData(task
-      ? { title:task.title, priority:task.priority, category:task.category, due:task.due, notes:task.notes, stage:task.stage }
-      : { ...DEFAULT_TASK }
+      ? { title:task.title, priority:task.priority, category:task.category, due:task.due, notes:task.notes, stage:task.stage, checklist:task.checklist || [], recurrence:task.recurrence, finding:task.finding,
+          blockedBy:task.blockedBy || [], blocks:blockedTasks(task.id, allTasks).map(x => x.id),
+          assignees:task.assignees || [], estimate:task.estimate ?? '', timeEntries:task.timeEntries || [] }
+      : { ...DEFAULT_TASK, stage:columns[0].name, blocks:[], ...(tpl && taskFromTemplate(tpl)) }
     )
+    draftId.current = task ? task.id : genId()
     setEditId(task ? task.id : null)
+    setXferTo('')
+    setTplDraft(null)
     setFormErrors({})
+    setNewMenu(false)
     setShowForm(true)
   }
 
   function closeForm() { setShowForm(false); setFormErrors({}) }
 
+  // All tasks, plus a stand-in for the task being created, for link checks.
+  function linkBase() {
+    return editId ? allTasks : [...allTasks, { ...formData, id:draftId.current, title:formData.title.trim() || 'New task', boardId:board.id, blockedBy:[] }]
+  }
+
+  const blockersIn = (ids) => ids.map(id => taskById.get(id)).filter(x => x && !isTaskDone(x))
+
+  // Toast suffix announcing the occurrence a recurring task will spawn.
+  function recurNote(task, stage) {
+    if (!task.recurrence || task.recurrence.spawned || !isDoneStage(columns, stage) || isDoneStage(columns, task.stage)) return ''
+    const due = nextDue(task)
+    return due ? ` 🔁 Next due ${formatDate(due)}.` : ''
+  }
+
   function saveTask() {
     const errs = validateForm(formData)
     if (Object.keys(errs).length) { setFormErrors(errs); return }
+    const { blocks, ...rest } = formData
+    const form = { ...rest, checklist:formData.checklist.map(i => ({ ...i, text:i.text.trim() })).filter(i => i.text), finding:cleanFinding(formData.finding),
+      estimate:Number(formData.estimate) > 0 ? Number(formData.estimate) : null, timeEntries:formData.timeEntries.map(e => ({ ...e, note:e.note.trim() })) }
+    if (form.finding?.derivePriority) form.priority = derivedPriority(form.finding) || form.priority
+    const current = editId ? tasks.find(x => x.id === editId) : { stage:null }
+    const rule = current.stage === formData.stage ? { level:'ok' } : worstRule(
+      checkTransition(columns, tasks, current, formData.stage), checkBlocked(current, formData.stage, columns, blockersIn(form.blockedBy)))
+    if (rule.level === 'block') { setFormErrors({ stage:rule.msg }); return }
+    const warn = rule.level === 'warn' ? ` ${rule.msg}` : ''
     if (editId) {
-      setTasks(t => t.map(x => x.id === editId ? { ...x, ...formData } : x))
-      showToast('✅ Task updated.')
+      form.recurrence = attachRecurrence(form.recurrence, current.recurrence, editId, form.due)
+      commit('Edit task', t => applyLinks(t.map(x => x.id === editId ? withStage({ ...x, ...form, stage:x.stage }, form.stage, columns) : x), editId, form.blockedBy, blocks),
+        `✅ Task updated.${warn}${recurNote({ ...current, ...form, stage:current.stage }, form.stage)}`)
     } else {
-      setTasks(t => [...t, { ...formData, id:genId(), createdAt:new Date().toISOString(), completedAt:null }])
-      showToast('✅ Task created.')
+      const id = draftId.current
+      const task = { ...form, id, boardId:board.id, recurrence:attachRecurrence(form.recurrence, null, id, form.due), createdAt:new Date().toISOString(), completedAt:null }
+      commit('Create task', t => applyLinks([...t, withStage(task, form.stage, columns)], id, form.blockedBy, blocks), `✅ Task created.${warn}`)
     }
     closeForm()
   }
 
-  function deleteTask(id) { setTasks(t => t.filter(x => x.id !== id)); showToast('🗑 Task deleted.') }
+  function deleteTask(id) { commit('Delete task', t => pruneLinks(t.filter(x => x.id !== id)), '🗑 Task deleted.') }
+
+  // Moves a card, applying the target column's transition rules, WIP limit
+  // and open blockers. Returns whether it moved.
+  function moveTo(task, to) {
+    const rule = worstRule(checkTransition(columns, tasks, task, to), checkBlocked(task, to, columns, openBlockers(task, taskById, isTaskDone)))
+    if (rule.level === 'block') { showToast(rule.msg); return false }
+    commit(`Move to ${to}`, t => t.map(x => x.id === task.id ? withStage(x, to, columns) : x),
+      (rule.level === 'warn' ? rule.msg : `↔ Moved to ${to}`) + recurNote(task, to))
+    setAnnounce(`${task.title} moved from ${task.stage} to ${to}.`)
+    return true
+  }
+
+  // Critical is the top of PRIORITIES; `dir` 1 raises, -1 lowers. Returns
+  // whether it changed.
+  function shiftPriority(task, dir) {
+    if (task.finding?.derivePriority) { showToast('⚠ Priority follows the CVSS severity — edit the finding to change it.'); return false }
+    const next = PRIORITIES[PRIORITIES.indexOf(task.priority) - dir]
+    if (!next) { setAnnounce(`${task.title} is already ${task.priority} priority.`); return false }
+    commit('Change priority', t => t.map(x => x.id === task.id ? { ...x, priority:next } : x), `⇅ Priority: ${next}`)
+    setAnnounce(`${task.title}: priority ${next}.`)
+    return true
+  }
+
+  // Calendar drops; recurring series follow the new day of the month.
+  function reschedule(task, due) {
+    commit('Reschedule task', t => t.map(x => x.id === task.id
+      ? { ...x, due, recurrence:x.recurrence && { ...x.recurrence, day:parseLocalDate(due).getDate() } }
+      : x), `📅 Due ${formatDate(due)}: ${task.title}`)
+  }
+
+  // ── Time tracking ──
+  // One running timer per member: starting here stops theirs elsewhere.
+  function toggleTimer(task) {
+    if (!meMember) { showToast('👥 Choose who you are in Team settings to track time.'); setShowTeam(true); return }
+    const mine = task.timeEntries?.find(e => !e.end && e.memberId === meMember.id)
+    if (mine) {
+      commit('Stop timer', t => stopTimer(t, meMember.id), `⏸ Logged ${formatDuration(entryMs(mine))} on ${task.title}.`)
+      return
+    }
+    const other = runningEntry(allTasks, meMember.id)
+    commit('Start timer', t => startTimer(t, task.id, meMember.id),
+      other ? `▶ Timer moved from ${other.task.title} (${formatDuration(entryMs(other.entry))} logged).` : `▶ Timer started: ${task.title}`)
+  }
+
+  // ── SLA & reminders ──
+  function saveSla(policies) {
+    apply('Edit SLA policies', d => ({ ...d, settings:{ ...d.settings, slaPolicies:policies } }))
+    setShowSla(false)
+    showToast('⏰ SLA policies saved.', { label:'Undo', onClick:undo })
+  }
+
+  function toggleNotify(on) {
+    if (typeof Notification === 'undefined') return
+    if (!on || Notification.permission === 'granted') { setNotify(on); return }
+    Notification.requestPermission().then(p => {
+      setNotify(p === 'granted')
+      if (p !== 'granted') showToast('⚠ Notifications are blocked for this site in the browser.')
+    })
+  }
+
+  // ── Team ──
+  function addMember(m) {
+    apply('Add member', d => ({ ...d, settings:{ ...d.settings, members:[...d.settings.members, m] } }))
+  }
+
+  function updateMember(id, patch, label) {
+    apply(label, d => ({ ...d, settings:{ ...d.settings, members:d.settings.members.map(m => m.id === id ? { ...m, ...patch } : m) } }))
+  }
+
+  function deleteMember(m) {
+    const keep = hasLoggedTime(m.id, allTasks)
+    apply(keep ? 'Deactivate member' : 'Remove member', removeMember(m.id))
+    if (m.id === me) setMe(null)
+    if (m.id === assignedTo) setAssignedTo('')
+    showToast(keep ? `👥 ${m.name} deactivated — their logged time is kept.` : `🗑 ${m.name} removed.`, { label:'Undo', onClick:undo })
+  }
 
   function moveTask(id, dir) {
-    setTasks(t => t.map(x => {
-      if (x.id !== id) return x
-      const next = COLUMNS[COLUMNS.indexOf(x.stage) + dir]
-      if (!next) return x
-      return { ...x, stage:next, completedAt: next === 'Completed' ? new Date().toISOString() : null }
-    }))
+    const task = tasks.find(x => x.id === id)
+    const next = task && columns[columns.findIndex(c => c.name === task.stage) + dir]
+    return next ? moveTo(task, next.name) : false
+  }
+
+  function saveWorkflow(rows, reassign) {
+    apply('Edit workflow', d => applyWorkflow(d, board.id, rows, reassign))
+    setShowFlow(false)
+    showToast('⚙ Workflow updated.', { label:'Undo', onClick:undo })
+  }
+
+  // ── Checklist templates ──
+  function saveTemplate(name) {
+    const tpl = newTemplate(name, formData.checklist)
+    apply('Save checklist template', d => ({ ...d, settings:{ ...d.settings, checklistTemplates:[...d.settings.checklistTemplates, tpl] } }))
+    showToast(`☑ Template "${tpl.name}" saved.`)
+  }
+
+  function deleteTemplate(id) {
+    apply('Delete checklist template', d => ({ ...d, settings:{ ...d.settings, checklistTemplates:d.settings.checklistTemplates.filter(t => t.id !== id) } }))
+    showToast('🗑 Template deleted.', { label:'Undo', onClick:undo })
   }
 
+  // ── Task templates ──
+  function saveTaskTemplate() {
+    const name = tplDraft.name.trim()
+    if (!name) return
+    const offset = tplDraft.offset === '' ? null : Number(tplDraft.offset)
+    const tpl = newTaskTemplate(name, formData, Number.isInteger(offset) ? offset : null)
+    apply('Save task template', d => ({ ...d, settings:{ ...d.settings, taskTemplates:[...d.settings.taskTemplates, tpl] } }))
+    setTplDraft(null)
+    showToast(`📄 Template "${tpl.name}" saved.`)
+  }
+
+  function deleteTaskTemplate(tpl) {
+    apply('Delete task template', d => ({ ...d, settings:{ ...d.settings, taskTemplates:d.settings.taskTemplates.filter(t => t.id !== tpl.id) } }))
+    showToast(`🗑 Template "${tpl.name}" deleted.`, { label:'Undo', onClick:undo })
+  }
+
+  // ── Saved views ──
+  function saveView() {
+    const name = viewName.trim()
+    if (!name || query.empty) return
+    const existing = settings.savedViews.find(v => v.name.toLowerCase() === name.toLowerCase())
+    const view = { id:existing?.id || genId(), name, query:search.trim() }
+    apply('Save view', d => ({ ...d, settings:{ ...d.settings, savedViews:existing
+      ? d.settings.savedViews.map(v => v.id === existing.id ? view : v)
+      : [...d.settings.savedViews, view] } }))
+    setViewName('')
+    setViewsMenu(false)
+    showToast(`🔖 View "${name}" ${existing ? 'updated' : 'saved'}.`)
+  }
+
+  function deleteView(v) {
+    apply('Delete view', d => ({ ...d, settings:{ ...d.settings, savedViews:d.settings.savedViews.filter(x => x.id !== v.id) } }))
+    showToast(`🗑 View "${v.name}" deleted.`, { label:'Undo', onClick:undo })
+  }
+
+  // ── Boards ──
+  function switchBoard(id) { setBoardId(id); setView('board'); setSearch(''); clearPicked() }
+
+  function createBoard(b) {
+    apply('Create board', addBoard(b))
+    switchBoard(b.id)
+    showToast(`▦ Board "${b.name}" created.`, { label:'Undo', onClick:undo })
+  }
+
+  function changeBoard(id, patch, label) {
+    apply(label, updateBoard(id, patch))
+    if (patch.archived && id === board.id) setBoardId(settings.boards.find(b => b.id !== id && !b.archived)?.id)
+  }
+
+  function removeBoard(id) {
+    const name = settings.boards.find(b => b.id === id)?.name
+    apply('Delete board', deleteBoard(id))
+    if (id === board.id) setBoardId(settings.boards.find(b => b.id !== id && !b.archived)?.id)
+    showToast(`🗑 Board "${name}" deleted.`, { label:'Undo', onClick:undo })
+  }
+
+  function transfer(mode) {
+    const target = settings.boards.find(b => b.id === xferTo)
+    if (!target) return
+    apply(mode === 'copy' ? 'Copy task to board' : 'Move task to board', transferTask(editId, target.id, mode))
+    if (mode === 'move') closeForm()
+    showToast(`${mode === 'copy' ? '⧉ Copied' : '↔ Moved'} to ${target.name}.`, { label:'Undo', onClick:undo })
+  }
+
+  const summaries = useMemo(() => settings.boards.map(b => ({ board:b, ...boardSummary(b, allTasks) })), [settings.boards, allTasks])
+
   function openNote(task) { setActiveNote(task.id); setNoteText(task.notes || '') }
 
   function saveNote() {
     if (noteText.length > MAX_NOTES) { showToast(`⚠ Notes exceed ${MAX_NOTES} chars.`); return }
-    setTasks(t => t.map(x => x.id === activeNote ? { ...x, notes:noteText } : x))
+    commit('Edit notes', t => t.map(x => x.id === activeNote ? { ...x, notes:noteText } : x), '📝 Notes saved.')
     setActiveNote(null)
-    showToast('📝 Notes saved.')
   }
 
   function exportToExcel(filter) {
     try {
-      const data = filter === 'completed' ? tasks.filter(x => x.stage === 'Completed') : tasks
-      if (!data.length) { showToast('⚠ No tasks to export.'); setExportMenu(false); return }
-      const rows = data.map(x => ({
+      const list = filter === 'completed' ? filtered.filter(x => isDoneStage(columns, x.stage)) : filter === 'selected' ? pickedTasks : filtered
+      if (!list.length) { showToast('⚠ No tasks to export.'); setExportMenu(false); return }
+      const rows = list.map(x => ({
         'Task Name': x.title, 'Category': x.category, 'Priority': x.priority,
         'Stage': x.stage, 'Due Date': formatDate(x.due), 'Notes': x.notes || '',
+        'Checklist': x.checklist?.length ? `${checklistCounts(x).done}/${x.checklist.length}` : '',
+        'Repeats': describeRecurrence(x.recurrence),
+        'CVSS Score': findingScore(x.finding) ?? '', 'Severity': findingSeverity(x.finding) || '',
+        'CVSS Vector': x.finding?.cvss || '', 'CVE': x.finding?.cves.join(', ') || '', 'CWE': x.finding?.cwes.join(', ') || '',
+        'Affected Assets': x.finding?.assets.join(', ') || '', 'Remediation': x.finding?.remediation || '',
+        'Blocked By': (x.blockedBy || []).map(id => taskById.get(id)?.title).filter(Boolean).join(', '),
+        'SLA': describeSla(slaOf.get(x.id), now),
+        'Assignees': (x.assignees || []).map(id => memberById.get(id)?.name).filter(Boolean).join(', '),
+        'Estimate (h)': x.estimate ?? '', 'Logged (h)': x.timeEntries?.length ? toHours(loggedMs(x)) : '',
         'Created': formatDate(x.createdAt), 'Completed': formatDate(x.completedAt)
       }))
-      const ws = XLSX.utils.json_to_sheet(rows)
-      ws['!cols'] = Object.keys(rows[0]).map(k => ({ wch: Math.max(k.length, ...rows.map(r => String(r[k] || '').length)) + 2 }))
+      const log = list.flatMap(x => (x.activity || []).map(e => ({
+        'Task Name': x.title, 'When': new Date(e.at).toLocaleString(), 'Event': describeActivity(e),
+        'From': e.type === 'notes' || e.type === 'created' ? '' : String(e.from ?? ''),
+        'To': e.type === 'created' ? '' : String(e.to ?? '')
+      })))
+      const time = list.flatMap(x => (x.timeEntries || []).map(e => ({
+        'Task Name': x.title, 'Category': x.category, 'Person': memberById.get(e.memberId)?.name || 'Unknown',
+        'Start': new Date(e.start).toLocaleString(), 'End': e.end ? new Date(e.end).toLocaleString() : 'running',
+        'Hours': toHours(entryMs(e)), 'Note': e.note || ''
+      })))
       const wb = XLSX.utils.book_new()
-      XLSX.utils.book_append_sheet(wb, ws, 'Tasks')
-      XLSX.writeFile(wb, `cybersec-tasks-${new Date().toISOString().slice(0,10)}.xlsx`)
+      const sheets = [['Tasks', rows], ['Activity', log], ['Time', time]]
+      sheets.filter(([, r]) => r.length).forEach(([name, r]) => {
+        const ws = XLSX.utils.json_to_sheet(r)
+        ws['!cols'] = Object.keys(r[0]).map(k => ({ wch: Math.min(60, Math.max(k.length, ...r.map(o => String(o[k] || '').length)) + 2) }))
+        XLSX.utils.book_append_sheet(wb, ws, name)
+      })
+      XLSX.writeFile(wb, `cybersec-tasks-${boardSlug()}-${new Date().toISOString().slice(0,10)}.xlsx`)
       showToast('⬇ Export successful!')
     } catch { showToast('⚠ Export failed. Please try again.') }
     setExportMenu(false)
   }
 
+  function boardSlug() {
+    return board.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+  }
+
+  // Shown (filtered) tasks of this board, or every board's dated tasks.
+  function exportCalendar(scope) {
+    const list = (scope === 'all' ? allTasks : filtered).filter(x => x.due)
+    setExportMenu(false)
+    if (!list.length) { showToast('⚠ No dated tasks to export.'); return }
+    try {
+      const boards = new Map(settings.boards.map(b => [b.id, b]))
+      const ics = buildCalendar(list, {
+        name: scope === 'all' ? 'Cybersec Tasks' : `Cybersec Tasks – ${board.name}`,
+        boardName: x => boards.get(x.boardId)?.name,
+        isDone: x => isDoneStage(boards.get(x.boardId)?.columns || [], x.stage)
+      })
+      downloadFile(`cybersec-tasks-${scope === 'all' ? 'all-boards' : boardSlug()}-${new Date().toISOString().slice(0,10)}.ics`, ics, 'text/calendar')
+      showToast(`📅 Exported ${list.length} dated task${list.length === 1 ? '' : 's'}.`)
+    } catch { showToast('⚠ Export failed. Please try again.') }
+  }
+
+  function saveReportMeta(meta) {
+    apply('Edit report details', d => ({ ...d, settings:{ ...d.settings, reportMeta:meta } }))
+  }
+
+  // ── Import ──
+  async function onImportFile(e) {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    try { setImportSrc(await readImportFile(file)) }
+    catch (err) { showToast(`⚠ ${err.message || 'Could not read file.'}`) }
+  }
+
+  function importTasks(list) {
+    commit(`Import ${list.length} tasks`, t => [...t, ...list.map(x => ({ ...x, boardId:board.id }))], `⬆ Imported ${list.length} task${list.length === 1 ? '' : 's'}.`)
+    setImportSrc(null)
+  }
+
+  // ── Backup / Restore ──
+  // Backups are sealed with the board's key while encryption is on.
+  async function downloadBackup() {
+    setDataMenu(false)
+    try {
+      downloadFile(backupFileName(!!cipher), cipher ? await seal(cipher, encodeStore(data)) : encodeStore(data))
+      showToast(cipher ? '💾 Encrypted backup downloaded.' : '💾 Backup downloaded.')
+    } catch { showToast('⚠ Backup failed. Please try again.') }
+  }
+
+  async function onRestoreFile(e) {
+    const file = e.target.files[0]
+    e.target.value = ''
+    setDataMenu(false)
+    if (!file) return
+    try {
+      const text = await file.text()
+      const sealed = parseSealed(text)
+      setRestoreSrc(sealed ? { fileName:file.name, sealed, pass:'', error:'' } : { fileName:file.name, ...parseBackup(text) })
+    }
+    catch (err) { showToast(`⚠ Invalid backup: ${err.message}`) }
+  }
+
+  async function unlockRestore(e) {
+    e.preventDefault()
+    const { fileName, sealed, pass } = restoreSrc
+    setRestoreSrc(s => ({ ...s, busy:true, error:'' }))
+    try { setRestoreSrc({ fileName, ...await openSealedStore(sealed, pass) }) }
+    catch (err) { setRestoreSrc(s => s && ({ ...s, pass:'', busy:false, error:err.message })) }
+  }
+
+  function applyRestore(mode) {
+    const { data: restored, added, skipped } = restoreStore(data, restoreSrc.data, mode)
+    apply(mode === 'replace' ? 'Restore backup' : 'Merge backup', () => restored)
+    setQuarantine(null)
+    setRestoreSrc(null)
+    showToast(mode === 'replace'
+      ? `♻ Board restored (${added} tasks).`
+      : `♻ Merged ${added} task${added === 1 ? '' : 's'}${skipped ? `, ${skipped} already present` : ''}.`,
+      { label:'Undo', onClick:undo })
+  }
+
+  // ── Encryption ──
+  // Saves the board right away, sealed with `lock` (plaintext when null).
+  function writeNow(lock) {
+    return sync.current.rekey(lock)
+  }
+
+  async function enableEncryption(pass) {
+    const lock = await createLock(pass)
+    await writeNow(lock)
+    setCipher(lock)
+    showToast('🔒 Boards are now encrypted.')
+  }
+
+  async function changePassphrase(current, next) {
+    await openLock(current, cipher)
+    const lock = await createLock(next)
+    await writeNow(lock)
+    setCipher(lock)
+    showToast('🔑 Passphrase changed — boards re-encrypted.')
+  }
+
+  async function disableEncryption(current) {
+    await openLock(current, cipher)
+    await writeNow(null)
+    setCipher(null)
+    setShowSec(false)
+    showToast('🔓 Encryption turned off.')
+  }
+
+  async function encryptedBackup(pass) {
+    downloadFile(backupFileName(true), await seal(await createLock(pass), encodeStore(data)))
+    showToast('💾 Encrypted backup downloaded.')
+  }
+
+  function removePlaintextCopies() {
+    const keys = plaintextCopies()
+    keys.forEach(k => localStorage.removeItem(k))
+    showToast(`🗑 Removed ${keys.length} unencrypted cop${keys.length === 1 ? 'y' : 'ies'}.`)
+  }
+
+  function downloadLocked() {
+    downloadFile(backupFileName(true), JSON.stringify(lockedEnv))
+  }
+
+  // Keeps the sealed board under a quarantine key; refuses if it can't.
+  function startFreshFromLock() {
+    const key = setAside(JSON.stringify(lockedEnv))
+    if (!key) { showToast('⚠ Could not set the encrypted board aside — download it first.'); return }
+    setLockedEnv(null)
+    sync.current.start(null, null)
+    showToast(`🔒 Encrypted board kept under "${key}".`)
+  }
+
+  function onUnlock(res) {
+    setCipher(res.lock)
+    openData(res)
+    setLockedEnv(null)
+    sync.current.start(res.data, res.lock)
+  }
+
+  // Moves this browser to another storage backend. The board is copied over
+  // when the new backend is still empty; otherwise the board stored there opens.
+  async function switchBackend(next) {
+    const target = createAdapter(next)
+    try {
+      await sync.current.flush()
+      const { raw } = await target.load()
+      if (raw === null && !quarantine) await target.save(await packStore(data, cipher), 0)
+      saveBackend(next)
+      carryLock.current = cipher
+      setQuarantine(null); setConflicts([]); setShowSync(false)
+      setBackend(next)
+      showToast(raw === null ? `☁ Board copied — now saving to: ${BACKENDS[next.kind]}.` : `☁ Opened the board stored in: ${BACKENDS[next.kind]}.`)
+    } finally {
+      target.close?.()
+    }
+  }
+
+  function resolveConflict(c, side) {
+    setConflicts(cs => cs.filter(x => x !== c))
+    if (side === c.kept) return
+    const pick = c[side]
+    if (c.kind === 'setting') apply('Resolve sync conflict', d => ({ ...d, settings:{ ...d.settings, [c.id]:pick } }))
+    else apply('Resolve sync conflict', d => {
+      const rest = d.tasks.filter(t => t.id !== c.id)
+      if (!pick) return { ...d, tasks:rest }
+      return { ...d, tasks:rest.length === d.tasks.length ? [...rest, pick] : d.tasks.map(t => t.id === c.id ? pick : t) }
+    })
+    showToast(`⚖ Kept ${side === 'mine' ? 'your' : 'their'} version of "${c.title}".`, { label:'Undo', onClick:undo })
+  }
+
+  function downloadQuarantined() {
+    downloadFile(`cybertasks-quarantine-${new Date().toISOString().slice(0,10)}.json`, quarantine.raw)
+    setQuarantine(q => ({ ...q, downloaded:true }))
+  }
+
+  // Saving resumes over the unreadable board, so it must be kept somewhere
+  // first: under a quarantine key, or downloaded.
+  function startFreshFromQuarantine() {
+    const key = quarantine.key || setAside(quarantine.raw)
+    if (!key && !quarantine.downloaded) { showToast('⚠ Could not set the unreadable board aside — use Download Copy first.'); return }
+    setQuarantine(null)
+  }
+
+  // ── Ordering & swimlanes ──
+  // Drops a card into a column and swimlane; in manual order it lands
+  // between `spot.before` and `spot.after`. One undoable command; returns
+  // whether anything changed.
+  function dropCard(task, to, lane, spot) {
+    const fields = laneFields(task, laneBy, lane)
+    if (fields?.priority && task.finding?.derivePriority) { showToast('⚠ Priority follows the CVSS severity — edit the finding to change it.'); return false }
+    const ranks = sortMode === 'manual' ? placeCard(sortCards(tasks.filter(x => x.stage === to), 'manual'), task.id, spot?.before, spot?.after) : new Map()
+    const moving = task.stage !== to
+    if (!moving && !fields && !ranks.size) return false
+    const rule = moving ? worstRule(checkTransition(columns, tasks, task, to), checkBlocked(task, to, columns, openBlockers(task, taskById, isTaskDone))) : { level:'ok' }
+    if (rule.level === 'block') { showToast(rule.msg); return false }
+    const laneName = fields && swimlanes.find(l => l.key === lane)?.label
+    commit(moving ? `Move to ${to}` : fields ? `Move to ${laneName}` : 'Reorder card', t => t.map(x => {
+      const rank = ranks.has(x.id) ? { rank:ranks.get(x.id) } : null
+      if (x.id !== task.id) return rank ? { ...x, ...rank } : x
+      const next = { ...x, ...fields, ...rank }
+      return moving ? withStage(next, to, columns) : next
+    }), moving ? (rule.level === 'warn' ? rule.msg : `↔ Moved to ${to}`) + recurNote(task, to) : fields ? `↔ ${LANE_MODES[laneBy]}: ${laneName}` : null)
+    setAnnounce(moving ? `${task.title} moved from ${task.stage} to ${to}.` : fields ? `${task.title} moved to ${laneName}.` : `${task.title} reordered.`)
+    return true
+  }
+
+  // Keyboard reordering stays within the card's swimlane.
+  function shiftRank(task, dir) {
+    if (sortMode !== 'manual') { showToast(`↕ Sorted by ${SORT_MODES[sortMode].toLowerCase()} — switch to manual order to rank cards.`); return }
+    const cell = cells[columns.findIndex(c => c.name === task.stage)].find(l => l.some(x => x.id === task.id))
+    const other = cell[cell.findIndex(x => x.id === task.id) + dir]
+    if (other && dropCard(task, task.stage, null, dir < 0 ? { before:other.id } : { after:other.id })) keepFocus(task.id)
+  }
+
+  // ── Bulk ──
+  function clearPicked() { setPicked(new Set()); pickAnchor.current = null }
+
+  function togglePick(id) {
+    setPicked(p => { const next = new Set(p); if (!next.delete(id)) next.add(id); return next })
+    pickAnchor.current = id
+  }
+
+  // Ctrl/Cmd-click toggles a card; Shift-click picks the range in its column.
+  function onCardClick(e, task) {
+    if (e.target.closest('button, input, select, a')) return
+    if (e.ctrlKey || e.metaKey) { e.preventDefault(); togglePick(task.id) }
+    else if (e.shiftKey) {
+      e.preventDefault()
+      const col = colCards.find(l => l.some(x => x.id === task.id))
+      const from = col.findIndex(x => x.id === pickAnchor.current)
+      const to = col.findIndex(x => x.id === task.id)
+      if (from < 0) { togglePick(task.id); return }
+      const range = col.slice(Math.min(from, to), Math.max(from, to) + 1).map(x => x.id)
+      setPicked(p => new Set([...p, ...range]))
+    }
+  }
+
+  // Cards the target column refuses stay put and are reported.
+  function bulkMove(to) {
+    const ids = new Set(), refused = []
+    let after = tasks
+    pickedTasks.filter(x => x.stage !== to).forEach(task => {
+      const rule = worstRule(checkTransition(columns, after, task, to), checkBlocked(task, to, columns, openBlockers(task, taskById, isTaskDone)))
+      if (rule.level === 'block') { refused.push(rule.msg); return }
+      ids.add(task.id)
+      after = after.map(x => x.id === task.id ? { ...x, stage:to } : x)
+    })
+    const note = refused.length ? ` ${refused.length} refused — ${refused[0]}` : ''
+    if (!ids.size) { showToast(refused.length ? `⛔ None moved.${note}` : `↔ Already in ${to}.`); return }
+    commit(`Move ${ids.size} tasks to ${to}`, t => t.map(x => ids.has(x.id) ? withStage(x, to, columns) : x), `↔ Moved ${ids.size} to ${to}.${note}`)
+    setAnnounce(`${ids.size} task${ids.size === 1 ? '' : 's'} moved to ${to}.${note}`)
+  }
+
+  function bulkSet(field, value) {
+    const skip = field === 'priority' ? pickedTasks.filter(x => x.finding?.derivePriority) : []
+    const ids = new Set(pickedTasks.filter(x => x[field] !== value && !skip.includes(x)).map(x => x.id))
+    const note = skip.length ? ` ${skip.length} follow${skip.length === 1 ? 's' : ''} CVSS severity.` : ''
+    if (!ids.size) { showToast(`✏ ${FIELD_NAMES[field]} is already ${value}.${note}`); return }
+    commit(`Set ${FIELD_NAMES[field].toLowerCase()} of ${ids.size} tasks`, t => t.map(x => ids.has(x.id) ? { ...x, [field]:value } : x),
+      `✏ ${FIELD_NAMES[field]}: ${value} on ${ids.size} task${ids.size === 1 ? '' : 's'}.${note}`)
+  }
+
+  function bulkDelete() {
+    const ids = new Set(pickedTasks.map(x => x.id))
+    commit(`Delete ${ids.size} tasks`, t => pruneLinks(t.filter(x => !ids.has(x.id))), `🗑 Deleted ${ids.size} task${ids.size === 1 ? '' : 's'}.`)
+    setAnnounce(`${ids.size} task${ids.size === 1 ? '' : 's'} deleted.`)
+    clearPicked()
+  }
+
+  // ── Keyboard ──
+  function focusCard(id) {
+    if (id) document.querySelector(`[data-task-id="${CSS.escape(id)}"]`)?.focus()
+  }
+
+  // Focus follows the first of `ids` still shown once the board re-renders.
+  const keepFocus = (...ids) => { refocus.current = ids.filter(Boolean) }
+
+  function locate(id) {
+    const c = colCards.findIndex(l => l.some(x => x.id === id))
+    return c < 0 ? null : [c, colCards[c].findIndex(x => x.id === id)]
+  }
+
+  // Arrow keys from the page itself land on the board's tab stop.
+  // Returning false leaves the key to the browser.
+  function runShortcut(action, taskId) {
+    if (!loaded || lockedEnv) return false
+    if (action.card) {
+      const task = taskId && tasks.find(x => x.id === taskId)
+      if (task) return cardShortcut(action.id, task)
+      if (view !== 'board' || document.activeElement !== document.body || action.group !== 'Navigate' || !tabStop) return false
+      focusCard(tabStop)
+      return
+    }
+    switch (action.id) {
+      case 'palette': setPalette(true); break
+      case 'help':    setShowKeys(true); break
+      case 'new':     openForm(); break
+      case 'search':  document.getElementById('search')?.focus(); break
+      case 'undo':    doUndo(); break
+      case 'redo':    doRedo(); break
+    }
+  }
+
+  function cardShortcut(id, task) {
+    const [c, r] = locate(task.id)
+    const lane = colCards[c]
+    const beside = lane[r + 1]?.id || lane[r - 1]?.id
+    switch (id) {
+      case 'up':    focusCard(lane[r - 1]?.id); break
+      case 'down':  focusCard(lane[r + 1]?.id); break
+      case 'first': focusCard(lane[0].id); break
+      case 'last':  focusCard(lane[lane.length - 1].id); break
+      case 'left': case 'right': {
+        const dir = id === 'left' ? -1 : 1
+        for (let k = c + dir; colCards[k]; k += dir) {
+          if (colCards[k].length) { focusCard(colCards[k][Math.min(r, colCards[k].length - 1)].id); break }
+        }
+        break
+      }
+      case 'move-left': case 'move-right':
+        if (moveTask(task.id, id === 'move-left' ? -1 : 1)) keepFocus(task.id, beside)
+        break
+      // Sorted or laned by priority, the card re-renders elsewhere.
+      case 'priority-up': case 'priority-down':
+        if (shiftPriority(task, id === 'priority-up' ? 1 : -1)) keepFocus(task.id)
+        break
+      case 'rank-up':   shiftRank(task, -1); break
+      case 'rank-down': shiftRank(task, 1); break
+      case 'select':
+        togglePick(task.id)
+        setAnnounce(`${task.title} ${picked.has(task.id) ? 'removed from' : 'added to'} the selection.`)
+        break
+      case 'edit':  openForm(task); break
+      case 'notes': openNote(task); break
+      case 'timer': toggleTimer(task); break
+      case 'delete':
+        deleteTask(task.id)
+        setAnnounce(`${task.title} deleted.`)
+        keepFocus(beside)
+        break
+    }
+  }
+  onShortcut.current = runShortcut
+
+  // Everything the command palette offers, built when it opens.
+  function paletteCommands() {
+    const keys = (id) => keysOf(shortcuts, id)
+    const go = (q) => () => { setView('board'); setAssignedTo(''); setSearch(q) }
+    const cmd = (id, group, label, run, extra) => ({ id, group, label, run, ...extra })
+    const card = focused && view === 'board' ? focused : null
+    const n = pickedTasks.length
+    return [
+      cmd('new', 'Create', 'New task', () => openForm(), { keys:keys('new') }),
+      ...settings.taskTemplates.map(tpl => cmd(`tpl-${tpl.id}`, 'Create', `New task from template: ${tpl.name}`, () => openForm(null, tpl))),
+
+      cmd('go-overdue', 'Go to', 'Overdue tasks', go('is:overdue'), { keywords:'is:overdue late' }),
+      ...(slaCounts.policies ? [
+        cmd('go-breached', 'Go to', 'Breached SLAs', go('is:breached'), { keywords:'is:breached sla' }),
+        cmd('go-risk', 'Go to', 'SLAs at risk', go('is:at-risk'), { keywords:'is:at-risk sla' }),
+      ] : []),
+      ...(meMember ? [cmd('go-mine', 'Go to', 'My tasks', go('assignee:me'), { keywords:'assigned to me' })] : []),
+      ...(narrowed ? [cmd('go-all', 'Go to', 'All tasks — clear search and filters', go(''))] : []),
+      ...settings.savedViews.map(v => cmd(`view-${v.id}`, 'Go to', `Saved view: ${v.name}`, go(v.query), { keywords:v.query })),
+      ...settings.boards.filter(b => b.id !== board.id || view === 'overview').map(b =>
+        cmd(`board-${b.id}`, 'Go to', `Board: ${b.name}${b.archived ? ' (archived)' : ''}`, () => switchBoard(b.id))),
+      ...[['board', '', 'Board'], ...VIEWS].filter(([id]) => id !== view).map(([id, , label]) =>
+        cmd(`show-${id}`, 'Go to', `Show ${label}`, () => setView(id))),
+
+      cmd('export-all', 'Export', narrowed ? `Export filtered tasks (${filtered.length}) to Excel` : 'Export all tasks to Excel', () => exportToExcel('all'), { keywords:'xlsx' }),
+      cmd('export-done', 'Export', narrowed ? 'Export filtered & completed tasks to Excel' : 'Export completed tasks to Excel', () => exportToExcel('completed'), { keywords:'xlsx done' }),
+      cmd('export-ics', 'Export', 'Export calendar (.ics)', () => exportCalendar('board')),
+      cmd('export-ics-all', 'Export', 'Export all boards calendar (.ics)', () => exportCalendar('all')),
+      cmd('report', 'Export', 'Engagement report…', () => setShowReport(true)),
+      cmd('timesheet', 'Export', 'Timesheet…', () => setShowTime(true)),
+      cmd('backup', 'Export', cipher ? 'Download encrypted backup' : 'Download backup', downloadBackup),
+      cmd('import', 'Import', 'Import tasks from Excel, CSV or JSON…', () => importRef.current.click()),
+      cmd('restore', 'Import', 'Restore from backup file…', () => restoreRef.current.click()),
+
+      // "Selected" is the picked cards when there are any, else the focused one.
+      ...(n ? [
+        ...columns.map(c => cmd(`bulk-move-${c.id}`, 'Selection', `Move ${n} selected to ${c.name}`, () => bulkMove(c.name))),
+        ...PRIORITIES.map(p => cmd(`bulk-priority-${p}`, 'Selection', `Set priority of ${n} selected to ${p}`, () => bulkSet('priority', p))),
+        ...CATEGORIES.map(c => cmd(`bulk-category-${c}`, 'Selection', `Set category of ${n} selected to ${c}`, () => bulkSet('category', c))),
+        cmd('bulk-export', 'Selection', `Export ${n} selected to Excel`, () => exportToExcel('selected'), { keywords:'xlsx' }),
+        cmd('bulk-delete', 'Selection', `Delete ${n} selected`, bulkDelete),
+        cmd('bulk-clear', 'Selection', 'Clear selection', clearPicked),
+      ] : card ? [
+        ...columns.filter(c => c.name !== card.stage).map(c =>
+          cmd(`move-${c.id}`, 'Card', `Move selected to ${c.name}`, () => { if (moveTo(card, c.name)) keepFocus(card.id) }, { keywords:card.title })),
+        cmd('card-edit', 'Card', 'Edit selected', () => openForm(card), { keys:keys('edit'), keywords:card.title }),
+        cmd('card-notes', 'Card', 'Notes of selected', () => openNote(card), { keys:keys('notes'), keywords:card.title }),
+        cmd('card-up', 'Card', 'Raise priority of selected', () => shiftPriority(card, 1), { keys:keys('priority-up'), keywords:card.title }),
+        cmd('card-down', 'Card', 'Lower priority of selected', () => shiftPriority(card, -1), { keys:keys('priority-down'), keywords:card.title }),
+        cmd('card-timer', 'Card', 'Start / stop my timer on selected', () => toggleTimer(card), { keys:keys('timer'), keywords:card.title }),
+        cmd('card-delete', 'Card', 'Delete selected', () => { deleteTask(card.id); setAnnounce(`${card.title} deleted.`) }, { keys:keys('delete'), keywords:card.title }),
+      ] : []),
+
+      ...(undoLabel ? [cmd('undo', 'History', `Undo: ${undoLabel}`, doUndo, { keys:keys('undo') })] : []),
+      ...(redoLabel ? [cmd('redo', 'History', `Redo: ${redoLabel}`, doRedo, { keys:keys('redo') })] : []),
+
+      cmd('workflow', 'Settings', 'Edit workflow columns', () => setShowFlow(true)),
+      cmd('boards', 'Settings', 'Manage boards', () => setShowBoards(true)),
+      cmd('team', 'Settings', 'Team members', () => setShowTeam(true)),
+      cmd('sla', 'Settings', 'SLA policies and reminders', () => setShowSla(true)),
+      cmd('sync', 'Settings', 'Storage and sync', () => setShowSync(true)),
+      cmd('security', 'Settings', 'Security and encryption', () => setShowSec(true)),
+      ...(cipher ? [cmd('lock', 'Settings', 'Lock now', lockNow)] : []),
+      cmd('shortcuts', 'Settings', 'Keyboard shortcuts', () => setShowKeys(true), { keys:keys('help') }),
+    ]
+  }
+
   // ── Drag & Drop ──
+  // dragOver is the column under the pointer, the swimlane cell within it
+  // (null over the header or without swimlanes) and the shown cards either
+  // side of the drop point, for manual order.
   const onDragStart = (e, id) => { setDragging(id); e.dataTransfer.effectAllowed = 'move' }
-  const onDragOver  = (e, col) => { e.preventDefault(); setDragOver(col) }
+  const onDragOver  = (e, col) => {
+    e.preventDefault()
+    const cell  = e.target.closest?.('[data-lane]')
+    const lane  = cell && laneBy ? swimlanes[cell.dataset.lane].key : null
+    const cards = cell ? [...cell.querySelectorAll('[data-task-id]')].filter(el => el.dataset.taskId !== dragging) : []
+    const i = cards.findIndex(el => { const r = el.getBoundingClientRect(); return e.clientY < r.top + r.height / 2 })
+    const before = i < 0 ? null : cards[i].dataset.taskId
+    const after  = (i < 0 ? cards[cards.length - 1] : cards[i - 1])?.dataset.taskId || null
+    setDragOver(d => d?.col === col && d.lane === lane && d.before === before && d.after === after ? d : { col, lane, before, after })
+  }
   const onDragEnd   = () => { setDragging(null); setDragOver(null) }
   const onDrop      = (e, col) => {
     e.preventDefault()
-    if (dragging) {
-      const task = tasks.find(x => x.id === dragging)
-      if (task && task.stage !== col) {
-        setTasks(t => t.map(x => x.id === dragging
-          ? { ...x, stage:col, completedAt: col === 'Completed' ? new Date().toISOString() : null }
-          : x))
-        showToast(`↔ Moved to ${col}`)
-      }
-    }
+    const task = dragging && tasks.find(x => x.id === dragging)
+    if (task) dropCard(task, col, dragOver?.col === col ? dragOver.lane : null, dragOver?.col === col ? dragOver : null)
     setDragging(null); setDragOver(null)
   }
 
+  const dropMark = <div aria-hidden="true" style={{ height:2, background:'#00ff88', borderRadius:1, margin:'-6px 0' }}></div>
+
+  const formLinks = showForm ? applyLinks(linkBase(), draftId.current, formData.blockedBy, formData.blocks) : []
+  const formPriority = showForm && formData.finding?.derivePriority ? derivedPriority(formData.finding) : null
+  const slaCounts = {
+    policies: settings.slaPolicies.length > 0,
+    breached: filtered.filter(x => slaOf.get(x.id)?.current?.state === 'breached').length,
+    risk: filtered.filter(x => slaOf.get(x.id)?.current?.state === 'at-risk').length
+  }
+  const assignedLabel = assignedTo === 'me' ? 'me' : assignedTo === 'none' ? 'nobody' : memberById.get(assignedTo)?.name
   const noteTask = activeNote ? tasks.find(x => x.id === activeNote) : null
+  const editTask = editId ? tasks.find(x => x.id === editId) : null
+
+  // One board card; `col` is the column it is shown in.
+  function renderCard(task, col, colIdx) {
+    const overdue  = isOverdue(task.due, col.done)
+    const daysLeft = getDaysLeft(task.due)
+    const checklist = checklistCounts(task)
+    const blockers = openBlockers(task, taskById, isTaskDone)
+    const assigned = (task.assignees || []).map(id => memberById.get(id)).filter(Boolean)
+    const ticking  = task.timeEntries?.filter(e => !e.end) || []
+    const timing   = ticking.some(e => e.memberId === meMember?.id)
+    const overEst  = task.estimate && loggedMs(task) > task.estimate * 3600000
+    const sla      = slaOf.get(task.id)?.current
+    const prevCol  = columns[colIdx - 1]
+    const nextCol  = columns[colIdx + 1]
+    const isPicked = picked.has(task.id)
+    let dueLabelText = ''
+    if (task.due) {
+      if (overdue)        dueLabelText = 'OVERDUE'
+      else if (daysLeft === 0) dueLabelText = 'Due today'
+      else if (daysLeft === 1) dueLabelText = 'Due tomorrow'
+      else                dueLabelText = `${daysLeft}d left`
+    }
+    return (
+      <article key={task.id} className="task-card" draggable data-task-id={task.id}
+        tabIndex={task.id === tabStop ? 0 : -1} onFocus={() => setCursor(task.id)} onClick={e => onCardClick(e, task)}
+        onDragStart={e => onDragStart(e, task.id)} onDragEnd={onDragEnd}
+        aria-label={`Task: ${task.title}, Priority: ${task.priority}, Stage: ${task.stage}${isPicked ? ', selected' : ''}`} aria-describedby="card-keys"
+        style={{ background:isPicked ? '#1a2744' : '#161b2e', border:`1px solid ${isPicked ? '#3b82f6' : overdue || sla?.state === 'breached' ? '#ef4444' : '#1e3a2f'}`, borderRadius:8, padding:12, cursor:'grab' }}>
+
+        <div style={{ display:'flex', gap:6, marginBottom:8, flexWrap:'wrap' }}>
+          <span aria-label={`Priority: ${task.priority}`}
+            style={{ background:PRIORITY_COLORS[task.priority]+'22', color:PRIORITY_COLORS[task.priority], border:`1px solid ${PRIORITY_COLORS[task.priority]}44`, fontSize:10, padding:'2px 7px', borderRadius:10, fontWeight:'bold' }}>
+            {PRIORITY_LABELS[task.priority]}
+          </span>
+          <span style={{ background:'#1e293b', color:'#94a3b8', fontSize:10, padding:'2px 7px', borderRadius:10 }}>{task.category}</span>
+          {findingScore(task.finding) !== null && <ScoreBadge score={findingScore(task.finding)} />}
+          {sla && (
+            <span title={`SLA: ${slaOf.get(task.id).policy.name}`} aria-label={`SLA ${describeSla(slaOf.get(task.id), now)}`}
+              style={{ background:SLA_COLORS[sla.state] + '22', color:SLA_COLORS[sla.state], border:`1px solid ${SLA_COLORS[sla.state]}44`, fontSize:10, padding:'2px 7px', borderRadius:10, fontWeight:sla.state === 'running' ? 'normal' : 'bold' }}>
+              {sla.state === 'breached' ? '🚨' : '⏳'} {describeSla(slaOf.get(task.id), now)}
+            </span>
+          )}
+          {blockers.length > 0 && (
+            <span title={`Blocked by: ${blockers.map(b => b.title).join(', ')}`} aria-label={`Blocked by ${blockers.length} open task${blockers.length === 1 ? '' : 's'}`}
+              style={{ background:'#2a1e1e', color:'#f87171', border:'1px solid #f8717144', fontSize:10, padding:'2px 7px', borderRadius:10, fontWeight:'bold' }}>
+              ⛔ {blockers.length}
+            </span>
+          )}
+          {task.recurrence && (
+            <span title={`Repeats: ${describeRecurrence(task.recurrence)}`} style={{ background:'#1a2744', color:'#93c5fd', fontSize:10, padding:'2px 7px', borderRadius:10 }}>
+              🔁 {describeRecurrence(task.recurrence)}
+            </span>
+          )}
+          <input type="checkbox" className="pick" checked={isPicked} onChange={() => togglePick(task.id)} aria-label={`Select ${task.title}`}
+            style={{ marginLeft:'auto', accentColor:'#3b82f6', cursor:'pointer' }} />
+        </div>
+
+        <div style={{ fontSize:14, fontWeight:'bold', color:'#e2e8f0', marginBottom:6, lineHeight:1.4, wordBreak:'break-word' }}><Highlight text={task.title} terms={marks} /></div>
+
+        {task.due && (
+          <div style={{ fontSize:11, color:overdue?'#ef4444':daysLeft<=1?'#f97316':'#64748b', marginBottom:8 }}>
+            {overdue ? '⚠ ' : daysLeft <= 1 ? '⏰ ' : '⏱ '}{dueLabelText} · {formatDate(task.due)}
+          </div>
+        )}
+
+        {task.finding && (task.finding.cves.length > 0 || task.finding.assets.length > 0 || task.finding.remediation !== 'Open') && (
+          <div style={{ fontSize:10, color:'#94a3b8', marginBottom:8, wordBreak:'break-word' }}>
+            {task.finding.cves.length > 0 && <span title={task.finding.cves.join(', ')}>{task.finding.cves[0]}{task.finding.cves.length > 1 ? ` +${task.finding.cves.length - 1}` : ''} · </span>}
+            {task.finding.assets.length > 0 && <span title={task.finding.assets.join(', ')}>🖥 {task.finding.assets.length} asset{task.finding.assets.length === 1 ? '' : 's'} · </span>}
+            <span style={{ color:task.finding.remediation === 'Open' ? '#94a3b8' : '#4ade80' }}>{task.finding.remediation}</span>
+          </div>
+        )}
+
+        {checklist.total > 0 && (
+          <div aria-label={`Checklist ${checklist.done} of ${checklist.total} done`} style={{ display:'flex', alignItems:'center', gap:6, marginBottom:8 }}>
+            <div style={{ flex:1, height:4, background:'#1e293b', borderRadius:2, overflow:'hidden' }}>
+              <div style={{ width:`${(checklist.done / checklist.total) * 100}%`, height:'100%', background:checklist.done === checklist.total ? '#22c55e' : '#3b82f6' }}></div>
+            </div>
+            <span style={{ fontSize:10, color:'#94a3b8' }}>☑ {checklist.done}/{checklist.total}</span>
+          </div>
+        )}
+
+        {task.notes && (
+          <div style={{ fontSize:11, color:'#64748b', marginBottom:8, borderLeft:'2px solid #1e3a2f', paddingLeft:8, fontStyle:'italic', wordBreak:'break-word' }}>
+            <Highlight text={noteSnippet(task.notes, marks)} terms={marks} />
+          </div>
+        )}
+
+        {(members.length > 0 || task.estimate || task.timeEntries?.length > 0) && (
+          <div style={{ display:'flex', alignItems:'center', gap:6, marginBottom:8 }}>
+            <div aria-label={assigned.length ? `Assigned to ${assigned.map(m => m.name).join(', ')}` : 'Unassigned'} style={{ display:'flex', gap:2 }}>
+              {assigned.map(m => <Avatar key={m.id} member={m} />)}
+            </div>
+            <span title={ticking.length ? `Running: ${ticking.map(e => memberById.get(e.memberId)?.name).join(', ')}` : 'Time logged'}
+              style={{ marginLeft:'auto', fontSize:10, color:overEst ? '#f87171' : ticking.length ? '#00ff88' : '#94a3b8' }}>
+              ⏱ <Elapsed task={task} running={ticking.length > 0} />{task.estimate ? ` / ${task.estimate}h` : ''}
+            </span>
+            <button onClick={() => toggleTimer(task)} aria-pressed={timing} aria-label={timing ? 'Stop timer' : 'Start timer'}
+              style={{ ...btnStyle(timing ? '#1e3a2f' : '#1e293b', timing ? '#00ff88' : '#94a3b8'), padding:'2px 8px' }}>{timing ? '⏸' : '▶'}</button>
+          </div>
+        )}
+
+        <div style={{ display:'flex', gap:6, flexWrap:'wrap', marginTop:4 }}>
+          {prevCol && <button onClick={() => moveTask(task.id, -1)} aria-label={`Move to ${prevCol.name}`} style={btnStyle('#1e293b','#94a3b8')}>◀ Back</button>}
+          {nextCol && <button onClick={() => moveTask(task.id, 1)} aria-label={`Move to ${nextCol.name}`} style={btnStyle(nextCol.color+'22', nextCol.color)}>▶ {nextCol.name.split('/')[0]}</button>}
+          <button onClick={() => openNote(task)}  aria-label="Edit notes"  style={btnStyle('#1e2a1e','#4ade80')}>📝 Notes</button>
+          <button onClick={() => openForm(task)}  aria-label="Edit task"   style={btnStyle('#1e293b','#93c5fd')}>✏ Edit</button>
+          <button onClick={() => deleteTask(task.id)} aria-label="Delete task" style={btnStyle('#2a1e1e','#f87171')}>🗑</button>
+        </div>
+      </article>
+    )
+  }
 
   // ── Render ──
+  if (lockedEnv) return (
+    <div style={{ minHeight:'100vh', background:'#0a0e1a', color:'#e2e8f0' }}>
+      <LockScreen env={lockedEnv} onUnlock={onUnlock} onDownload={downloadLocked} onStartFresh={startFreshFromLock} />
+      {toast && <Toast key={toast.id} msg={toast.msg} action={toast.action} duration={toast.duration} onDone={() => setToast(null)} />}
+    </div>
+  )
+
   return (
     <div style={{ minHeight:'100vh', background:'#0a0e1a', color:'#e2e8f0' }}>
 
@@ -274,130 +1238,382 @@ export default function App() {
             <div style={{ fontSize:18, fontWeight:'bold', color:'#00ff88', letterSpacing:2 }}>CYBERSEC TASK MANAGER</div>
             <div style={{ fontSize:11, color:'#4ade80', opacity:0.7 }}>SECURE OPERATIONS BOARD</div>
           </div>
+          <div role="group" aria-label="Boards" style={{ display:'flex', gap:4, alignItems:'center', marginLeft:8 }}>
+            <select value={view === 'overview' ? '' : board.id} onChange={e => switchBoard(e.target.value)} aria-label="Current board"
+              style={{ ...inputStyle, width:'auto', maxWidth:220, padding:'6px 10px', color:'#00ff88' }}>
+              {view === 'overview' && <option value="">All boards</option>}
+              {settings.boards.filter(b => !b.archived).map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
+              {settings.boards.some(b => b.archived) && (
+                <optgroup label="Archived">
+                  {settings.boards.filter(b => b.archived).map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
+                </optgroup>
+              )}
+            </select>
+            {VIEWS.map(([id, icon, label]) => (
+              <button key={id} onClick={() => setView(v => v === id ? 'board' : id)} aria-pressed={view === id} aria-label={label} title={label}
+                style={{ ...btnStyle(view === id ? '#1e3a2f' : '#1e293b', view === id ? '#00ff88' : '#94a3b8'), fontSize:13, padding:'6px 10px' }}>{icon}</button>
+            ))}
+            <button onClick={() => setShowBoards(true)} aria-label="Manage boards" title="Manage boards"
+              style={{ ...btnStyle('#1e293b','#94a3b8'), fontSize:13, padding:'6px 10px' }}>✎</button>
+          </div>
         </div>
         <div style={{ display:'flex', gap:10, alignItems:'center', flexWrap:'wrap' }}>
-          <label htmlFor="search" style={{ position:'absolute', width:1, height:1, overflow:'hidden', clip:'rect(0,0,0,0)' }}>Search tasks</label>
-          <input id="search" value={search} onChange={e => setSearch(e.target.value)} placeholder="Search tasks..." aria-label="Search tasks"
-            style={{ background:'#161b2e', border:'1px solid #1e3a2f', color:'#e2e8f0', padding:'6px 12px', borderRadius:6, fontSize:13, width:180 }} />
+          <SearchBox value={search} onChange={setSearch} columns={columns} members={members} errors={query.errors} />
+
+          <div ref={viewsRef} style={{ position:'relative' }}>
+            <button onClick={() => setViewsMenu(v => !v)} aria-haspopup="true" aria-expanded={viewsMenu} title="Saved views"
+              style={{ ...btnStyle(activeView ? '#1e3a2f' : '#1e293b', activeView ? '#00ff88' : '#94a3b8'), fontSize:13, padding:'6px 10px', maxWidth:160, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>
+              🔖 {activeView ? activeView.name : 'Views'}
+            </button>
+            {viewsMenu && (
+              <div role="menu" style={{ position:'absolute', right:0, top:36, background:'#161b2e', border:'1px solid #1e3a2f', borderRadius:8, zIndex:100, minWidth:260 }}>
+                {settings.savedViews.length === 0 && (
+                  <div style={{ fontSize:12, color:'#64748b', padding:'10px 16px' }}>No saved views yet.</div>
+                )}
+                {settings.savedViews.map(v => (
+                  <div key={v.id} style={{ display:'flex', alignItems:'center', borderBottom:'1px solid #1e3a2f' }}>
+                    <button role="menuitem" onClick={() => { setSearch(v.query); setViewsMenu(false) }} title={v.query}
+                      style={{ flex:1, textAlign:'left', background:'none', border:'none', color:v === activeView ? '#00ff88' : '#e2e8f0', padding:'10px 16px', cursor:'pointer', fontSize:13 }}>
+                      {v.name}
+                      <div style={{ fontSize:10, color:'#64748b', marginTop:2, wordBreak:'break-all' }}>{v.query}</div>
+                    </button>
+                    <button onClick={() => deleteView(v)} aria-label={`Delete view ${v.name}`}
+                      style={{ ...btnStyle('none','#64748b'), border:'none', padding:'4px 12px' }}>🗑</button>
+                  </div>
+                ))}
+                <div style={{ display:'flex', gap:6, padding:10 }}>
+                  <input value={viewName} onChange={e => setViewName(e.target.value)} maxLength={40} aria-label="View name"
+                    onKeyDown={e => { if (e.key === 'Enter') { e.preventDefault(); saveView() } }} disabled={query.empty}
+                    style={{ ...inputStyle, padding:'4px 8px', fontSize:12 }} placeholder={query.empty ? 'Type a search to save it' : 'Save current search as…'} />
+                  <button onClick={saveView} disabled={query.empty || !viewName.trim()}
+                    style={{ ...btnStyle('#1e2a1e','#4ade80'), opacity:query.empty || !viewName.trim() ? 0.4 : 1 }}>Save</button>
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div role="group" aria-label="History" style={{ display:'flex', gap:4 }}>
+            <button onClick={doUndo} disabled={!undoLabel} title={undoLabel ? `Undo: ${undoLabel} (${formatCombo(keysOf(shortcuts, 'undo')[0])})` : 'Nothing to undo'} aria-label="Undo"
+              style={{ ...btnStyle('#1e293b','#94a3b8'), fontSize:13, padding:'6px 10px', opacity:undoLabel ? 1 : 0.4 }}>↶</button>
+            <button onClick={doRedo} disabled={!redoLabel} title={redoLabel ? `Redo: ${redoLabel} (${formatCombo(keysOf(shortcuts, 'redo')[0])})` : 'Nothing to redo'} aria-label="Redo"
+              style={{ ...btnStyle('#1e293b','#94a3b8'), fontSize:13, padding:'6px 10px', opacity:redoLabel ? 1 : 0.4 }}>↷</button>
+            <button onClick={() => setPalette(true)} aria-label="Command palette" title={`Command palette (${formatCombo(keysOf(shortcuts, 'palette')[0])}) — shortcuts: ${formatCombo(keysOf(shortcuts, 'help')[0])}`}
+              style={{ ...btnStyle('#1e293b','#94a3b8'), fontSize:13, padding:'6px 10px' }}>⌨</button>
+          </div>
+
+          <input ref={importRef} type="file" accept=".xlsx,.xls,.csv,.json" onChange={onImportFile} hidden />
+          <button onClick={() => importRef.current.click()} aria-label="Import tasks from Excel, CSV or JSON"
+            style={{ background:'#1a2744', border:'1px solid #3b82f6', color:'#93c5fd', padding:'7px 14px', borderRadius:6, cursor:'pointer', fontSize:13 }}>
+            ⬆ Import
+          </button>
 
           <div ref={exportRef} style={{ position:'relative' }}>
             <button onClick={() => setExportMenu(v => !v)} aria-haspopup="true" aria-expanded={exportMenu}
               style={{ background:'#1a2744', border:'1px solid #3b82f6', color:'#93c5fd', padding:'7px 14px', borderRadius:6, cursor:'pointer', fontSize:13 }}>
-              ⬇ Export Excel
+              ⬇ Export
             </button>
             {exportMenu && (
               <div role="menu" style={{ position:'absolute', right:0, top:36, background:'#161b2e', border:'1px solid #1e3a2f', borderRadius:8, zIndex:100, minWidth:180 }}>
                 <button role="menuitem" onClick={() => exportToExcel('all')}
                   style={{ display:'block', width:'100%', textAlign:'left', background:'none', border:'none', borderBottom:'1px solid #1e3a2f', color:'#e2e8f0', padding:'10px 16px', cursor:'pointer', fontSize:13 }}>
-                  📋 All Tasks
+                  📋 {narrowed ? `Filtered Tasks (${filtered.length})` : 'All Tasks'}
                 </button>
                 <button role="menuitem" onClick={() => exportToExcel('completed')}
+                  style={{ display:'block', width:'100%', textAlign:'left', background:'none', border:'none', borderBottom:'1px solid #1e3a2f', color:'#e2e8f0', padding:'10px 16px', cursor:'pointer', fontSize:13 }}>
+                  ✅ {narrowed ? 'Filtered & Completed' : 'Completed Only'}
+                </button>
+                {pickedTasks.length > 0 && (
+                  <button role="menuitem" onClick={() => exportToExcel('selected')}
+                    style={{ display:'block', width:'100%', textAlign:'left', background:'none', border:'none', borderBottom:'1px solid #1e3a2f', color:'#e2e8f0', padding:'10px 16px', cursor:'pointer', fontSize:13 }}>
+                    ☑ Selected Tasks ({pickedTasks.length})
+                  </button>
+                )}
+                <button role="menuitem" onClick={() => exportCalendar('board')}
+                  style={{ display:'block', width:'100%', textAlign:'left', background:'none', border:'none', borderBottom:'1px solid #1e3a2f', color:'#e2e8f0', padding:'10px 16px', cursor:'pointer', fontSize:13 }}>
+                  📅 {narrowed ? 'Filtered Calendar (.ics)' : 'Calendar (.ics)'}
+                </button>
+                <button role="menuitem" onClick={() => exportCalendar('all')}
+                  style={{ display:'block', width:'100%', textAlign:'left', background:'none', border:'none', borderBottom:'1px solid #1e3a2f', color:'#e2e8f0', padding:'10px 16px', cursor:'pointer', fontSize:13 }}>
+                  📅 All Boards (.ics)
+                </button>
+                <button role="menuitem" onClick={() => { setExportMenu(false); setShowReport(true) }}
+                  style={{ display:'block', width:'100%', textAlign:'left', background:'none', border:'none', borderBottom:'1px solid #1e3a2f', color:'#e2e8f0', padding:'10px 16px', cursor:'pointer', fontSize:13 }}>
+                  📄 Report…
+                </button>
+                <button role="menuitem" onClick={() => { setExportMenu(false); setShowTime(true) }}
+                  style={{ display:'block', width:'100%', textAlign:'left', background:'none', border:'none', color:'#e2e8f0', padding:'10px 16px', cursor:'pointer', fontSize:13 }}>
+                  ⏱ Timesheet…
+                </button>
+              </div>
+            )}
+          </div>
+
+          <div ref={dataRef} style={{ position:'relative' }}>
+            <input ref={restoreRef} type="file" accept=".json" onChange={onRestoreFile} hidden />
+            <button onClick={() => setDataMenu(v => !v)} aria-haspopup="true" aria-expanded={dataMenu}
+              style={{ background:'#1a2744', border:'1px solid #3b82f6', color:'#93c5fd', padding:'7px 14px', borderRadius:6, cursor:'pointer', fontSize:13 }}>
+              💾 Backup
+            </button>
+            {dataMenu && (
+              <div role="menu" style={{ position:'absolute', right:0, top:36, background:'#161b2e', border:'1px solid #1e3a2f', borderRadius:8, zIndex:100, minWidth:200 }}>
+                <button role="menuitem" onClick={downloadBackup}
+                  style={{ display:'block', width:'100%', textAlign:'left', background:'none', border:'none', borderBottom:'1px solid #1e3a2f', color:'#e2e8f0', padding:'10px 16px', cursor:'pointer', fontSize:13 }}>
+                  💾 {cipher ? 'Download Encrypted Backup' : 'Download Backup'}
+                </button>
+                {!cipher && (
+                  <button role="menuitem" onClick={() => { setDataMenu(false); setShowSec(true) }}
+                    style={{ display:'block', width:'100%', textAlign:'left', background:'none', border:'none', borderBottom:'1px solid #1e3a2f', color:'#e2e8f0', padding:'10px 16px', cursor:'pointer', fontSize:13 }}>
+                    🔒 Encrypted Backup…
+                  </button>
+                )}
+                <button role="menuitem" onClick={() => restoreRef.current.click()}
                   style={{ display:'block', width:'100%', textAlign:'left', background:'none', border:'none', color:'#e2e8f0', padding:'10px 16px', cursor:'pointer', fontSize:13 }}>
-                  ✅ Completed Only
+                  ♻ Restore from File…
                 </button>
               </div>
             )}
           </div>
 
-          <button onClick={() => openForm()} aria-label="Create new task"
-            style={{ background:'#00ff88', color:'#0a0e1a', border:'none', padding:'7px 16px', borderRadius:6, cursor:'pointer', fontWeight:'bold', fontSize:13, fontFamily:'inherit' }}>
-            + New Task
+          <div role="group" aria-label="Team" style={{ display:'flex', gap:4 }}>
+            <button onClick={() => setShowSla(true)} aria-label="SLA policies and reminders" title="SLA policies and reminders"
+              style={{ ...btnStyle('#1e293b','#94a3b8'), fontSize:13, padding:'6px 10px' }}>⏰</button>
+            <button onClick={() => setShowTeam(true)} aria-label="Team members" title={meMember ? `Team — you are ${meMember.name}` : 'Team'}
+              style={{ ...btnStyle('#1e293b','#94a3b8'), fontSize:13, padding:'6px 10px' }}>👥</button>
+            {myTimer && (
+              <button onClick={() => toggleTimer(myTimer.task)} aria-label={`Stop timer on ${myTimer.task.title}`} title={`Timer running: ${myTimer.task.title}`}
+                style={{ ...btnStyle('#1e3a2f','#00ff88'), fontSize:12, padding:'6px 10px', maxWidth:200, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>
+                ⏸ <Elapsed task={{ timeEntries:[myTimer.entry] }} running /> · {myTimer.task.title}
+              </button>
+            )}
+          </div>
+
+          <div role="group" aria-label="Security" style={{ display:'flex', gap:4 }}>
+            <button onClick={() => setShowSync(true)} aria-label={`Storage and sync — ${SYNC_LABELS[syncStatus] || 'connecting'}`}
+              title={`${BACKENDS[backend.kind]} — ${SYNC_LABELS[syncStatus] || 'Connecting…'}`}
+              style={{ ...btnStyle('#1e293b', SYNC_COLORS[syncStatus] || (backend.kind === 'rest' ? '#00ff88' : '#94a3b8')), fontSize:13, padding:'6px 10px' }}>
+              {backend.kind === 'rest' ? '☁' : '💽'}{syncStatus === 'offline' ? ' Offline' : ''}
+            </button>
+            <button onClick={() => setShowSec(true)} aria-label="Security settings" title={cipher ? 'Security — encrypted' : 'Security — not encrypted'}
+              style={{ ...btnStyle(cipher ? '#1e3a2f' : '#1e293b', cipher ? '#00ff88' : '#94a3b8'), fontSize:13, padding:'6px 10px' }}>🛡</button>
+            {cipher && (
+              <button onClick={lockNow} aria-label="Lock now" title="Lock now"
+                style={{ ...btnStyle('#1e293b','#94a3b8'), fontSize:13, padding:'6px 10px' }}>🔒</button>
+            )}
+          </div>
+
+          <button onClick={() => setShowFlow(true)} aria-label="Edit workflow columns"
+            style={{ background:'#1a2744', border:'1px solid #3b82f6', color:'#93c5fd', padding:'7px 14px', borderRadius:6, cursor:'pointer', fontSize:13 }}>
+            ⚙ Workflow
           </button>
+
+          <div ref={newRef} style={{ position:'relative', display:'flex' }}>
+            <button onClick={() => openForm()} aria-label="Create new task"
+              style={{ background:'#00ff88', color:'#0a0e1a', border:'none', padding:'7px 16px', borderRadius:'6px 0 0 6px', cursor:'pointer', fontWeight:'bold', fontSize:13, fontFamily:'inherit' }}>
+              + New Task
+            </button>
+            <button onClick={() => setNewMenu(v => !v)} aria-haspopup="true" aria-expanded={newMenu} aria-label="New task from template"
+              style={{ background:'#00cc6e', color:'#0a0e1a', border:'none', padding:'7px 8px', borderRadius:'0 6px 6px 0', cursor:'pointer', fontWeight:'bold', fontSize:13, fontFamily:'inherit' }}>
+              ▾
+            </button>
+            {newMenu && (
+              <div role="menu" style={{ position:'absolute', right:0, top:36, background:'#161b2e', border:'1px solid #1e3a2f', borderRadius:8, zIndex:100, minWidth:240 }}>
+                <div style={{ fontSize:10, color:'#64748b', letterSpacing:1, padding:'8px 16px 4px' }}>FROM TEMPLATE</div>
+                {settings.taskTemplates.length === 0 && (
+                  <div style={{ fontSize:12, color:'#64748b', padding:'6px 16px 10px' }}>No templates yet — use “Save as Template” in the task form.</div>
+                )}
+                {settings.taskTemplates.map(tpl => (
+                  <div key={tpl.id} style={{ display:'flex', alignItems:'center', borderTop:'1px solid #1e3a2f' }}>
+                    <button role="menuitem" onClick={() => openForm(null, tpl)}
+                      style={{ flex:1, textAlign:'left', background:'none', border:'none', color:'#e2e8f0', padding:'10px 16px', cursor:'pointer', fontSize:13 }}>
+                      📄 {tpl.name}
+                      {tpl.recurrence && <span style={{ fontSize:10, color:'#64748b' }}> · 🔁 {describeRecurrence(tpl.recurrence)}</span>}
+                    </button>
+                    <button onClick={() => deleteTaskTemplate(tpl)} aria-label={`Delete template ${tpl.name}`}
+                      style={{ ...btnStyle('none','#64748b'), border:'none', padding:'4px 12px' }}>🗑</button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
         </div>
       </header>
 
-      {/* ── Stats Bar ── */}
-      <div role="region" aria-label="Task statistics" style={{ background:'#0d1117', padding:'12px 24px', borderBottom:'1px solid #1e3a2f', display:'flex', gap:24, alignItems:'center', flexWrap:'wrap' }}>
-        {COLUMNS.map(col => (
-          <div key={col} style={{ display:'flex', alignItems:'center', gap:6 }}>
-            <span aria-hidden="true" style={{ width:8, height:8, borderRadius:'50%', background:COL_COLORS[col], display:'inline-block' }}></span>
-            <span style={{ fontSize:12, color:'#94a3b8' }}>{col}: <strong style={{ color:'#e2e8f0' }}>{tasks.filter(x => x.stage === col).length}</strong></span>
-          </div>
-        ))}
-        <div style={{ marginLeft:'auto', display:'flex', alignItems:'center', gap:10 }}>
-          <span style={{ fontSize:12, color:'#94a3b8' }}>Overall Progress</span>
-          <div role="progressbar" aria-valuenow={pct} aria-valuemin={0} aria-valuemax={100} aria-label={`${pct}% complete`}
-            style={{ width:120, height:8, background:'#1e293b', borderRadius:4, overflow:'hidden' }}>
-            <div style={{ width:`${pct}%`, height:'100%', background:'#00ff88', borderRadius:4, transition:'width 0.4s' }}></div>
-          </div>
-          <span style={{ fontSize:12, color:'#00ff88', fontWeight:'bold' }}>{pct}%</span>
+      {/* ── Quarantine Banner ── */}
+      {quarantine && (
+        <div role="alert" style={{ background:'#2a1e1e', borderBottom:'1px solid #ef4444', color:'#fca5a5', padding:'10px 24px', fontSize:12, display:'flex', gap:12, alignItems:'center', flexWrap:'wrap' }}>
+          <span style={{ flex:1, minWidth:240 }}>
+            ⚠ Saved board could not be loaded — {quarantine.message}
+            {quarantine.key ? ` A copy was kept under "${quarantine.key}".` : ''} Changes are not being saved.
+          </span>
+          <button onClick={downloadQuarantined} style={btnStyle('#1e293b','#fca5a5')}>⬇ Download Copy</button>
+          <button onClick={() => restoreRef.current.click()} style={btnStyle('#1e293b','#93c5fd')}>♻ Restore Backup</button>
+          <button onClick={startFreshFromQuarantine} style={btnStyle('#2a1e1e','#f87171')}>Start Fresh</button>
         </div>
-      </div>
-
-      {/* ── Board ── */}
-      <main role="main" style={{ display:'flex', gap:16, padding:'20px 16px', overflowX:'auto', minHeight:'calc(100vh - 170px)' }}>
-        {COLUMNS.map(col => {
-          const colTasks = filtered.filter(x => x.stage === col)
-          const isTarget = dragOver === col
-          return (
-            <div key={col} role="region" aria-label={`${col} column`}
-              onDragOver={e => onDragOver(e, col)} onDrop={e => onDrop(e, col)}
-              style={{ flex:'0 0 280px', background:isTarget?'#1a2744':'#0d1117', border:`1px solid ${isTarget?COL_COLORS[col]:'#1e3a2f'}`, borderRadius:12, display:'flex', flexDirection:'column', transition:'background 0.2s, border 0.2s' }}>
-
-              <div style={{ padding:'12px 16px', borderBottom:'1px solid #1e3a2f', display:'flex', alignItems:'center', justifyContent:'space-between' }}>
-                <div style={{ display:'flex', alignItems:'center', gap:8 }}>
-                  <span aria-hidden="true" style={{ width:10, height:10, borderRadius:'50%', background:COL_COLORS[col], display:'inline-block' }}></span>
-                  <span style={{ fontWeight:'bold', fontSize:13, letterSpacing:1, color:COL_COLORS[col] }}>{col.toUpperCase()}</span>
+      )}
+
+      {/* ── All Boards Overview ── */}
+      {view === 'overview' && (
+        <main role="main" aria-label="All boards overview" style={{ padding:'20px 24px', display:'grid', gridTemplateColumns:'repeat(auto-fill, minmax(280px, 1fr))', gap:16, alignContent:'start' }}>
+          {summaries.map(({ board: b, total, done, pct: p, overdue, byColumn }) => (
+            <section key={b.id} aria-label={`Board ${b.name}`}
+              style={{ background:'#0d1117', border:'1px solid #1e3a2f', borderRadius:12, padding:16, opacity:b.archived ? 0.55 : 1 }}>
+              <div style={{ display:'flex', justifyContent:'space-between', alignItems:'baseline', gap:8, marginBottom:10 }}>
+                <div style={{ fontSize:14, fontWeight:'bold', color:'#e2e8f0', wordBreak:'break-word' }}>{b.name}</div>
+                {b.archived && <span style={{ fontSize:10, color:'#64748b' }}>ARCHIVED</span>}
+              </div>
+              <div style={{ display:'flex', alignItems:'center', gap:10, marginBottom:10 }}>
+                <div role="progressbar" aria-valuenow={p} aria-valuemin={0} aria-valuemax={100} aria-label={`${p}% complete`}
+                  style={{ flex:1, height:8, background:'#1e293b', borderRadius:4, overflow:'hidden' }}>
+                  <div style={{ width:`${p}%`, height:'100%', background:'#00ff88', borderRadius:4 }}></div>
                 </div>
-                <span aria-label={`${colTasks.length} tasks`} style={{ background:'#1e293b', color:'#94a3b8', fontSize:11, padding:'2px 8px', borderRadius:10 }}>{colTasks.length}</span>
+                <span style={{ fontSize:12, color:'#00ff88', fontWeight:'bold' }}>{p}%</span>
+              </div>
+              <div style={{ fontSize:12, color:'#94a3b8', marginBottom:8 }}>
+                {done}/{total} done{overdue > 0 && <span style={{ color:'#ef4444' }}> · ⚠ {overdue} overdue</span>}
               </div>
+              <div style={{ display:'flex', gap:10, flexWrap:'wrap', marginBottom:12 }}>
+                {byColumn.map(c => (
+                  <span key={c.id} style={{ fontSize:11, color:'#64748b', display:'flex', alignItems:'center', gap:4 }}>
+                    <span aria-hidden="true" style={{ width:6, height:6, borderRadius:'50%', background:c.color, display:'inline-block' }}></span>
+                    {c.name}: <strong style={{ color:'#e2e8f0' }}>{c.count}</strong>
+                  </span>
+                ))}
+              </div>
+              <button onClick={() => switchBoard(b.id)} style={btnStyle('#1a2744','#93c5fd')}>Open ▶</button>
+            </section>
+          ))}
+        </main>
+      )}
+
+      {/* ── Metrics Dashboard ── */}
+      {view === 'metrics' && <Dashboard tasks={filtered} columns={columns} filteredBy={[search.trim(), assignedTo && `assigned: ${assignedLabel}`].filter(Boolean).join(' · ')} />}
+
+      {/* ── Calendar & Timeline ── */}
+      {view === 'calendar' && <Calendar tasks={filtered} columns={columns} onReschedule={reschedule} onOpen={openForm} />}
+      {view === 'timeline' && <Timeline tasks={filtered} columns={columns} onOpen={openForm} />}
+
+      {view === 'board' && <>
+        {/* ── Stats Bar ── */}
+        <div role="region" aria-label="Task statistics" style={{ background:'#0d1117', padding:'12px 24px', borderBottom:'1px solid #1e3a2f', display:'flex', gap:24, alignItems:'center', flexWrap:'wrap' }}>
+          {columns.map(col => (
+            <div key={col.id} style={{ display:'flex', alignItems:'center', gap:6 }}>
+              <span aria-hidden="true" style={{ width:8, height:8, borderRadius:'50%', background:col.color, display:'inline-block' }}></span>
+              <span style={{ fontSize:12, color:'#94a3b8' }}>{col.name}: <strong style={{ color:'#e2e8f0' }}>{filtered.filter(x => x.stage === col.name).length}</strong></span>
+            </div>
+          ))}
+          {slaCounts.policies && (
+            <div role="group" aria-label="SLA status" style={{ display:'flex', gap:6, alignItems:'center' }}>
+              <button onClick={() => setSearch('is:breached')} aria-label={`${slaCounts.breached} SLA breached`} title="Show breached SLAs"
+                style={{ ...btnStyle(slaCounts.breached ? '#2a1e1e' : '#1e293b', slaCounts.breached ? '#f87171' : '#64748b'), padding:'2px 8px' }}>
+                🚨 {slaCounts.breached} breached
+              </button>
+              <button onClick={() => setSearch('is:at-risk')} aria-label={`${slaCounts.risk} SLA at risk`} title="Show SLAs at risk"
+                style={{ ...btnStyle('#1e293b', slaCounts.risk ? '#eab308' : '#64748b'), padding:'2px 8px' }}>
+                ⏳ {slaCounts.risk} at risk
+              </button>
+            </div>
+          )}
+          {members.length > 0 && (
+            <select value={assignedTo} onChange={e => setAssignedTo(e.target.value)} aria-label="Assigned to"
+              style={{ ...inputStyle, width:'auto', padding:'3px 8px', fontSize:12, color:assignedTo ? '#00ff88' : '#94a3b8' }}>
+              <option value="">👤 Anyone</option>
+              {meMember && <option value="me">👤 Me</option>}
+              <option value="none">👤 Unassigned</option>
+              {members.filter(m => m.active).map(m => <option key={m.id} value={m.id}>👤 {m.name}</option>)}
+            </select>
+          )}
+          <select value={sortMode} onChange={e => setSortMode(e.target.value)} aria-label="Sort cards by"
+            style={{ ...inputStyle, width:'auto', padding:'3px 8px', fontSize:12, color:sortMode !== 'manual' ? '#00ff88' : '#94a3b8' }}>
+            {Object.entries(SORT_MODES).map(([k, label]) => <option key={k} value={k}>↕ {label}</option>)}
+          </select>
+          <select value={laneBy} onChange={e => setLaneBy(e.target.value)} aria-label="Swimlanes"
+            style={{ ...inputStyle, width:'auto', padding:'3px 8px', fontSize:12, color:laneBy ? '#00ff88' : '#94a3b8' }}>
+            {Object.entries(LANE_MODES).filter(([k]) => k !== 'assignee' || members.length > 0).map(([k, label]) =>
+              <option key={k} value={k}>☰ {k ? `Lanes by ${label.toLowerCase()}` : label}</option>)}
+          </select>
+          {narrowed && (
+            <span style={{ fontSize:12, color:'#eab308' }}>
+              Showing {filtered.length} of {tasks.length}
+              <button onClick={() => { setSearch(''); setAssignedTo('') }} style={{ ...btnStyle('none','#94a3b8'), border:'none', marginLeft:4 }}>✕ clear</button>
+            </span>
+          )}
+          <div style={{ marginLeft:'auto', display:'flex', alignItems:'center', gap:10 }}>
+            <label style={{ fontSize:11, color:'#64748b', display:'flex', alignItems:'center', gap:4, cursor:'pointer' }}
+              title="Count partially completed checklists towards progress">
+              <input type="checkbox" checked={weighted} onChange={e => setWeighted(e.target.checked)} /> weight by checklists
+            </label>
+            <span style={{ fontSize:12, color:'#94a3b8' }}>Overall Progress</span>
+            <div role="progressbar" aria-valuenow={pct} aria-valuemin={0} aria-valuemax={100} aria-label={`${pct}% complete`}
+              style={{ width:120, height:8, background:'#1e293b', borderRadius:4, overflow:'hidden' }}>
+              <div style={{ width:`${pct}%`, height:'100%', background:'#00ff88', borderRadius:4, transition:'width 0.4s' }}></div>
+            </div>
+            <span style={{ fontSize:12, color:'#00ff88', fontWeight:'bold' }}>{pct}%</span>
+          </div>
+        </div>
 
-              <div style={{ padding:10, display:'flex', flexDirection:'column', gap:10, flex:1, overflowY:'auto' }}>
-                {colTasks.map(task => {
-                  const overdue  = isOverdue(task.due, task.stage)
-                  const daysLeft = getDaysLeft(task.due)
-                  const colIdx   = COLUMNS.indexOf(task.stage)
-                  let dueLabelText = ''
-                  if (task.due) {
-                    if (overdue)        dueLabelText = 'OVERDUE'
-                    else if (daysLeft === 0) dueLabelText = 'Due today'
-                    else if (daysLeft === 1) dueLabelText = 'Due tomorrow'
-                    else                dueLabelText = `${daysLeft}d left`
-                  }
+        {pickedTasks.length > 0 && (
+          <BulkBar count={pickedTasks.length} columns={columns} onMove={bulkMove} onPriority={p => bulkSet('priority', p)} onCategory={c => bulkSet('category', c)}
+            onExport={() => exportToExcel('selected')} onDelete={bulkDelete} onClear={clearPicked} />
+        )}
+
+        {/* ── Board ── */}
+        <div id="card-keys" hidden>
+          Press {formatCombo(keysOf(shortcuts, 'help')[0])} for keyboard shortcuts.
+        </div>
+        <main role="main" className={picked.size ? 'picking' : undefined} style={laneBy
+          ? { display:'grid', gridTemplateColumns:`repeat(${columns.length}, 280px)`, gridTemplateRows:`auto repeat(${swimlanes.length}, auto)`, columnGap:16, alignContent:'start', padding:'20px 16px', overflowX:'auto', minHeight:'calc(100vh - 170px)' }
+          : { display:'flex', gap:16, padding:'20px 16px', overflowX:'auto', minHeight:'calc(100vh - 170px)' }}>
+          {columns.map((col, colIdx) => {
+            const colTasks = colCards[colIdx]
+            const isTarget = dragOver?.col === col.name
+            const total    = tasks.filter(x => x.stage === col.name).length
+            const overWip  = col.wipLimit && total > col.wipLimit
+            const atWip    = col.wipLimit && total >= col.wipLimit
+            return (
+              <div key={col.id} role="region" aria-label={`${col.name} column`}
+                onDragOver={e => onDragOver(e, col.name)} onDrop={e => onDrop(e, col.name)}
+                style={{ ...(laneBy ? { gridRow:`1 / span ${swimlanes.length + 1}`, display:'grid', gridTemplateRows:'subgrid' } : { flex:'0 0 280px', display:'flex', flexDirection:'column' }),
+                  background:isTarget?'#1a2744':'#0d1117', border:`1px solid ${isTarget?col.color:overWip?'#ef4444':'#1e3a2f'}`, borderRadius:12, transition:'background 0.2s, border 0.2s' }}>
+
+                <div style={{ padding:'12px 16px', borderBottom:'1px solid #1e3a2f', display:'flex', alignItems:'center', justifyContent:'space-between' }}>
+                  <div style={{ display:'flex', alignItems:'center', gap:8 }}>
+                    <span aria-hidden="true" style={{ width:10, height:10, borderRadius:'50%', background:col.color, display:'inline-block' }}></span>
+                    <span style={{ fontWeight:'bold', fontSize:13, letterSpacing:1, color:col.color }}>{col.name.toUpperCase()}</span>
+                    {col.done && <span title="Done column" aria-label="Done column" style={{ fontSize:11, color:col.color }}>✔</span>}
+                  </div>
+                  {col.wipLimit
+                    ? <span aria-label={`${total} of ${col.wipLimit} WIP limit${col.wipStrict ? ', enforced' : ''}`} title={`WIP limit ${col.wipLimit}${col.wipStrict ? ' (enforced)' : ''}`}
+                        style={{ background:overWip?'#2a1e1e':'#1e293b', color:overWip?'#f87171':atWip?'#eab308':'#94a3b8', fontSize:11, padding:'2px 8px', borderRadius:10 }}>
+                        {colTasks.length !== total ? `${colTasks.length}·` : ''}{total}/{col.wipLimit}{col.wipStrict ? ' 🔒' : ''}
+                      </span>
+                    : <span aria-label={`${colTasks.length} tasks`} style={{ background:'#1e293b', color:'#94a3b8', fontSize:11, padding:'2px 8px', borderRadius:10 }}>{colTasks.length}</span>}
+                </div>
+
+                {swimlanes.map((lane, li) => {
+                  const cards = cells[colIdx][li]
+                  const mark  = sortMode === 'manual' && isTarget && dragOver.lane === lane.key
                   return (
-                    <article key={task.id} className="task-card" draggable
-                      onDragStart={e => onDragStart(e, task.id)} onDragEnd={onDragEnd}
-                      aria-label={`Task: ${task.title}, Priority: ${task.priority}, Stage: ${task.stage}`}
-                      style={{ background:'#161b2e', border:`1px solid ${overdue?'#ef4444':'#1e3a2f'}`, borderRadius:8, padding:12, cursor:'grab' }}>
-
-                      <div style={{ display:'flex', gap:6, marginBottom:8, flexWrap:'wrap' }}>
-                        <span aria-label={`Priority: ${task.priority}`}
-                          style={{ background:PRIORITY_COLORS[task.priority]+'22', color:PRIORITY_COLORS[task.priority], border:`1px solid ${PRIORITY_COLORS[task.priority]}44`, fontSize:10, padding:'2px 7px', borderRadius:10, fontWeight:'bold' }}>
-                          {PRIORITY_LABELS[task.priority]}
-                        </span>
-                        <span style={{ background:'#1e293b', color:'#94a3b8', fontSize:10, padding:'2px 7px', borderRadius:10 }}>{task.category}</span>
-                      </div>
-
-                      <div style={{ fontSize:14, fontWeight:'bold', color:'#e2e8f0', marginBottom:6, lineHeight:1.4, wordBreak:'break-word' }}>{task.title}</div>
-
-                      {task.due && (
-                        <div style={{ fontSize:11, color:overdue?'#ef4444':daysLeft<=1?'#f97316':'#64748b', marginBottom:8 }}>
-                          {overdue ? '⚠ ' : daysLeft <= 1 ? '⏰ ' : '⏱ '}{dueLabelText} · {formatDate(task.due)}
-                        </div>
-                      )}
-
-                      {task.notes && (
-                        <div style={{ fontSize:11, color:'#64748b', marginBottom:8, borderLeft:'2px solid #1e3a2f', paddingLeft:8, fontStyle:'italic', wordBreak:'break-word' }}>
-                          {task.notes.slice(0, 80)}{task.notes.length > 80 ? '…' : ''}
-                        </div>
-                      )}
-
-                      <div style={{ display:'flex', gap:6, flexWrap:'wrap', marginTop:4 }}>
-                        {colIdx > 0 && <button onClick={() => moveTask(task.id, -1)} aria-label={`Move to ${COLUMNS[colIdx-1]}`} style={btnStyle('#1e293b','#94a3b8')}>◀ Back</button>}
-                        {colIdx < COLUMNS.length - 1 && <button onClick={() => moveTask(task.id, 1)} aria-label={`Move to ${COLUMNS[colIdx+1]}`} style={btnStyle(COL_COLORS[COLUMNS[colIdx+1]]+'22', COL_COLORS[COLUMNS[colIdx+1]])}>▶ {COLUMNS[colIdx+1].split('/')[0]}</button>}
-                        <button onClick={() => openNote(task)}  aria-label="Edit notes"  style={btnStyle('#1e2a1e','#4ade80')}>📝 Notes</button>
-                        <button onClick={() => openForm(task)}  aria-label="Edit task"   style={btnStyle('#1e293b','#93c5fd')}>✏ Edit</button>
-                        <button onClick={() => deleteTask(task.id)} aria-label="Delete task" style={btnStyle('#2a1e1e','#f87171')}>🗑</button>
-                      </div>
-                    </article>
+                    <div key={lane.key ?? 'all'} data-lane={li} role={laneBy ? 'group' : undefined} aria-label={laneBy ? `${lane.label} swimlane` : undefined}
+                      style={{ padding:10, display:'flex', flexDirection:'column', gap:10, ...(laneBy
+                        ? { borderTop:'1px solid #1e3a2f', background:isTarget && dragOver.lane === lane.key ? '#1e3a2f55' : 'none' }
+                        : { flex:1, overflowY:'auto' }) }}>
+                      {laneBy && <div style={{ fontSize:10, color:'#64748b', letterSpacing:1 }}>{lane.label.toUpperCase()} · {cards.length}</div>}
+                      {cards.map(task => (
+                        <Fragment key={task.id}>
+                          {mark && dragOver.before === task.id && dropMark}
+                          {renderCard(task, col, colIdx)}
+                        </Fragment>
+                      ))}
+                      {mark && !dragOver.before && cards.some(x => x.id !== dragging) && dropMark}
+                      {!laneBy && colTasks.length === 0 && <div style={{ color:'#1e3a2f', fontSize:12, textAlign:'center', marginTop:20, userSelect:'none' }}>— empty —</div>}
+                    </div>
                   )
                 })}
-                {colTasks.length === 0 && <div style={{ color:'#1e3a2f', fontSize:12, textAlign:'center', marginTop:20, userSelect:'none' }}>— empty —</div>}
               </div>
-            </div>
-          )
-        })}
-      </main>
+            )
+          })}
+        </main>
+      </>}
 
       {/* ── Task Form Modal ── */}
       {showForm && (
@@ -414,14 +1630,17 @@ export default function App() {
 
           <div style={{ display:'grid', gridTemplateColumns:'1fr 1fr', gap:12 }}>
             <Field label="Priority" htmlFor="f-priority">
-              <select id="f-priority" value={formData.priority} onChange={e => setFormData(f => ({ ...f, priority:e.target.value }))} style={inputStyle}>
+              <select id="f-priority" value={formPriority || formData.priority} disabled={!!formPriority}
+                onChange={e => setFormData(f => ({ ...f, priority:e.target.value }))} style={{ ...inputStyle, opacity:formPriority ? 0.7 : 1 }}>
                 {PRIORITIES.map(p => <option key={p} value={p}>{p}</option>)}
               </select>
+              {formPriority && <div style={{ fontSize:10, color:'#64748b', marginTop:4 }}>From CVSS severity</div>}
             </Field>
             <Field label="Stage" htmlFor="f-stage">
               <select id="f-stage" value={formData.stage} onChange={e => setFormData(f => ({ ...f, stage:e.target.value }))} style={inputStyle}>
-                {COLUMNS.map(c => <option key={c} value={c}>{c}</option>)}
+                {columns.map(c => <option key={c.id} value={c.name}>{c.name}</option>)}
               </select>
+              {formErrors.stage && <div role="alert" style={{ color:'#ef4444', fontSize:11, marginTop:4 }}>{formErrors.stage}</div>}
             </Field>
           </div>
 
@@ -431,9 +1650,57 @@ export default function App() {
             </select>
           </Field>
 
-          <Field label="Due Date" htmlFor="f-due" hint="(leave blank if none)">
-            <input id="f-due" type="date" value={formData.due} onChange={e => setFormData(f => ({ ...f, due:e.target.value }))} style={inputStyle} />
-            {formData.due && isOverdue(formData.due, '') && <div style={{ color:'#f97316', fontSize:11, marginTop:4 }}>⚠ This date is in the past — task will be marked overdue.</div>}
+          <div style={{ display:'grid', gridTemplateColumns:'1fr 1fr', gap:12 }}>
+            <Field label="Due Date" htmlFor="f-due" hint="(leave blank if none)">
+              <input id="f-due" type="date" value={formData.due} onChange={e => setFormData(f => ({ ...f, due:e.target.value }))} style={inputStyle} />
+              {formData.due && isOverdue(formData.due, false) && <div style={{ color:'#f97316', fontSize:11, marginTop:4 }}>⚠ This date is in the past — task will be marked overdue.</div>}
+            </Field>
+            <Field label="Estimate" htmlFor="f-estimate" hint="(hours)">
+              <input id="f-estimate" type="number" min="0.25" step="0.25" value={formData.estimate ?? ''} onChange={e => setFormData(f => ({ ...f, estimate:e.target.value }))}
+                aria-invalid={!!formErrors.estimate} style={inputStyle} placeholder="—" />
+              {formErrors.estimate && <div role="alert" style={{ color:'#ef4444', fontSize:11, marginTop:4 }}>{formErrors.estimate}</div>}
+            </Field>
+          </div>
+
+          {members.some(m => m.active) && (
+            <Field label="Assignees">
+              <div role="group" aria-label="Assignees" style={{ display:'flex', gap:6, flexWrap:'wrap' }}>
+                {members.filter(m => m.active).map(m => {
+                  const on = formData.assignees.includes(m.id)
+                  return (
+                    <button key={m.id} aria-pressed={on}
+                      onClick={() => setFormData(f => ({ ...f, assignees:on ? f.assignees.filter(x => x !== m.id) : [...f.assignees, m.id] }))}
+                      style={{ ...btnStyle(on ? '#1e3a2f' : '#1e293b', on ? '#00ff88' : '#94a3b8'), display:'flex', alignItems:'center', gap:5, padding:'3px 9px 3px 3px' }}>
+                      <Avatar member={m} size={18} /> {m.name}
+                    </button>
+                  )
+                })}
+              </div>
+            </Field>
+          )}
+
+          <Field label="Repeat" htmlFor="f-repeat">
+            <RecurrenceEditor inputId="f-repeat" value={formData.recurrence} onChange={r => setFormData(f => ({ ...f, recurrence:r }))} />
+            {formErrors.recurrence && <div role="alert" style={{ color:'#ef4444', fontSize:11, marginTop:4 }}>{formErrors.recurrence}</div>}
+          </Field>
+
+          {(formData.finding || FINDING_CATEGORIES.includes(formData.category))
+            ? (
+              <Field label="Finding" htmlFor="f-cvss">
+                <FindingEditor inputId="f-cvss" value={formData.finding || emptyFinding()} errors={formErrors.finding}
+                  onChange={finding => setFormData(f => ({ ...f, finding }))} />
+              </Field>
+            ) : (
+              <button onClick={() => setFormData(f => ({ ...f, finding:emptyFinding() }))} style={{ ...btnStyle('#1e293b','#94a3b8'), marginBottom:12 }}>
+                + Add Finding Details
+              </button>
+            )}
+
+          <Field label="Dependencies">
+            <DependencyEditor task={formLinks.find(x => x.id === draftId.current)} tasks={formLinks}
+              blockedBy={formData.blockedBy} blocks={formData.blocks} error={formErrors.links}
+              onChange={links => { setFormData(f => ({ ...f, ...links })); setFormErrors(e => ({ ...e, links:undefined })) }}
+              isDone={isTaskDone} boardName={x => x.boardId !== board.id ? boardNames.get(x.boardId) : ''} />
           </Field>
 
           <Field label="Notes" htmlFor="f-notes" hint={`(max ${MAX_NOTES})`}>
@@ -445,7 +1712,62 @@ export default function App() {
             {formErrors.notes && <div role="alert" style={{ color:'#ef4444', fontSize:11 }}>{formErrors.notes}</div>}
           </Field>
 
+          <Field label="Checklist" htmlFor="f-checklist">
+            <ChecklistEditor inputId="f-checklist" items={formData.checklist} templates={templates}
+              onChange={items => setFormData(f => ({ ...f, checklist:items }))}
+              onSaveTemplate={saveTemplate} onDeleteTemplate={deleteTemplate} />
+          </Field>
+
+          <Field label="Time Log" htmlFor="f-time">
+            <TimeEntriesEditor inputId="f-time" entries={formData.timeEntries} estimate={Number(formData.estimate) || null} members={members} me={meMember?.id}
+              onChange={entries => { setFormData(f => ({ ...f, timeEntries:entries })); setFormErrors(e => ({ ...e, time:undefined })) }} error={formErrors.time} />
+          </Field>
+
+          {editTask && settings.boards.length > 1 && (
+            <Field label="Other Board" htmlFor="f-xfer">
+              <div style={{ display:'flex', gap:6 }}>
+                <select id="f-xfer" value={xferTo} onChange={e => setXferTo(e.target.value)} style={{ ...inputStyle, flex:1 }}>
+                  <option value="">Select board…</option>
+                  {settings.boards.filter(b => b.id !== board.id).map(b => <option key={b.id} value={b.id}>{b.name}{b.archived ? ' (archived)' : ''}</option>)}
+                </select>
+                <button onClick={() => transfer('copy')} disabled={!xferTo} style={{ ...btnStyle('#1e293b','#93c5fd'), opacity:xferTo ? 1 : 0.4 }}>⧉ Copy</button>
+                <button onClick={() => transfer('move')} disabled={!xferTo} style={{ ...btnStyle('#1e293b','#93c5fd'), opacity:xferTo ? 1 : 0.4 }}>↔ Move</button>
+              </div>
+            </Field>
+          )}
+
+          {editTask?.activity?.length > 0 && (
+            <details style={{ marginTop:4 }}>
+              <summary style={{ fontSize:11, color:'#64748b', letterSpacing:1, cursor:'pointer' }}>ACTIVITY ({editTask.activity.length})</summary>
+              <ol style={{ listStyle:'none', marginTop:8, maxHeight:180, overflowY:'auto', borderLeft:'2px solid #1e3a2f', paddingLeft:10 }}>
+                {[...editTask.activity].reverse().map((e, i) => (
+                  <li key={i} style={{ fontSize:11, color:'#94a3b8', marginBottom:6, wordBreak:'break-word' }}>
+                    <span style={{ color:'#475569' }}>{new Date(e.at).toLocaleString()}</span> · {describeActivity(e)}
+                  </li>
+                ))}
+              </ol>
+            </details>
+          )}
+
+          {tplDraft && (
+            <div style={{ display:'flex', gap:6, alignItems:'center', marginTop:12, flexWrap:'wrap' }}>
+              <input value={tplDraft.name} onChange={e => setTplDraft(d => ({ ...d, name:e.target.value }))} autoFocus maxLength={60} aria-label="Template name"
+                onKeyDown={e => { if (e.key === 'Enter') { e.preventDefault(); saveTaskTemplate() } }}
+                style={{ ...inputStyle, flex:'1 1 160px', width:'auto', padding:'4px 8px', fontSize:12 }} placeholder="Template name..." />
+              <span style={{ fontSize:12, color:'#94a3b8' }}>due in</span>
+              <input type="number" value={tplDraft.offset} onChange={e => setTplDraft(d => ({ ...d, offset:e.target.value }))} aria-label="Due offset in days"
+                style={{ ...inputStyle, width:64, padding:'4px 8px', fontSize:12 }} placeholder="—" />
+              <span style={{ fontSize:12, color:'#94a3b8' }}>days</span>
+              <button onClick={saveTaskTemplate} disabled={!tplDraft.name.trim()} style={{ ...btnStyle('#1e2a1e','#4ade80'), opacity:tplDraft.name.trim() ? 1 : 0.4 }}>Save</button>
+              <button onClick={() => setTplDraft(null)} style={btnStyle('#1e293b','#94a3b8')}>Cancel</button>
+            </div>
+          )}
+
           <div style={{ display:'flex', gap:10, justifyContent:'flex-end', marginTop:16 }}>
+            {!tplDraft && (
+              <button onClick={() => setTplDraft({ name:formData.title.trim(), offset:String(dueOffsetOf(formData.due) ?? '') })}
+                style={{ ...btnStyle('#1e293b','#94a3b8'), marginRight:'auto' }}>📄 Save as Template</button>
+            )}
             <button onClick={closeForm} style={btnStyle('#1e293b','#94a3b8')}>Cancel</button>
             <button onClick={saveTask} style={{ background:'#00ff88', color:'#0a0e1a', border:'none', padding:'8px 20px', borderRadius:6, cursor:'pointer', fontWeight:'bold', fontFamily:'inherit', fontSize:13 }}>
               {editId ? 'Update Task' : 'Save Task'}
@@ -471,8 +1793,117 @@ export default function App() {
         </Modal>
       )}
 
+      {/* ── Import Preview Modal ── */}
+      {importSrc && (
+        <ImportModal source={importSrc} columns={columns} existing={tasks}
+          onImport={importTasks} onClose={() => setImportSrc(null)} />
+      )}
+
+      {/* ── Restore Modal ── */}
+      {restoreSrc?.sealed && (
+        <Modal onClose={() => setRestoreSrc(null)} label="Unlock encrypted backup">
+          <form onSubmit={unlockRestore}>
+            <div style={{ fontSize:16, fontWeight:'bold', color:'#00ff88', marginBottom:4 }}>🔒 ENCRYPTED BACKUP</div>
+            <div style={{ fontSize:12, color:'#64748b', marginBottom:14, wordBreak:'break-word' }}>{restoreSrc.fileName}</div>
+            <Field label="Backup Passphrase" htmlFor="restore-pass">
+              <input id="restore-pass" type="password" autoComplete="off" autoFocus value={restoreSrc.pass} disabled={restoreSrc.busy}
+                onChange={e => setRestoreSrc(s => ({ ...s, pass:e.target.value, error:'' }))} aria-invalid={!!restoreSrc.error} style={inputStyle} />
+              {restoreSrc.error && <div role="alert" style={{ color:'#ef4444', fontSize:11, marginTop:4 }}>⚠ {restoreSrc.error}</div>}
+            </Field>
+            <div style={{ display:'flex', gap:10, justifyContent:'flex-end', marginTop:16 }}>
+              <button type="button" onClick={() => setRestoreSrc(null)} style={btnStyle('#1e293b','#94a3b8')}>Cancel</button>
+              <button type="submit" disabled={!restoreSrc.pass || restoreSrc.busy} style={{ ...btnStyle('#1e2a1e','#4ade80'), opacity:!restoreSrc.pass || restoreSrc.busy ? 0.4 : 1 }}>
+                {restoreSrc.busy ? 'Decrypting…' : 'Decrypt'}
+              </button>
+            </div>
+          </form>
+        </Modal>
+      )}
+
+      {restoreSrc && !restoreSrc.sealed && (
+        <Modal onClose={() => setRestoreSrc(null)} label="Restore board backup">
+          <div style={{ fontSize:16, fontWeight:'bold', color:'#00ff88', marginBottom:4 }}>♻ RESTORE BACKUP</div>
+          <div style={{ fontSize:12, color:'#64748b', marginBottom:14, wordBreak:'break-word' }}>{restoreSrc.fileName}</div>
+          <div style={{ fontSize:13, color:'#94a3b8', lineHeight:1.7, marginBottom:14 }}>
+            <div>Boards in backup: <strong style={{ color:'#e2e8f0' }}>{restoreSrc.data.settings.boards.length}</strong></div>
+            <div>Tasks in backup: <strong style={{ color:'#e2e8f0' }}>{restoreSrc.data.tasks.length}</strong></div>
+            {restoreSrc.savedAt && <div>Saved: <strong style={{ color:'#e2e8f0' }}>{new Date(restoreSrc.savedAt).toLocaleString()}</strong></div>}
+            {restoreSrc.fromVersion < STORE_VERSION && <div>Format: v{restoreSrc.fromVersion} (will be upgraded)</div>}
+          </div>
+          <div style={{ fontSize:12, color:'#64748b', lineHeight:1.6 }}>
+            <strong style={{ color:'#f87171' }}>Replace</strong> discards all current boards ({allTasks.length} tasks) and settings.{' '}
+            <strong style={{ color:'#93c5fd' }}>Merge</strong> keeps them and adds backup tasks not already present.
+          </div>
+          <div style={{ display:'flex', gap:10, justifyContent:'flex-end', marginTop:16 }}>
+            <button onClick={() => setRestoreSrc(null)} style={btnStyle('#1e293b','#94a3b8')}>Cancel</button>
+            <button onClick={() => applyRestore('merge')} style={btnStyle('#1a2744','#93c5fd')}>Merge</button>
+            <button onClick={() => applyRestore('replace')} style={btnStyle('#2a1e1e','#f87171')}>Replace</button>
+          </div>
+        </Modal>
+      )}
+
+      {/* ── Workflow Modal ── */}
+      {showFlow && (
+        <WorkflowModal columns={columns} tasks={tasks} onSave={saveWorkflow} onClose={() => setShowFlow(false)} />
+      )}
+
+      {/* ── Boards Modal ── */}
+      {showBoards && (
+        <BoardsModal boards={settings.boards} tasks={allTasks} activeId={board.id}
+          onCreate={createBoard} onUpdate={changeBoard} onDelete={removeBoard} onClose={() => setShowBoards(false)} />
+      )}
+
+      {/* ── Report Modal ── */}
+      {showReport && (
+        <ReportModal boards={settings.boards} tasks={allTasks} board={board} searchResults={narrowed ? filtered : null}
+          meta={settings.reportMeta} onSaveMeta={saveReportMeta} onDone={showToast} onClose={() => setShowReport(false)} />
+      )}
+
+      {/* ── Sync Modal ── */}
+      {showSync && (
+        <SyncModal backend={backend} status={syncStatus} conflictMode={onConflict} onConflictMode={setOnConflict}
+          onSwitch={switchBackend} onClose={() => setShowSync(false)} />
+      )}
+
+      {onConflict === 'ask' && conflicts.length > 0 && (
+        <ConflictModal conflicts={conflicts} onResolve={resolveConflict} onClose={() => setConflicts([])} />
+      )}
+
+      {/* ── SLA Modal ── */}
+      {showSla && (
+        <SlaModal policies={settings.slaPolicies} stages={[...new Set(settings.boards.flatMap(b => b.columns.map(c => c.name)))]}
+          leadHours={remindLead} onLeadHours={setRemindLead} notify={notify} onNotify={toggleNotify}
+          onSave={saveSla} onClose={() => setShowSla(false)} />
+      )}
+
+      {/* ── Team & Timesheet ── */}
+      {showTeam && (
+        <MembersModal members={members} tasks={allTasks} me={meMember?.id} onMe={setMe}
+          onAdd={addMember} onUpdate={updateMember} onRemove={deleteMember} onClose={() => setShowTeam(false)} />
+      )}
+      {showTime && (
+        <TimesheetModal boards={settings.boards} tasks={allTasks} board={board} members={members}
+          onDone={showToast} onClose={() => setShowTime(false)} />
+      )}
+
+      {/* ── Security Modal ── */}
+      {showSec && (
+        <SecurityModal encrypted={!!cipher} autoLock={autoLock} onAutoLock={setAutoLock}
+          copies={cipher ? plaintextCopies() : []} onRemoveCopies={removePlaintextCopies}
+          onEnable={enableEncryption} onChangePass={changePassphrase} onDisable={disableEncryption}
+          onLock={lockNow} onBackup={encryptedBackup} onClose={() => setShowSec(false)} />
+      )}
+
+      {/* ── Command Palette & Shortcuts ── */}
+      {palette && (
+        <CommandPalette commands={paletteCommands()} hint={pickedTasks.length ? `${pickedTasks.length} selected` : focused && view === 'board' ? `Selected: ${focused.title}` : null} onClose={() => setPalette(false)} />
+      )}
+      {showKeys && <ShortcutsModal overrides={shortcuts} onChange={setShortcuts} onClose={() => setShowKeys(false)} />}
+
+      <div role="status" aria-live="polite" style={{ position:'absolute', width:1, height:1, overflow:'hidden', clip:'rect(0,0,0,0)' }}>{announce}</div>
+
       {/* ── Toast ── */}
-      {toast && <Toast msg={toast} onDone={() => setToast(null)} />}
+      {toast && <Toast key={toast.id} msg={toast.msg} action={toast.action} duration={toast.duration} onDone={() => setToast(null)} />}
     </div>
   )
 }
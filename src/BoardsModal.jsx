@@ -0,0 +1,97 @@
+import { useState } from 'react'
+import { WORKFLOW_PRESETS, presetColumns } from './workflow.js'
+import { newBoard, validateBoardName } from './boards.js'
+import { Modal, Field, inputStyle, btnStyle } from './ui.jsx'
+
+// ─── Boards Modal ────────────────────────────────────────────────────────────
+export default function BoardsModal({ boards, tasks, activeId, onCreate, onUpdate, onDelete, onClose }) {
+  const [name,     setName]     = useState('')
+  const [workflow, setWorkflow] = useState(`copy:${activeId}`)
+  const [names,    setNames]    = useState(() => Object.fromEntries(boards.map(b => [b.id, b.name])))
+  const [confirm,  setConfirm]  = useState(null)
+  const [error,    setError]    = useState(null)
+
+  const openBoards = boards.filter(b => !b.archived)
+  const countOf = (id) => tasks.filter(t => t.boardId === id).length
+
+  function create() {
+    const err = validateBoardName(boards, name)
+    if (err) { setError(err); return }
+    const [kind, ref] = workflow.split(':')
+    const columns = kind === 'preset' ? presetColumns(ref) : boards.find(b => b.id === ref).columns
+    onCreate(newBoard(name, columns))
+    setName(''); setError(null)
+  }
+
+  function rename(b) {
+    const next = (names[b.id] ?? b.name).trim()
+    if (next === b.name) return
+    const err = validateBoardName(boards, next, b.id)
+    if (err) { setError(err); setNames(n => ({ ...n, [b.id]:b.name })); return }
+    setError(null)
+    onUpdate(b.id, { name:next }, 'Rename board')
+  }
+
+  return (
+    <Modal onClose={onClose} label="Manage boards" width={560}>
+      <div style={{ fontSize:16, fontWeight:'bold', color:'#00ff88', marginBottom:14 }}>▦ BOARDS</div>
+
+      <div style={{ display:'flex', flexDirection:'column', gap:8, marginBottom:18 }}>
+        {boards.map(b => {
+          const isLastOpen = !b.archived && openBoards.length === 1
+          return (
+            <div key={b.id} style={{ display:'flex', gap:8, alignItems:'center', flexWrap:'wrap', border:'1px solid #1e3a2f', borderRadius:8, padding:8, background:'#161b2e', opacity:b.archived ? 0.6 : 1 }}>
+              <input value={names[b.id] ?? b.name} onChange={e => setNames(n => ({ ...n, [b.id]:e.target.value }))}
+                onBlur={() => rename(b)} onKeyDown={e => { if (e.key === 'Enter') e.currentTarget.blur() }}
+                aria-label={`Name of board ${b.name}`} maxLength={60}
+                style={{ ...inputStyle, flex:'1 1 160px', width:'auto', padding:'6px 10px' }} />
+              <span style={{ fontSize:11, color:'#64748b', whiteSpace:'nowrap' }}>
+                {countOf(b.id)} task{countOf(b.id) === 1 ? '' : 's'}{b.id === activeId ? ' · current' : ''}
+              </span>
+              <button onClick={() => onUpdate(b.id, { archived:!b.archived }, b.archived ? 'Unarchive board' : 'Archive board')}
+                disabled={isLastOpen} title={isLastOpen ? 'At least one board must stay open' : undefined}
+                style={{ ...btnStyle('#1e293b','#94a3b8'), opacity:isLastOpen ? 0.4 : 1 }}>
+                {b.archived ? '↺ Unarchive' : '🗄 Archive'}
+              </button>
+              {confirm === b.id
+                ? <>
+                    <button onClick={() => { onDelete(b.id); setConfirm(null) }} style={btnStyle('#2a1e1e','#f87171')}>Delete {countOf(b.id)} tasks?</button>
+                    <button onClick={() => setConfirm(null)} style={btnStyle('#1e293b','#94a3b8')}>Keep</button>
+                  </>
+                : <button onClick={() => setConfirm(b.id)} disabled={isLastOpen} aria-label={`Delete board ${b.name}`}
+                    style={{ ...btnStyle('#2a1e1e','#f87171'), opacity:isLastOpen ? 0.4 : 1 }}>🗑</button>}
+            </div>
+          )
+        })}
+      </div>
+
+      <div style={{ borderTop:'1px solid #1e3a2f', paddingTop:14 }}>
+        <div style={{ fontSize:11, color:'#64748b', letterSpacing:1, marginBottom:10 }}>NEW BOARD</div>
+        <div style={{ display:'grid', gridTemplateColumns:'1fr 1fr', gap:12 }}>
+          <Field label="Name" htmlFor="b-name">
+            <input id="b-name" value={name} onChange={e => setName(e.target.value)} maxLength={60}
+              onKeyDown={e => { if (e.key === 'Enter') create() }}
+              style={inputStyle} placeholder="e.g. ACME external pentest" />
+          </Field>
+          <Field label="Workflow" htmlFor="b-flow">
+            <select id="b-flow" value={workflow} onChange={e => setWorkflow(e.target.value)} style={inputStyle}>
+              <optgroup label="Copy columns from">
+                {boards.map(b => <option key={b.id} value={`copy:${b.id}`}>{b.name}</option>)}
+              </optgroup>
+              <optgroup label="Preset">
+                {Object.keys(WORKFLOW_PRESETS).map(p => <option key={p} value={`preset:${p}`}>{p}</option>)}
+              </optgroup>
+            </select>
+          </Field>
+        </div>
+        {error && <div role="alert" style={{ color:'#ef4444', fontSize:11, marginBottom:8 }}>{error}</div>}
+        <div style={{ display:'flex', gap:10, justifyContent:'flex-end', marginTop:4 }}>
+          <button onClick={onClose} style={btnStyle('#1e293b','#94a3b8')}>Close</button>
+          <button onClick={create} style={{ background:'#00ff88', color:'#0a0e1a', border:'none', padding:'8px 20px', borderRadius:6, cursor:'pointer', fontWeight:'bold', fontFamily:'inherit', fontSize:13 }}>
+            + Create Board
+          </button>
+        </div>
+      </div>
+    </Modal>
+  )
+}
@@ -0,0 +1,32 @@
+import { PRIORITIES, CATEGORIES } from './constants.js'
+import { inputStyle, btnStyle } from './ui.jsx'
+
+const pick = { ...inputStyle, width:'auto', padding:'3px 8px', fontSize:12 }
+
+// ─── Bulk Bar ────────────────────────────────────────────────────────────────
+// Actions for the cards picked with Ctrl/Shift-click, the checkboxes or X.
+// Each one is a single undoable command.
+export default function BulkBar({ count, columns, onMove, onPriority, onCategory, onExport, onDelete, onClear }) {
+  const choose = (fn) => (e) => { if (e.target.value) fn(e.target.value); e.target.value = '' }
+  return (
+    <div role="toolbar" aria-label={`${count} selected tasks`}
+      style={{ background:'#1a2744', borderBottom:'1px solid #3b82f6', padding:'8px 24px', display:'flex', gap:10, alignItems:'center', flexWrap:'wrap' }}>
+      <strong style={{ fontSize:12, color:'#93c5fd' }}>☑ {count} selected</strong>
+      <select defaultValue="" onChange={choose(onMove)} aria-label="Move selected to column" style={pick}>
+        <option value="">↔ Move to…</option>
+        {columns.map(c => <option key={c.id} value={c.name}>{c.name}</option>)}
+      </select>
+      <select defaultValue="" onChange={choose(onPriority)} aria-label="Set priority of selected" style={pick}>
+        <option value="">⇅ Priority…</option>
+        {PRIORITIES.map(p => <option key={p} value={p}>{p}</option>)}
+      </select>
+      <select defaultValue="" onChange={choose(onCategory)} aria-label="Set category of selected" style={pick}>
+        <option value="">▤ Category…</option>
+        {CATEGORIES.map(c => <option key={c} value={c}>{c}</option>)}
+      </select>
+      <button onClick={onExport} style={btnStyle('#1e293b','#93c5fd')}>⬇ Export Selected</button>
+      <button onClick={onDelete} style={btnStyle('#2a1e1e','#f87171')}>🗑 Delete</button>
+      <button onClick={onClear} style={{ ...btnStyle('none','#94a3b8'), border:'none', marginLeft:'auto' }}>✕ Clear selection</button>
+    </div>
+  )
+}
@@ -0,0 +1,127 @@
+import { useState, useMemo } from 'react'
+import { PRIORITY_COLORS } from './constants.js'
+import { dateKey, isOverdue } from './helpers.js'
+import { isDoneStage } from './workflow.js'
+import { btnStyle } from './ui.jsx'
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+const MAX_CHIPS = 4
+
+const mondayOf = (d) => { const m = new Date(d); m.setDate(m.getDate() - ((m.getDay() + 6) % 7)); return m }
+
+function visibleDays(anchor, mode) {
+  const start = mondayOf(mode === 'month' ? new Date(anchor.getFullYear(), anchor.getMonth(), 1) : anchor)
+  const count = mode === 'month'
+    ? Math.ceil(((new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0) - start) / 86400000 + 1) / 7) * 7
+    : 7
+  return Array.from({ length:count }, (_, i) => new Date(start.getFullYear(), start.getMonth(), start.getDate() + i))
+}
+
+function Chip({ task, columns, wrap, onDrag, onOpen }) {
+  const done = isDoneStage(columns, task.stage)
+  const overdue = isOverdue(task.due, done)
+  return (
+    <button draggable onDragStart={e => { onDrag(task.id); e.dataTransfer.effectAllowed = 'move' }}
+      onDragEnd={() => onDrag(null)} onClick={() => onOpen(task)}
+      title={`${task.title} — ${task.priority}, ${task.stage}`} aria-label={`${task.title}, ${task.priority}, ${task.stage}${overdue ? ', overdue' : ''}`}
+      style={{ display:'block', width:'100%', textAlign:'left', background:PRIORITY_COLORS[task.priority] + '22', color:done ? '#64748b' : '#e2e8f0',
+        border:`1px solid ${overdue ? '#ef4444' : PRIORITY_COLORS[task.priority] + '55'}`, borderLeft:`3px solid ${PRIORITY_COLORS[task.priority]}`,
+        borderRadius:4, padding:'2px 6px', fontSize:11, cursor:'grab', fontFamily:'inherit', textDecoration:done ? 'line-through' : 'none',
+        overflow:'hidden', textOverflow:'ellipsis', whiteSpace:wrap ? 'normal' : 'nowrap', wordBreak:'break-word' }}>
+      {task.title}
+    </button>
+  )
+}
+
+// ─── Calendar View ───────────────────────────────────────────────────────────
+// Month or week grid of due dates. Dropping a card on a day reschedules it;
+// the "No due date" tray lets undated cards be scheduled the same way.
+export default function Calendar({ tasks, columns, onReschedule, onOpen }) {
+  const [mode,     setMode]     = useState('month')
+  const [anchor,   setAnchor]   = useState(() => new Date())
+  const [dragging, setDragging] = useState(null)
+  const [dragOver, setDragOver] = useState(null)
+  const [expanded, setExpanded] = useState(null)
+
+  const days  = useMemo(() => visibleDays(anchor, mode), [anchor, mode])
+  const byDay = useMemo(() => {
+    const m = new Map()
+    tasks.filter(t => t.due).forEach(t => m.set(t.due, [...(m.get(t.due) || []), t]))
+    return m
+  }, [tasks])
+  const undated = tasks.filter(t => !t.due)
+  const today = dateKey(new Date())
+
+  function shift(dir) {
+    setAnchor(a => mode === 'month'
+      ? new Date(a.getFullYear(), a.getMonth() + dir, 1)
+      : new Date(a.getFullYear(), a.getMonth(), a.getDate() + dir * 7))
+  }
+
+  function drag(id) { setDragging(id); if (!id) setDragOver(null) }
+
+  function drop(e, key) {
+    e.preventDefault()
+    const task = tasks.find(t => t.id === dragging)
+    if (task && task.due !== key) onReschedule(task, key)
+    setDragging(null); setDragOver(null)
+  }
+
+  const title = mode === 'month'
+    ? anchor.toLocaleDateString(undefined, { month:'long', year:'numeric' })
+    : `${days[0].toLocaleDateString()} – ${days[6].toLocaleDateString()}`
+
+  return (
+    <main role="main" aria-label="Calendar" style={{ padding:'20px 24px', display:'flex', flexDirection:'column', gap:12 }}>
+      <div style={{ display:'flex', gap:8, alignItems:'center', flexWrap:'wrap' }}>
+        <button onClick={() => shift(-1)} aria-label={`Previous ${mode}`} style={btnStyle('#1e293b','#94a3b8')}>◀</button>
+        <button onClick={() => setAnchor(new Date())} style={btnStyle('#1e293b','#94a3b8')}>Today</button>
+        <button onClick={() => shift(1)} aria-label={`Next ${mode}`} style={btnStyle('#1e293b','#94a3b8')}>▶</button>
+        <h2 aria-live="polite" style={{ fontSize:15, color:'#00ff88', margin:'0 8px', fontWeight:'bold' }}>{title}</h2>
+        <div role="group" aria-label="Calendar range" style={{ display:'flex', gap:4, marginLeft:'auto' }}>
+          {['month', 'week'].map(m => (
+            <button key={m} onClick={() => setMode(m)} aria-pressed={mode === m}
+              style={btnStyle(mode === m ? '#1e3a2f' : '#1e293b', mode === m ? '#00ff88' : '#94a3b8')}>{m === 'month' ? 'Month' : 'Week'}</button>
+          ))}
+        </div>
+      </div>
+
+      <div style={{ display:'grid', gridTemplateColumns:'repeat(7, minmax(0, 1fr))', gap:4 }}>
+        {WEEKDAYS.map(d => <div key={d} aria-hidden="true" style={{ fontSize:10, color:'#64748b', letterSpacing:1, textAlign:'center' }}>{d.toUpperCase()}</div>)}
+        {days.map(d => {
+          const key = dateKey(d)
+          const list = byDay.get(key) || []
+          const outside = mode === 'month' && d.getMonth() !== anchor.getMonth()
+          const open = expanded === key || mode === 'week'
+          const shown = open ? list : list.slice(0, MAX_CHIPS)
+          return (
+            <div key={key} role="group" aria-label={`${d.toLocaleDateString()}, ${list.length} due`}
+              onDragOver={e => { e.preventDefault(); setDragOver(key) }} onDragLeave={() => setDragOver(k => k === key ? null : k)} onDrop={e => drop(e, key)}
+              style={{ minHeight:mode === 'week' ? 360 : 96, background:dragOver === key ? '#1a2744' : '#0d1117', opacity:outside ? 0.5 : 1,
+                border:`1px solid ${key === today ? '#00ff88' : dragOver === key ? '#3b82f6' : '#1e3a2f'}`, borderRadius:8, padding:4, display:'flex', flexDirection:'column', gap:3 }}>
+              <div style={{ fontSize:11, color:key === today ? '#00ff88' : '#94a3b8', textAlign:'right', fontWeight:key === today ? 'bold' : 'normal' }}>
+                {mode === 'week' ? d.toLocaleDateString(undefined, { month:'short', day:'numeric' }) : d.getDate()}
+              </div>
+              {shown.map(t => <Chip key={t.id} task={t} columns={columns} wrap={mode === 'week'} onDrag={drag} onOpen={onOpen} />)}
+              {list.length > shown.length && (
+                <button onClick={() => setExpanded(key)} style={{ ...btnStyle('none','#64748b'), border:'none', padding:'0 4px', textAlign:'left' }}>+{list.length - shown.length} more</button>
+              )}
+              {expanded === key && mode === 'month' && list.length > MAX_CHIPS && (
+                <button onClick={() => setExpanded(null)} style={{ ...btnStyle('none','#64748b'), border:'none', padding:'0 4px', textAlign:'left' }}>show less</button>
+              )}
+            </div>
+          )
+        })}
+      </div>
+
+      {undated.length > 0 && (
+        <section aria-label="Tasks without a due date" style={{ background:'#0d1117', border:'1px solid #1e3a2f', borderRadius:8, padding:10 }}>
+          <div style={{ fontSize:10, color:'#64748b', letterSpacing:1, marginBottom:6 }}>NO DUE DATE ({undated.length}) — drag onto a day to schedule</div>
+          <div style={{ display:'grid', gridTemplateColumns:'repeat(auto-fill, minmax(160px, 1fr))', gap:4 }}>
+            {undated.map(t => <Chip key={t.id} task={t} columns={columns} onDrag={drag} onOpen={onOpen} />)}
+          </div>
+        </section>
+      )}
+    </main>
+  )
+}
@@ -0,0 +1,84 @@
+import { useState } from 'react'
+import { MAX_ITEM, checklistItems } from './checklists.js'
+import { genId } from './helpers.js'
+import { inputStyle, btnStyle } from './ui.jsx'
+
+// ─── Checklist Editor ────────────────────────────────────────────────────────
+export default function ChecklistEditor({ inputId, items, onChange, templates, onSaveTemplate, onDeleteTemplate }) {
+  const [draft,    setDraft]    = useState('')
+  const [tplName,  setTplName]  = useState(null)
+  const [selected, setSelected] = useState('')
+
+  const done = items.filter(i => i.done).length
+  const selectedTpl = templates.find(t => t.id === selected)
+
+  const update = (id, patch) => onChange(items.map(i => i.id === id ? { ...i, ...patch } : i))
+
+  function add() {
+    const text = draft.trim()
+    if (!text) return
+    onChange([...items, { id:genId(), text:text.slice(0, MAX_ITEM), done:false }])
+    setDraft('')
+  }
+
+  function attach() {
+    if (!selectedTpl) return
+    onChange([...items, ...checklistItems(selectedTpl.items)])
+    setSelected('')
+  }
+
+  function saveTemplate() {
+    if (!tplName?.trim() || !items.length) return
+    onSaveTemplate(tplName)
+    setTplName(null)
+  }
+
+  return (
+    <div>
+      {items.length > 0 && (
+        <div style={{ fontSize:10, color:'#64748b', marginBottom:6 }}>{done}/{items.length} complete</div>
+      )}
+      <ul style={{ listStyle:'none', display:'flex', flexDirection:'column', gap:4, maxHeight:200, overflowY:'auto', marginBottom:6 }}>
+        {items.map(i => (
+          <li key={i.id} style={{ display:'flex', gap:6, alignItems:'center' }}>
+            <input type="checkbox" checked={i.done} onChange={e => update(i.id, { done:e.target.checked })} aria-label={`Done: ${i.text}`} />
+            <input value={i.text} maxLength={MAX_ITEM} onChange={e => update(i.id, { text:e.target.value })} aria-label="Checklist item"
+              style={{ ...inputStyle, padding:'4px 8px', fontSize:12, textDecoration:i.done ? 'line-through' : 'none', color:i.done ? '#64748b' : '#e2e8f0' }} />
+            <button onClick={() => onChange(items.filter(x => x.id !== i.id))} aria-label={`Remove ${i.text}`}
+              style={{ ...btnStyle('none','#64748b'), border:'none', padding:'2px 6px' }}>✕</button>
+          </li>
+        ))}
+      </ul>
+      <div style={{ display:'flex', gap:6, marginBottom:6 }}>
+        <input id={inputId} value={draft} maxLength={MAX_ITEM} onChange={e => setDraft(e.target.value)} aria-label="New checklist item"
+          onKeyDown={e => { if (e.key === 'Enter') { e.preventDefault(); add() } }}
+          style={{ ...inputStyle, padding:'4px 8px', fontSize:12 }} placeholder="Add item and press Enter..." />
+        <button onClick={add} style={btnStyle('#1e2a1e','#4ade80')}>+ Add</button>
+      </div>
+      <div style={{ display:'flex', gap:6, flexWrap:'wrap', alignItems:'center' }}>
+        <select value={selected} onChange={e => setSelected(e.target.value)} aria-label="Checklist template"
+          style={{ ...inputStyle, flex:'1 1 180px', width:'auto', padding:'4px 8px', fontSize:12 }}>
+          <option value="">Template…</option>
+          {templates.map(t => <option key={t.id} value={t.id}>{t.name} ({t.items.length})</option>)}
+        </select>
+        <button onClick={attach} disabled={!selectedTpl} style={{ ...btnStyle('#1e293b','#93c5fd'), opacity:selectedTpl ? 1 : 0.4 }}>Attach</button>
+        {selectedTpl && !selectedTpl.builtin && (
+          <button onClick={() => { onDeleteTemplate(selectedTpl.id); setSelected('') }} aria-label={`Delete template ${selectedTpl.name}`}
+            style={btnStyle('#2a1e1e','#f87171')}>🗑</button>
+        )}
+        {items.length > 0 && tplName === null && (
+          <button onClick={() => setTplName('')} style={btnStyle('#1e293b','#94a3b8')}>Save as Template</button>
+        )}
+      </div>
+      {tplName !== null && (
+        <div style={{ display:'flex', gap:6, marginTop:6 }}>
+          <input value={tplName} onChange={e => setTplName(e.target.value)} autoFocus maxLength={60} aria-label="Template name"
+            onKeyDown={e => { if (e.key === 'Enter') { e.preventDefault(); saveTemplate() } }}
+            style={{ ...inputStyle, padding:'4px 8px', fontSize:12 }} placeholder="Template name..." />
+          <button onClick={saveTemplate} style={btnStyle('#1e2a1e','#4ade80')}>Save</button>
+          <button onClick={() => setTplName(null)} style={btnStyle('#1e293b','#94a3b8')}>Cancel</button>
+        </div>
+      )}
+    </div>
+  )
+}
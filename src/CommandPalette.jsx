@@ -0,0 +1,77 @@
+import { useState, useMemo, useEffect, useRef } from 'react'
+import { formatCombo } from './keymap.js'
+import { Modal, inputStyle } from './ui.jsx'
+
+const WORD_START = ' /-:(“"'
+
+// The letters of every query word must appear in order in the text;
+// consecutive letters and word starts rank higher. -1 when it doesn't match.
+function fuzzy(query, text) {
+  const t = text.toLowerCase()
+  let total = 0
+  for (const word of query.toLowerCase().split(/\s+/).filter(Boolean)) {
+    let score = 0, from = 0, prev = -2
+    for (const ch of word) {
+      const i = t.indexOf(ch, from)
+      if (i < 0) return -1
+      score += 1 + (i === prev + 1 ? 2 : 0) + (i === 0 || WORD_START.includes(t[i - 1]) ? 3 : 0)
+      prev = i; from = i + 1
+    }
+    total += score
+  }
+  return total
+}
+
+// ─── Command Palette ─────────────────────────────────────────────────────────
+// commands: [{ id, label, group, keywords?, keys?, run }]
+export default function CommandPalette({ commands, hint, onClose }) {
+  const [query,  setQuery]  = useState('')
+  const [active, setActive] = useState(0)
+  const listRef = useRef()
+
+  const shown = useMemo(() => {
+    if (!query.trim()) return commands
+    return commands
+      .map((c, i) => ({ c, i, s:Math.max(fuzzy(query, c.label), fuzzy(query, `${c.label} ${c.group} ${c.keywords || ''}`) - 1) }))
+      .filter(x => x.s >= 0)
+      .sort((a, b) => b.s - a.s || a.i - b.i)
+      .map(x => x.c)
+  }, [commands, query])
+
+  useEffect(() => { listRef.current?.querySelector('[aria-selected="true"]')?.scrollIntoView({ block:'nearest' }) }, [active])
+
+  function run(c) {
+    onClose()
+    c.run()
+  }
+
+  function onKeyDown(e) {
+    if (!shown.length) return
+    if (e.key === 'ArrowDown') { e.preventDefault(); setActive(i => (i + 1) % shown.length) }
+    else if (e.key === 'ArrowUp') { e.preventDefault(); setActive(i => (i - 1 + shown.length) % shown.length) }
+    else if (e.key === 'Enter') { e.preventDefault(); run(shown[Math.min(active, shown.length - 1)]) }
+  }
+
+  return (
+    <Modal onClose={onClose} label="Command palette" width={520}>
+      <input autoFocus value={query} onChange={e => { setQuery(e.target.value); setActive(0) }} onKeyDown={onKeyDown}
+        role="combobox" aria-expanded="true" aria-controls="palette-list" aria-autocomplete="list" aria-label="Command"
+        aria-activedescendant={shown.length ? `palette-opt-${Math.min(active, shown.length - 1)}` : undefined}
+        placeholder="Type a command… e.g. new task, overdue, export completed" style={{ ...inputStyle, fontSize:14, marginBottom:hint ? 6 : 10 }} />
+      {hint && <div style={{ fontSize:11, color:'#64748b', marginBottom:10, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>{hint}</div>}
+      <ul id="palette-list" ref={listRef} role="listbox" aria-label="Commands" style={{ listStyle:'none', maxHeight:'55vh', overflowY:'auto' }}>
+        {shown.map((c, i) => (
+          <li key={c.id} id={`palette-opt-${i}`} role="option" aria-selected={i === active}
+            onMouseDown={e => { e.preventDefault(); run(c) }} onMouseEnter={() => setActive(i)}
+            style={{ display:'flex', alignItems:'center', gap:10, padding:'7px 10px', borderRadius:5, cursor:'pointer', fontSize:13,
+              color:i === active ? '#00ff88' : '#e2e8f0', background:i === active ? '#1e3a2f' : 'none' }}>
+            <span style={{ fontSize:10, color:'#64748b', width:64, flexShrink:0 }}>{c.group}</span>
+            <span style={{ flex:1, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>{c.label}</span>
+            {c.keys?.length > 0 && <kbd style={{ fontSize:10, color:'#94a3b8', border:'1px solid #1e3a2f', borderRadius:4, padding:'1px 6px' }}>{formatCombo(c.keys[0])}</kbd>}
+          </li>
+        ))}
+        {!shown.length && <li style={{ fontSize:12, color:'#475569', padding:'7px 10px' }}>No matching command.</li>}
+      </ul>
+    </Modal>
+  )
+}
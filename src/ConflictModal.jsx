@@ -0,0 +1,62 @@
+import { FIELD_NAMES } from './history.js'
+import { Modal, btnStyle } from './ui.jsx'
+
+const COMPARED = ['title', 'stage', 'priority', 'category', 'due', 'notes', 'estimate', 'assignees', 'checklist', 'timeEntries', 'blockedBy', 'finding']
+const EXTRA_NAMES = { assignees:'Assignees', checklist:'Checklist', timeEntries:'Time log', blockedBy:'Blocked by', finding:'Finding' }
+
+function differences(mine, theirs) {
+  if (!mine || !theirs) return null
+  return COMPARED.filter(f => JSON.stringify(mine[f] ?? null) !== JSON.stringify(theirs[f] ?? null))
+    .map(f => FIELD_NAMES[f] || EXTRA_NAMES[f])
+}
+
+function version(task) {
+  if (!task) return 'deleted'
+  const at = task.updatedAt ? new Date(task.updatedAt).toLocaleString() : 'unknown time'
+  return `${task.stage} · ${task.priority} · edited ${at}`
+}
+
+// ─── Conflict Modal ──────────────────────────────────────────────────────────
+// Edits that collided with another tab or client. The last writer already won;
+// choosing the other side applies it as a normal, undoable change.
+export default function ConflictModal({ conflicts, onResolve, onClose }) {
+  return (
+    <Modal onClose={onClose} label="Sync conflicts" width={560}>
+      <div style={{ fontSize:16, fontWeight:'bold', color:'#eab308', marginBottom:4 }}>⚖ SYNC CONFLICTS</div>
+      <div style={{ fontSize:12, color:'#64748b', marginBottom:12, lineHeight:1.6 }}>
+        These were changed here and elsewhere at the same time. The latest edit was kept — pick the other one where that was wrong.
+      </div>
+
+      <ul style={{ listStyle:'none', display:'flex', flexDirection:'column', gap:8 }}>
+        {conflicts.map(c => {
+          const diff = c.kind === 'task' ? differences(c.mine, c.theirs) : null
+          return (
+            <li key={`${c.kind}:${c.id}`} style={{ border:'1px solid #1e3a2f', borderRadius:8, padding:10, background:'#161b2e' }}>
+              <div style={{ fontSize:13, color:'#e2e8f0', fontWeight:'bold', marginBottom:4 }}>
+                {c.kind === 'setting' ? `⚙ ${c.title}` : c.title}
+              </div>
+              {c.kind === 'task' && (
+                <div style={{ fontSize:11, color:'#94a3b8', lineHeight:1.6 }}>
+                  <div>Yours: {version(c.mine)}</div>
+                  <div>Theirs: {version(c.theirs)}</div>
+                  {diff?.length > 0 && <div style={{ color:'#64748b' }}>Differs in: {diff.join(', ')}</div>}
+                </div>
+              )}
+              <div style={{ display:'flex', gap:6, marginTop:8, alignItems:'center' }}>
+                <span style={{ fontSize:10, color:'#64748b', marginRight:'auto' }}>Kept: {c.kept === 'mine' ? 'yours' : 'theirs'}</span>
+                <button onClick={() => onResolve(c, 'mine')} aria-pressed={c.kept === 'mine'}
+                  style={btnStyle(c.kept === 'mine' ? '#1e3a2f' : '#1e293b', c.kept === 'mine' ? '#00ff88' : '#94a3b8')}>Keep Mine</button>
+                <button onClick={() => onResolve(c, 'theirs')} aria-pressed={c.kept === 'theirs'}
+                  style={btnStyle(c.kept === 'theirs' ? '#1e3a2f' : '#1e293b', c.kept === 'theirs' ? '#00ff88' : '#94a3b8')}>Keep Theirs</button>
+              </div>
+            </li>
+          )
+        })}
+      </ul>
+
+      <div style={{ display:'flex', justifyContent:'flex-end', marginTop:16 }}>
+        <button onClick={onClose} style={btnStyle('#1e293b','#94a3b8')}>Done</button>
+      </div>
+    </Modal>
+  )
+}
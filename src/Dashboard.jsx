@@ -0,0 +1,208 @@
+import { useState, useMemo } from 'react'
+import { PRIORITIES, CATEGORIES, PRIORITY_COLORS } from './constants.js'
+import { dateKey, formatDate } from './helpers.js'
+import {
+  leadTime, cycleTime, distribution, timeByGroup, timeInStage,
+  weeklyThroughput, dailyFlow, agingReport, AGE_BUCKETS, ageBucket
+} from './metrics.js'
+import { BarChart, LineChart, StackedArea, Legend } from './charts.jsx'
+import { inputStyle, btnStyle } from './ui.jsx'
+
+const panel = { background:'#0d1117', border:'1px solid #1e3a2f', borderRadius:12, padding:16, minWidth:0 }
+const heading = { fontSize:11, color:'#64748b', letterSpacing:1, marginBottom:10, display:'flex', justifyContent:'space-between', alignItems:'center', gap:8 }
+const th = { textAlign:'left', fontWeight:'normal', color:'#64748b', padding:'4px 6px', fontSize:10 }
+const td = { padding:'4px 6px', fontSize:12, color:'#e2e8f0' }
+
+const fmtDays = (v) => v === null ? '—' : v < 1 ? `${Math.round(v * 24)}h` : `${v.toFixed(1)}d`
+const shortDate = (key) => key.slice(5)
+
+function daysAgo(n) { const d = new Date(); d.setDate(d.getDate() - n); return dateKey(d) }
+
+function Toggle({ value, options, onChange, label }) {
+  return (
+    <div role="group" aria-label={label} style={{ display:'flex', gap:4 }}>
+      {options.map(([k, text]) => (
+        <button key={k} onClick={() => onChange(k)} aria-pressed={value === k}
+          style={{ ...btnStyle(value === k ? '#1e3a2f' : '#1e293b', value === k ? '#00ff88' : '#94a3b8'), padding:'2px 8px', fontSize:10 }}>{text}</button>
+      ))}
+    </div>
+  )
+}
+
+function TimeTable({ rows, colorOf }) {
+  const scale = Math.max(1, ...rows.map(r => r.p85 ?? 0))
+  if (!rows.length) return <div style={{ fontSize:12, color:'#475569' }}>No completed cards in range.</div>
+  return (
+    <table style={{ width:'100%', borderCollapse:'collapse' }}>
+      <thead><tr><th style={th}></th><th style={th}>N</th><th style={th}>MEDIAN</th><th style={th}>85%</th><th style={th}>MAX</th><th style={{ ...th, width:'35%' }}></th></tr></thead>
+      <tbody>
+        {rows.map(r => (
+          <tr key={r.name} style={{ borderTop:'1px solid #1e293b' }}>
+            <td style={{ ...td, color:colorOf?.(r.name) || td.color }}>{r.name}</td>
+            <td style={td}>{r.count}</td>
+            <td style={td}>{fmtDays(r.median)}</td>
+            <td style={td}>{fmtDays(r.p85)}</td>
+            <td style={td}>{fmtDays(r.max)}</td>
+            <td style={td}>
+              <div aria-hidden="true" style={{ position:'relative', height:8, background:'#1e293b', borderRadius:4 }}>
+                <div style={{ position:'absolute', height:'100%', width:`${(r.median / scale) * 100}%`, background:colorOf?.(r.name) || '#3b82f6', borderRadius:4 }}></div>
+                <div style={{ position:'absolute', left:`${(r.p85 / scale) * 100}%`, top:-2, width:2, height:12, background:'#e2e8f0' }}></div>
+              </div>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+// ─── Dashboard ───────────────────────────────────────────────────────────────
+export default function Dashboard({ tasks, columns, filteredBy }) {
+  const [from,    setFrom]    = useState(() => daysAgo(29))
+  const [to,      setTo]      = useState(() => dateKey(new Date()))
+  const [kind,    setKind]    = useState('cycle')
+  const [flow,    setFlow]    = useState('cfd')
+  const [groupBy, setGroupBy] = useState('priority')
+
+  const range = from && to && from <= to
+  const inRange = useMemo(() => range ? tasks.filter(t => {
+    if (!t.completedAt) return false
+    const k = dateKey(new Date(t.completedAt))
+    return k >= from && k <= to
+  }) : [], [tasks, from, to, range])
+
+  const groups = useMemo(() => timeByGroup(inRange, columns, groupBy, kind, groupBy === 'priority' ? PRIORITIES : CATEGORIES),
+    [inRange, columns, groupBy, kind])
+  const overall = useMemo(() => ({
+    lead:  distribution(inRange.map(leadTime)),
+    cycle: distribution(inRange.map(t => cycleTime(t, columns)))
+  }), [inRange, columns])
+  const stages     = useMemo(() => timeInStage(tasks, columns), [tasks, columns])
+  const throughput = useMemo(() => range ? weeklyThroughput(tasks, from, to) : [], [tasks, from, to, range])
+  const daily      = useMemo(() => range ? dailyFlow(tasks, columns, from, to) : [], [tasks, columns, from, to, range])
+  const aging      = useMemo(() => agingReport(tasks, columns), [tasks, columns])
+
+  const labels = daily.map(d => shortDate(d.date))
+  const startOpen = daily[0]?.open ?? 0
+  const overdueNow = daily.length ? daily[daily.length - 1].overdue : 0
+
+  const kpis = [
+    ['OPEN', aging.length],
+    ['COMPLETED IN RANGE', inRange.length],
+    ['MEDIAN LEAD TIME', fmtDays(overall.lead.median)],
+    ['MEDIAN CYCLE TIME', fmtDays(overall.cycle.median)],
+    ['OVERDUE (END OF RANGE)', overdueNow],
+  ]
+
+  return (
+    <main role="main" aria-label="Metrics dashboard" style={{ padding:'20px 24px', display:'flex', flexDirection:'column', gap:16 }}>
+      <div style={{ display:'flex', gap:10, alignItems:'center', flexWrap:'wrap' }}>
+        <span style={{ fontSize:12, color:'#94a3b8' }}>Range</span>
+        <input type="date" value={from} max={to} onChange={e => setFrom(e.target.value)} aria-label="From date" style={{ ...inputStyle, width:'auto', padding:'4px 8px' }} />
+        <span style={{ fontSize:12, color:'#64748b' }}>→</span>
+        <input type="date" value={to} min={from} onChange={e => setTo(e.target.value)} aria-label="To date" style={{ ...inputStyle, width:'auto', padding:'4px 8px' }} />
+        {[30, 90, 180].map(n => (
+          <button key={n} onClick={() => { setFrom(daysAgo(n - 1)); setTo(dateKey(new Date())) }} style={btnStyle('#1e293b','#94a3b8')}>{n}d</button>
+        ))}
+        {filteredBy && <span style={{ fontSize:11, color:'#eab308' }}>Filtered by search: {filteredBy}</span>}
+        {!range && <span role="alert" style={{ fontSize:11, color:'#ef4444' }}>Choose a start date on or before the end date.</span>}
+      </div>
+
+      <div style={{ display:'grid', gridTemplateColumns:'repeat(auto-fit, minmax(150px, 1fr))', gap:12 }}>
+        {kpis.map(([k, v]) => (
+          <div key={k} style={{ ...panel, padding:12 }}>
+            <div style={{ fontSize:10, color:'#64748b', letterSpacing:1 }}>{k}</div>
+            <div style={{ fontSize:22, fontWeight:'bold', color:'#00ff88', marginTop:4 }}>{v}</div>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display:'grid', gridTemplateColumns:'repeat(auto-fit, minmax(420px, 1fr))', gap:16 }}>
+        <section style={panel} aria-label="Lead and cycle time">
+          <div style={heading}>
+            <span>{kind === 'lead' ? 'LEAD TIME' : 'CYCLE TIME'} BY {groupBy.toUpperCase()}</span>
+            <div style={{ display:'flex', gap:8 }}>
+              <Toggle label="Measure" value={kind} onChange={setKind} options={[['cycle','Cycle'], ['lead','Lead']]} />
+              <Toggle label="Group by" value={groupBy} onChange={setGroupBy} options={[['priority','Priority'], ['category','Category']]} />
+            </div>
+          </div>
+          <TimeTable rows={groups} colorOf={groupBy === 'priority' ? (p => PRIORITY_COLORS[p]) : null} />
+          <div style={{ fontSize:10, color:'#475569', marginTop:8 }}>
+            Lead: created → done. Cycle: first move out of {columns[0].name} → done. Bar = median, tick = 85th percentile.
+          </div>
+        </section>
+
+        <section style={panel} aria-label="Time in stage">
+          <div style={heading}><span>TIME IN STAGE (PER VISIT)</span></div>
+          <table style={{ width:'100%', borderCollapse:'collapse' }}>
+            <thead><tr><th style={th}></th><th style={th}>VISITS</th><th style={th}>MEDIAN</th><th style={th}>AVERAGE</th><th style={th}>85%</th></tr></thead>
+            <tbody>
+              {stages.map(s => (
+                <tr key={s.column.id} style={{ borderTop:'1px solid #1e293b' }}>
+                  <td style={{ ...td, color:s.column.color }}>{s.column.name}</td>
+                  <td style={td}>{s.count}</td>
+                  <td style={td}>{fmtDays(s.median)}</td>
+                  <td style={td}>{fmtDays(s.avg)}</td>
+                  <td style={td}>{fmtDays(s.p85)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+
+        <section style={panel} aria-label="Weekly throughput">
+          <div style={heading}><span>WEEKLY THROUGHPUT</span></div>
+          <BarChart label="Cards completed per week" color="#22c55e"
+            data={throughput.map(w => ({ label:shortDate(w.week), value:w.count }))} />
+        </section>
+
+        <section style={panel} aria-label="Overdue trend">
+          <div style={heading}><span>OVERDUE TREND</span></div>
+          <LineChart label="Overdue and open cards per day" labels={labels}
+            series={[{ name:'Overdue', color:'#ef4444', values:daily.map(d => d.overdue) }, { name:'Open', color:'#64748b', dashed:true, values:daily.map(d => d.open) }]} />
+          <Legend items={[{ name:'Overdue', color:'#ef4444' }, { name:'Open', color:'#64748b' }]} />
+        </section>
+
+        <section style={panel} aria-label="Cumulative flow and burndown">
+          <div style={heading}>
+            <span>{flow === 'cfd' ? 'CUMULATIVE FLOW' : 'BURNDOWN'}</span>
+            <Toggle label="Flow chart" value={flow} onChange={setFlow} options={[['cfd','CFD'], ['burndown','Burndown']]} />
+          </div>
+          {flow === 'cfd' ? <>
+            <StackedArea label="Cards per column per day" labels={labels}
+              series={[...columns].reverse().map(c => ({ name:c.name, color:c.color, values:daily.map(d => d.byCol[c.id]) }))} />
+            <Legend items={columns.map(c => ({ name:c.name, color:c.color }))} />
+          </> : <>
+            <LineChart label="Open cards remaining per day" labels={labels}
+              series={[
+                { name:'Remaining', color:'#00ff88', values:daily.map(d => d.open) },
+                { name:'Ideal', color:'#64748b', dashed:true, values:daily.map((_, i) => daily.length > 1 ? startOpen * (1 - i / (daily.length - 1)) : startOpen) }
+              ]} />
+            <Legend items={[{ name:'Remaining', color:'#00ff88' }, { name:'Ideal', color:'#64748b' }]} />
+          </>}
+        </section>
+
+        <section style={panel} aria-label="Aging report">
+          <div style={heading}><span>AGING — OPEN CARDS</span></div>
+          <BarChart label="Open cards by age" height={120}
+            data={AGE_BUCKETS.map(b => ({ label:b.label, color:b.color, value:aging.filter(a => ageBucket(a.age) === b).length }))} />
+          <table style={{ width:'100%', borderCollapse:'collapse', marginTop:8 }}>
+            <thead><tr><th style={th}>OLDEST</th><th style={th}>STAGE</th><th style={th}>AGE</th><th style={th}>IN STAGE</th><th style={th}>DUE</th></tr></thead>
+            <tbody>
+              {aging.slice(0, 10).map(({ task, age, inStage }) => (
+                <tr key={task.id} style={{ borderTop:'1px solid #1e293b' }}>
+                  <td style={{ ...td, maxWidth:200, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }} title={task.title}>{task.title}</td>
+                  <td style={td}>{task.stage}</td>
+                  <td style={{ ...td, color:ageBucket(age).color }}>{fmtDays(age)}</td>
+                  <td style={td}>{fmtDays(inStage)}</td>
+                  <td style={td}>{formatDate(task.due) || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {!aging.length && <div style={{ fontSize:12, color:'#475569' }}>No open cards.</div>}
+        </section>
+      </div>
+    </main>
+  )
+}
@@ -0,0 +1,51 @@
+import { dependencyLayers } from './deps.js'
+
+const COL_W = 150, NODE_W = 130, NODE_H = 26, GAP = 8, PAD = 6
+
+const clip = (s, n = 17) => s.length > n ? s.slice(0, n - 1) + '…' : s
+
+// ─── Dependency Graph ────────────────────────────────────────────────────────
+// Blockers of `task` to the left (furthest upstream first), tasks it blocks to
+// the right, with an arrow for every link between the tasks shown.
+export default function DepGraph({ task, tasks, isDone }) {
+  const { up, down } = dependencyLayers(task.id, tasks)
+  if (!up.length && !down.length) return <div style={{ fontSize:11, color:'#64748b' }}>No dependencies yet.</div>
+
+  const columns = [...[...up].reverse(), [task], ...down]
+  const rows = Math.max(...columns.map(c => c.length))
+  const height = rows * (NODE_H + GAP) - GAP + PAD * 2
+  const width = columns.length * COL_W - (COL_W - NODE_W) + PAD * 2
+  const pos = new Map()
+  columns.forEach((col, ci) => col.forEach((t, ri) => {
+    const offset = (height - PAD * 2 - (col.length * (NODE_H + GAP) - GAP)) / 2
+    pos.set(t.id, { x:PAD + ci * COL_W, y:PAD + offset + ri * (NODE_H + GAP), t })
+  }))
+  const edges = [...pos.values()].flatMap(({ t }) => (t.blockedBy || []).filter(id => pos.has(id)).map(id => [pos.get(id), pos.get(t.id)]))
+
+  return (
+    <div style={{ overflowX:'auto', background:'#0a0e1a', border:'1px solid #1e3a2f', borderRadius:6 }}>
+      <svg width={width} height={height} role="img" aria-label={`Dependencies of ${task.title}: ${up.flat().length} upstream, ${down.flat().length} downstream`}>
+        <defs>
+          <marker id="dep-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+            <path d="M0,0 L10,5 L0,10 z" fill="#64748b" />
+          </marker>
+        </defs>
+        {edges.map(([a, b], i) => (
+          <path key={i} d={`M${a.x + NODE_W},${a.y + NODE_H / 2} C${a.x + NODE_W + 12},${a.y + NODE_H / 2} ${b.x - 12},${b.y + NODE_H / 2} ${b.x},${b.y + NODE_H / 2}`}
+            fill="none" stroke={isDone(a.t) ? '#334155' : '#f97316'} strokeWidth={1.5} markerEnd="url(#dep-arrow)" />
+        ))}
+        {[...pos.values()].map(({ x, y, t }) => {
+          const done = isDone(t)
+          const color = t.id === task.id ? '#00ff88' : done ? '#475569' : '#93c5fd'
+          return (
+            <g key={t.id}>
+              <title>{`${t.title} — ${t.stage}`}</title>
+              <rect x={x} y={y} width={NODE_W} height={NODE_H} rx={5} fill="#161b2e" stroke={color} />
+              <text x={x + 8} y={y + NODE_H / 2 + 4} fontSize={11} fill={color} textDecoration={done ? 'line-through' : 'none'}>{clip(t.title)}</text>
+            </g>
+          )
+        })}
+      </svg>
+    </div>
+  )
+}
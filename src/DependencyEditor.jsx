@@ -0,0 +1,52 @@
+import { useState } from 'react'
+import DepGraph from './DepGraph.jsx'
+import { inputStyle, btnStyle } from './ui.jsx'
+
+const small = { ...inputStyle, padding:'4px 8px', fontSize:12 }
+
+function LinkList({ label, ids, byId, isDone, boardName, options, onChange }) {
+  return (
+    <div style={{ marginBottom:8 }}>
+      <div style={{ fontSize:10, color:'#64748b', letterSpacing:1, marginBottom:4 }}>{label.toUpperCase()}</div>
+      {ids.length > 0 && (
+        <ul aria-label={label} style={{ listStyle:'none', display:'flex', flexDirection:'column', gap:3, marginBottom:4 }}>
+          {ids.map(id => byId.get(id)).filter(Boolean).map(t => (
+            <li key={t.id} style={{ display:'flex', alignItems:'center', gap:6, fontSize:12, color:isDone(t) ? '#64748b' : '#e2e8f0' }}>
+              <span aria-hidden="true">{isDone(t) ? '✔' : '•'}</span>
+              <span style={{ flex:1, wordBreak:'break-word', textDecoration:isDone(t) ? 'line-through' : 'none' }}>
+                {t.title}<span style={{ color:'#64748b', fontSize:10 }}> · {t.stage}{boardName(t) ? ` · ${boardName(t)}` : ''}</span>
+              </span>
+              <button onClick={() => onChange(ids.filter(x => x !== t.id))} aria-label={`Remove link to ${t.title}`}
+                style={{ ...btnStyle('none','#64748b'), border:'none', padding:'2px 6px' }}>✕</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <select value="" onChange={e => e.target.value && onChange([...ids, e.target.value])} aria-label={`Add ${label.toLowerCase()}`} style={small}>
+        <option value="">+ Add task…</option>
+        {options.map(t => <option key={t.id} value={t.id}>{t.title}{boardName(t) ? ` (${boardName(t)})` : ''}</option>)}
+      </select>
+    </div>
+  )
+}
+
+// ─── Dependency Editor ───────────────────────────────────────────────────────
+// `tasks` already reflects the unsaved links, so the graph previews them.
+export default function DependencyEditor({ task, tasks, blockedBy, blocks, onChange, isDone, boardName, error }) {
+  const [graph, setGraph] = useState(false)
+  const byId = new Map(tasks.map(t => [t.id, t]))
+  const others = tasks.filter(t => t.id !== task.id).sort((a, b) => a.title.localeCompare(b.title))
+  const free = others.filter(t => !blockedBy.includes(t.id) && !blocks.includes(t.id))
+
+  return (
+    <div>
+      <LinkList label="Blocked by" ids={blockedBy} byId={byId} isDone={isDone} boardName={boardName} options={free}
+        onChange={ids => onChange({ blockedBy:ids, blocks })} />
+      <LinkList label="Blocks" ids={blocks} byId={byId} isDone={isDone} boardName={boardName} options={free}
+        onChange={ids => onChange({ blockedBy, blocks:ids })} />
+      {error && <div role="alert" style={{ color:'#ef4444', fontSize:11, marginBottom:6 }}>{error}</div>}
+      <button onClick={() => setGraph(g => !g)} aria-expanded={graph} style={btnStyle('#1e293b','#94a3b8')}>🕸 {graph ? 'Hide' : 'Show'} Graph</button>
+      {graph && <div style={{ marginTop:8 }}><DepGraph task={task} tasks={tasks} isDone={isDone} /></div>}
+    </div>
+  )
+}
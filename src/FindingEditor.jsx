@@ -0,0 +1,113 @@
+import { useState } from 'react'
+import { CVSS_METRICS, SEVERITY_COLORS, buildVector, vectorMetrics, parseCvss, baseScore, severityOf } from './cvss.js'
+import { REMEDIATION_STATUSES, MAX_ASSETS, normalizeId } from './findings.js'
+import { inputStyle, btnStyle } from './ui.jsx'
+
+const small = { ...inputStyle, padding:'4px 8px', fontSize:12 }
+const errStyle = { color:'#ef4444', fontSize:11, marginTop:4 }
+const sub = { fontSize:10, color:'#64748b', letterSpacing:1, margin:'10px 0 4px' }
+
+export function ScoreBadge({ score, style }) {
+  const sev = severityOf(score)
+  if (!sev) return null
+  const color = SEVERITY_COLORS[sev]
+  return (
+    <span aria-label={`CVSS ${score.toFixed(1)}, ${sev}`} title={`CVSS ${score.toFixed(1)} (${sev})`}
+      style={{ background:color + '22', color, border:`1px solid ${color}44`, fontSize:10, padding:'2px 7px', borderRadius:10, fontWeight:'bold', whiteSpace:'nowrap', ...style }}>
+      {score.toFixed(1)} {sev.toUpperCase()}
+    </span>
+  )
+}
+
+// Chip list with an input; pasted lists (comma, space or newline separated) add every entry.
+function ListInput({ label, items, onChange, placeholder, normalize = (v) => v.trim(), max }) {
+  const [draft, setDraft] = useState('')
+
+  function add() {
+    const next = draft.split(/[\s,;]+/).map(normalize).filter(v => v && !items.includes(v))
+    if (next.length) onChange([...items, ...next].slice(0, max))
+    setDraft('')
+  }
+
+  return (
+    <div>
+      {items.length > 0 && (
+        <ul aria-label={label} style={{ listStyle:'none', display:'flex', flexWrap:'wrap', gap:4, marginBottom:6 }}>
+          {items.map(v => (
+            <li key={v} style={{ display:'flex', alignItems:'center', gap:4, background:'#161b2e', border:'1px solid #1e3a2f', borderRadius:10, padding:'1px 4px 1px 8px', fontSize:11, color:'#e2e8f0', wordBreak:'break-all' }}>
+              {v}
+              <button onClick={() => onChange(items.filter(x => x !== v))} aria-label={`Remove ${v}`}
+                style={{ ...btnStyle('none','#64748b'), border:'none', padding:'0 4px' }}>✕</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div style={{ display:'flex', gap:6 }}>
+        <input value={draft} onChange={e => setDraft(e.target.value)} aria-label={`Add ${label}`} placeholder={placeholder}
+          onKeyDown={e => { if (e.key === 'Enter') { e.preventDefault(); add() } }} onBlur={add} style={small} />
+        <button onClick={add} style={btnStyle('#1e2a1e','#4ade80')}>+ Add</button>
+      </div>
+    </div>
+  )
+}
+
+// ─── Finding Editor ──────────────────────────────────────────────────────────
+// CVSS vector builder plus CVE/CWE references, affected assets and
+// remediation status. `errors` is the object from validateFinding().
+export default function FindingEditor({ inputId, value, onChange, errors = {} }) {
+  const set = (patch) => onChange({ ...value, ...patch })
+  const metrics = vectorMetrics(value.cvss)
+  const parsed = value.cvss ? parseCvss(value.cvss) : null
+  const score = parsed?.metrics ? baseScore(parsed.metrics) : null
+
+  return (
+    <div style={{ display:'flex', flexDirection:'column' }}>
+      <div style={{ ...sub, marginTop:0 }}>CVSS v3.1 BASE METRICS</div>
+      <div style={{ display:'grid', gridTemplateColumns:'repeat(auto-fill, minmax(130px, 1fr))', gap:6 }}>
+        {CVSS_METRICS.map(d => (
+          <label key={d.key} style={{ fontSize:10, color:'#94a3b8' }}>
+            {d.name}
+            <select value={metrics[d.key] || ''} onChange={e => set({ cvss:buildVector({ ...metrics, [d.key]:e.target.value }) })}
+              style={{ ...small, marginTop:2 }}>
+              <option value="">—</option>
+              {d.options.map(([o, name]) => <option key={o} value={o}>{name} ({o})</option>)}
+            </select>
+          </label>
+        ))}
+      </div>
+      <div style={{ display:'flex', gap:6, alignItems:'center', marginTop:6 }}>
+        <input id={inputId} value={value.cvss} onChange={e => set({ cvss:e.target.value })} aria-label="CVSS vector"
+          aria-invalid={!!errors.cvss} placeholder="CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H" style={small} />
+        {value.cvss && <button onClick={() => set({ cvss:'', derivePriority:false })} aria-label="Clear CVSS vector"
+          style={{ ...btnStyle('none','#64748b'), border:'none', padding:'2px 6px' }}>✕</button>}
+      </div>
+      <div aria-live="polite" style={{ display:'flex', gap:8, alignItems:'center', flexWrap:'wrap', marginTop:6, fontSize:12, color:'#94a3b8' }}>
+        {score !== null
+          ? <>Base score <ScoreBadge score={score} /></>
+          : value.cvss && <span style={{ color:'#64748b' }}>{Object.keys(metrics).length}/{CVSS_METRICS.length} metrics set</span>}
+        <label style={{ display:'flex', gap:4, alignItems:'center', marginLeft:'auto', cursor:'pointer' }}>
+          <input type="checkbox" checked={value.derivePriority} onChange={e => set({ derivePriority:e.target.checked })} />
+          Set priority from severity
+        </label>
+      </div>
+      {errors.cvss && <div role="alert" style={errStyle}>{errors.cvss}</div>}
+
+      <div style={sub}>CVE IDS</div>
+      <ListInput label="CVE IDs" items={value.cves} onChange={cves => set({ cves })} normalize={v => normalizeId('cve', v)} placeholder="CVE-2021-44228" />
+      {errors.cves && <div role="alert" style={errStyle}>{errors.cves}</div>}
+
+      <div style={sub}>CWE IDS</div>
+      <ListInput label="CWE IDs" items={value.cwes} onChange={cwes => set({ cwes })} normalize={v => normalizeId('cwe', v)} placeholder="CWE-79" />
+      {errors.cwes && <div role="alert" style={errStyle}>{errors.cwes}</div>}
+
+      <div style={sub}>AFFECTED ASSETS ({value.assets.length}/{MAX_ASSETS})</div>
+      <ListInput label="affected assets" items={value.assets} onChange={assets => set({ assets })} max={MAX_ASSETS} placeholder="host, IP, CIDR or URL" />
+      {errors.assets && <div role="alert" style={errStyle}>{errors.assets}</div>}
+
+      <div style={sub}>REMEDIATION</div>
+      <select value={value.remediation} onChange={e => set({ remediation:e.target.value })} aria-label="Remediation status" style={{ ...small, width:'auto' }}>
+        {REMEDIATION_STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+      </select>
+    </div>
+  )
+}
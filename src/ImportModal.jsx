@@ -0,0 +1,119 @@
+import { useState, useMemo } from 'react'
+import { PRIORITY_COLORS } from './constants.js'
+import { formatDate } from './helpers.js'
+import { IMPORT_FIELDS, guessMapping, buildPreview, finalizeImport } from './importer.js'
+import { Modal, inputStyle, btnStyle } from './ui.jsx'
+
+const cellStyle = { padding:'6px 8px', borderBottom:'1px solid #1e3a2f', fontSize:11, verticalAlign:'top', textAlign:'left' }
+
+// ─── Import Modal ────────────────────────────────────────────────────────────
+export default function ImportModal({ source, columns, existing, onImport, onClose }) {
+  const [mapping, setMapping] = useState(() => guessMapping(source.headers))
+  const [skipped, setSkipped] = useState({})
+
+  const preview = useMemo(() => buildPreview(source, mapping, { columns, existing }),
+    [source, mapping, columns, existing])
+
+  // Rows with errors can never be imported; duplicates are opt-in.
+  const isIncluded = (e) => !e.errors.length && (skipped[e.line] ?? !!e.duplicateOf) === false
+  const included   = preview.filter(isIncluded)
+  const errorCount = preview.filter(e => e.errors.length).length
+  const dupCount   = preview.filter(e => e.duplicateOf).length
+  const hasTitle   = Object.values(mapping).includes('title')
+
+  function toggle(entry) {
+    setSkipped(s => ({ ...s, [entry.line]: isIncluded(entry) }))
+  }
+
+  function confirm() {
+    if (!included.length) return
+    onImport(finalizeImport(included, columns))
+  }
+
+  return (
+    <Modal onClose={onClose} label="Import tasks" width={900}>
+      <div style={{ fontSize:16, fontWeight:'bold', color:'#00ff88', marginBottom:4 }}>⬆ IMPORT TASKS</div>
+      <div style={{ fontSize:12, color:'#64748b', marginBottom:14, wordBreak:'break-word' }}>
+        {source.fileName} · {source.rows.length} row{source.rows.length === 1 ? '' : 's'}
+      </div>
+
+      <div style={{ fontSize:11, color:'#64748b', marginBottom:6, letterSpacing:1 }}>COLUMN MAPPING</div>
+      <div style={{ display:'grid', gridTemplateColumns:'repeat(auto-fill, minmax(200px, 1fr))', gap:8, marginBottom:16 }}>
+        {source.headers.map(h => (
+          <label key={h} style={{ display:'flex', flexDirection:'column', gap:3, fontSize:11, color:'#94a3b8' }}>
+            <span style={{ overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }} title={h}>{h}</span>
+            <select value={mapping[h]} onChange={e => setMapping(m => ({ ...m, [h]:e.target.value }))}
+              style={{ ...inputStyle, padding:'4px 8px', fontSize:12 }}>
+              <option value="">— ignore —</option>
+              {Object.entries(IMPORT_FIELDS).map(([f, label]) => <option key={f} value={f}>{label}</option>)}
+            </select>
+          </label>
+        ))}
+      </div>
+      {!hasTitle && <div role="alert" style={{ color:'#ef4444', fontSize:11, marginBottom:10 }}>Map one column to Task Name to continue.</div>}
+
+      <div role="status" style={{ display:'flex', gap:16, fontSize:12, color:'#94a3b8', marginBottom:8, flexWrap:'wrap' }}>
+        <span>Ready: <strong style={{ color:'#00ff88' }}>{included.length}</strong></span>
+        <span>Errors: <strong style={{ color:errorCount ? '#ef4444' : '#e2e8f0' }}>{errorCount}</strong></span>
+        <span>Possible duplicates: <strong style={{ color:dupCount ? '#f97316' : '#e2e8f0' }}>{dupCount}</strong></span>
+      </div>
+
+      <div style={{ maxHeight:'45vh', overflow:'auto', border:'1px solid #1e3a2f', borderRadius:8 }}>
+        <table style={{ width:'100%', borderCollapse:'collapse' }}>
+          <thead style={{ position:'sticky', top:0, background:'#161b2e' }}>
+            <tr style={{ color:'#64748b' }}>
+              <th style={cellStyle}><span style={{ position:'absolute', width:1, height:1, overflow:'hidden' }}>Include</span></th>
+              <th style={cellStyle}>Row</th>
+              <th style={cellStyle}>Task</th>
+              <th style={cellStyle}>Priority</th>
+              <th style={cellStyle}>Stage</th>
+              <th style={cellStyle}>Due</th>
+              <th style={cellStyle}>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {preview.map(e => {
+              const on = isIncluded(e)
+              return (
+                <tr key={e.line} style={{ opacity:on ? 1 : 0.55 }}>
+                  <td style={cellStyle}>
+                    <input type="checkbox" checked={on} disabled={!!e.errors.length} onChange={() => toggle(e)}
+                      aria-label={`Import row ${e.line}`} />
+                  </td>
+                  <td style={{ ...cellStyle, color:'#64748b' }}>{e.line}</td>
+                  <td style={{ ...cellStyle, color:'#e2e8f0', wordBreak:'break-word', maxWidth:260 }}>
+                    {e.task.title || <em style={{ color:'#475569' }}>(untitled)</em>}
+                    <div style={{ color:'#64748b' }}>{e.task.category}</div>
+                  </td>
+                  <td style={{ ...cellStyle, color:PRIORITY_COLORS[e.task.priority] || '#94a3b8' }}>{e.task.priority || '—'}</td>
+                  <td style={{ ...cellStyle, color:'#94a3b8' }}>{e.task.stage || '—'}</td>
+                  <td style={{ ...cellStyle, color:'#94a3b8', whiteSpace:'nowrap' }}>{formatDate(e.task.due) || '—'}</td>
+                  <td style={cellStyle}>
+                    {e.errors.map(msg => <div key={msg} style={{ color:'#ef4444' }}>✖ {msg}</div>)}
+                    {e.warnings.map(msg => <div key={msg} style={{ color:'#eab308' }}>⚠ {msg}</div>)}
+                    {e.duplicateOf && (
+                      <div style={{ color:'#f97316' }}>
+                        ⧉ {e.duplicateOf.task
+                          ? `Matches existing "${e.duplicateOf.task.title}" (${e.duplicateOf.task.stage})`
+                          : `Same title as row ${e.duplicateOf.line}`}
+                      </div>
+                    )}
+                    {!e.errors.length && !e.warnings.length && !e.duplicateOf && <span style={{ color:'#4ade80' }}>✔ OK</span>}
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ display:'flex', gap:10, justifyContent:'flex-end', marginTop:16 }}>
+        <button onClick={onClose} style={btnStyle('#1e293b','#94a3b8')}>Cancel</button>
+        <button onClick={confirm} disabled={!included.length || !hasTitle}
+          style={{ background:'#00ff88', color:'#0a0e1a', border:'none', padding:'8px 20px', borderRadius:6, cursor:included.length ? 'pointer' : 'not-allowed', opacity:included.length ? 1 : 0.5, fontWeight:'bold', fontFamily:'inherit', fontSize:13 }}>
+          Import {included.length} Task{included.length === 1 ? '' : 's'}
+        </button>
+      </div>
+    </Modal>
+  )
+}
@@ -0,0 +1,68 @@
+import { useState, useEffect, useRef } from 'react'
+import { unlockStore } from './storage.js'
+import { inputStyle, btnStyle } from './ui.jsx'
+
+// ─── Lock Screen ─────────────────────────────────────────────────────────────
+// Shown instead of the app while the stored board is sealed. Failed attempts
+// never touch the stored data.
+export default function LockScreen({ env, onUnlock, onDownload, onStartFresh }) {
+  const [pass,    setPass]    = useState('')
+  const [error,   setError]   = useState('')
+  const [busy,    setBusy]    = useState(false)
+  const [confirm, setConfirm] = useState(false)
+  const inputRef = useRef()
+
+  useEffect(() => { inputRef.current?.focus() }, [])
+
+  async function submit(e) {
+    e.preventDefault()
+    if (!pass || busy) return
+    setBusy(true); setError('')
+    try {
+      onUnlock(await unlockStore(env, pass))
+    } catch (err) {
+      setError(err.message || 'Could not unlock.')
+      setBusy(false)
+      setPass('')
+      requestAnimationFrame(() => inputRef.current?.focus())
+    }
+  }
+
+  return (
+    <main role="main" aria-label="Board locked" style={{ minHeight:'100vh', display:'flex', alignItems:'center', justifyContent:'center', padding:16 }}>
+      <form onSubmit={submit} style={{ background:'#0d1117', border:'1px solid #1e3a2f', borderRadius:12, padding:28, width:'100%', maxWidth:400 }}>
+        <div style={{ textAlign:'center', marginBottom:20 }}>
+          <div aria-hidden="true" style={{ fontSize:36, color:'#00ff88' }}>🔒</div>
+          <div style={{ fontSize:16, fontWeight:'bold', color:'#00ff88', letterSpacing:2, marginTop:6 }}>BOARD LOCKED</div>
+          <div style={{ fontSize:11, color:'#64748b', marginTop:4 }}>
+            Encrypted{env.savedAt ? ` · last saved ${new Date(env.savedAt).toLocaleString()}` : ''}
+          </div>
+        </div>
+        <label htmlFor="unlock-pass" style={{ display:'block', fontSize:11, color:'#64748b', marginBottom:5, letterSpacing:1 }}>PASSPHRASE</label>
+        <input id="unlock-pass" ref={inputRef} type="password" autoComplete="current-password" value={pass} disabled={busy}
+          onChange={e => { setPass(e.target.value); setError('') }}
+          aria-invalid={!!error} aria-describedby={error ? 'unlock-err' : undefined}
+          style={{ ...inputStyle, borderColor:error ? '#ef4444' : '#1e3a2f' }} />
+        {error && <div id="unlock-err" role="alert" style={{ color:'#ef4444', fontSize:12, marginTop:6 }}>⚠ {error}</div>}
+        <button type="submit" disabled={busy || !pass}
+          style={{ width:'100%', marginTop:14, background:'#00ff88', color:'#0a0e1a', border:'none', padding:'9px 20px', borderRadius:6, cursor:'pointer', fontWeight:'bold', fontFamily:'inherit', fontSize:13, opacity:busy || !pass ? 0.6 : 1 }}>
+          {busy ? 'Unlocking…' : 'Unlock'}
+        </button>
+
+        <div style={{ borderTop:'1px solid #1e3a2f', marginTop:20, paddingTop:14, fontSize:11, color:'#64748b', lineHeight:1.6 }}>
+          Forgotten passphrases cannot be recovered. The encrypted board stays in this browser until you choose otherwise.
+          <div style={{ display:'flex', gap:6, marginTop:10, flexWrap:'wrap' }}>
+            <button type="button" onClick={onDownload} style={btnStyle('#1e293b','#93c5fd')}>⬇ Download Encrypted Copy</button>
+            {confirm
+              ? <>
+                  <button type="button" onClick={onStartFresh} style={btnStyle('#2a1e1e','#f87171')}>Set Aside & Start Fresh</button>
+                  <button type="button" onClick={() => setConfirm(false)} style={btnStyle('#1e293b','#94a3b8')}>Cancel</button>
+                </>
+              : <button type="button" onClick={() => setConfirm(true)} style={btnStyle('#1e293b','#94a3b8')}>Start Fresh…</button>}
+          </div>
+          {confirm && <div role="alert" style={{ color:'#fca5a5', marginTop:8 }}>The encrypted board is kept in this browser under a quarantine key; a downloaded copy can be restored later with its passphrase.</div>}
+        </div>
+      </form>
+    </main>
+  )
+}
@@ -0,0 +1,87 @@
+import { useState } from 'react'
+import { MAX_MEMBER_NAME, initialsOf, newMember, memberProblem, hasLoggedTime } from './members.js'
+import { Modal, Field, inputStyle, btnStyle } from './ui.jsx'
+
+export function Avatar({ member, size = 20 }) {
+  return (
+    <span title={member.name} aria-label={member.name}
+      style={{ width:size, height:size, borderRadius:'50%', background:member.color + '33', color:member.color, border:`1px solid ${member.color}88`,
+        fontSize:size * 0.42, fontWeight:'bold', display:'inline-flex', alignItems:'center', justifyContent:'center', flexShrink:0, opacity:member.active ? 1 : 0.5 }}>
+      {member.initials}
+    </span>
+  )
+}
+
+// ─── Members Modal ───────────────────────────────────────────────────────────
+export default function MembersModal({ members, tasks, me, onMe, onAdd, onUpdate, onRemove, onClose }) {
+  const [name,  setName]  = useState('')
+  const [names, setNames] = useState(() => Object.fromEntries(members.map(m => [m.id, m.name])))
+  const [error, setError] = useState(null)
+
+  const active = members.filter(m => m.active)
+  const countOf = (id) => tasks.filter(t => t.assignees?.includes(id)).length
+
+  function add() {
+    const err = memberProblem(name, members)
+    if (err) { setError(err); return }
+    const m = newMember(name, members)
+    onAdd(m)
+    setNames(n => ({ ...n, [m.id]:m.name }))
+    if (!me) onMe(m.id)
+    setName(''); setError(null)
+  }
+
+  function rename(m) {
+    const next = (names[m.id] ?? m.name).trim()
+    if (next === m.name) return
+    const err = memberProblem(next, members, m.id)
+    if (err) { setError(err); setNames(n => ({ ...n, [m.id]:m.name })); return }
+    setError(null)
+    onUpdate(m.id, { name:next, initials:initialsOf(next) }, 'Rename member')
+  }
+
+  return (
+    <Modal onClose={onClose} label="Team members" width={520}>
+      <div style={{ fontSize:16, fontWeight:'bold', color:'#00ff88', marginBottom:14 }}>👥 TEAM</div>
+
+      <Field label="I am" htmlFor="m-me" hint="(this browser — used for timers and assignee:me)">
+        <select id="m-me" value={me || ''} onChange={e => onMe(e.target.value || null)} style={inputStyle}>
+          <option value="">— Not set —</option>
+          {active.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+        </select>
+      </Field>
+
+      <div style={{ display:'flex', flexDirection:'column', gap:8, marginBottom:18 }}>
+        {members.length === 0 && <div style={{ fontSize:12, color:'#64748b' }}>No members yet.</div>}
+        {members.map(m => (
+          <div key={m.id} style={{ display:'flex', gap:8, alignItems:'center', border:'1px solid #1e3a2f', borderRadius:8, padding:8, background:'#161b2e', opacity:m.active ? 1 : 0.6 }}>
+            <Avatar member={m} size={26} />
+            <input value={names[m.id] ?? m.name} onChange={e => setNames(n => ({ ...n, [m.id]:e.target.value }))}
+              onBlur={() => rename(m)} onKeyDown={e => { if (e.key === 'Enter') e.currentTarget.blur() }}
+              aria-label={`Name of ${m.name}`} maxLength={MAX_MEMBER_NAME} disabled={!m.active}
+              style={{ ...inputStyle, flex:1, width:'auto', padding:'6px 10px' }} />
+            <span style={{ fontSize:11, color:'#64748b', whiteSpace:'nowrap' }}>
+              {m.active ? `${countOf(m.id)} task${countOf(m.id) === 1 ? '' : 's'}` : 'inactive'}{m.id === me ? ' · you' : ''}
+            </span>
+            {m.active
+              ? <button onClick={() => onRemove(m)} aria-label={`Remove ${m.name}`}
+                  title={hasLoggedTime(m.id, tasks) ? 'Has logged time — will be deactivated and kept in timesheets' : 'Remove'}
+                  style={btnStyle('#2a1e1e','#f87171')}>🗑</button>
+              : <button onClick={() => onUpdate(m.id, { active:true }, 'Reactivate member')} style={btnStyle('#1e293b','#94a3b8')}>↺ Reactivate</button>}
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display:'flex', gap:6 }}>
+        <input value={name} onChange={e => { setName(e.target.value); setError(null) }} maxLength={MAX_MEMBER_NAME} aria-label="New member name"
+          onKeyDown={e => { if (e.key === 'Enter') add() }} style={inputStyle} placeholder="Add a team member..." />
+        <button onClick={add} style={btnStyle('#1e2a1e','#4ade80')}>+ Add</button>
+      </div>
+      {error && <div role="alert" style={{ color:'#ef4444', fontSize:11, marginTop:6 }}>{error}</div>}
+
+      <div style={{ display:'flex', justifyContent:'flex-end', marginTop:16 }}>
+        <button onClick={onClose} style={btnStyle('#1e293b','#94a3b8')}>Close</button>
+      </div>
+    </Modal>
+  )
+}
@@ -0,0 +1,53 @@
+import { RECURRENCE_PRESETS, RECURRENCE_UNITS, makeRecurrence } from './recurrence.js'
+import { inputStyle } from './ui.jsx'
+
+const small = { ...inputStyle, width:'auto', padding:'4px 8px', fontSize:12 }
+
+// ─── Recurrence Editor ───────────────────────────────────────────────────────
+export default function RecurrenceEditor({ inputId, value, onChange }) {
+  const set = (patch) => onChange({ ...value, ...patch })
+
+  function changeFreq(freq) {
+    if (!freq) return onChange(null)
+    const next = makeRecurrence(freq, value || {})
+    onChange(value ? { ...value, freq, unit:next.unit, interval:next.interval } : next)
+  }
+
+  return (
+    <div style={{ display:'flex', flexDirection:'column', gap:6 }}>
+      <div style={{ display:'flex', gap:6, alignItems:'center', flexWrap:'wrap' }}>
+        <select id={inputId} value={value?.freq || ''} onChange={e => changeFreq(e.target.value)} style={small}>
+          <option value="">Does not repeat</option>
+          {Object.entries(RECURRENCE_PRESETS).map(([k, p]) => <option key={k} value={k}>{p.label}</option>)}
+          <option value="custom">Custom…</option>
+        </select>
+        {value?.freq === 'custom' && <>
+          <span style={{ fontSize:12, color:'#94a3b8' }}>every</span>
+          <input type="number" min={1} max={365} value={value.interval} aria-label="Repeat interval"
+            onChange={e => set({ interval:Number(e.target.value) })} style={{ ...small, width:64 }} />
+          <select value={value.unit} onChange={e => set({ unit:e.target.value })} aria-label="Repeat unit" style={small}>
+            {RECURRENCE_UNITS.map(u => <option key={u} value={u}>{u}{value.interval === 1 ? '' : 's'}</option>)}
+          </select>
+        </>}
+      </div>
+      {value && (
+        <div style={{ display:'flex', gap:6, alignItems:'center', flexWrap:'wrap' }}>
+          <span style={{ fontSize:12, color:'#94a3b8' }}>ends</span>
+          <select value={value.ends} onChange={e => set({ ends:e.target.value })} aria-label="Repeat ends" style={small}>
+            <option value="never">never</option>
+            <option value="after">after</option>
+            <option value="on">on date</option>
+          </select>
+          {value.ends === 'after' && <>
+            <input type="number" min={1} max={999} value={value.count ?? ''} aria-label="Number of occurrences"
+              onChange={e => set({ count:e.target.value === '' ? null : Number(e.target.value) })} style={{ ...small, width:64 }} />
+            <span style={{ fontSize:12, color:'#94a3b8' }}>occurrences</span>
+          </>}
+          {value.ends === 'on' && (
+            <input type="date" value={value.until || ''} aria-label="Repeat until" onChange={e => set({ until:e.target.value })} style={small} />
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
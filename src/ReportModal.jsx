@@ -0,0 +1,108 @@
+import { useState, useMemo } from 'react'
+import { CATEGORIES } from './constants.js'
+import { downloadFile } from './helpers.js'
+import { isDoneStage } from './workflow.js'
+import { buildReport, toMarkdown, toHtml } from './report.js'
+import { Modal, Field, inputStyle, btnStyle } from './ui.jsx'
+
+const slug = (s) => s.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'report'
+
+// ─── Report Modal ────────────────────────────────────────────────────────────
+// Picks the tasks (board or search results, narrowed by category) and the
+// report metadata, then downloads or opens the generated document.
+export default function ReportModal({ boards, tasks, board, searchResults, meta, onSaveMeta, onDone, onClose }) {
+  const [scope,  setScope]  = useState(searchResults ? 'search' : 'board')
+  const [cats,   setCats]   = useState(CATEGORIES)
+  const [form,   setForm]   = useState(meta)
+
+  const byId = useMemo(() => new Map(boards.map(b => [b.id, b])), [boards])
+  const source = scope === 'search' ? searchResults : scope === 'all' ? tasks : tasks.filter(t => t.boardId === board.id)
+  const selected = source.filter(t => cats.includes(t.category))
+
+  function generate() {
+    if (form.title !== meta.title || form.client !== meta.client || form.author !== meta.author) onSaveMeta(form)
+    const scopeText = [
+      scope === 'all' ? 'All boards' : `Board: ${board.name}${scope === 'search' ? ' (search results)' : ''}`,
+      cats.length < CATEGORIES.length && `Categories: ${cats.join(', ')}`
+    ].filter(Boolean).join(' · ')
+    return buildReport(selected, {
+      meta: { ...form, scope:scopeText },
+      boardName: t => scope === 'all' ? byId.get(t.boardId)?.name : '',
+      isDone: t => isDoneStage(byId.get(t.boardId)?.columns || [], t.stage)
+    })
+  }
+
+  const fileName = (ext) => `${slug(form.client ? `${form.client} ${form.title}` : form.title)}-${new Date().toISOString().slice(0,10)}.${ext}`
+
+  function download(kind) {
+    const report = generate()
+    if (kind === 'md') downloadFile(fileName('md'), toMarkdown(report), 'text/markdown')
+    else downloadFile(fileName('html'), toHtml(report), 'text/html')
+    onDone(`📄 Report downloaded (${selected.length} task${selected.length === 1 ? '' : 's'}).`)
+  }
+
+  // Writes the HTML into a new tab; with `print` the print dialog follows so
+  // it can be saved as PDF. The report has no external resources to wait for.
+  function open(print) {
+    const win = window.open('', '_blank')
+    if (!win) { onDone('⚠ Pop-up blocked — download the HTML instead.'); return }
+    win.document.open()
+    win.document.write(toHtml(generate()))
+    win.document.close()
+    if (print) { win.focus(); win.print() }
+  }
+
+  const toggleCat = (c) => setCats(cs => cs.includes(c) ? cs.filter(x => x !== c) : CATEGORIES.filter(x => x === c || cs.includes(x)))
+  const set = (k) => (e) => setForm(f => ({ ...f, [k]:e.target.value }))
+  const empty = !selected.length
+
+  return (
+    <Modal onClose={onClose} label="Generate report" width={520}>
+      <div style={{ fontSize:16, fontWeight:'bold', color:'#00ff88', marginBottom:4 }}>📄 ENGAGEMENT REPORT</div>
+      <div style={{ fontSize:12, color:'#64748b', marginBottom:14 }}>Generated in the browser — nothing is uploaded.</div>
+
+      <Field label="Report Title" htmlFor="r-title">
+        <input id="r-title" value={form.title} onChange={set('title')} maxLength={120} style={inputStyle} placeholder="Engagement Report" />
+      </Field>
+      <div style={{ display:'grid', gridTemplateColumns:'1fr 1fr', gap:12 }}>
+        <Field label="Client" htmlFor="r-client">
+          <input id="r-client" value={form.client} onChange={set('client')} maxLength={120} style={inputStyle} />
+        </Field>
+        <Field label="Author" htmlFor="r-author">
+          <input id="r-author" value={form.author} onChange={set('author')} maxLength={120} style={inputStyle} />
+        </Field>
+      </div>
+
+      <Field label="Tasks" htmlFor="r-scope">
+        <select id="r-scope" value={scope} onChange={e => setScope(e.target.value)} style={inputStyle}>
+          <option value="board">This board — {board.name}</option>
+          {searchResults && <option value="search">Current search results ({searchResults.length})</option>}
+          <option value="all">All boards</option>
+        </select>
+      </Field>
+
+      <fieldset style={{ border:'none', padding:0, margin:'0 0 12px' }}>
+        <legend style={{ fontSize:11, color:'#64748b', marginBottom:5, letterSpacing:1 }}>CATEGORIES</legend>
+        <div style={{ display:'flex', flexWrap:'wrap', gap:'4px 12px' }}>
+          {CATEGORIES.map(c => (
+            <label key={c} style={{ fontSize:12, color:'#94a3b8', display:'flex', gap:4, alignItems:'center', cursor:'pointer' }}>
+              <input type="checkbox" checked={cats.includes(c)} onChange={() => toggleCat(c)} />{c}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <div aria-live="polite" style={{ fontSize:12, color:empty ? '#f97316' : '#94a3b8', marginBottom:14 }}>
+        {empty ? '⚠ No tasks match this selection.' : `${selected.length} task${selected.length === 1 ? '' : 's'} will be included.`}
+      </div>
+
+      <div style={{ display:'flex', gap:8, justifyContent:'flex-end', flexWrap:'wrap' }}>
+        <button onClick={onClose} style={{ ...btnStyle('#1e293b','#94a3b8'), marginRight:'auto' }}>Cancel</button>
+        <button onClick={() => open(false)} disabled={empty} style={{ ...btnStyle('#1e293b','#93c5fd'), opacity:empty ? 0.4 : 1 }}>👁 Preview</button>
+        <button onClick={() => open(true)} disabled={empty} style={{ ...btnStyle('#1e293b','#93c5fd'), opacity:empty ? 0.4 : 1 }}>🖨 Print / PDF</button>
+        <button onClick={() => download('md')} disabled={empty} style={{ ...btnStyle('#1e2a1e','#4ade80'), opacity:empty ? 0.4 : 1 }}>⬇ Markdown</button>
+        <button onClick={() => download('html')} disabled={empty} style={{ ...btnStyle('#1e2a1e','#4ade80'), opacity:empty ? 0.4 : 1 }}>⬇ HTML</button>
+      </div>
+    </Modal>
+  )
+}
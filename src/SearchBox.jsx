@@ -0,0 +1,66 @@
+import { useState, useRef, useMemo } from 'react'
+import { suggest } from './query.js'
+
+// ─── Search Box ──────────────────────────────────────────────────────────────
+// Query input with field/value autocomplete for the token under the cursor.
+export default function SearchBox({ value, onChange, columns, members, errors }) {
+  const [cursor, setCursor] = useState(0)
+  const [open,   setOpen]   = useState(false)
+  const [active, setActive] = useState(0)
+  const inputRef = useRef()
+
+  const { from, to, items } = useMemo(() => suggest(value, cursor, columns, members), [value, cursor, columns, members])
+  const showList = open && items.length > 0
+  const invalid = errors.length > 0
+
+  function track(e) { setCursor(e.target.selectionStart ?? e.target.value.length) }
+
+  function pick(item) {
+    const insert = item.insert.endsWith(':') ? item.insert : `${item.insert} `
+    const rest = value.slice(to).replace(/^\s+/, '')
+    const pos = from + insert.length
+    onChange(value.slice(0, from) + insert + rest)
+    setCursor(pos); setActive(0)
+    requestAnimationFrame(() => inputRef.current?.setSelectionRange(pos, pos))
+  }
+
+  function onKeyDown(e) {
+    if (e.key === 'Escape') { if (showList) { e.stopPropagation(); setOpen(false) } return }
+    if (!showList) return
+    if (e.key === 'ArrowDown') { e.preventDefault(); setActive(i => (i + 1) % items.length) }
+    else if (e.key === 'ArrowUp') { e.preventDefault(); setActive(i => (i - 1 + items.length) % items.length) }
+    else if (e.key === 'Enter' || e.key === 'Tab') { e.preventDefault(); pick(items[Math.min(active, items.length - 1)]) }
+  }
+
+  return (
+    <div style={{ position:'relative' }}>
+      <label htmlFor="search" style={{ position:'absolute', width:1, height:1, overflow:'hidden', clip:'rect(0,0,0,0)' }}>Search tasks</label>
+      <input id="search" ref={inputRef} value={value} autoComplete="off" spellCheck={false}
+        role="combobox" aria-expanded={showList} aria-controls="search-suggestions" aria-autocomplete="list"
+        aria-activedescendant={showList ? `search-opt-${active}` : undefined}
+        aria-invalid={invalid} aria-describedby={invalid ? 'search-err' : undefined}
+        onChange={e => { onChange(e.target.value); track(e); setOpen(true); setActive(0) }}
+        onKeyUp={track} onClick={track} onKeyDown={onKeyDown}
+        onFocus={() => setOpen(true)} onBlur={() => setOpen(false)}
+        placeholder='Search… e.g. priority:high due:<7d' title="Filter with text or field:value — priority, category, stage, title, notes, due, created, assignee, is, has. Prefix - to exclude."
+        style={{ background:'#161b2e', border:`1px solid ${invalid ? '#ef4444' : '#1e3a2f'}`, color:'#e2e8f0', padding:'6px 12px', borderRadius:6, fontSize:13, width:280, fontFamily:'inherit' }} />
+      {showList && (
+        <ul id="search-suggestions" role="listbox" aria-label="Search suggestions"
+          style={{ position:'absolute', left:0, top:34, listStyle:'none', background:'#161b2e', border:'1px solid #1e3a2f', borderRadius:8, zIndex:110, minWidth:200, padding:4 }}>
+          {items.map((item, i) => (
+            <li key={item.insert} id={`search-opt-${i}`} role="option" aria-selected={i === active}
+              onMouseDown={e => { e.preventDefault(); pick(item) }} onMouseEnter={() => setActive(i)}
+              style={{ padding:'6px 10px', fontSize:12, borderRadius:4, cursor:'pointer', color:i === active ? '#00ff88' : '#e2e8f0', background:i === active ? '#1e3a2f' : 'none' }}>
+              {item.label}
+            </li>
+          ))}
+        </ul>
+      )}
+      {invalid && (
+        <div id="search-err" role="status" style={{ position:'absolute', left:0, top:34, fontSize:10, color:'#f87171', background:'#0d1117', padding:'2px 6px', borderRadius:4, whiteSpace:'nowrap', display:showList ? 'none' : 'block', zIndex:105 }}>
+          {errors[0]}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,119 @@
+import { useState } from 'react'
+import { passphraseProblem, MIN_PASSPHRASE } from './crypto.js'
+import { Modal, Field, inputStyle, btnStyle } from './ui.jsx'
+
+export const AUTO_LOCK_OPTIONS = [0, 5, 15, 30, 60]
+
+const section = { borderTop:'1px solid #1e3a2f', paddingTop:14, marginTop:14 }
+const title = { fontSize:12, color:'#e2e8f0', fontWeight:'bold', marginBottom:8 }
+
+function PassInput({ id, label, value, onChange, autoComplete = 'new-password' }) {
+  return (
+    <Field label={label} htmlFor={id}>
+      <input id={id} type="password" autoComplete={autoComplete} value={value} onChange={e => onChange(e.target.value)} style={inputStyle} />
+    </Field>
+  )
+}
+
+// ─── Security Modal ──────────────────────────────────────────────────────────
+// Handlers are async and reject with an Error whose message is shown inline.
+export default function SecurityModal({
+  encrypted, autoLock, onAutoLock, copies, onRemoveCopies,
+  onEnable, onChangePass, onDisable, onLock, onBackup, onClose
+}) {
+  const [form,  setForm]  = useState({ pass:'', confirm:'', current:'' })
+  const [busy,  setBusy]  = useState(null)
+  const [error, setError] = useState({})
+
+  const set = (k) => (v) => { setForm(f => ({ ...f, [k]:v })); setError({}) }
+
+  async function run(name, check, action) {
+    const problem = check()
+    if (problem) { setError({ [name]:problem }); return }
+    setBusy(name); setError({})
+    try {
+      await action()
+      setForm({ pass:'', confirm:'', current:'' })
+    } catch (err) {
+      setError({ [name]:err.message || 'Something went wrong.' })
+    }
+    setBusy(null)
+  }
+
+  const newPass = () => passphraseProblem(form.pass, form.confirm)
+  const needCurrent = () => form.current ? null : 'Enter the current passphrase.'
+  const err = (name) => error[name] && <div role="alert" style={{ color:'#ef4444', fontSize:11, marginBottom:8 }}>⚠ {error[name]}</div>
+  const action = (name, label, onClick, color = '#4ade80') => (
+    <button onClick={onClick} disabled={!!busy} style={{ ...btnStyle('#1e2a1e', color), opacity:busy ? 0.5 : 1 }}>
+      {busy === name ? 'Working…' : label}
+    </button>
+  )
+
+  return (
+    <Modal onClose={onClose} label="Security settings" width={480}>
+      <div style={{ fontSize:16, fontWeight:'bold', color:'#00ff88', marginBottom:4 }}>🛡 SECURITY</div>
+      <div style={{ fontSize:12, color:'#64748b', marginBottom:8, lineHeight:1.6 }}>
+        {encrypted
+          ? 'Boards are encrypted at rest (AES-256-GCM, PBKDF2-SHA-256 key).'
+          : 'Boards are stored unencrypted.'}
+      </div>
+
+      {!encrypted && <>
+        <div style={section}>
+          <div style={title}>Encrypt boards</div>
+          <div style={{ fontSize:11, color:'#94a3b8', marginBottom:10, lineHeight:1.6 }}>
+            All boards are encrypted with a key derived from your passphrase ({MIN_PASSPHRASE}+ characters). There is no recovery if you forget it — keep a backup.
+          </div>
+          <PassInput id="sec-pass" label="Passphrase" value={form.pass} onChange={set('pass')} />
+          <PassInput id="sec-confirm" label="Confirm Passphrase" value={form.confirm} onChange={set('confirm')} />
+          {err('enable')}
+          <div style={{ display:'flex', gap:8, flexWrap:'wrap' }}>
+            {action('enable', '🔒 Enable Encryption', () => run('enable', newPass, () => onEnable(form.pass)))}
+            {action('backup', '💾 Encrypted Backup Only', () => run('backup', newPass, () => onBackup(form.pass)), '#93c5fd')}
+          </div>
+        </div>
+      </>}
+
+      {encrypted && <>
+        <div style={section}>
+          <div style={{ display:'flex', gap:10, alignItems:'center', flexWrap:'wrap' }}>
+            <button onClick={onLock} style={btnStyle('#1e2a1e','#4ade80')}>🔒 Lock Now</button>
+            <label htmlFor="sec-autolock" style={{ fontSize:12, color:'#94a3b8', marginLeft:'auto' }}>Auto-lock after</label>
+            <select id="sec-autolock" value={autoLock} onChange={e => onAutoLock(Number(e.target.value))} style={{ ...inputStyle, width:'auto', padding:'4px 8px' }}>
+              {AUTO_LOCK_OPTIONS.map(m => <option key={m} value={m}>{m ? `${m} min idle` : 'never'}</option>)}
+            </select>
+          </div>
+        </div>
+
+        <div style={section}>
+          <div style={title}>Change passphrase</div>
+          <PassInput id="sec-current" label="Current Passphrase" value={form.current} onChange={set('current')} autoComplete="current-password" />
+          <PassInput id="sec-pass" label="New Passphrase" value={form.pass} onChange={set('pass')} />
+          <PassInput id="sec-confirm" label="Confirm New Passphrase" value={form.confirm} onChange={set('confirm')} />
+          {err('change')}
+          {action('change', 'Re-encrypt with New Passphrase', () => run('change', () => needCurrent() || newPass(), () => onChangePass(form.current, form.pass)))}
+        </div>
+
+        <div style={section}>
+          <div style={title}>Turn off encryption</div>
+          <div style={{ fontSize:11, color:'#94a3b8', marginBottom:8 }}>Boards will be written as plaintext again. Uses the current passphrase above.</div>
+          {err('disable')}
+          {action('disable', 'Decrypt & Turn Off', () => run('disable', needCurrent, () => onDisable(form.current)), '#f87171')}
+        </div>
+
+        {copies.length > 0 && (
+          <div style={section} role="alert">
+            <div style={{ fontSize:11, color:'#fca5a5', marginBottom:8, lineHeight:1.6 }}>
+              ⚠ {copies.length} unencrypted cop{copies.length === 1 ? 'y' : 'ies'} from before encryption (migration or quarantine backups) remain in this browser.
+            </div>
+            <button onClick={onRemoveCopies} style={btnStyle('#2a1e1e','#f87171')}>Remove Unencrypted Copies</button>
+          </div>
+        )}
+      </>}
+
+      <div style={{ display:'flex', justifyContent:'flex-end', marginTop:16 }}>
+        <button onClick={onClose} style={btnStyle('#1e293b','#94a3b8')}>Close</button>
+      </div>
+    </Modal>
+  )
+}
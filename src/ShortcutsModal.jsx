@@ -0,0 +1,74 @@
+import { useState } from 'react'
+import { ACTIONS, comboOf, comboProblem, formatCombo, keysOf } from './keymap.js'
+import { Modal, btnStyle } from './ui.jsx'
+
+const kbd = { fontSize:11, color:'#e2e8f0', border:'1px solid #1e3a2f', borderRadius:4, padding:'1px 6px', background:'#161b2e' }
+
+// ─── Shortcuts Modal ─────────────────────────────────────────────────────────
+// The help overlay; each action can be rebound by pressing the new combo.
+export default function ShortcutsModal({ overrides, onChange, onClose }) {
+  const [capture, setCapture] = useState(null)
+  const [error,   setError]   = useState(null)
+
+  function onCaptureKey(e, id) {
+    e.preventDefault(); e.stopPropagation()
+    if (e.key === 'Escape') { setCapture(null); setError(null); return }
+    const combo = comboOf(e)
+    if (!combo) return
+    const problem = comboProblem(overrides, id, combo)
+    if (problem) { setError(problem); return }
+    onChange({ ...overrides, [id]:[combo] })
+    setCapture(null); setError(null)
+  }
+
+  function resetOne(id) {
+    const { [id]:_, ...rest } = overrides
+    const clash = ACTIONS.find(a => a.id === id).keys.map(k => comboProblem(rest, id, k)).find(Boolean)
+    if (clash) { setError(clash); return }
+    onChange(rest); setError(null)
+  }
+
+  const groups = [...new Set(ACTIONS.map(a => a.group))]
+
+  return (
+    <Modal onClose={() => { if (!capture) onClose() }} label="Keyboard shortcuts" width={560}>
+      <div style={{ display:'flex', alignItems:'center', justifyContent:'space-between', marginBottom:6 }}>
+        <div style={{ fontSize:16, fontWeight:'bold', color:'#00ff88' }}>⌨ KEYBOARD SHORTCUTS</div>
+        {Object.keys(overrides).length > 0 && (
+          <button onClick={() => { onChange({}); setError(null) }} style={btnStyle('#1e293b','#94a3b8')}>Reset All</button>
+        )}
+      </div>
+      <div style={{ fontSize:12, color:'#64748b', marginBottom:12, lineHeight:1.6 }}>
+        Tab to a card, then use these keys. Card shortcuts act on the focused card. Click a shortcut to rebind it; Escape cancels.
+      </div>
+
+      {groups.map(g => (
+        <section key={g} aria-label={g} style={{ marginBottom:12 }}>
+          <div style={{ fontSize:11, color:'#64748b', letterSpacing:1, marginBottom:6 }}>{g.toUpperCase()}</div>
+          {ACTIONS.filter(a => a.group === g).map(a => (
+            <div key={a.id} style={{ display:'flex', alignItems:'center', gap:8, padding:'4px 0', borderBottom:'1px solid #161b2e' }}>
+              <span style={{ flex:1, fontSize:13, color:'#e2e8f0' }}>{a.label}</span>
+              <button onClick={() => { setCapture(a.id); setError(null) }} onKeyDown={capture === a.id ? e => onCaptureKey(e, a.id) : undefined}
+                onBlur={() => { if (capture === a.id) setCapture(null) }} aria-label={`Rebind ${a.label}`}
+                style={{ background:'none', border:'none', cursor:'pointer', display:'flex', gap:4, padding:0 }}>
+                {capture === a.id
+                  ? <span style={{ ...kbd, color:'#00ff88', borderColor:'#00ff88' }}>Press keys…</span>
+                  : keysOf(overrides, a.id).map(k => <kbd key={k} style={kbd}>{formatCombo(k)}</kbd>)}
+              </button>
+              {overrides[a.id] && (
+                <button onClick={() => resetOne(a.id)} aria-label={`Reset ${a.label}`} title="Reset to default"
+                  style={{ ...btnStyle('none','#64748b'), border:'none', padding:'2px 4px' }}>↺</button>
+              )}
+            </div>
+          ))}
+        </section>
+      ))}
+
+      {error && <div role="alert" style={{ color:'#ef4444', fontSize:11, marginBottom:8 }}>⚠ {error}</div>}
+
+      <div style={{ display:'flex', justifyContent:'flex-end', marginTop:8 }}>
+        <button onClick={onClose} style={btnStyle('#1e293b','#94a3b8')}>Close</button>
+      </div>
+    </Modal>
+  )
+}
@@ -0,0 +1,139 @@
+import { useState } from 'react'
+import { PRIORITIES, CATEGORIES, PRIORITY_COLORS } from './constants.js'
+import { newPolicy, policyProblem, SLA_PRESETS } from './sla.js'
+import { Modal, Field, inputStyle, btnStyle } from './ui.jsx'
+
+const chipStyle = (on, color) => ({
+  background: on ? color + '22' : 'none', color: on ? color : '#475569',
+  border: `1px solid ${on ? color + '66' : '#1e3a2f'}`, borderRadius:10,
+  padding:'1px 8px', fontSize:10, cursor:'pointer', fontFamily:'inherit'
+})
+const small = { ...inputStyle, width:70, padding:'4px 6px', fontSize:12 }
+const hoursIn = (v) => v === '' ? null : Number(v)
+
+export const LEAD_OPTIONS = [[0, 'Off'], [1, '1 hour'], [4, '4 hours'], [24, '1 day'], [48, '2 days'], [168, '1 week']]
+
+// ─── SLA & Reminders Modal ───────────────────────────────────────────────────
+// Policies are board data (undoable); the reminder settings are per browser.
+export default function SlaModal({ policies, stages, leadHours, onLeadHours, notify, onNotify, onSave, onClose }) {
+  const [rows,  setRows]  = useState(() => policies.map(p => ({ ...p })))
+  const [error, setError] = useState(null)
+
+  const update = (id, patch) => { setRows(rs => rs.map(r => r.id === id ? { ...r, ...patch } : r)); setError(null) }
+  const toggle = (r, key, v) => update(r.id, { [key]: r[key].includes(v) ? r[key].filter(x => x !== v) : [...r[key], v] })
+
+  function move(i, dir) {
+    setRows(rs => {
+      const next = [...rs]
+      const j = i + dir
+      if (j < 0 || j >= next.length) return rs
+      ;[next[i], next[j]] = [next[j], next[i]]
+      return next
+    })
+  }
+
+  function addPreset(name) {
+    if (name) setRows(rs => [...rs, ...SLA_PRESETS[name].map(p => newPolicy(p))])
+  }
+
+  function save() {
+    const clean = rows.map(r => ({ ...r, name:r.name.trim() }))
+    const err = clean.map(policyProblem).find(Boolean)
+    if (err) { setError(err); return }
+    onSave(clean)
+  }
+
+  return (
+    <Modal onClose={onClose} label="SLA policies and reminders" width={680}>
+      <div style={{ display:'flex', alignItems:'center', justifyContent:'space-between', marginBottom:6, gap:10, flexWrap:'wrap' }}>
+        <div style={{ fontSize:16, fontWeight:'bold', color:'#00ff88' }}>⏰ SLA &amp; REMINDERS</div>
+        <select value="" onChange={e => addPreset(e.target.value)} aria-label="Add SLA preset"
+          style={{ ...inputStyle, width:'auto', padding:'4px 8px', fontSize:12 }}>
+          <option value="">Add preset…</option>
+          {Object.keys(SLA_PRESETS).map(p => <option key={p} value={p}>{p}</option>)}
+        </select>
+      </div>
+      <div style={{ fontSize:12, color:'#64748b', marginBottom:12 }}>
+        The first policy matching a card's priority and category applies. Acknowledge ends when the card leaves its first column; resolve ends in a done column.
+      </div>
+
+      <div style={{ display:'flex', flexDirection:'column', gap:8 }}>
+        {rows.length === 0 && <div style={{ fontSize:12, color:'#475569' }}>No SLA policies.</div>}
+        {rows.map((r, i) => (
+          <div key={r.id} style={{ border:'1px solid #1e3a2f', borderRadius:8, padding:10, background:'#161b2e' }}>
+            <div style={{ display:'flex', gap:8, alignItems:'center', flexWrap:'wrap' }}>
+              <div style={{ display:'flex', flexDirection:'column' }}>
+                <button onClick={() => move(i, -1)} disabled={i === 0} aria-label={`Move ${r.name || 'policy'} up`} style={{ ...btnStyle('none','#64748b'), padding:'0 6px', border:'none' }}>▲</button>
+                <button onClick={() => move(i, 1)} disabled={i === rows.length - 1} aria-label={`Move ${r.name || 'policy'} down`} style={{ ...btnStyle('none','#64748b'), padding:'0 6px', border:'none' }}>▼</button>
+              </div>
+              <input value={r.name} onChange={e => update(r.id, { name:e.target.value })} aria-label="Policy name" maxLength={40}
+                style={{ ...inputStyle, flex:'1 1 140px', width:'auto', padding:'6px 10px' }} placeholder="Policy name" />
+              <label style={{ fontSize:11, color:'#94a3b8', display:'flex', alignItems:'center', gap:4 }}>
+                Ack
+                <input type="number" min="0.25" step="0.25" value={r.ackHours ?? ''} placeholder="—" onChange={e => update(r.id, { ackHours:hoursIn(e.target.value) })} style={small} />h
+              </label>
+              <label style={{ fontSize:11, color:'#94a3b8', display:'flex', alignItems:'center', gap:4 }}>
+                Resolve
+                <input type="number" min="0.25" step="0.25" value={r.resolveHours ?? ''} placeholder="—" onChange={e => update(r.id, { resolveHours:hoursIn(e.target.value) })} style={small} />h
+              </label>
+              <button onClick={() => setRows(rs => rs.filter(x => x.id !== r.id))} aria-label={`Delete ${r.name || 'policy'}`}
+                style={btnStyle('#2a1e1e','#f87171')}>🗑</button>
+            </div>
+            <div style={{ display:'flex', gap:4, alignItems:'center', flexWrap:'wrap', marginTop:8, fontSize:10, color:'#64748b' }}>
+              <span style={{ marginRight:2 }}>PRIORITY:</span>
+              {r.priorities.length === 0 && <span style={{ color:'#475569' }}>any ·</span>}
+              {PRIORITIES.map(p => (
+                <button key={p} onClick={() => toggle(r, 'priorities', p)} aria-pressed={r.priorities.includes(p)} style={chipStyle(r.priorities.includes(p), PRIORITY_COLORS[p])}>{p}</button>
+              ))}
+            </div>
+            <div style={{ display:'flex', gap:4, alignItems:'center', flexWrap:'wrap', marginTop:6, fontSize:10, color:'#64748b' }}>
+              <span style={{ marginRight:2 }}>CATEGORY:</span>
+              {r.categories.length === 0 && <span style={{ color:'#475569' }}>any ·</span>}
+              {CATEGORIES.map(c => (
+                <button key={c} onClick={() => toggle(r, 'categories', c)} aria-pressed={r.categories.includes(c)} style={chipStyle(r.categories.includes(c), '#93c5fd')}>{c}</button>
+              ))}
+            </div>
+            {r.resolveHours !== null && (
+              <label style={{ display:'flex', gap:6, alignItems:'center', marginTop:6, fontSize:10, color:'#64748b' }}>
+                RESOLVE CLOCK STARTS:
+                <select value={r.resolveFrom} onChange={e => update(r.id, { resolveFrom:e.target.value })} style={{ ...inputStyle, width:'auto', padding:'2px 6px', fontSize:11 }}>
+                  <option value="">when created</option>
+                  {stages.map(s => <option key={s} value={s}>on entering {s}</option>)}
+                </select>
+              </label>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <button onClick={() => setRows(rs => [...rs, newPolicy()])} style={{ ...btnStyle('#1e2a1e','#4ade80'), marginTop:10 }}>+ Add Policy</button>
+
+      <div style={{ borderTop:'1px solid #1e3a2f', marginTop:16, paddingTop:12 }}>
+        <div style={{ fontSize:11, color:'#64748b', letterSpacing:1, marginBottom:10 }}>REMINDERS (THIS BROWSER)</div>
+        <div style={{ display:'grid', gridTemplateColumns:'1fr 1fr', gap:12, alignItems:'end' }}>
+          <Field label="Remind before due" htmlFor="sla-lead">
+            <select id="sla-lead" value={leadHours} onChange={e => onLeadHours(Number(e.target.value))} style={inputStyle}>
+              {LEAD_OPTIONS.map(([v, label]) => <option key={v} value={v}>{label}</option>)}
+            </select>
+          </Field>
+          <label style={{ fontSize:12, color:'#94a3b8', display:'flex', alignItems:'center', gap:6, marginBottom:20 }}>
+            <input type="checkbox" checked={notify} onChange={e => onNotify(e.target.checked)} disabled={typeof Notification === 'undefined'} />
+            Desktop notifications
+          </label>
+        </div>
+        <div style={{ fontSize:11, color:'#475569' }}>
+          Overdue, at-risk ({'≥'}75% of the window) and breached SLAs are always announced in the app. Each reminder fires once; snooze it from the toast.
+        </div>
+      </div>
+
+      {error && <div role="alert" style={{ color:'#ef4444', fontSize:11, marginTop:10 }}>{error}</div>}
+
+      <div style={{ display:'flex', gap:10, justifyContent:'flex-end', marginTop:16 }}>
+        <button onClick={onClose} style={btnStyle('#1e293b','#94a3b8')}>Cancel</button>
+        <button onClick={save} style={{ background:'#00ff88', color:'#0a0e1a', border:'none', padding:'8px 20px', borderRadius:6, cursor:'pointer', fontWeight:'bold', fontFamily:'inherit', fontSize:13 }}>
+          Save Policies
+        </button>
+      </div>
+    </Modal>
+  )
+}
@@ -0,0 +1,109 @@
+import { useState } from 'react'
+import { BACKENDS, backendProblem, createAdapter } from './adapters.js'
+import { Modal, Field, inputStyle, btnStyle } from './ui.jsx'
+
+export const SYNC_LABELS = {
+  saving:  'Saving…',
+  synced:  'All changes saved',
+  offline: 'Offline — changes are queued and sent when the server is back',
+  error:   'The last save failed',
+}
+
+const section = { borderTop:'1px solid #1e3a2f', paddingTop:14, marginTop:14 }
+
+// ─── Storage & Sync Modal ────────────────────────────────────────────────────
+// Where this browser keeps the board. onSwitch is async and rejects with an
+// Error whose message is shown inline.
+export default function SyncModal({ backend, status, conflictMode, onConflictMode, onSwitch, onClose }) {
+  const [form, setForm] = useState(backend)
+  const [busy, setBusy] = useState(null)
+  const [note, setNote] = useState(null)
+
+  const set = (patch) => { setForm(f => ({ ...f, ...patch })); setNote(null) }
+  const clean = { ...form, url:form.kind === 'rest' ? form.url.trim() : '', token:form.kind === 'rest' ? form.token.trim() : '' }
+  const changed = clean.kind !== backend.kind || clean.url !== backend.url || clean.token !== backend.token
+
+  async function run(name, action) {
+    const problem = backendProblem(clean)
+    if (problem) { setNote({ ok:false, text:problem }); return }
+    setBusy(name); setNote(null)
+    try {
+      await action()
+    } catch (err) {
+      setNote({ ok:false, text:err.message || 'Something went wrong.' })
+    }
+    setBusy(null)
+  }
+
+  const test = () => run('test', async () => {
+    const adapter = createAdapter(clean)
+    try {
+      const { raw, rev } = await adapter.load()
+      setNote({ ok:true, text:raw === null ? 'Connected — no board stored there yet.' : `Connected — board at revision ${rev}.` })
+    } finally {
+      adapter.close?.()
+    }
+  })
+
+  return (
+    <Modal onClose={onClose} label="Storage and sync" width={500}>
+      <div style={{ fontSize:16, fontWeight:'bold', color:'#00ff88', marginBottom:4 }}>☁ STORAGE &amp; SYNC</div>
+      <div style={{ fontSize:12, color:'#64748b', marginBottom:8, lineHeight:1.6 }}>
+        {BACKENDS[backend.kind]}{backend.kind === 'rest' ? ` · ${backend.url}` : ''} — {SYNC_LABELS[status] || 'Connecting…'}
+      </div>
+
+      <div style={section} role="radiogroup" aria-label="Storage backend">
+        {Object.entries(BACKENDS).map(([kind, label]) => (
+          <label key={kind} style={{ display:'flex', gap:8, alignItems:'center', fontSize:13, color:'#e2e8f0', marginBottom:8, cursor:'pointer' }}>
+            <input type="radio" name="sync-kind" checked={form.kind === kind} onChange={() => set({ kind })} />
+            {label}
+          </label>
+        ))}
+        {form.kind === 'rest' && (
+          <div style={{ display:'grid', gridTemplateColumns:'3fr 2fr', gap:10, marginTop:6 }}>
+            <Field label="Server address" htmlFor="sync-url">
+              <input id="sync-url" value={form.url} onChange={e => set({ url:e.target.value })} placeholder="http://localhost:8787" style={inputStyle} />
+            </Field>
+            <Field label="Access token" htmlFor="sync-token" hint="if set">
+              <input id="sync-token" type="password" autoComplete="off" value={form.token} onChange={e => set({ token:e.target.value })} style={inputStyle} />
+            </Field>
+          </div>
+        )}
+        <div style={{ fontSize:11, color:'#475569', lineHeight:1.6 }}>
+          {form.kind === 'rest'
+            ? 'Run your own with `npm run server` (see server/API.md). Encrypted boards stay encrypted — the server only ever sees ciphertext.'
+            : 'Other tabs of this browser pick up changes as they are saved.'}
+          {' '}When the new backend is empty this board is copied there; otherwise the board stored there opens and this one stays where it was.
+        </div>
+      </div>
+
+      <div style={section}>
+        <Field label="When two edits collide" htmlFor="sync-conflicts">
+          <select id="sync-conflicts" value={conflictMode} onChange={e => onConflictMode(e.target.value)} style={inputStyle}>
+            <option value="ask">Keep the latest, and ask me to review</option>
+            <option value="lww">Keep the latest (last writer wins)</option>
+          </select>
+        </Field>
+      </div>
+
+      {note && (
+        <div role={note.ok ? 'status' : 'alert'} style={{ color:note.ok ? '#4ade80' : '#ef4444', fontSize:11, marginTop:4 }}>
+          {note.ok ? '✔' : '⚠'} {note.text}
+        </div>
+      )}
+
+      <div style={{ display:'flex', gap:10, justifyContent:'flex-end', marginTop:16 }}>
+        <button onClick={onClose} style={btnStyle('#1e293b','#94a3b8')}>Close</button>
+        {clean.kind !== 'local' && (
+          <button onClick={test} disabled={!!busy} style={{ ...btnStyle('#1a2744','#93c5fd'), opacity:busy ? 0.5 : 1 }}>
+            {busy === 'test' ? 'Testing…' : 'Test'}
+          </button>
+        )}
+        <button onClick={() => run('switch', () => onSwitch(clean))} disabled={!changed || !!busy}
+          style={{ ...btnStyle('#1e2a1e','#4ade80'), opacity:!changed || busy ? 0.5 : 1 }}>
+          {busy === 'switch' ? 'Switching…' : 'Use This Backend'}
+        </button>
+      </div>
+    </Modal>
+  )
+}
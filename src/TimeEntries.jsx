@@ -0,0 +1,95 @@
+import { useState, useEffect } from 'react'
+import { dateKey } from './helpers.js'
+import { entryMs, loggedMs, manualEntry, formatDuration } from './timesheet.js'
+import { inputStyle, btnStyle } from './ui.jsx'
+
+const small = { ...inputStyle, padding:'4px 6px', fontSize:11 }
+const pad = (n) => String(n).padStart(2, '0')
+
+// ISO timestamp <-> value of a datetime-local input (local time, minutes).
+const toLocalInput = (iso) => { const d = new Date(iso); return `${dateKey(d)}T${pad(d.getHours())}:${pad(d.getMinutes())}` }
+const fromLocalInput = (v) => { const d = new Date(v); return isNaN(d) ? null : d.toISOString() }
+
+function clock(ms) {
+  const s = Math.floor(ms / 1000)
+  return `${Math.floor(s / 3600)}:${pad(Math.floor(s / 60) % 60)}:${pad(s % 60)}`
+}
+
+// Time logged on `task`, ticking every second while one of its timers runs.
+export function Elapsed({ task, running }) {
+  const [now, setNow] = useState(Date.now)
+  useEffect(() => {
+    if (!running) return
+    const t = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(t)
+  }, [running])
+  const ms = loggedMs(task, running ? now : Date.now())
+  return running ? clock(ms) : formatDuration(ms)
+}
+
+// ─── Time Entries Editor ─────────────────────────────────────────────────────
+export default function TimeEntriesEditor({ inputId, entries, estimate, members, me, onChange, error }) {
+  const [who,   setWho]   = useState(me || '')
+  const [day,   setDay]   = useState(() => dateKey(new Date()))
+  const [hours, setHours] = useState('')
+  const [note,  setNote]  = useState('')
+
+  const byId = new Map(members.map(m => [m.id, m]))
+  const choices = members.filter(m => m.active)
+  const total = entries.reduce((s, e) => s + entryMs(e), 0)
+  const h = Number(hours)
+  const canAdd = who && day && h > 0 && h <= 24
+
+  const update = (id, patch) => onChange(entries.map(e => e.id === id ? { ...e, ...patch } : e))
+
+  function add() {
+    if (!canAdd) return
+    onChange([...entries, manualEntry(who, day, h, note.trim())])
+    setHours(''); setNote('')
+  }
+
+  return (
+    <div>
+      <div style={{ fontSize:10, color:total > estimate * 3600000 && estimate ? '#f87171' : '#64748b', marginBottom:6 }}>
+        Logged {formatDuration(total)}{estimate ? ` of ${estimate}h estimate` : ''}
+      </div>
+      {entries.length > 0 && (
+        <ul aria-label="Time entries" style={{ listStyle:'none', display:'flex', flexDirection:'column', gap:4, maxHeight:200, overflowY:'auto', marginBottom:6 }}>
+          {[...entries].sort((a, b) => b.start.localeCompare(a.start)).map(e => (
+            <li key={e.id} style={{ display:'grid', gridTemplateColumns:'88px 1fr 1fr 52px 20px', gap:4, alignItems:'center' }}>
+              <select value={e.memberId} onChange={ev => update(e.id, { memberId:ev.target.value })} aria-label="Person" style={small}>
+                {!byId.get(e.memberId)?.active && <option value={e.memberId}>{byId.get(e.memberId)?.name || 'Unknown'}</option>}
+                {choices.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+              </select>
+              <input type="datetime-local" value={toLocalInput(e.start)} aria-label="Start"
+                onChange={ev => { const v = fromLocalInput(ev.target.value); if (v) update(e.id, { start:v }) }} style={small} />
+              {e.end
+                ? <input type="datetime-local" value={toLocalInput(e.end)} aria-label="End"
+                    onChange={ev => { const v = fromLocalInput(ev.target.value); if (v) update(e.id, { end:v }) }} style={small} />
+                : <span style={{ fontSize:11, color:'#00ff88' }}>● running</span>}
+              <span style={{ fontSize:10, color:'#94a3b8', textAlign:'right' }}>{formatDuration(entryMs(e))}</span>
+              <button onClick={() => onChange(entries.filter(x => x.id !== e.id))} aria-label="Delete time entry"
+                style={{ ...btnStyle('none','#64748b'), border:'none', padding:'2px 4px' }}>✕</button>
+              <input value={e.note} onChange={ev => update(e.id, { note:ev.target.value })} maxLength={200} aria-label="Entry note"
+                placeholder="Note..." style={{ ...small, gridColumn:'2 / 5' }} />
+            </li>
+          ))}
+        </ul>
+      )}
+      <div style={{ display:'flex', gap:4, flexWrap:'wrap' }}>
+        <select id={inputId} value={who} onChange={e => setWho(e.target.value)} aria-label="Person for new entry" style={{ ...small, width:100 }}>
+          <option value="">Who…</option>
+          {choices.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+        </select>
+        <input type="date" value={day} onChange={e => setDay(e.target.value)} aria-label="Day" style={{ ...small, width:130 }} />
+        <input type="number" min="0.25" max="24" step="0.25" value={hours} onChange={e => setHours(e.target.value)} aria-label="Hours"
+          onKeyDown={e => { if (e.key === 'Enter') { e.preventDefault(); add() } }} placeholder="h" style={{ ...small, width:60 }} />
+        <input value={note} onChange={e => setNote(e.target.value)} maxLength={200} aria-label="Note for new entry"
+          onKeyDown={e => { if (e.key === 'Enter') { e.preventDefault(); add() } }} placeholder="Note..." style={{ ...small, flex:'1 1 80px', width:'auto' }} />
+        <button onClick={add} disabled={!canAdd} style={{ ...btnStyle('#1e2a1e','#4ade80'), opacity:canAdd ? 1 : 0.4 }}>+ Log</button>
+      </div>
+      {!choices.length && <div style={{ fontSize:10, color:'#64748b', marginTop:4 }}>Add team members (👥) to log time.</div>}
+      {error && <div role="alert" style={{ color:'#ef4444', fontSize:11, marginTop:4 }}>{error}</div>}
+    </div>
+  )
+}
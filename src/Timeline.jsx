@@ -0,0 +1,107 @@
+import { useState, useMemo } from 'react'
+import { PRIORITY_COLORS, PRIORITIES } from './constants.js'
+import { dateKey, parseLocalDate, formatDate, isOverdue } from './helpers.js'
+import { isDoneStage } from './workflow.js'
+import { btnStyle } from './ui.jsx'
+
+const DAY = 86400000
+const ZOOMS = { week:28, month:10, quarter:4 }
+const LABEL_W = 220, ROW_H = 26
+
+const dayIndex = (key, origin) => Math.round((parseLocalDate(key) - origin) / DAY)
+
+// ─── Timeline View ───────────────────────────────────────────────────────────
+// Gantt-style bars from creation to due date, one row per dated task.
+export default function Timeline({ tasks, columns, onOpen }) {
+  const [zoom, setZoom] = useState('month')
+  const px = ZOOMS[zoom]
+
+  const rows = useMemo(() => tasks
+    .filter(t => t.due)
+    .map(t => {
+      const created = dateKey(new Date(t.createdAt))
+      return { task:t, start:created < t.due ? created : t.due, end:created < t.due ? t.due : created }
+    })
+    .sort((a, b) => a.task.due.localeCompare(b.task.due) || PRIORITIES.indexOf(a.task.priority) - PRIORITIES.indexOf(b.task.priority)),
+  [tasks])
+
+  const today = dateKey(new Date())
+  const keys = [today, ...rows.flatMap(r => [r.start, r.end])].sort()
+  const origin = parseLocalDate(keys[0]); origin.setDate(origin.getDate() - 3)
+  const span = Math.min(730, dayIndex(keys[keys.length - 1], origin) + 4)
+  const width = span * px
+
+  const months = []
+  for (let i = 0; i < span; i++) {
+    const d = new Date(origin.getFullYear(), origin.getMonth(), origin.getDate() + i)
+    if (i === 0 || d.getDate() === 1) months.push({ i, label:d.toLocaleDateString(undefined, { month:'short', year:'numeric' }) })
+  }
+  const weeks = Array.from({ length:span }, (_, i) => i).filter(i => new Date(origin.getFullYear(), origin.getMonth(), origin.getDate() + i).getDay() === 1)
+  const todayX = dayIndex(today, origin) * px
+
+  if (!rows.length) {
+    return <main role="main" aria-label="Timeline" style={{ padding:40, textAlign:'center', color:'#475569', fontSize:13 }}>No tasks with a due date to show.</main>
+  }
+
+  return (
+    <main role="main" aria-label="Timeline" style={{ padding:'20px 24px', display:'flex', flexDirection:'column', gap:12 }}>
+      <div style={{ display:'flex', gap:8, alignItems:'center', flexWrap:'wrap' }}>
+        <span style={{ fontSize:12, color:'#94a3b8' }}>{rows.length} dated task{rows.length === 1 ? '' : 's'} · bars run from creation to due date</span>
+        <div role="group" aria-label="Timeline zoom" style={{ display:'flex', gap:4, marginLeft:'auto' }}>
+          {Object.keys(ZOOMS).map(z => (
+            <button key={z} onClick={() => setZoom(z)} aria-pressed={zoom === z}
+              style={btnStyle(zoom === z ? '#1e3a2f' : '#1e293b', zoom === z ? '#00ff88' : '#94a3b8')}>{z[0].toUpperCase() + z.slice(1)}</button>
+          ))}
+        </div>
+      </div>
+
+      <div style={{ overflowX:'auto', background:'#0d1117', border:'1px solid #1e3a2f', borderRadius:12 }}>
+        <div style={{ position:'relative', width:LABEL_W + width, minWidth:'100%' }}>
+          <div aria-hidden="true" style={{ display:'flex', height:36, borderBottom:'1px solid #1e3a2f', position:'sticky', top:0, background:'#0d1117', zIndex:2 }}>
+            <div style={{ width:LABEL_W, flexShrink:0, position:'sticky', left:0, background:'#0d1117', zIndex:3 }}></div>
+            <div style={{ position:'relative', width }}>
+              {months.map(m => <span key={m.i} style={{ position:'absolute', left:m.i * px + 4, top:4, fontSize:10, color:'#94a3b8', whiteSpace:'nowrap' }}>{m.label}</span>)}
+              {weeks.map(i => <span key={i} style={{ position:'absolute', left:i * px, bottom:0, height:8, borderLeft:'1px solid #334155' }}></span>)}
+            </div>
+          </div>
+
+          <div role="list" style={{ position:'relative' }}>
+            <div aria-hidden="true" style={{ position:'absolute', left:LABEL_W + todayX, top:0, bottom:0, borderLeft:'1px dashed #00ff88', zIndex:1 }}></div>
+            {rows.map(({ task, start, end }) => {
+              const done = isDoneStage(columns, task.stage)
+              const overdue = isOverdue(task.due, done)
+              const color = PRIORITY_COLORS[task.priority]
+              const x = dayIndex(start, origin) * px
+              const w = Math.max(px, (dayIndex(end, origin) - dayIndex(start, origin) + 1) * px)
+              return (
+                <div key={task.id} role="listitem" style={{ display:'flex', height:ROW_H, alignItems:'center', borderBottom:'1px solid #161b2e' }}>
+                  <div style={{ width:LABEL_W, flexShrink:0, position:'sticky', left:0, background:'#0d1117', zIndex:2, padding:'0 10px', fontSize:12,
+                    color:done ? '#64748b' : '#e2e8f0', overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap', textDecoration:done ? 'line-through' : 'none' }} title={task.title}>
+                    {task.title}
+                  </div>
+                  <div style={{ position:'relative', width, height:'100%' }}>
+                    <button onClick={() => onOpen(task)}
+                      aria-label={`${task.title}: ${formatDate(start)} to ${formatDate(task.due)}, ${task.priority}, ${task.stage}${overdue ? ', overdue' : ''}`}
+                      title={`${task.title}\n${formatDate(start)} → due ${formatDate(task.due)} · ${task.stage}`}
+                      style={{ position:'absolute', left:x, width:w, top:5, height:ROW_H - 10, padding:0, cursor:'pointer',
+                        background:color + (done ? '44' : 'bb'), border:`1px solid ${overdue ? '#ef4444' : color}`, borderRadius:4 }}>
+                    </button>
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      </div>
+
+      <div style={{ display:'flex', gap:12, flexWrap:'wrap' }}>
+        {PRIORITIES.map(p => (
+          <span key={p} style={{ fontSize:10, color:'#94a3b8', display:'flex', alignItems:'center', gap:4 }}>
+            <span aria-hidden="true" style={{ width:10, height:8, background:PRIORITY_COLORS[p], borderRadius:2, display:'inline-block' }}></span>{p}
+          </span>
+        ))}
+        <span style={{ fontSize:10, color:'#94a3b8' }}><span style={{ color:'#00ff88' }}>┆</span> today · <span style={{ color:'#ef4444' }}>▭</span> overdue</span>
+      </div>
+    </main>
+  )
+}
@@ -0,0 +1,98 @@
+import { useState, useMemo } from 'react'
+import * as XLSX from 'xlsx'
+import { dateKey, downloadFile } from './helpers.js'
+import { timesheet, timesheetCsv } from './timesheet.js'
+import { Modal, Field, inputStyle, btnStyle } from './ui.jsx'
+
+function monthStart() { const d = new Date(); d.setDate(1); return dateKey(d) }
+
+function sheetOf(rows) {
+  const ws = XLSX.utils.json_to_sheet(rows)
+  ws['!cols'] = Object.keys(rows[0]).map(k => ({ wch: Math.min(60, Math.max(k.length, ...rows.map(o => String(o[k] ?? '').length)) + 2) }))
+  return ws
+}
+
+// ─── Timesheet Modal ─────────────────────────────────────────────────────────
+// Hours per task, category and person over a date range, for billing.
+export default function TimesheetModal({ boards, tasks, board, members, onDone, onClose }) {
+  const [from,   setFrom]   = useState(monthStart)
+  const [to,     setTo]     = useState(() => dateKey(new Date()))
+  const [scope,  setScope]  = useState('board')
+  const [person, setPerson] = useState('')
+
+  const byId = useMemo(() => new Map(members.map(m => [m.id, m])), [members])
+  const boardNames = useMemo(() => new Map(boards.map(b => [b.id, b.name])), [boards])
+  const valid = from && to && from <= to
+  const sheet = useMemo(() => valid ? timesheet(scope === 'all' ? tasks : tasks.filter(t => t.boardId === board.id), {
+    from, to, memberId:person || null,
+    memberName: id => byId.get(id)?.name || 'Unknown',
+    boardName: t => boardNames.get(t.boardId) || ''
+  }) : null, [valid, scope, tasks, board.id, from, to, person, byId, boardNames])
+  const fileBase = `timesheet-${scope === 'all' ? 'all-boards' : board.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${from}-to-${to}`
+
+  function exportXlsx() {
+    try {
+      const wb = XLSX.utils.book_new()
+      const sheets = [
+        ['Entries', sheet.rows.map(r => ({ 'Date': r.date, 'Person': r.person, 'Task': r.task, 'Category': r.category, 'Board': r.board, 'Hours': r.hours, 'Note': r.note, 'Running': r.running ? 'yes' : '' }))],
+        ['By Task', sheet.byTask.map(g => ({ 'Task': g.name, 'Category': g.category, 'Board': g.board, 'Hours': g.hours, 'Estimate (h)': g.estimate ?? '', 'Entries': g.entries }))],
+        ['By Category', sheet.byCategory.map(g => ({ 'Category': g.name, 'Hours': g.hours, 'Entries': g.entries }))],
+        ['By Person', sheet.byPerson.map(g => ({ 'Person': g.name, 'Hours': g.hours, 'Entries': g.entries }))],
+      ]
+      sheets.filter(([, r]) => r.length).forEach(([name, r]) => XLSX.utils.book_append_sheet(wb, sheetOf(r), name))
+      XLSX.writeFile(wb, `${fileBase}.xlsx`)
+      onDone(`⏱ Timesheet exported (${sheet.total}h).`)
+    } catch { onDone('⚠ Export failed. Please try again.') }
+  }
+
+  function exportCsv() {
+    downloadFile(`${fileBase}.csv`, timesheetCsv(sheet), 'text/csv')
+    onDone(`⏱ Timesheet exported (${sheet.total}h).`)
+  }
+
+  const empty = !sheet?.rows.length
+
+  return (
+    <Modal onClose={onClose} label="Timesheet" width={560}>
+      <div style={{ fontSize:16, fontWeight:'bold', color:'#00ff88', marginBottom:14 }}>⏱ TIMESHEET</div>
+
+      <div style={{ display:'grid', gridTemplateColumns:'1fr 1fr', gap:12 }}>
+        <Field label="From" htmlFor="ts-from">
+          <input id="ts-from" type="date" value={from} onChange={e => setFrom(e.target.value)} style={inputStyle} />
+        </Field>
+        <Field label="To" htmlFor="ts-to">
+          <input id="ts-to" type="date" value={to} onChange={e => setTo(e.target.value)} style={inputStyle} />
+        </Field>
+        <Field label="Tasks" htmlFor="ts-scope">
+          <select id="ts-scope" value={scope} onChange={e => setScope(e.target.value)} style={inputStyle}>
+            <option value="board">This board — {board.name}</option>
+            <option value="all">All boards</option>
+          </select>
+        </Field>
+        <Field label="Person" htmlFor="ts-person">
+          <select id="ts-person" value={person} onChange={e => setPerson(e.target.value)} style={inputStyle}>
+            <option value="">Everyone</option>
+            {members.map(m => <option key={m.id} value={m.id}>{m.name}{m.active ? '' : ' (inactive)'}</option>)}
+          </select>
+        </Field>
+      </div>
+      {!valid && <div role="alert" style={{ color:'#ef4444', fontSize:11, marginBottom:8 }}>The range must start on or before its end.</div>}
+
+      {sheet && (
+        <div style={{ fontSize:12, color:'#94a3b8', border:'1px solid #1e3a2f', borderRadius:8, padding:10, marginBottom:12 }}>
+          <div style={{ marginBottom:6 }}>Total: <strong style={{ color:'#00ff88' }}>{sheet.total}h</strong> in {sheet.rows.length} entr{sheet.rows.length === 1 ? 'y' : 'ies'}</div>
+          {sheet.byPerson.map(g => (
+            <div key={g.name} style={{ display:'flex', justifyContent:'space-between' }}><span>{g.name}</span><span style={{ color:'#e2e8f0' }}>{g.hours}h</span></div>
+          ))}
+          {empty && <div style={{ color:'#64748b' }}>No time logged in this range.</div>}
+        </div>
+      )}
+
+      <div style={{ display:'flex', gap:10, justifyContent:'flex-end' }}>
+        <button onClick={onClose} style={btnStyle('#1e293b','#94a3b8')}>Close</button>
+        <button onClick={exportCsv} disabled={empty} style={{ ...btnStyle('#1a2744','#93c5fd'), opacity:empty ? 0.4 : 1 }}>⬇ CSV</button>
+        <button onClick={exportXlsx} disabled={empty} style={{ ...btnStyle('#1e2a1e','#4ade80'), opacity:empty ? 0.4 : 1 }}>⬇ Excel</button>
+      </div>
+    </Modal>
+  )
+}
@@ -0,0 +1,131 @@
+import { useState } from 'react'
+import { WORKFLOW_PRESETS, newColumn, presetColumns, validateColumns } from './workflow.js'
+import { Modal, inputStyle, btnStyle } from './ui.jsx'
+
+const chipStyle = (on, color) => ({
+  background: on ? color + '22' : 'none', color: on ? color : '#475569',
+  border: `1px solid ${on ? color + '66' : '#1e3a2f'}`, borderRadius:10,
+  padding:'1px 8px', fontSize:10, cursor:'pointer', fontFamily:'inherit'
+})
+
+// ─── Workflow Modal ──────────────────────────────────────────────────────────
+export default function WorkflowModal({ columns, tasks, onSave, onClose }) {
+  const [rows,     setRows]     = useState(() => columns.map(c => ({ ...c })))
+  const [reassign, setReassign] = useState({})
+  const [error,    setError]    = useState(null)
+
+  const removed = columns.filter(c => !rows.some(r => r.id === c.id))
+  const counts  = Object.fromEntries(columns.map(c => [c.id, tasks.filter(t => t.stage === c.name).length]))
+
+  const update = (id, patch) => setRows(rs => rs.map(r => r.id === id ? { ...r, ...patch } : r))
+
+  function move(i, dir) {
+    setRows(rs => {
+      const next = [...rs]
+      const j = i + dir
+      if (j < 0 || j >= next.length) return rs
+      ;[next[i], next[j]] = [next[j], next[i]]
+      return next
+    })
+  }
+
+  function toggleFrom(row, id) {
+    update(row.id, { allowFrom: row.allowFrom.includes(id) ? row.allowFrom.filter(x => x !== id) : [...row.allowFrom, id] })
+  }
+
+  function applyPreset(name) {
+    if (name) { setRows(presetColumns(name)); setReassign({}) }
+  }
+
+  function save() {
+    const err = validateColumns(rows)
+    if (err) { setError(err); return }
+    // Unassigned cards from removed columns fall back to the first column.
+    const map = Object.fromEntries(removed.map(c => [c.id, reassign[c.id] || rows[0].id]))
+    onSave(rows, map)
+  }
+
+  return (
+    <Modal onClose={onClose} label="Edit workflow columns" width={720}>
+      <div style={{ display:'flex', alignItems:'center', justifyContent:'space-between', marginBottom:14, gap:10, flexWrap:'wrap' }}>
+        <div style={{ fontSize:16, fontWeight:'bold', color:'#00ff88' }}>⚙ WORKFLOW</div>
+        <select value="" onChange={e => applyPreset(e.target.value)} aria-label="Apply workflow preset"
+          style={{ ...inputStyle, width:'auto', padding:'4px 8px', fontSize:12 }}>
+          <option value="">Apply preset…</option>
+          {Object.keys(WORKFLOW_PRESETS).map(p => <option key={p} value={p}>{p}</option>)}
+        </select>
+      </div>
+
+      <div style={{ display:'flex', flexDirection:'column', gap:8 }}>
+        {rows.map((r, i) => (
+          <div key={r.id} style={{ border:'1px solid #1e3a2f', borderRadius:8, padding:10, background:'#161b2e' }}>
+            <div style={{ display:'flex', gap:8, alignItems:'center', flexWrap:'wrap' }}>
+              <div style={{ display:'flex', flexDirection:'column' }}>
+                <button onClick={() => move(i, -1)} disabled={i === 0} aria-label={`Move ${r.name || 'column'} left`} style={{ ...btnStyle('none','#64748b'), padding:'0 6px', border:'none' }}>▲</button>
+                <button onClick={() => move(i, 1)} disabled={i === rows.length - 1} aria-label={`Move ${r.name || 'column'} right`} style={{ ...btnStyle('none','#64748b'), padding:'0 6px', border:'none' }}>▼</button>
+              </div>
+              <input type="color" value={r.color} onChange={e => update(r.id, { color:e.target.value })} aria-label="Column color"
+                style={{ width:28, height:28, border:'none', background:'none', padding:0, cursor:'pointer' }} />
+              <input value={r.name} onChange={e => update(r.id, { name:e.target.value })} aria-label="Column name" maxLength={40}
+                style={{ ...inputStyle, flex:'1 1 140px', width:'auto', padding:'6px 10px' }} placeholder="Column name" />
+              <label style={{ fontSize:11, color:'#94a3b8', display:'flex', alignItems:'center', gap:4 }}>
+                <input type="checkbox" checked={r.done} onChange={e => update(r.id, { done:e.target.checked })} /> Done
+              </label>
+              <label style={{ fontSize:11, color:'#94a3b8', display:'flex', alignItems:'center', gap:4 }}>
+                WIP
+                <input type="number" min={1} value={r.wipLimit ?? ''} placeholder="∞"
+                  onChange={e => update(r.id, { wipLimit: e.target.value === '' ? null : Number(e.target.value) })}
+                  style={{ ...inputStyle, width:56, padding:'4px 6px' }} />
+              </label>
+              <label style={{ fontSize:11, color:'#94a3b8', display:'flex', alignItems:'center', gap:4, opacity:r.wipLimit ? 1 : 0.4 }}>
+                <input type="checkbox" checked={r.wipStrict} disabled={!r.wipLimit} onChange={e => update(r.id, { wipStrict:e.target.checked })} /> Enforce
+              </label>
+              <button onClick={() => setRows(rs => rs.filter(x => x.id !== r.id))} aria-label={`Delete ${r.name || 'column'}`}
+                style={btnStyle('#2a1e1e','#f87171')}>🗑</button>
+            </div>
+            {rows.length > 1 && (
+              <div style={{ display:'flex', gap:4, alignItems:'center', flexWrap:'wrap', marginTop:8, fontSize:10, color:'#64748b' }}>
+                <span style={{ marginRight:2 }}>ENTRY FROM:</span>
+                {r.allowFrom.length === 0 && <span style={{ color:'#475569' }}>any ·</span>}
+                {rows.filter(x => x.id !== r.id).map(x => (
+                  <button key={x.id} onClick={() => toggleFrom(r, x.id)} aria-pressed={r.allowFrom.includes(x.id)}
+                    style={chipStyle(r.allowFrom.includes(x.id), x.color)}>{x.name || '—'}</button>
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <button onClick={() => setRows(rs => [...rs, newColumn('', rs.length)])}
+        style={{ ...btnStyle('#1e2a1e','#4ade80'), marginTop:10 }}>+ Add Column</button>
+
+      {removed.some(c => counts[c.id]) && rows.length > 0 && (
+        <div style={{ marginTop:16, borderTop:'1px solid #1e3a2f', paddingTop:12 }}>
+          <div style={{ fontSize:11, color:'#64748b', letterSpacing:1, marginBottom:8 }}>MOVE CARDS FROM REMOVED COLUMNS</div>
+          {removed.filter(c => counts[c.id]).map(c => (
+            <label key={c.id} style={{ display:'flex', alignItems:'center', gap:8, fontSize:12, color:'#94a3b8', marginBottom:6 }}>
+              <span style={{ flex:1 }}>{c.name} ({counts[c.id]} card{counts[c.id] === 1 ? '' : 's'}) →</span>
+              <select value={reassign[c.id] || rows[0].id} onChange={e => setReassign(m => ({ ...m, [c.id]:e.target.value }))}
+                style={{ ...inputStyle, width:180, padding:'4px 8px' }}>
+                {rows.map(r => <option key={r.id} value={r.id}>{r.name || '(unnamed)'}</option>)}
+              </select>
+            </label>
+          ))}
+        </div>
+      )}
+
+      {!rows.some(r => r.done) && rows.length > 0 && (
+        <div style={{ color:'#eab308', fontSize:11, marginTop:10 }}>⚠ No column is marked Done — progress and completion dates will not be tracked.</div>
+      )}
+      {error && <div role="alert" style={{ color:'#ef4444', fontSize:11, marginTop:10 }}>{error}</div>}
+
+      <div style={{ display:'flex', gap:10, justifyContent:'flex-end', marginTop:16 }}>
+        <button onClick={onClose} style={btnStyle('#1e293b','#94a3b8')}>Cancel</button>
+        <button onClick={save} style={{ background:'#00ff88', color:'#0a0e1a', border:'none', padding:'8px 20px', borderRadius:6, cursor:'pointer', fontWeight:'bold', fontFamily:'inherit', fontSize:13 }}>
+          Save Workflow
+        </button>
+      </div>
+    </Modal>
+  )
+}
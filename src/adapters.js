@@ -0,0 +1,171 @@
+import { STORAGE_KEY } from './storage.js'
+
+// ─── Storage Adapters ────────────────────────────────────────────────────────
+// Every backend keeps the encoded board as one opaque string (sealed when
+// encryption is on) plus a revision counter that goes up with each write:
+//   load()            → { raw, rev }     raw is null while nothing is stored
+//   save(raw, baseRev) → { rev }         only if the stored rev is still baseRev
+//   watch(onChange)   → unsubscribe      another tab or client saved
+// A save based on a stale revision rejects with SyncError('conflict') carrying
+// the stored { raw, rev }, so no tab can overwrite a board it has not seen.
+const BACKEND_KEY = `${STORAGE_KEY}.backend`
+const REV_KEY     = `${STORAGE_KEY}.rev`
+
+export const BACKENDS = {
+  local:     'This browser (localStorage)',
+  indexeddb: 'This browser (IndexedDB, for large boards)',
+  rest:      'Sync server',
+}
+
+// reason: 'conflict' | 'offline' | 'rejected'
+export class SyncError extends Error {
+  constructor(reason, message, current = null) {
+    super(message)
+    this.reason = reason
+    this.current = current
+  }
+}
+
+const conflict = (raw, rev) => new SyncError('conflict', 'The board was changed elsewhere.', { raw, rev })
+
+// ─── localStorage ────────────────────────────────────────────────────────────
+// The revision lives in its own key, written after the board, so the storage
+// event other tabs react to fires once the board is in place.
+function localAdapter() {
+  const rev = () => Number(localStorage.getItem(REV_KEY)) || 0
+  return {
+    id: 'local',
+    async load() { return { raw:localStorage.getItem(STORAGE_KEY), rev:rev() } },
+    async save(raw, baseRev) {
+      const cur = rev()
+      if (cur !== baseRev) throw conflict(localStorage.getItem(STORAGE_KEY), cur)
+      localStorage.setItem(STORAGE_KEY, raw)
+      localStorage.setItem(REV_KEY, String(cur + 1))
+      return { rev:cur + 1 }
+    },
+    watch(onChange) {
+      const handler = (e) => { if (e.key === REV_KEY) onChange() }
+      window.addEventListener('storage', handler)
+      return () => window.removeEventListener('storage', handler)
+    },
+  }
+}
+
+// ─── IndexedDB ───────────────────────────────────────────────────────────────
+// The compare-and-set runs inside one readwrite transaction; other tabs hear
+// about writes over a BroadcastChannel.
+function idbAdapter() {
+  const channel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(STORAGE_KEY)
+  let db = null
+
+  const open = () => db ||= new Promise((resolve, reject) => {
+    const req = indexedDB.open(STORAGE_KEY, 1)
+    req.onupgradeneeded = () => req.result.createObjectStore('board')
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+
+  async function transact(mode, run) {
+    const store = (await open()).transaction('board', mode).objectStore('board')
+    return new Promise((resolve, reject) => {
+      let out
+      run(store, v => { out = v })
+      store.transaction.oncomplete = () => resolve(out)
+      store.transaction.onerror = store.transaction.onabort = () => reject(store.transaction.error)
+    })
+  }
+
+  const current = (store, done) => {
+    const req = store.get('board')
+    req.onsuccess = () => done(req.result || { raw:null, rev:0 })
+  }
+
+  return {
+    id: 'indexeddb',
+    load: () => transact('readonly', current),
+    async save(raw, baseRev) {
+      const res = await transact('readwrite', (store, done) => current(store, cur => {
+        if (cur.rev !== baseRev) { done({ stale:cur }); return }
+        store.put({ raw, rev:cur.rev + 1 }, 'board')
+        done({ rev:cur.rev + 1 })
+      }))
+      if (res.stale) throw conflict(res.stale.raw, res.stale.rev)
+      channel?.postMessage(res.rev)
+      return res
+    },
+    watch(onChange) {
+      if (!channel) return () => {}
+      channel.onmessage = () => onChange()
+      return () => { channel.onmessage = null }
+    },
+    close() { channel?.close(); db?.then(d => d.close(), () => {}) },
+  }
+}
+
+// ─── REST ────────────────────────────────────────────────────────────────────
+// Talks to the sync server described in server/API.md. Network failures and
+// gateway errors reject with SyncError('offline') so the write can be queued.
+function restAdapter({ url, token }) {
+  const api = `${url.replace(/\/+$/, '')}/api`
+
+  async function call(path, init = {}) {
+    let res
+    try {
+      res = await fetch(api + path, { ...init, headers:{ 'Content-Type':'application/json', ...(token ? { Authorization:`Bearer ${token}` } : {}) } })
+    } catch {
+      throw new SyncError('offline', 'The sync server is unreachable.')
+    }
+    if ([502, 503, 504].includes(res.status)) throw new SyncError('offline', 'The sync server is unreachable.')
+    const body = await res.json().catch(() => ({}))
+    if (res.status === 409) throw conflict(body.raw ?? null, body.rev)
+    if (res.status === 401) throw new SyncError('rejected', 'The sync server rejected the access token.')
+    if (!res.ok) throw new SyncError('rejected', body.error || `The sync server answered ${res.status}.`)
+    return body
+  }
+
+  return {
+    id: `rest:${url}`,
+    remote: true,
+    load: () => call('/board'),
+    save: (raw, baseRev) => call('/board', { method:'PUT', body:JSON.stringify({ raw, baseRev }) }),
+    // The server sends a `rev` event on connect and after every save, so a
+    // reconnect doubles as the signal to replay queued writes.
+    watch(onChange) {
+      if (typeof EventSource === 'undefined') {
+        const timer = setInterval(onChange, 15000)
+        return () => clearInterval(timer)
+      }
+      const events = new EventSource(`${api}/events${token ? `?token=${encodeURIComponent(token)}` : ''}`)
+      events.addEventListener('rev', () => onChange())
+      return () => events.close()
+    },
+  }
+}
+
+export function createAdapter(backend) {
+  if (backend.kind === 'rest') return restAdapter(backend)
+  if (backend.kind === 'indexeddb') return idbAdapter()
+  return localAdapter()
+}
+
+// The chosen backend is per browser: { kind, url, token }.
+export function loadBackend() {
+  try {
+    const b = JSON.parse(localStorage.getItem(BACKEND_KEY))
+    if (b && BACKENDS[b.kind]) return { kind:b.kind, url:b.url || '', token:b.token || '' }
+  } catch { /* fall back to localStorage */ }
+  return { kind:'local', url:'', token:'' }
+}
+
+export function saveBackend(backend) {
+  localStorage.setItem(BACKEND_KEY, JSON.stringify(backend))
+}
+
+export function backendProblem({ kind, url }) {
+  if (kind === 'indexeddb' && typeof indexedDB === 'undefined') return 'IndexedDB is not available in this browser.'
+  if (kind !== 'rest') return null
+  let parsed
+  try { parsed = new URL(url) } catch { return 'Enter the server address, e.g. http://localhost:8787' }
+  if (!/^https?:$/.test(parsed.protocol)) return 'The server address must start with http:// or https://'
+  return null
+}
@@ -0,0 +1,67 @@
+import { genId, isOverdue } from './helpers.js'
+import { DEFAULT_COLUMNS, isDoneStage, withStage } from './workflow.js'
+import { pruneLinks } from './deps.js'
+
+// ─── Boards ──────────────────────────────────────────────────────────────────
+// settings.boards: [{ id, name, archived, columns }]. Every task belongs to
+// exactly one board through `boardId`; columns are per board.
+export const DEFAULT_BOARD = { id:'main', name:'Main Board', archived:false, columns:DEFAULT_COLUMNS }
+
+export function newBoard(name, columns = DEFAULT_COLUMNS) {
+  return { id:genId(), name:name.trim(), archived:false, columns:columns.map(c => ({ ...c, allowFrom:[...c.allowFrom] })) }
+}
+
+export function pickBoard(boards, id) {
+  return boards.find(b => b.id === id) || boards.find(b => !b.archived) || boards[0]
+}
+
+export function validateBoardName(boards, name, id = null) {
+  const n = name.trim()
+  if (!n) return 'Board name is required.'
+  if (boards.some(b => b.id !== id && b.name.toLowerCase() === n.toLowerCase())) return 'A board with that name already exists.'
+  return null
+}
+
+// ─── Board Updaters ──────────────────────────────────────────────────────────
+// Pure (data) => data functions for use with the history layer's apply().
+const withBoards = (data, boards) => ({ ...data, settings:{ ...data.settings, boards } })
+
+export const addBoard = (board) => (data) => withBoards(data, [...data.settings.boards, board])
+
+export const updateBoard = (id, patch) => (data) =>
+  withBoards(data, data.settings.boards.map(b => b.id === id ? { ...b, ...patch } : b))
+
+export const deleteBoard = (id) => (data) => ({
+  ...withBoards(data, data.settings.boards.filter(b => b.id !== id)),
+  tasks: pruneLinks(data.tasks.filter(t => t.boardId !== id))
+})
+
+// Moves or copies a task to another board. The card keeps its stage when the
+// target board has a column of that name, otherwise it lands in the first one.
+export const transferTask = (taskId, targetId, mode) => (data) => {
+  const task   = data.tasks.find(t => t.id === taskId)
+  const source = data.settings.boards.find(b => b.id === task?.boardId)
+  const target = data.settings.boards.find(b => b.id === targetId)
+  if (!task || !target || target.id === task.boardId) return data
+  const at = new Date().toISOString()
+  const stage = target.columns.some(c => c.name === task.stage) ? task.stage : target.columns[0].name
+  const moved = withStage({ ...task, boardId:target.id }, stage, target.columns, at)
+  if (mode === 'copy') {
+    const copy = { ...moved, id:genId(), createdAt:at, timeEntries:[], rank:null, stageLog:moved.stageLog.slice(-1), activity:[{ at, type:'created' }, { at, type:'copied', from:source?.name, to:target.name }] }
+    return { ...data, tasks:[...data.tasks, copy] }
+  }
+  moved.activity = [...(task.activity || []), { at, type:'moved', from:source?.name, to:target.name }]
+  return { ...data, tasks:data.tasks.map(t => t.id === taskId ? moved : t) }
+}
+
+// ─── Overview ────────────────────────────────────────────────────────────────
+export function boardSummary(board, tasks) {
+  const own = tasks.filter(t => t.boardId === board.id)
+  const done = own.filter(t => isDoneStage(board.columns, t.stage)).length
+  return {
+    total: own.length, done,
+    pct: own.length ? Math.round((done / own.length) * 100) : 0,
+    overdue: own.filter(t => isOverdue(t.due, isDoneStage(board.columns, t.stage))).length,
+    byColumn: board.columns.map(c => ({ ...c, count:own.filter(t => t.stage === c.name).length }))
+  }
+}
@@ -0,0 +1,112 @@
+// ─── Charts ──────────────────────────────────────────────────────────────────
+// Minimal inline-SVG charts; they scale to their container's width.
+const W = 600, PAD = { l:32, r:8, t:8, b:22 }
+const AXIS = '#334155', LABEL = '#64748b'
+
+function niceMax(v) {
+  if (v <= 5) return Math.max(1, Math.ceil(v))
+  const step = 10 ** Math.floor(Math.log10(v))
+  return Math.ceil(v / step) * step
+}
+
+function Frame({ label, height, max, labels, children }) {
+  const ih = height - PAD.t - PAD.b
+  const ticks = [0, max / 2, max]
+  const every = Math.max(1, Math.ceil(labels.length / 8))
+  const x = (i) => PAD.l + ((W - PAD.l - PAD.r) * (labels.length === 1 ? 0.5 : i / (labels.length - 1)))
+  return (
+    <svg viewBox={`0 0 ${W} ${height}`} role="img" aria-label={label} style={{ width:'100%', height:'auto', display:'block' }}>
+      <title>{label}</title>
+      {ticks.map(t => {
+        const y = PAD.t + ih - (t / max) * ih
+        return <g key={t}>
+          <line x1={PAD.l} x2={W - PAD.r} y1={y} y2={y} stroke={AXIS} strokeDasharray={t ? '2 3' : undefined} />
+          <text x={PAD.l - 4} y={y + 3} fill={LABEL} fontSize={9} textAnchor="end">{Math.round(t * 10) / 10}</text>
+        </g>
+      })}
+      {labels.map((l, i) => i % every === 0 && (
+        <text key={i} x={x(i)} y={height - 6} fill={LABEL} fontSize={9} textAnchor="middle">{l}</text>
+      ))}
+      {children}
+    </svg>
+  )
+}
+
+const plot = (height) => ({ iw:W - PAD.l - PAD.r, ih:height - PAD.t - PAD.b })
+
+export function BarChart({ label, data, height = 160, color = '#3b82f6' }) {
+  const max = niceMax(Math.max(0, ...data.map(d => d.value)))
+  const { iw, ih } = plot(height)
+  const slot = iw / Math.max(1, data.length)
+  return (
+    <Frame label={label} height={height} max={max} labels={[]}>
+      {data.map((d, i) => {
+        const h = (d.value / max) * ih
+        const cx = PAD.l + slot * i + slot / 2
+        return <g key={i}>
+          <rect x={cx - slot * 0.35} y={PAD.t + ih - h} width={slot * 0.7} height={h} fill={d.color || color} rx={2}>
+            <title>{`${d.label}: ${d.value}`}</title>
+          </rect>
+          {(data.length <= 12 || i % Math.ceil(data.length / 12) === 0) && (
+            <text x={cx} y={height - 6} fill={LABEL} fontSize={9} textAnchor="middle">{d.label}</text>
+          )}
+        </g>
+      })}
+    </Frame>
+  )
+}
+
+// series: [{ name, color, values:[number], dashed }]
+export function LineChart({ label, labels, series, height = 160 }) {
+  const max = niceMax(Math.max(0, ...series.flatMap(s => s.values)))
+  const { iw, ih } = plot(height)
+  const x = (i) => PAD.l + (labels.length === 1 ? iw / 2 : (iw * i) / (labels.length - 1))
+  const y = (v) => PAD.t + ih - (v / max) * ih
+  return (
+    <Frame label={label} height={height} max={max} labels={labels}>
+      {series.map(s => (
+        <polyline key={s.name} fill="none" stroke={s.color} strokeWidth={2} strokeDasharray={s.dashed ? '5 4' : undefined}
+          points={s.values.map((v, i) => `${x(i)},${y(v)}`).join(' ')}>
+          <title>{s.name}</title>
+        </polyline>
+      ))}
+    </Frame>
+  )
+}
+
+// Stacked areas, first series at the bottom.
+export function StackedArea({ label, labels, series, height = 200 }) {
+  const totals = labels.map((_, i) => series.reduce((s, x) => s + x.values[i], 0))
+  const max = niceMax(Math.max(0, ...totals))
+  const { iw, ih } = plot(height)
+  const x = (i) => PAD.l + (labels.length === 1 ? iw / 2 : (iw * i) / (labels.length - 1))
+  const y = (v) => PAD.t + ih - (v / max) * ih
+  let base = labels.map(() => 0)
+  const layers = series.map(s => {
+    const top = base.map((b, i) => b + s.values[i])
+    const pts = [...top.map((v, i) => `${x(i)},${y(v)}`), ...base.map((v, i) => `${x(i)},${y(v)}`).reverse()]
+    base = top
+    return { ...s, pts:pts.join(' ') }
+  })
+  return (
+    <Frame label={label} height={height} max={max} labels={labels}>
+      {layers.map(l => (
+        <polygon key={l.name} points={l.pts} fill={l.color} fillOpacity={0.55} stroke={l.color} strokeWidth={1}>
+          <title>{l.name}</title>
+        </polygon>
+      ))}
+    </Frame>
+  )
+}
+
+export function Legend({ items }) {
+  return (
+    <div style={{ display:'flex', gap:12, flexWrap:'wrap', marginTop:6 }}>
+      {items.map(i => (
+        <span key={i.name} style={{ fontSize:10, color:'#94a3b8', display:'flex', alignItems:'center', gap:4 }}>
+          <span aria-hidden="true" style={{ width:10, height:3, background:i.color, display:'inline-block' }}></span>{i.name}
+        </span>
+      ))}
+    </div>
+  )
+}
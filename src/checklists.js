@@ -0,0 +1,75 @@
+import { genId } from './helpers.js'
+import { isDoneStage } from './workflow.js'
+
+// ─── Checklists ──────────────────────────────────────────────────────────────
+// task.checklist: [{ id, text, done }]
+// settings.checklistTemplates: [{ id, name, items:[text] }] (user-defined;
+// the built-ins below ship with the app and are not stored).
+export const MAX_ITEM = 200
+
+export const BUILTIN_TEMPLATES = [
+  { id:'builtin-wstg', name:'OWASP WSTG – Web Application', builtin:true, items:[
+    'WSTG-INFO: Information gathering & fingerprinting',
+    'WSTG-CONF: Configuration & deployment management',
+    'WSTG-IDNT: Identity management (registration, provisioning, enumeration)',
+    'WSTG-ATHN: Authentication (credentials, lockout, bypass, MFA)',
+    'WSTG-ATHZ: Authorization (path traversal, privilege escalation, IDOR)',
+    'WSTG-SESS: Session management (cookies, fixation, CSRF, logout)',
+    'WSTG-INPV: Input validation (XSS, SQLi, command/template injection, SSRF)',
+    'WSTG-ERRH: Error handling & stack traces',
+    'WSTG-CRYP: Weak cryptography & TLS',
+    'WSTG-BUSL: Business logic',
+    'WSTG-CLNT: Client-side (DOM XSS, clickjacking, CORS, postMessage)',
+    'WSTG-APIT: API testing (GraphQL/REST)',
+  ]},
+  { id:'builtin-pci-scan', name:'PCI DSS – Quarterly Vulnerability Scan', builtin:true, items:[
+    'Confirm in-scope CDE hosts and external IP ranges',
+    'Run internal vulnerability scan (Req. 11.3.1)',
+    'Run external ASV scan (Req. 11.3.2)',
+    'Triage results and dispute false positives with ASV',
+    'Remediate high-risk / critical and ASV-failing findings',
+    'Rescan to confirm remediation',
+    'Obtain passing ASV report and internal scan evidence',
+    'Archive reports for QSA evidence',
+  ]},
+  { id:'builtin-ext-pentest', name:'External Network Penetration Test', builtin:true, items:[
+    'Scope and rules of engagement signed',
+    'OSINT & passive reconnaissance',
+    'Host discovery',
+    'Port & service scan',
+    'Service enumeration & version fingerprinting',
+    'Automated vulnerability scan',
+    'Manual verification & exploitation',
+    'Authentication testing (in-scope credential attacks)',
+    'Evidence & screenshots collected',
+    'Clean up test artifacts',
+    'Findings written up',
+  ]},
+]
+
+export const checklistItems = (texts) => texts.map(text => ({ id:genId(), text, done:false }))
+
+export function newTemplate(name, items) {
+  return { id:genId(), name:name.trim(), items:items.map(i => i.text.trim()).filter(Boolean) }
+}
+
+export function checklistCounts(task) {
+  const list = task.checklist || []
+  return { done:list.filter(i => i.done).length, total:list.length }
+}
+
+// Share of a task that is finished: 1 in a done column, otherwise the checked
+// fraction of its checklist (0 without one).
+export function taskProgress(task, columns) {
+  if (isDoneStage(columns, task.stage)) return 1
+  const { done, total } = checklistCounts(task)
+  return total ? done / total : 0
+}
+
+export function boardProgress(tasks, columns, weighted) {
+  if (!tasks.length) return 0
+  const sum = weighted
+    ? tasks.reduce((acc, t) => acc + taskProgress(t, columns), 0)
+    : tasks.filter(t => isDoneStage(columns, t.stage)).length
+  return Math.round((sum / tasks.length) * 100)
+}
@@ -0,0 +1,16 @@
+// ─── Constants ───────────────────────────────────────────────────────────────
+export const COLUMNS   = ['Backlog', 'In Progress', 'Review/QA', 'Completed']
+export const PRIORITIES = ['Critical', 'High', 'Medium', 'Low']
+export const CATEGORIES = [
+  'Pen Testing', 'Client Work', 'Compliance', 'Internal',
+  'Incident Response', 'Vulnerability Assessment', 'Other'
+]
+export const PRIORITY_COLORS  = { Critical:'#ef4444', High:'#f97316', Medium:'#eab308', Low:'#22c55e' }
+export const PRIORITY_LABELS  = { Critical:'🔴 Critical', High:'🟠 High', Medium:'🟡 Medium', Low:'🟢 Low' }
+export const COL_COLORS = {
+  'Backlog':'#3b82f6', 'In Progress':'#f97316',
+  'Review/QA':'#a855f7', 'Completed':'#22c55e'
+}
+export const MAX_TITLE = 100
+export const MAX_NOTES = 2000
+export const DEFAULT_TASK = { title:'', priority:'Medium', category:'Internal', due:'', notes:'', stage:'Backlog', checklist:[], recurrence:null, finding:null, blockedBy:[], assignees:[], estimate:null, timeEntries:[], rev:0, updatedAt:null, rank:null }
@@ -0,0 +1,104 @@
+// ─── Sealed Storage ──────────────────────────────────────────────────────────
+// Optional passphrase encryption of the stored board. A sealed envelope is
+//   { app, v, kdf:{ name, hash, iterations, salt }, check:{ iv, ct }, iv, ct, savedAt }
+// where ct is AES-GCM over the plaintext store envelope, keyed by PBKDF2 from
+// the passphrase. `check` encrypts a known constant so a wrong passphrase can
+// be told apart from tampered data. The header is bound in as additional
+// authenticated data, so editing the KDF parameters also fails the check.
+const SEALED_ID  = 'cybersec-task-manager/sealed'
+const ITERATIONS = 600000
+const CHECK_TEXT = 'cybertasks-key-check'
+export const MIN_PASSPHRASE = 10
+
+export class LockError extends Error {
+  constructor(reason, message) {
+    super(message)
+    this.reason = reason
+  }
+}
+
+const enc = new TextEncoder()
+const dec = new TextDecoder()
+
+function toB64(buf) {
+  const bytes = new Uint8Array(buf)
+  let bin = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  return btoa(bin)
+}
+function fromB64(str) {
+  try { return Uint8Array.from(atob(str), c => c.charCodeAt(0)) }
+  catch { throw new LockError('invalid', 'Encrypted data is malformed.') }
+}
+
+const aad = (kdf, part) => enc.encode(JSON.stringify({ id:SEALED_ID, v:1, kdf, part }))
+
+async function deriveKey(passphrase, kdf) {
+  const base = await crypto.subtle.importKey('raw', enc.encode(passphrase.normalize('NFKC')), 'PBKDF2', false, ['deriveKey'])
+  return crypto.subtle.deriveKey(
+    { name:'PBKDF2', hash:kdf.hash, iterations:kdf.iterations, salt:fromB64(kdf.salt) },
+    base, { name:'AES-GCM', length:256 }, false, ['encrypt', 'decrypt'])
+}
+
+async function encrypt(key, kdf, part, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+  const ct = await crypto.subtle.encrypt({ name:'AES-GCM', iv, additionalData:aad(kdf, part) }, key, enc.encode(text))
+  return { iv:toB64(iv), ct:toB64(ct) }
+}
+
+async function decrypt(key, kdf, part, box) {
+  const buf = await crypto.subtle.decrypt({ name:'AES-GCM', iv:fromB64(box.iv), additionalData:aad(kdf, part) }, key, fromB64(box.ct))
+  return dec.decode(buf)
+}
+
+// Parses `raw` when it is a sealed envelope, otherwise returns null.
+export function parseSealed(raw) {
+  let env
+  try { env = JSON.parse(raw) } catch { return null }
+  if (!env || env.app !== SEALED_ID) return null
+  const { kdf } = env
+  if (env.v !== 1 || kdf?.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || !kdf.salt || !env.check?.ct || !env.ct ||
+      !(Number.isInteger(kdf.iterations) && kdf.iterations >= 100000 && kdf.iterations <= 10000000)) {
+    throw new LockError('invalid', 'Encrypted data is malformed or from an unsupported version.')
+  }
+  return env
+}
+
+// ─── Locks ───────────────────────────────────────────────────────────────────
+// A lock ({ key, kdf, check }) is the unlocked key material; it never leaves memory.
+export async function createLock(passphrase) {
+  const kdf = { name:'PBKDF2', hash:'SHA-256', iterations:ITERATIONS, salt:toB64(crypto.getRandomValues(new Uint8Array(16))) }
+  const key = await deriveKey(passphrase, kdf)
+  return { key, kdf, check:await encrypt(key, kdf, 'check', CHECK_TEXT) }
+}
+
+// Re-derives the key for a sealed envelope (or an existing lock) and verifies
+// it against the check value. Throws LockError('passphrase') when it is wrong.
+export async function openLock(passphrase, { kdf, check }) {
+  const key = await deriveKey(passphrase, kdf)
+  let text
+  try { text = await decrypt(key, kdf, 'check', check) } catch (err) {
+    if (err instanceof LockError) throw err
+    throw new LockError('passphrase', 'Wrong passphrase.')
+  }
+  if (text !== CHECK_TEXT) throw new LockError('passphrase', 'Wrong passphrase.')
+  return { key, kdf, check }
+}
+
+export async function seal(lock, plaintext) {
+  const body = await encrypt(lock.key, lock.kdf, 'data', plaintext)
+  return JSON.stringify({ app:SEALED_ID, v:1, kdf:lock.kdf, check:lock.check, ...body, savedAt:new Date().toISOString() })
+}
+
+export async function unseal(lock, env) {
+  try { return await decrypt(lock.key, lock.kdf, 'data', env) } catch (err) {
+    if (err instanceof LockError) throw err
+    throw new LockError('tampered', 'Encrypted data failed its integrity check — it was modified or is damaged. Nothing has been changed.')
+  }
+}
+
+export function passphraseProblem(pass, confirm) {
+  if (pass.length < MIN_PASSPHRASE) return `Use at least ${MIN_PASSPHRASE} characters.`
+  if (confirm !== undefined && pass !== confirm) return 'Passphrases do not match.'
+  return null
+}
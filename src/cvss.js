@@ -0,0 +1,89 @@
+// ─── CVSS v3.1 Base Score ────────────────────────────────────────────────────
+// Vectors look like CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H. Scoring
+// follows section 7 of the FIRST v3.1 specification; 3.0 vectors are scored
+// the same way. Only base metrics are supported.
+export const CVSS_METRICS = [
+  { key:'AV', name:'Attack Vector',       options:[['N','Network'], ['A','Adjacent'], ['L','Local'], ['P','Physical']] },
+  { key:'AC', name:'Attack Complexity',   options:[['L','Low'], ['H','High']] },
+  { key:'PR', name:'Privileges Required', options:[['N','None'], ['L','Low'], ['H','High']] },
+  { key:'UI', name:'User Interaction',    options:[['N','None'], ['R','Required']] },
+  { key:'S',  name:'Scope',               options:[['U','Unchanged'], ['C','Changed']] },
+  { key:'C',  name:'Confidentiality',     options:[['H','High'], ['L','Low'], ['N','None']] },
+  { key:'I',  name:'Integrity',           options:[['H','High'], ['L','Low'], ['N','None']] },
+  { key:'A',  name:'Availability',        options:[['H','High'], ['L','Low'], ['N','None']] },
+]
+
+export const SEVERITY_COLORS = { None:'#64748b', Low:'#22c55e', Medium:'#eab308', High:'#f97316', Critical:'#ef4444' }
+
+const WEIGHTS = {
+  AV: { N:0.85, A:0.62, L:0.55, P:0.2 },
+  AC: { L:0.77, H:0.44 },
+  UI: { N:0.85, R:0.62 },
+  CIA: { H:0.56, L:0.22, N:0 },
+}
+const PR_WEIGHT = { U:{ N:0.85, L:0.62, H:0.27 }, C:{ N:0.85, L:0.68, H:0.5 } }
+
+// Round up to one decimal, avoiding floating point artefacts (Appendix A).
+function roundUp(x) {
+  const n = Math.round(x * 100000)
+  return n % 10000 === 0 ? n / 100000 : (Math.floor(n / 10000) + 1) / 10
+}
+
+// Returns { version, metrics } or { error }.
+export function parseCvss(vector) {
+  const v = String(vector || '').trim().toUpperCase()
+  if (/^CVSS:4\.0\//.test(v)) return { error:'CVSS v4.0 vectors are not supported yet — use a v3.1 vector.' }
+  const m = v.match(/^CVSS:(3\.[01])\/(.*)$/)
+  if (!m) return { error:'Vector must start with CVSS:3.1/' }
+  const metrics = {}
+  for (const part of m[2].split('/')) {
+    const [key, value] = part.split(':')
+    const def = CVSS_METRICS.find(d => d.key === key)
+    if (!def) return { error:`Unknown or unsupported metric "${key}".` }
+    if (key in metrics) return { error:`Metric ${key} appears twice.` }
+    if (!def.options.some(([o]) => o === value)) return { error:`${def.name} cannot be "${value ?? ''}".` }
+    metrics[key] = value
+  }
+  const missing = CVSS_METRICS.filter(d => !(d.key in metrics)).map(d => d.key)
+  if (missing.length) return { error:`Missing ${missing.join(', ')}.` }
+  return { version:m[1], metrics }
+}
+
+// Metrics not yet chosen are left out, so a partial vector can be built up.
+export function buildVector(metrics) {
+  return 'CVSS:3.1/' + CVSS_METRICS.filter(d => metrics[d.key]).map(d => `${d.key}:${metrics[d.key]}`).join('/')
+}
+
+// Whatever recognisable metrics a (possibly incomplete) vector contains.
+export function vectorMetrics(vector) {
+  const metrics = {}
+  for (const part of String(vector || '').toUpperCase().split('/')) {
+    const [key, value] = part.split(':')
+    if (CVSS_METRICS.some(d => d.key === key && d.options.some(([o]) => o === value))) metrics[key] = value
+  }
+  return metrics
+}
+
+export function baseScore(metrics) {
+  const { AV, AC, PR, UI, S, C, I, A } = metrics
+  const iss = 1 - (1 - WEIGHTS.CIA[C]) * (1 - WEIGHTS.CIA[I]) * (1 - WEIGHTS.CIA[A])
+  const impact = S === 'U' ? 6.42 * iss : 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15)
+  const exploitability = 8.22 * WEIGHTS.AV[AV] * WEIGHTS.AC[AC] * PR_WEIGHT[S][PR] * WEIGHTS.UI[UI]
+  if (impact <= 0) return 0
+  return roundUp(Math.min((S === 'U' ? 1 : 1.08) * (impact + exploitability), 10))
+}
+
+// Score of a vector string, or null when it doesn't parse.
+export function cvssScore(vector) {
+  const parsed = parseCvss(vector)
+  return parsed.metrics ? baseScore(parsed.metrics) : null
+}
+
+export function severityOf(score) {
+  if (score === null || score === undefined) return null
+  if (score === 0) return 'None'
+  if (score < 4) return 'Low'
+  if (score < 7) return 'Medium'
+  if (score < 9) return 'High'
+  return 'Critical'
+}
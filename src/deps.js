@@ -0,0 +1,100 @@
+import { isDoneStage } from './workflow.js'
+
+// ─── Dependencies ────────────────────────────────────────────────────────────
+// task.blockedBy lists the ids of tasks that must be done first; "blocks" is
+// the inverse and is always derived. Links may cross boards, so "done" is
+// judged by each blocker's own board.
+export function doneLookup(boards) {
+  const byId = new Map(boards.map(b => [b.id, b]))
+  return (task) => isDoneStage(byId.get(task.boardId)?.columns || [], task.stage)
+}
+
+export const blockersOf = (task, byId) => (task.blockedBy || []).map(id => byId.get(id)).filter(Boolean)
+
+export const blockedTasks = (id, tasks) => tasks.filter(t => t.blockedBy?.includes(id))
+
+export const openBlockers = (task, byId, isDone) => blockersOf(task, byId).filter(b => !isDone(b))
+
+// First cycle found as a list of ids (first === last), or null.
+export function findCycle(tasks) {
+  const edges = new Map(tasks.map(t => [t.id, t.blockedBy || []]))
+  const state = new Map()
+  const path = []
+  function visit(id) {
+    state.set(id, 'active'); path.push(id)
+    for (const next of edges.get(id) || []) {
+      if (state.get(next) === 'active') return [...path.slice(path.indexOf(next)), next]
+      if (!state.has(next) && edges.has(next)) {
+        const found = visit(next)
+        if (found) return found
+      }
+    }
+    state.set(id, 'done'); path.pop()
+    return null
+  }
+  for (const t of tasks) {
+    if (state.has(t.id)) continue
+    const found = visit(t.id)
+    if (found) return found
+  }
+  return null
+}
+
+// Sets `id`'s blockers and the tasks it blocks in one step.
+export function applyLinks(tasks, id, blockedBy, blocks) {
+  return tasks.map(t => {
+    if (t.id === id) return { ...t, blockedBy }
+    const has = !!t.blockedBy?.includes(id)
+    const want = blocks.includes(t.id)
+    if (has === want) return t
+    return { ...t, blockedBy: want ? [...(t.blockedBy || []), id] : t.blockedBy.filter(x => x !== id) }
+  })
+}
+
+// Error message when the proposed links would create a loop, else null.
+export function linkProblem(tasks, id, blockedBy, blocks) {
+  if (blockedBy.includes(id) || blocks.includes(id)) return 'A task cannot block itself.'
+  const both = blockedBy.find(x => blocks.includes(x))
+  if (both) return 'A task cannot both block and be blocked by the same task.'
+  const cycle = findCycle(applyLinks(tasks, id, blockedBy, blocks))
+  if (!cycle) return null
+  const title = new Map(tasks.map(t => [t.id, t.title]))
+  return `Circular dependency: ${cycle.map(x => title.get(x) || 'this task').join(' → ')}.`
+}
+
+// Drops links to tasks that no longer exist.
+export function pruneLinks(tasks) {
+  const ids = new Set(tasks.map(t => t.id))
+  return tasks.map(t => t.blockedBy?.some(x => !ids.has(x)) ? { ...t, blockedBy:t.blockedBy.filter(x => ids.has(x)) } : t)
+}
+
+// Moving a card out of the first column with open blockers warns; moving it
+// into a done column is refused.
+export function checkBlocked(task, to, columns, blockers) {
+  if (!blockers.length) return { level:'ok', msg:'' }
+  const names = blockers.map(b => b.title).join(', ')
+  if (isDoneStage(columns, to)) return { level:'block', msg:`⛔ Blocked by ${blockers.length} open task${blockers.length === 1 ? '' : 's'}: ${names}.` }
+  if (columns.findIndex(c => c.name === to) > 0) return { level:'warn', msg:`⚠ Started while blocked by ${names}.` }
+  return { level:'ok', msg:'' }
+}
+
+// Upstream (blockers) and downstream (blocked) tasks of `id` by depth, for
+// the graph view: { up:[[task…] depth 1, …], down:[…] }.
+export function dependencyLayers(id, tasks, maxDepth = 4) {
+  const byId = new Map(tasks.map(t => [t.id, t]))
+  function walk(next) {
+    const layers = [], seen = new Set([id])
+    let frontier = [id]
+    for (let d = 0; d < maxDepth && frontier.length; d++) {
+      const layer = []
+      frontier.forEach(x => next(x).forEach(t => { if (!seen.has(t.id)) { seen.add(t.id); layer.push(t) } }))
+      if (layer.length) layers.push(layer)
+      frontier = layer.map(t => t.id)
+    }
+    return layers
+  }
+  return {
+    up: walk(x => blockersOf(byId.get(x), byId)),
+    down: walk(x => blockedTasks(x, tasks)),
+  }
+}
@@ -0,0 +1,90 @@
+import { cvssScore, parseCvss, severityOf } from './cvss.js'
+
+// ─── Security Findings ───────────────────────────────────────────────────────
+// task.finding is null or
+//   { cvss, cves:[], cwes:[], assets:[], remediation, derivePriority }
+// where cvss is a v3.1 vector string ('' when not scored).
+export const REMEDIATION_STATUSES = ['Open', 'In Remediation', 'Remediated', 'Verified', 'Risk Accepted', 'False Positive']
+export const FINDING_CATEGORIES   = ['Pen Testing', 'Vulnerability Assessment']
+export const MAX_ASSETS = 100
+
+export const emptyFinding = () => ({ cvss:'', cves:[], cwes:[], assets:[], remediation:'Open', derivePriority:false })
+
+const CVE_RE = /^CVE-\d{4}-\d{4,}$/
+const CWE_RE = /^CWE-[1-9]\d{0,3}$/
+const IPV4 = /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}(\/([12]?\d|3[0-2]))?(:\d{1,5})?$/
+const IPV6 = /^\[?[0-9a-f]*:[0-9a-f:.]+\]?(\/\d{1,3})?$/i
+const HOST = /^(?=.{1,253}$)([a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9])?)(\.[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9])?)*\.?(:\d{1,5})?$/i
+
+// "cve-2021-44228" → "CVE-2021-44228"; bare numbers become CWE-n.
+export function normalizeId(kind, raw) {
+  const v = raw.trim().toUpperCase()
+  if (kind === 'cwe' && /^\d+$/.test(v)) return `CWE-${Number(v)}`
+  return v
+}
+
+export const isValidId = (kind, id) => (kind === 'cve' ? CVE_RE : CWE_RE).test(id)
+
+export function isValidAsset(asset) {
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(asset)) {
+    try { return !!new URL(asset).host } catch { return false }
+  }
+  if (/^\d+(\.\d+)+(\/\d+)?(:\d+)?$/.test(asset)) return IPV4.test(asset)
+  return IPV6.test(asset) || HOST.test(asset)
+}
+
+export function findingScore(finding) {
+  return finding?.cvss ? cvssScore(finding.cvss) : null
+}
+
+export const findingSeverity = (finding) => severityOf(findingScore(finding))
+
+// None has no priority of its own, so it maps to Low.
+export function derivedPriority(finding) {
+  const sev = findingSeverity(finding)
+  return sev ? (sev === 'None' ? 'Low' : sev) : null
+}
+
+// Field → message for everything wrong with a finding; {} when valid.
+export function validateFinding(f) {
+  if (!f) return {}
+  const errs = {}
+  if (f.cvss) {
+    const parsed = parseCvss(f.cvss)
+    if (parsed.error) errs.cvss = parsed.error
+  }
+  if (f.derivePriority && !f.cvss) errs.cvss = 'Enter a CVSS vector to derive the priority from.'
+  const badCve = f.cves.filter(id => !isValidId('cve', id))
+  if (badCve.length) errs.cves = `Not a CVE ID: ${badCve.join(', ')} (expected CVE-YYYY-NNNN).`
+  const badCwe = f.cwes.filter(id => !isValidId('cwe', id))
+  if (badCwe.length) errs.cwes = `Not a CWE ID: ${badCwe.join(', ')} (expected CWE-N).`
+  const badAsset = f.assets.filter(a => !isValidAsset(a))
+  if (badAsset.length) errs.assets = `Not a host, IP or URL: ${badAsset.join(', ')}.`
+  else if (f.assets.length > MAX_ASSETS) errs.assets = `Max ${MAX_ASSETS} assets.`
+  return errs
+}
+
+// Trims a finding for saving; a finding with nothing filled in is dropped.
+export function cleanFinding(f) {
+  if (!f) return null
+  const out = { ...f, cvss:f.cvss.trim().toUpperCase() }
+  const blank = !out.cvss && !out.cves.length && !out.cwes.length && !out.assets.length && out.remediation === 'Open'
+  return blank ? null : out
+}
+
+// Finding text searched by free-text queries.
+export function findingText(f) {
+  return f ? [f.cvss, ...f.cves, ...f.cwes, ...f.assets, f.remediation].join('\n') : ''
+}
+
+export function sanitizeFinding(f) {
+  if (!f || typeof f !== 'object') return null
+  const list = (v) => Array.isArray(v) ? v.filter(x => typeof x === 'string') : []
+  return {
+    ...emptyFinding(),
+    cvss: typeof f.cvss === 'string' ? f.cvss : '',
+    cves: list(f.cves), cwes: list(f.cwes), assets: list(f.assets),
+    remediation: REMEDIATION_STATUSES.includes(f.remediation) ? f.remediation : 'Open',
+    derivePriority: !!f.derivePriority,
+  }
+}
@@ -0,0 +1,43 @@
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+export const genId = () => Date.now().toString(36) + Math.random().toString(36).slice(2)
+
+export function parseLocalDate(str) {
+  if (!str) return null
+  const [y, m, d] = str.split('-').map(Number)
+  return new Date(y, m - 1, d)
+}
+
+// Local YYYY-MM-DD, the format task due dates are stored in.
+export function dateKey(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+}
+
+export function formatDate(str) {
+  if (!str) return ''
+  const d = str.includes('T') ? new Date(str) : parseLocalDate(str)
+  return d && !isNaN(d) ? d.toLocaleDateString() : ''
+}
+
+export function isOverdue(due, done) {
+  if (!due || done) return false
+  const dueDate = parseLocalDate(due)
+  if (!dueDate) return false
+  const today = new Date(); today.setHours(0, 0, 0, 0)
+  return dueDate < today
+}
+
+export function getDaysLeft(due) {
+  if (!due) return null
+  const dueDate = parseLocalDate(due)
+  if (!dueDate) return null
+  const today = new Date(); today.setHours(0, 0, 0, 0)
+  return Math.ceil((dueDate - today) / (1000 * 60 * 60 * 24))
+}
+
+export function downloadFile(name, content, type = 'application/json') {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const a = document.createElement('a')
+  a.href = url; a.download = name
+  document.body.appendChild(a); a.click(); a.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
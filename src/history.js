@@ -0,0 +1,159 @@
+import { useReducer, useCallback } from 'react'
+import { applyPatch } from './sync.js'
+
+// ─── Activity Log ────────────────────────────────────────────────────────────
+// Every task carries an append-only `activity` array. Entries are derived by
+// diffing the task before and after each command, so no mutation can skip it.
+const TRACKED_FIELDS = ['title', 'priority', 'category', 'due', 'stage', 'notes', 'estimate']
+export const FIELD_NAMES = { title:'Title', priority:'Priority', category:'Category', due:'Due date', stage:'Stage', notes:'Notes', estimate:'Estimate (h)' }
+
+function diffChecklist(prev = [], next = [], at) {
+  const before = new Map(prev.map(i => [i.id, i]))
+  const after  = new Set(next.map(i => i.id))
+  const entries = []
+  next.forEach(i => {
+    const old = before.get(i.id)
+    if (!old) entries.push({ at, type:'checklist', action:'added', text:i.text })
+    else {
+      if (old.text !== i.text) entries.push({ at, type:'checklist', action:'renamed', from:old.text, text:i.text })
+      if (old.done !== i.done) entries.push({ at, type:'checklist', action:i.done ? 'checked' : 'unchecked', text:i.text })
+    }
+  })
+  prev.filter(i => !after.has(i.id)).forEach(i => entries.push({ at, type:'checklist', action:'removed', text:i.text }))
+  return entries
+}
+
+function diffTask(prev, next, at) {
+  const entries = TRACKED_FIELDS
+    .filter(f => (prev[f] ?? '') !== (next[f] ?? ''))
+    .map(f => f === 'stage'
+      ? { at, type:'stage', from:prev.stage, to:next.stage }
+      : { at, type: f === 'notes' ? 'notes' : 'edit', field:f, from:prev[f] ?? '', to:next[f] ?? '' })
+  return prev.checklist === next.checklist ? entries : [...entries, ...diffChecklist(prev.checklist, next.checklist, at)]
+}
+
+// Appends activity entries for created and changed tasks. Tasks that arrive
+// with their own log (restored backups, imports) keep it untouched.
+export function stampActivity(prevTasks, nextTasks, at = new Date().toISOString()) {
+  const prevById = new Map(prevTasks.map(t => [t.id, t]))
+  return nextTasks.map(t => {
+    const prev = prevById.get(t.id)
+    if (prev === t) return t
+    if (!prev) return t.activity?.length ? t : { ...t, activity:[{ at:t.createdAt || at, type:'created' }] }
+    const entries = diffTask(prev, t, at)
+    return entries.length ? { ...t, activity:[...(t.activity || []), ...entries] } : t
+  })
+}
+
+// Each change to a task, undo and redo included, raises its `rev` and stamps
+// `updatedAt`; sync compares them to tell whose edit is whose.
+export function stampRevisions(prevTasks, nextTasks, at = new Date().toISOString()) {
+  const prevById = new Map(prevTasks.map(t => [t.id, t]))
+  return nextTasks.map(t => {
+    const prev = prevById.get(t.id)
+    return prev === t ? t : { ...t, rev:Math.max(prev?.rev ?? 0, t.rev ?? 0) + 1, updatedAt:at }
+  })
+}
+
+const clip = (v, n = 60) => { const s = String(v || '∅'); return s.length > n ? s.slice(0, n) + '…' : s }
+
+export function describeActivity(e) {
+  switch (e.type) {
+    case 'created': return 'Task created'
+    case 'stage':   return e.from ? `Stage: ${e.from} → ${e.to}` : `Stage: ${e.to}`
+    case 'notes':   return e.from ? (e.to ? 'Notes edited' : 'Notes cleared') : 'Notes added'
+    case 'moved':   return `Moved from board "${e.from}" to "${e.to}"`
+    case 'copied':  return `Copied from board "${e.from}" to "${e.to}"`
+    case 'recurred': return `Next occurrence after ${e.from}, due ${e.to}`
+    case 'undone':  return `Undone: ${e.label}`
+    case 'redone':  return `Redone: ${e.label}`
+    case 'checklist':
+      return e.action === 'renamed'
+        ? `Checklist item renamed: ${clip(e.from)} → ${clip(e.text)}`
+        : `Checklist item ${e.action}: ${clip(e.text)}`
+    default:        return `${FIELD_NAMES[e.field] || e.field}: ${clip(e.from)} → ${clip(e.to)}`
+  }
+}
+
+// ─── Undo / Redo ─────────────────────────────────────────────────────────────
+// The stored data ({ tasks, settings }) is only ever changed through apply(),
+// which records a labelled snapshot so the change can be undone and redone.
+const HISTORY_LIMIT = 100
+
+// Puts the snapshot's tasks back but keeps each task's current log, adding
+// an undone/redone entry plus the field changes it makes.
+function restoreTasks(current, snapshot, type, label, at) {
+  const byId = new Map(current.map(t => [t.id, t]))
+  const tasks = snapshot.map(t => {
+    const cur = byId.get(t.id)
+    if (cur === t) return t
+    const restored = cur ? { ...t, activity:cur.activity } : t
+    const entries = cur ? diffTask(cur, restored, at) : []
+    return { ...restored, activity:[...(restored.activity || []), { at, type, label }, ...entries] }
+  })
+  return stampRevisions(current, tasks, at)
+}
+
+function historyReducer(state, action) {
+  switch (action.type) {
+    case 'apply': {
+      const next = action.updater(state.present)
+      if (next === state.present) return state
+      const data = { ...next, tasks:stampRevisions(state.present.tasks, stampActivity(state.present.tasks, next.tasks, action.at), action.at) }
+      return {
+        past: [...state.past, { label:action.label, data:state.present }].slice(-HISTORY_LIMIT),
+        present: data,
+        future: []
+      }
+    }
+    case 'undo': {
+      const last = state.past[state.past.length - 1]
+      if (!last) return state
+      return {
+        past: state.past.slice(0, -1),
+        present: { ...last.data, tasks:restoreTasks(state.present.tasks, last.data.tasks, 'undone', last.label, action.at) },
+        future: [{ label:last.label, data:state.present }, ...state.future]
+      }
+    }
+    case 'redo': {
+      const [next, ...rest] = state.future
+      if (!next) return state
+      return {
+        past: [...state.past, { label:next.label, data:state.present }],
+        present: { ...next.data, tasks:restoreTasks(state.present.tasks, next.data.tasks, 'redone', next.label, action.at) },
+        future: rest
+      }
+    }
+    case 'reset':
+      return { past:[], present:action.data, future:[] }
+    // Changes saved by another tab or client are folded into every snapshot,
+    // so undo never reverts someone else's work. Not itself undoable.
+    case 'rebase': {
+      const patch = (e) => ({ ...e, data:applyPatch(e.data, action.patch) })
+      return {
+        past: state.past.map(patch),
+        present: applyPatch(state.present, action.patch, true),
+        future: state.future.map(patch)
+      }
+    }
+    default:
+      return state
+  }
+}
+
+export function useBoardHistory(initial) {
+  const [state, dispatch] = useReducer(historyReducer, { past:[], present:initial, future:[] })
+
+  const apply = useCallback((label, updater) =>
+    dispatch({ type:'apply', label, updater, at:new Date().toISOString() }), [])
+  const undo   = useCallback(() => dispatch({ type:'undo', at:new Date().toISOString() }), [])
+  const redo   = useCallback(() => dispatch({ type:'redo', at:new Date().toISOString() }), [])
+  const reset  = useCallback((data) => dispatch({ type:'reset', data }), [])
+  const rebase = useCallback((patch) => dispatch({ type:'rebase', patch }), [])
+
+  return {
+    data: state.present, apply, undo, redo, reset, rebase,
+    undoLabel: state.past[state.past.length - 1]?.label || null,
+    redoLabel: state.future[0]?.label || null
+  }
+}
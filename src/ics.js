@@ -0,0 +1,77 @@
+import { parseLocalDate, dateKey } from './helpers.js'
+
+// ─── iCalendar Export (RFC 5545) ─────────────────────────────────────────────
+// One all-day VEVENT per dated task. UIDs are derived from task ids and
+// SEQUENCE grows with the task's activity log, so re-importing the file updates
+// existing events in calendar clients instead of duplicating them.
+const PRODID = '-//Cybersec Task Manager//Task Board//EN'
+const UID_DOMAIN = 'cybersec-task-manager'
+const ICS_PRIORITY = { Critical:1, High:3, Medium:5, Low:9 }
+
+// TEXT values escape backslash, semicolon, comma and newlines (§3.3.11).
+export const escapeText = (s) => String(s ?? '')
+  .replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n')
+
+// Lines longer than 75 octets are folded with CRLF + space (§3.1), never
+// splitting a UTF-8 sequence.
+export function foldLine(line) {
+  const enc = new TextEncoder()
+  const parts = []
+  let cur = '', size = 0, limit = 75
+  for (const ch of line) {
+    const n = enc.encode(ch).length
+    if (size + n > limit) { parts.push(cur); cur = ''; size = 0; limit = 74 }
+    cur += ch; size += n
+  }
+  parts.push(cur)
+  return parts.join('\r\n ')
+}
+
+const icsDate = (key) => key.replace(/-/g, '')
+const icsStamp = (iso) => new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+
+function nextDay(key) {
+  const d = parseLocalDate(key); d.setDate(d.getDate() + 1)
+  return dateKey(d)
+}
+
+function taskEvent(task, { board, done, now }) {
+  const activity = task.activity || []
+  const modified = activity.length ? activity[activity.length - 1].at : task.createdAt
+  const description = [
+    `Priority: ${task.priority}`, `Category: ${task.category}`, `Stage: ${task.stage}`,
+    board && `Board: ${board}`, task.notes && `\n${task.notes}`
+  ].filter(Boolean).join('\n')
+  return [
+    'BEGIN:VEVENT',
+    `UID:${task.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${icsStamp(now)}`,
+    `DTSTART;VALUE=DATE:${icsDate(task.due)}`,
+    `DTEND;VALUE=DATE:${icsDate(nextDay(task.due))}`,
+    `SUMMARY:${escapeText((done ? '✔ ' : '') + task.title)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `CATEGORIES:${escapeText(task.category)}`,
+    `PRIORITY:${ICS_PRIORITY[task.priority] ?? 0}`,
+    `CREATED:${icsStamp(task.createdAt)}`,
+    `LAST-MODIFIED:${icsStamp(modified)}`,
+    `SEQUENCE:${Math.max(0, activity.length - 1)}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT',
+  ]
+}
+
+// boardName(task) and isDone(task) fill in the description and mark finished
+// tasks in the summary; tasks without a due date are skipped.
+export function buildCalendar(tasks, { name, boardName = () => '', isDone = () => false, now = new Date().toISOString() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...tasks.filter(t => t.due).flatMap(t => taskEvent(t, { board:boardName(t), done:isDone(t), now })),
+    'END:VCALENDAR',
+  ]
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
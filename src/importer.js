@@ -0,0 +1,216 @@
+import * as XLSX from 'xlsx'
+import { PRIORITIES, CATEGORIES, MAX_TITLE, MAX_NOTES, DEFAULT_TASK } from './constants.js'
+import { genId } from './helpers.js'
+import { isDoneStage, inferStageLog } from './workflow.js'
+
+// ─── Field Mapping ───────────────────────────────────────────────────────────
+export const IMPORT_FIELDS = {
+  title:'Task Name', category:'Category', priority:'Priority', stage:'Stage',
+  due:'Due Date', notes:'Notes', createdAt:'Created', completedAt:'Completed'
+}
+
+// Normalized header names → task field. Covers our own Excel export, our JSON
+// task shape and the usual names scanners/trackers put on their columns.
+const HEADER_ALIASES = {
+  title:       ['taskname', 'title', 'name', 'task', 'summary', 'finding', 'subject'],
+  category:    ['category', 'type', 'kind'],
+  priority:    ['priority', 'severity', 'risk'],
+  stage:       ['stage', 'status', 'column', 'state'],
+  due:         ['duedate', 'due', 'deadline', 'dueon'],
+  notes:       ['notes', 'note', 'description', 'details', 'comments'],
+  createdAt:   ['created', 'createdat', 'createddate', 'opened'],
+  completedAt: ['completed', 'completedat', 'completeddate', 'closed', 'resolved']
+}
+
+const normKey = (s) => String(s ?? '').toLowerCase().replace(/[^a-z0-9]/g, '')
+
+export function guessMapping(headers) {
+  const used = new Set()
+  return Object.fromEntries(headers.map(h => {
+    const key = normKey(h)
+    const field = Object.keys(HEADER_ALIASES).find(f => !used.has(f) && HEADER_ALIASES[f].includes(key)) || ''
+    if (field) used.add(field)
+    return [h, field]
+  }))
+}
+
+// ─── File Reading ────────────────────────────────────────────────────────────
+function readSheet(wb) {
+  const ws = wb.Sheets[wb.SheetNames[0]]
+  if (!ws) return { headers:[], rows:[] }
+  const headers = (XLSX.utils.sheet_to_json(ws, { header:1 })[0] || []).map(h => String(h).trim()).filter(Boolean)
+  const rows = XLSX.utils.sheet_to_json(ws, { defval:'', raw:true })
+  return { headers, rows }
+}
+
+function readJson(text) {
+  let data
+  try { data = JSON.parse(text) } catch { throw new Error('File is not valid JSON.') }
+  const list = Array.isArray(data) ? data
+    : Array.isArray(data?.tasks) ? data.tasks
+    : Array.isArray(data?.data?.tasks) ? data.data.tasks
+    : null
+  if (!list) throw new Error('JSON must be an array of tasks, an object with a "tasks" array, or a board backup.')
+  const rows = list.filter(x => x && typeof x === 'object' && !Array.isArray(x))
+  const headers = [...new Set(rows.flatMap(Object.keys))]
+  return { headers, rows }
+}
+
+// Resolves to { fileName, headers, rows, firstLine } where rows are plain
+// objects keyed by header and firstLine is the source line of rows[0].
+export async function readImportFile(file) {
+  const ext = file.name.split('.').pop().toLowerCase()
+  let parsed, firstLine = 2
+  if (ext === 'json') {
+    parsed = readJson(await file.text())
+    firstLine = 1
+  } else if (ext === 'csv') {
+    parsed = readSheet(XLSX.read(await file.text(), { type:'string', raw:true }))
+  } else if (ext === 'xlsx' || ext === 'xls') {
+    parsed = readSheet(XLSX.read(await file.arrayBuffer(), { type:'array', cellDates:true }))
+  } else {
+    throw new Error('Unsupported file type. Use .xlsx, .csv or .json.')
+  }
+  if (!parsed.rows.length) throw new Error('File contains no task rows.')
+  return { fileName:file.name, firstLine, ...parsed }
+}
+
+// ─── Value Parsing ───────────────────────────────────────────────────────────
+const pad = (n) => String(n).padStart(2, '0')
+const dateKey = (y, m, d) => `${y}-${pad(m)}-${pad(d)}`
+
+function validYmd(y, m, d) {
+  const dt = new Date(y, m - 1, d)
+  return dt.getFullYear() === y && dt.getMonth() === m - 1 && dt.getDate() === d
+}
+
+// Order of day/month/year in this browser's toLocaleDateString(), which is
+// what formatDate() — and therefore our own Excel export — writes.
+function localeDateOrder() {
+  const parts = new Date(2001, 10, 22).toLocaleDateString().match(/\d+/g) || []
+  const order = parts.map(p => p === '2001' ? 'y' : p === '11' ? 'm' : 'd')
+  return order.length === 3 ? order : ['m', 'd', 'y']
+}
+
+// Returns 'YYYY-MM-DD', '' for an empty cell, or null when unparseable.
+export function parseDateValue(value) {
+  if (value === null || value === undefined) return ''
+  if (value instanceof Date) {
+    return isNaN(value) ? null : dateKey(value.getFullYear(), value.getMonth() + 1, value.getDate())
+  }
+  if (typeof value === 'number') {
+    const c = XLSX.SSF.parse_date_code(value)
+    return c && validYmd(c.y, c.m, c.d) ? dateKey(c.y, c.m, c.d) : null
+  }
+  const str = String(value).trim()
+  // Older exports wrote "Invalid Date" for the Created/Completed timestamps.
+  if (!str || str === 'Invalid Date') return ''
+  if (/^\d{4}-\d{2}-\d{2}T/.test(str)) return parseDateValue(new Date(str))
+  let m = str.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/)
+  if (m) {
+    const [y, mo, d] = m.slice(1).map(Number)
+    return validYmd(y, mo, d) ? dateKey(y, mo, d) : null
+  }
+  m = str.match(/^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})$/)
+  if (m) {
+    const parts = {}
+    localeDateOrder().forEach((k, i) => { parts[k] = Number(m[i + 1]) })
+    if (parts.y < 100) parts.y += 2000
+    return validYmd(parts.y, parts.m, parts.d) ? dateKey(parts.y, parts.m, parts.d) : null
+  }
+  const t = Date.parse(str)
+  return isNaN(t) ? null : parseDateValue(new Date(t))
+}
+
+// Same as parseDateValue but yields an ISO timestamp; full ISO strings are kept as-is.
+function parseTimestamp(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value.trim()) && !isNaN(Date.parse(value))) return value.trim()
+  const key = parseDateValue(value)
+  if (!key) return key
+  const [y, m, d] = key.split('-').map(Number)
+  return new Date(y, m - 1, d).toISOString()
+}
+
+// Case/punctuation-insensitive match so "🔴 Critical", "in-progress" or
+// "review qa" land on the canonical option.
+function matchOption(value, options) {
+  const key = normKey(value)
+  return options.find(o => normKey(o) === key)
+}
+
+const normTitle = (s) => String(s ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()
+
+// ─── Preview ─────────────────────────────────────────────────────────────────
+// Builds one preview entry per source row: the task that would be created,
+// blocking errors, non-blocking warnings and a likely-duplicate reference
+// (an existing task, or an earlier row of the same file).
+export function buildPreview(source, mapping, { columns, existing }) {
+  const stages = columns.map(c => c.name)
+  const byTitle = new Map(existing.map(t => [normTitle(t.title), t]))
+  const seen = new Map()
+
+  return source.rows.map((row, i) => {
+    const line = source.firstLine + i
+    const raw = {}
+    Object.entries(mapping).forEach(([header, field]) => { if (field && raw[field] === undefined) raw[field] = row[header] })
+    const text = (v) => (v === null || v === undefined ? '' : String(v)).trim()
+    const errors = [], warnings = []
+
+    const title = text(raw.title)
+    if (!title) errors.push('Title is required.')
+    else if (title.length > MAX_TITLE) errors.push(`Title exceeds ${MAX_TITLE} characters (${title.length}).`)
+
+    let priority = DEFAULT_TASK.priority
+    if (text(raw.priority)) {
+      priority = matchOption(raw.priority, PRIORITIES)
+      if (!priority) errors.push(`Unknown priority "${text(raw.priority)}".`)
+    }
+
+    let stage = stages[0]
+    if (text(raw.stage)) {
+      stage = matchOption(raw.stage, stages)
+      if (!stage) errors.push(`Unknown stage "${text(raw.stage)}".`)
+    }
+
+    let category = DEFAULT_TASK.category
+    if (text(raw.category)) {
+      category = matchOption(raw.category, CATEGORIES)
+      if (!category) { warnings.push(`Unknown category "${text(raw.category)}" — using Other.`); category = 'Other' }
+    }
+
+    const notes = raw.notes === null || raw.notes === undefined ? '' : String(raw.notes)
+    if (notes.length > MAX_NOTES) errors.push(`Notes exceed ${MAX_NOTES} characters (${notes.length}).`)
+
+    const due = parseDateValue(raw.due)
+    if (due === null) errors.push(`Unparseable due date "${text(raw.due)}".`)
+    const createdAt = parseTimestamp(raw.createdAt)
+    if (createdAt === null) errors.push(`Unparseable created date "${text(raw.createdAt)}".`)
+    const completedAt = parseTimestamp(raw.completedAt)
+    if (completedAt === null) errors.push(`Unparseable completed date "${text(raw.completedAt)}".`)
+
+    const key = normTitle(title)
+    let duplicateOf = null
+    if (key && byTitle.has(key)) duplicateOf = { task:byTitle.get(key) }
+    else if (key && seen.has(key)) duplicateOf = { line:seen.get(key) }
+    if (key && !seen.has(key)) seen.set(key, line)
+
+    return {
+      line, errors, warnings, duplicateOf,
+      task: { title, priority, stage, category, notes, due:due || '', createdAt:createdAt || '', completedAt:completedAt || '' }
+    }
+  })
+}
+
+// Turns accepted preview entries into fresh tasks ready to merge into state.
+export function finalizeImport(entries, columns) {
+  const now = new Date().toISOString()
+  return entries.map(({ task }) => {
+    const t = {
+      ...task,
+      id: genId(),
+      createdAt: task.createdAt || now,
+      completedAt: isDoneStage(columns, task.stage) ? (task.completedAt || now) : null
+    }
+    return { ...t, stageLog:inferStageLog(t, columns) }
+  })
+}
@@ -0,0 +1,69 @@
+// ─── Keyboard Shortcuts ──────────────────────────────────────────────────────
+// Combos are written the way comboOf() reports a keydown: modifiers first
+// ("Ctrl+Shift+Z"), letters upper-case, other keys by KeyboardEvent.key name
+// ("ArrowLeft", "Delete", "?"). `card` actions act on the focused card.
+// Rebound combos are a per-browser preference: { [actionId]: [combo] }.
+export const ACTIONS = [
+  { id:'palette',       group:'General',  label:'Command palette',            keys:['Ctrl+K'] },
+  { id:'help',          group:'General',  label:'Keyboard shortcuts',         keys:['?'] },
+  { id:'new',           group:'General',  label:'New task',                   keys:['C'] },
+  { id:'search',        group:'General',  label:'Search',                     keys:['/'] },
+  { id:'undo',          group:'General',  label:'Undo',                       keys:['Ctrl+Z'] },
+  { id:'redo',          group:'General',  label:'Redo',                       keys:['Ctrl+Shift+Z', 'Ctrl+Y'] },
+  { id:'up',            group:'Navigate', label:'Previous card',              keys:['ArrowUp', 'K'],   card:true },
+  { id:'down',          group:'Navigate', label:'Next card',                  keys:['ArrowDown', 'J'], card:true },
+  { id:'left',          group:'Navigate', label:'Column to the left',         keys:['ArrowLeft', 'H'], card:true },
+  { id:'right',         group:'Navigate', label:'Column to the right',        keys:['ArrowRight', 'L'], card:true },
+  { id:'first',         group:'Navigate', label:'First card in column',       keys:['Home'],           card:true },
+  { id:'last',          group:'Navigate', label:'Last card in column',        keys:['End'],            card:true },
+  { id:'move-left',     group:'Card',     label:'Move to previous column',    keys:['Shift+ArrowLeft'], card:true },
+  { id:'move-right',    group:'Card',     label:'Move to next column',        keys:['Shift+ArrowRight'], card:true },
+  { id:'priority-up',   group:'Card',     label:'Raise priority',             keys:['Shift+ArrowUp'],  card:true },
+  { id:'priority-down', group:'Card',     label:'Lower priority',             keys:['Shift+ArrowDown'], card:true },
+  { id:'rank-up',       group:'Card',     label:'Move up in column',          keys:['Alt+ArrowUp'],    card:true },
+  { id:'rank-down',     group:'Card',     label:'Move down in column',        keys:['Alt+ArrowDown'],  card:true },
+  { id:'select',        group:'Card',     label:'Add to / remove from selection', keys:['X'],          card:true },
+  { id:'edit',          group:'Card',     label:'Edit',                       keys:['Enter', 'E'],     card:true },
+  { id:'notes',         group:'Card',     label:'Notes',                      keys:['N'],              card:true },
+  { id:'timer',         group:'Card',     label:'Start / stop my timer',      keys:['T'],              card:true },
+  { id:'delete',        group:'Card',     label:'Delete',                     keys:['Delete'],         card:true },
+]
+
+const RESERVED = ['Tab', 'Shift+Tab', 'Escape']
+const MODIFIERS = ['Control', 'Shift', 'Alt', 'Meta', 'AltGraph', 'CapsLock']
+
+// Ctrl and Cmd count as the same modifier. Shift is folded into printable
+// symbols ("?" rather than "Shift+/") but kept for letters and named keys.
+export function comboOf(e) {
+  if (MODIFIERS.includes(e.key)) return null
+  const mods = []
+  if (e.ctrlKey || e.metaKey) mods.push('Ctrl')
+  if (e.altKey) mods.push('Alt')
+  let key = e.key === ' ' ? 'Space' : e.key
+  const letter = /^[a-z]$/i.test(key)
+  if (letter) key = key.toUpperCase()
+  if (e.shiftKey && (key.length > 1 || letter)) mods.push('Shift')
+  return [...mods, key].join('+')
+}
+
+const ARROWS = { ArrowLeft:'←', ArrowRight:'→', ArrowUp:'↑', ArrowDown:'↓' }
+export const formatCombo = (combo) => combo.split('+').map(k => ARROWS[k] || k).join('+')
+
+export const keysOf = (overrides, id) => overrides[id] || ACTIONS.find(a => a.id === id).keys
+
+// combo → action, with overrides applied
+export function bindings(overrides) {
+  const map = new Map()
+  ACTIONS.forEach(a => keysOf(overrides, a.id).forEach(k => map.set(k, a)))
+  return map
+}
+
+export function comboProblem(overrides, id, combo) {
+  if (RESERVED.includes(combo)) return 'Tab and Escape are reserved.'
+  const taken = bindings(overrides).get(combo)
+  if (taken && taken.id !== id) return `${formatCombo(combo)} is already used by "${taken.label}".`
+  return null
+}
+
+// Keys typed into fields belong to the field.
+export const isTyping = (target) => !!target.closest?.('input, textarea, select, [contenteditable="true"]')
@@ -0,0 +1,44 @@
+import { genId } from './helpers.js'
+import { stopTimer } from './timesheet.js'
+
+// ─── Team Members ────────────────────────────────────────────────────────────
+// settings.members: [{ id, name, initials, color, active }]. Members who have
+// logged time are deactivated rather than removed so timesheets keep their name.
+// Which member this browser acts as is a per-browser pref ("me").
+export const MEMBER_COLORS = ['#3b82f6', '#a855f7', '#f97316', '#14b8a6', '#ec4899', '#eab308', '#22c55e', '#ef4444']
+export const MAX_MEMBER_NAME = 40
+
+export function initialsOf(name) {
+  const words = name.trim().split(/\s+/).filter(Boolean)
+  if (!words.length) return '?'
+  return (words.length === 1 ? words[0].slice(0, 2) : words[0][0] + words[words.length - 1][0]).toUpperCase()
+}
+
+export function newMember(name, members) {
+  return {
+    id: genId(), name: name.trim().slice(0, MAX_MEMBER_NAME), initials: initialsOf(name),
+    color: MEMBER_COLORS[members.length % MEMBER_COLORS.length], active: true
+  }
+}
+
+export function memberProblem(name, members, id = null) {
+  const n = name.trim()
+  if (!n) return 'Name is required.'
+  if (members.some(m => m.id !== id && m.name.toLowerCase() === n.toLowerCase())) return `"${n}" is already on the team.`
+  return null
+}
+
+export const hasLoggedTime = (memberId, tasks) => tasks.some(t => t.timeEntries?.some(e => e.memberId === memberId))
+
+// Removes a member outright, or deactivates them (stopping any running timer)
+// when they have logged time.
+export const removeMember = (id) => (data) => {
+  const keep = hasLoggedTime(id, data.tasks)
+  const tasks = keep ? stopTimer(data.tasks, id) : data.tasks
+  return {
+    tasks: tasks.map(t => t.assignees?.includes(id) ? { ...t, assignees:t.assignees.filter(x => x !== id) } : t),
+    settings: { ...data.settings, members: keep
+      ? data.settings.members.map(m => m.id === id ? { ...m, active:false } : m)
+      : data.settings.members.filter(m => m.id !== id) }
+  }
+}
@@ -0,0 +1,127 @@
+import { dateKey, parseLocalDate } from './helpers.js'
+import { inferStageLog } from './workflow.js'
+
+// ─── Metrics ─────────────────────────────────────────────────────────────────
+// Pure calculations behind the dashboard. Durations are in days; dates in the
+// range arguments are local YYYY-MM-DD keys.
+const DAY = 86400000
+const days = (a, b) => (new Date(b) - new Date(a)) / DAY
+
+export const stageLogOf = (task, columns) => task.stageLog?.length ? task.stageLog : inferStageLog(task, columns)
+
+export function leadTime(task) {
+  return task.completedAt ? Math.max(0, days(task.createdAt, task.completedAt)) : null
+}
+
+// From the first move out of the first column to completion.
+export function cycleTime(task, columns) {
+  if (!task.completedAt) return null
+  const started = stageLogOf(task, columns).find(e => e.col !== columns[0].id)
+  return Math.max(0, days(started?.at || task.createdAt, task.completedAt))
+}
+
+function quantile(sorted, q) {
+  if (!sorted.length) return null
+  const i = (sorted.length - 1) * q
+  const lo = Math.floor(i)
+  return sorted[lo] + (sorted[Math.ceil(i)] - sorted[lo]) * (i - lo)
+}
+
+export function distribution(values) {
+  const v = values.filter(x => x !== null).sort((a, b) => a - b)
+  return {
+    count: v.length,
+    median: quantile(v, 0.5), p85: quantile(v, 0.85),
+    avg: v.length ? v.reduce((s, x) => s + x, 0) / v.length : null,
+    max: v.length ? v[v.length - 1] : null
+  }
+}
+
+// Lead or cycle time distribution per value of `key` (e.g. 'priority').
+export function timeByGroup(tasks, columns, key, kind, order = []) {
+  const measure = kind === 'lead' ? leadTime : (t) => cycleTime(t, columns)
+  const groups = [...new Set([...order, ...tasks.map(t => t[key])])]
+  return groups
+    .map(name => ({ name, ...distribution(tasks.filter(t => t[key] === name).map(measure)) }))
+    .filter(g => g.count)
+}
+
+// Average days per visit to each column, including the current visit of open cards.
+export function timeInStage(tasks, columns, now = new Date()) {
+  const spans = new Map(columns.map(c => [c.id, []]))
+  tasks.forEach(t => {
+    const log = stageLogOf(t, columns)
+    log.forEach((e, i) => {
+      const col = columns.find(c => c.id === e.col)
+      if (!col || col.done) return
+      spans.get(col.id).push(days(e.at, log[i + 1]?.at || now))
+    })
+  })
+  return columns.filter(c => !c.done).map(c => ({ column:c, ...distribution(spans.get(c.id)) }))
+}
+
+// ─── Time Series ─────────────────────────────────────────────────────────────
+export function dayRange(from, to) {
+  const out = []
+  const d = parseLocalDate(from), end = parseLocalDate(to)
+  while (d <= end && out.length < 731) { out.push(dateKey(d)); d.setDate(d.getDate() + 1) }
+  return out
+}
+
+const weekStart = (key) => { const d = parseLocalDate(key); d.setDate(d.getDate() - ((d.getDay() + 6) % 7)); return dateKey(d) }
+
+// Cards completed per ISO week (Monday start) within the range.
+export function weeklyThroughput(tasks, from, to) {
+  const weeks = [...new Set(dayRange(from, to).map(weekStart))]
+  const counts = new Map(weeks.map(w => [w, 0]))
+  tasks.forEach(t => {
+    if (!t.completedAt) return
+    const key = dateKey(new Date(t.completedAt))
+    if (key < from || key > to) return
+    const w = weekStart(key)
+    counts.set(w, counts.get(w) + 1)
+  })
+  return weeks.map(week => ({ week, count:counts.get(week) }))
+}
+
+// Per day: cards in each column at the end of the day, open cards and overdue
+// cards. Drives the cumulative flow, burndown and overdue trend charts.
+export function dailyFlow(tasks, columns, from, to) {
+  const doneIds = new Set(columns.filter(c => c.done).map(c => c.id))
+  const logs = tasks.map(t => ({ task:t, log:stageLogOf(t, columns).map(e => ({ col:e.col, at:new Date(e.at).getTime() })) }))
+  return dayRange(from, to).map(date => {
+    const d = parseLocalDate(date); d.setHours(23, 59, 59, 999)
+    const end = d.getTime()
+    const byCol = Object.fromEntries(columns.map(c => [c.id, 0]))
+    let open = 0, overdue = 0
+    logs.forEach(({ task, log }) => {
+      if (new Date(task.createdAt).getTime() > end) return
+      let col = null
+      for (const e of log) { if (e.at <= end) col = e.col; else break }
+      if (!col || !Object.hasOwn(byCol, col)) return
+      byCol[col]++
+      if (doneIds.has(col)) return
+      open++
+      if (task.due && task.due < date) overdue++
+    })
+    return { date, byCol, open, overdue }
+  })
+}
+
+// Open cards by age, oldest first, with time spent in their current column.
+export function agingReport(tasks, columns, now = new Date()) {
+  return tasks
+    .filter(t => !columns.find(c => c.name === t.stage)?.done)
+    .map(t => {
+      const log = stageLogOf(t, columns)
+      return { task:t, age:days(t.createdAt, now), inStage:days(log[log.length - 1]?.at || t.createdAt, now) }
+    })
+    .sort((a, b) => b.age - a.age)
+}
+
+export const AGE_BUCKETS = [
+  { label:'0–7d', max:7, color:'#22c55e' }, { label:'8–14d', max:14, color:'#84cc16' },
+  { label:'15–30d', max:30, color:'#eab308' }, { label:'31–60d', max:60, color:'#f97316' },
+  { label:'60d+', max:Infinity, color:'#ef4444' },
+]
+export const ageBucket = (age) => AGE_BUCKETS.find(b => age <= b.max)
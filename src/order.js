@@ -0,0 +1,72 @@
+import { PRIORITIES, CATEGORIES } from './constants.js'
+
+// ─── Card Order ──────────────────────────────────────────────────────────────
+// Cards carry a numeric `rank` within their column. Cards without one (new,
+// imported or spawned) sort after ranked cards, in the order they were added.
+export const SORT_MODES = { manual:'Manual order', priority:'Priority', due:'Due date', age:'Oldest first' }
+
+function byRank(a, b) {
+  if (a.rank == null || b.rank == null) return (a.rank == null) - (b.rank == null)
+  return a.rank - b.rank
+}
+
+const COMPARE = {
+  manual:   byRank,
+  priority: (a, b) => PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority) || byRank(a, b),
+  due:      (a, b) => (!a.due) - (!b.due) || (a.due < b.due ? -1 : a.due > b.due ? 1 : 0) || byRank(a, b),
+  age:      (a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt) || byRank(a, b),
+}
+
+export const sortCards = (list, mode) => [...list].sort(COMPARE[mode] || byRank)
+
+// New ranks (id → rank) that put card `id` before `beforeId` — or after
+// `afterId`, or last — in `column`, the column's cards in manual order.
+// Only the moved card changes while there is room between its neighbours;
+// otherwise the column is renumbered. Empty when the card is already there.
+export function placeCard(column, id, beforeId, afterId) {
+  const rest = column.filter(x => x.id !== id)
+  let at = rest.length
+  if (beforeId) at = rest.findIndex(x => x.id === beforeId)
+  else if (afterId) at = rest.findIndex(x => x.id === afterId) + 1
+  if (at < 0) at = rest.length
+  if (column.findIndex(x => x.id === id) === at) return new Map()
+
+  const prev = rest[at - 1]?.rank, next = rest[at]?.rank
+  let rank = null
+  if (!rest.length) rank = 0
+  else if (at === 0 && next != null) rank = next - 1
+  else if (at === rest.length && prev != null) rank = prev + 1
+  else if (prev != null && next != null && prev < (prev + next) / 2 && (prev + next) / 2 < next) rank = (prev + next) / 2
+  if (rank !== null) return new Map([[id, rank]])
+
+  const order = [...rest.slice(0, at), { id }, ...rest.slice(at)]
+  return new Map(order.filter((x, i) => x.id === id || x.rank !== i).map(x => [x.id, order.indexOf(x)]))
+}
+
+// ─── Swimlanes ───────────────────────────────────────────────────────────────
+// Rows across the board grouping cards by a field. Assignee lanes go by the
+// first assignee; dropping a card in another lane replaces that one.
+export const LANE_MODES = { '':'No swimlanes', category:'Category', priority:'Priority', assignee:'Assignee' }
+
+export const laneKey = (task, by) => by === 'assignee' ? task.assignees?.[0] || '' : task[by]
+
+// Lanes in display order: every priority, the categories and people in use
+// (plus active members, so cards can be dropped on them), then Unassigned.
+export function swimlanesOf(tasks, by, members) {
+  if (!by) return [{ key:null, label:null }]
+  const used = new Set(tasks.map(t => laneKey(t, by)))
+  if (by === 'priority') return PRIORITIES.map(p => ({ key:p, label:p }))
+  if (by === 'category') {
+    return [...CATEGORIES.filter(c => used.has(c)), ...[...used].filter(c => !CATEGORIES.includes(c)).sort()].map(c => ({ key:c, label:c }))
+  }
+  const names = new Map(members.map(m => [m.id, m.name]))
+  const people = [...members.filter(m => m.active || used.has(m.id)).map(m => m.id), ...[...used].filter(id => id && !names.has(id))]
+  return [...people.map(id => ({ key:id, label:names.get(id) || 'Former member' })), { key:'', label:'Unassigned' }]
+}
+
+// The fields a card gets when dropped in lane `key`; null if already there.
+export function laneFields(task, by, key) {
+  if (!by || key === null || laneKey(task, by) === key) return null
+  if (by === 'assignee') return { assignees:key ? [key, ...(task.assignees || []).slice(1).filter(a => a !== key)] : [] }
+  return { [by]:key }
+}
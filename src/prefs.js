@@ -0,0 +1,18 @@
+import { useState, useEffect } from 'react'
+
+// ─── Preferences ─────────────────────────────────────────────────────────────
+// Per-browser view preferences (selected board, display toggles). They live in
+// their own key, outside the undo history and board backups.
+const PREFS_KEY = 'cybertasks.prefs'
+
+function readPrefs() {
+  try { return JSON.parse(localStorage.getItem(PREFS_KEY)) || {} } catch { return {} }
+}
+
+export function usePref(name, initial) {
+  const [value, setValue] = useState(() => readPrefs()[name] ?? initial)
+  useEffect(() => {
+    try { localStorage.setItem(PREFS_KEY, JSON.stringify({ ...readPrefs(), [name]:value })) } catch { /* not critical */ }
+  }, [name, value])
+  return [value, setValue]
+}
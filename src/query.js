@@ -0,0 +1,251 @@
+import { PRIORITIES, CATEGORIES } from './constants.js'
+import { dateKey, isOverdue } from './helpers.js'
+import { isDoneStage } from './workflow.js'
+import { REMEDIATION_STATUSES, findingScore, findingSeverity, findingText } from './findings.js'
+
+// ─── Query Language ──────────────────────────────────────────────────────────
+// Whitespace-separated terms, all of which must match:
+//   text                 title, category, notes or finding fields contain "text"
+//   field:a,b            any of the comma-separated values (quote values with spaces)
+//   -term / -field:val   negation
+//   overdue done open recurring breached at-risk   shorthands for is:<keyword>
+// Dates (due:, created:) take today | tomorrow | yesterday | none | any |
+// YYYY-MM-DD | ±N(d|w|m) relative to today, optionally prefixed by < <= > >= =.
+// cvss: takes a score with the same comparison prefixes (cvss:>=7).
+// assignee: takes a member name or initials, me, none or any.
+// is:breached / is:at-risk follow the open SLA target of the card.
+export const QUERY_FIELDS = {
+  priority: 'enum', category: 'enum', stage: 'enum', severity: 'enum', remediation: 'enum',
+  title: 'text', notes: 'text', cve: 'text', cwe: 'text', asset: 'text',
+  due: 'date', created: 'date', cvss: 'number', assignee: 'member',
+  is: 'flag', has: 'flag',
+}
+const ALIASES  = { p:'priority', pri:'priority', cat:'category', status:'stage', col:'stage', column:'stage', sev:'severity', rem:'remediation', host:'asset', who:'assignee', assigned:'assignee' }
+const IS_FLAGS = ['overdue', 'done', 'open', 'recurring', 'breached', 'at-risk']
+const HAS_FLAGS = ['notes', 'due', 'checklist', 'recurrence', 'finding', 'cvss', 'cve', 'cwe', 'asset', 'assignee', 'estimate', 'time']
+const SEVERITIES = ['Critical', 'High', 'Medium', 'Low', 'None']
+const DATE_WORDS = ['today', 'tomorrow', 'yesterday', 'none', 'any', '<7d', '<=14d', '>30d', '<0d']
+
+// Splits on whitespace outside quotes, keeping each token's source range.
+export function tokenize(str) {
+  const tokens = []
+  let start = -1, quoted = false
+  for (let i = 0; i <= str.length; i++) {
+    const ch = str[i]
+    if (ch === '"') quoted = !quoted
+    const end = i === str.length || (!quoted && /\s/.test(ch))
+    if (end && start >= 0) { tokens.push({ raw:str.slice(start, i), start, end:i }); start = -1 }
+    else if (!end && start < 0) start = i
+  }
+  return tokens
+}
+
+function splitValues(raw) {
+  const out = []
+  let cur = '', quoted = false
+  for (const ch of raw) {
+    if (ch === '"') { quoted = !quoted; continue }
+    if (ch === ',' && !quoted) { out.push(cur); cur = ''; continue }
+    cur += ch
+  }
+  out.push(cur)
+  return out.map(v => v.trim()).filter(Boolean)
+}
+
+function relativeDay(n, unit) {
+  const d = new Date(); d.setHours(0, 0, 0, 0)
+  if (unit === 'm') d.setMonth(d.getMonth() + n)
+  else d.setDate(d.getDate() + n * (unit === 'w' ? 7 : 1))
+  return dateKey(d)
+}
+
+// Returns { op, date } | { op:'none' } | { op:'any' } | null when invalid.
+export function parseDateExpr(value) {
+  const v = value.toLowerCase()
+  if (v === 'none' || v === 'any') return { op:v }
+  const m = v.match(/^(<=|>=|<|>|=)?(.+)$/)
+  const op = m[1] || '='
+  let date
+  if (m[2] === 'today') date = relativeDay(0, 'd')
+  else if (m[2] === 'tomorrow') date = relativeDay(1, 'd')
+  else if (m[2] === 'yesterday') date = relativeDay(-1, 'd')
+  else if (/^\d{4}-\d{2}-\d{2}$/.test(m[2])) date = m[2]
+  else {
+    const rel = m[2].match(/^([+-]?\d+)([dwm])$/)
+    if (!rel) return null
+    date = relativeDay(Number(rel[1]), rel[2])
+  }
+  return { op, date }
+}
+
+// Returns { op, n } | null when invalid.
+export function parseNumberExpr(value) {
+  const m = value.match(/^(<=|>=|<|>|=)?(\d+(\.\d+)?)$/)
+  return m ? { op:m[1] || '=', n:Number(m[2]) } : null
+}
+
+export function parseQuery(str) {
+  const clauses = [], terms = [], errors = []
+  for (const { raw } of tokenize(str || '')) {
+    const neg = raw.length > 1 && raw[0] === '-'
+    const body = neg ? raw.slice(1) : raw
+    const m = body.match(/^([a-z]+):(.*)$/i)
+    if (m) {
+      const field = ALIASES[m[1].toLowerCase()] || m[1].toLowerCase()
+      const values = splitValues(m[2])
+      if (!QUERY_FIELDS[field]) { errors.push(`Unknown field "${m[1]}".`); continue }
+      if (!values.length) continue
+      if (QUERY_FIELDS[field] === 'number') {
+        const exprs = values.map(parseNumberExpr)
+        if (exprs.includes(null)) { errors.push(`Can't read score in "${body}".`); continue }
+        clauses.push({ field, neg, values:exprs })
+      } else if (QUERY_FIELDS[field] === 'date') {
+        const exprs = values.map(parseDateExpr)
+        if (exprs.includes(null)) { errors.push(`Can't read date in "${body}".`); continue }
+        clauses.push({ field, neg, values:exprs })
+      } else if (QUERY_FIELDS[field] === 'flag') {
+        const allowed = field === 'is' ? IS_FLAGS : HAS_FLAGS
+        const bad = values.find(v => !allowed.includes(v.toLowerCase()))
+        if (bad) { errors.push(`${field}:${bad} — expected one of ${allowed.join(', ')}.`); continue }
+        clauses.push({ field, neg, values:values.map(v => v.toLowerCase()) })
+      } else {
+        clauses.push({ field, neg, values:values.map(v => v.toLowerCase()) })
+      }
+    } else if (IS_FLAGS.includes(body.toLowerCase())) {
+      clauses.push({ field:'is', neg, values:[body.toLowerCase()] })
+    } else {
+      const text = splitValues(body).join(',').toLowerCase()
+      if (text) terms.push({ neg, text })
+    }
+  }
+  return { clauses, terms, errors, empty:!clauses.length && !terms.length }
+}
+
+// ─── Matching ────────────────────────────────────────────────────────────────
+function matchDate(key, expr) {
+  if (expr.op === 'none') return !key
+  if (expr.op === 'any') return !!key
+  if (!key) return false
+  switch (expr.op) {
+    case '<':  return key < expr.date
+    case '<=': return key <= expr.date
+    case '>':  return key > expr.date
+    case '>=': return key >= expr.date
+    default:   return key === expr.date
+  }
+}
+
+function matchNumber(n, expr) {
+  if (n === null) return false
+  switch (expr.op) {
+    case '<':  return n < expr.n
+    case '<=': return n <= expr.n
+    case '>':  return n > expr.n
+    case '>=': return n >= expr.n
+    default:   return n === expr.n
+  }
+}
+
+const enumMatch = (actual, v) => { const a = actual.toLowerCase(); return a === v || a.startsWith(v) }
+
+function matchAssignee(ids, v, { members = [], me = null }) {
+  if (v === 'none') return !ids.length
+  if (v === 'any') return ids.length > 0
+  if (v === 'me') return !!me && ids.includes(me)
+  return members.some(m => ids.includes(m.id) && (m.name.toLowerCase().includes(v) || m.initials.toLowerCase() === v))
+}
+
+function matchValue(task, field, v, columns, ctx) {
+  const done = isDoneStage(columns, task.stage)
+  switch (field) {
+    case 'priority': case 'category': case 'stage': return enumMatch(task[field] || '', v)
+    case 'title': case 'notes': return (task[field] || '').toLowerCase().includes(v)
+    case 'severity':    return enumMatch(findingSeverity(task.finding) || '', v)
+    case 'remediation': return !!task.finding && enumMatch(task.finding.remediation, v)
+    case 'cve': case 'cwe': case 'asset':
+      return (task.finding?.[`${field}s`] || []).some(x => x.toLowerCase().includes(v))
+    case 'cvss':    return matchNumber(findingScore(task.finding), v)
+    case 'assignee': return matchAssignee(task.assignees || [], v, ctx)
+    case 'due':     return matchDate(task.due, v)
+    case 'created': return matchDate(task.createdAt ? dateKey(new Date(task.createdAt)) : '', v)
+    case 'is':
+      if (v === 'overdue') return isOverdue(task.due, done)
+      if (v === 'done') return done
+      if (v === 'open') return !done
+      if (v === 'breached' || v === 'at-risk') return ctx.sla?.(task)?.current?.state === v
+      return !!task.recurrence
+    case 'has':
+      if (v === 'checklist') return !!task.checklist?.length
+      if (v === 'cvss') return !!task.finding?.cvss
+      if (v === 'cve' || v === 'cwe' || v === 'asset') return !!task.finding?.[`${v}s`].length
+      if (v === 'assignee') return !!task.assignees?.length
+      if (v === 'time') return !!task.timeEntries?.length
+      return !!task[v]
+    default: return true
+  }
+}
+
+// `ctx` resolves assignee: values and SLA flags — { members, me, sla(task) }.
+export function matchTask(task, query, columns, ctx = {}) {
+  for (const c of query.clauses) {
+    if (c.values.some(v => matchValue(task, c.field, v, columns, ctx)) === c.neg) return false
+  }
+  const haystack = `${task.title}\n${task.category}\n${task.notes || ''}\n${findingText(task.finding)}`.toLowerCase()
+  return query.terms.every(t => haystack.includes(t.text) !== t.neg)
+}
+
+// Strings worth highlighting on the cards: positive free text plus title/notes values.
+export function highlightTerms(query) {
+  return [
+    ...query.terms.filter(t => !t.neg).map(t => t.text),
+    ...query.clauses.filter(c => !c.neg && (c.field === 'title' || c.field === 'notes')).flatMap(c => c.values)
+  ].filter(Boolean)
+}
+
+// Notes excerpt for a card, moved to the first highlighted match when that
+// would otherwise be cut off.
+export function noteSnippet(notes, terms, max = 80) {
+  const lower = notes.toLowerCase()
+  const hits = terms.map(t => lower.indexOf(t)).filter(i => i >= 0)
+  const at = hits.length ? Math.min(...hits) : 0
+  const start = at + 20 > max ? at - 20 : 0
+  return (start ? '…' : '') + notes.slice(start, start + max) + (notes.length > start + max ? '…' : '')
+}
+
+// ─── Autocomplete ────────────────────────────────────────────────────────────
+const quote = (v) => /[\s,]/.test(v) ? `"${v}"` : v
+
+// Suggestions for the token under the cursor: { from, to, items:[{ label, insert }] }.
+export function suggest(str, cursor, columns, members = []) {
+  const tok = tokenize(str).find(t => cursor >= t.start && cursor <= t.end) || { raw:'', start:cursor, end:cursor }
+  const text = str.slice(tok.start, cursor)
+  const neg = text.startsWith('-') ? '-' : ''
+  const body = text.slice(neg.length)
+  const colon = body.indexOf(':')
+  let items = []
+  if (colon < 0) {
+    const p = body.toLowerCase()
+    items = [
+      ...Object.keys(QUERY_FIELDS).map(f => ({ label:`${f}:`, insert:`${neg}${f}:` })),
+      ...IS_FLAGS.map(f => ({ label:f, insert:`${neg}${f}` }))
+    ].filter(i => i.label.startsWith(p) && i.label !== p)
+  } else {
+    const name = body.slice(0, colon).toLowerCase()
+    const field = ALIASES[name] || name
+    const rest = body.slice(colon + 1)
+    const cut = rest.lastIndexOf(',') + 1
+    const head = `${neg}${body.slice(0, colon + 1)}${rest.slice(0, cut)}`
+    const partial = rest.slice(cut).replace(/"/g, '').toLowerCase()
+    const options = {
+      priority: PRIORITIES, category: CATEGORIES, stage: columns.map(c => c.name),
+      due: DATE_WORDS, created: ['today', 'yesterday', '>-7d', '>-30d'],
+      severity: SEVERITIES, remediation: REMEDIATION_STATUSES, cvss: ['>=9', '>=7', '>=4', '<4'],
+      assignee: ['me', 'none', ...members.filter(m => m.active).map(m => m.name)],
+      is: IS_FLAGS, has: HAS_FLAGS,
+    }[field] || []
+    items = options
+      .filter(o => o.toLowerCase().startsWith(partial) && o.toLowerCase() !== partial)
+      .map(o => ({ label:o, insert:head + quote(o) }))
+  }
+  return { from:tok.start, to:tok.end, items:items.slice(0, 8) }
+}
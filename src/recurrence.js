@@ -0,0 +1,147 @@
+import { genId, parseLocalDate, dateKey } from './helpers.js'
+import { isDoneStage } from './workflow.js'
+
+// ─── Recurrence Rules ────────────────────────────────────────────────────────
+// task.recurrence: { freq, unit, interval, ends, count, until, seriesId, n, day, spawned }
+//   freq      — preset name; 'custom' uses unit/interval as entered
+//   ends      — 'never' | 'after' (count occurrences) | 'on' (until date)
+//   seriesId  — shared by every instance of the series
+//   n         — 1-based occurrence number of this instance
+//   day       — preferred day of month, so monthly series survive short months
+//   spawned   — the next instance has already been created
+export const RECURRENCE_PRESETS = {
+  daily:     { unit:'day',   interval:1, label:'Daily' },
+  weekly:    { unit:'week',  interval:1, label:'Weekly' },
+  monthly:   { unit:'month', interval:1, label:'Monthly' },
+  quarterly: { unit:'month', interval:3, label:'Quarterly' },
+  annually:  { unit:'year',  interval:1, label:'Annually' },
+}
+export const RECURRENCE_UNITS = ['day', 'week', 'month', 'year']
+const MAX_CATCH_UP = 60
+
+export function makeRecurrence(freq, custom = {}) {
+  const base = RECURRENCE_PRESETS[freq] || { unit:custom.unit || 'day', interval:Math.max(1, Number(custom.interval) || 1) }
+  return { freq, unit:base.unit, interval:base.interval, ends:'never', count:null, until:'' }
+}
+
+export function describeRecurrence(r) {
+  if (!r) return ''
+  const every = RECURRENCE_PRESETS[r.freq]?.label || `Every ${r.interval} ${r.unit}${r.interval === 1 ? '' : 's'}`
+  if (r.ends === 'after') return `${every} · ${r.n || 1}/${r.count}`
+  if (r.ends === 'on' && r.until) return `${every} · until ${parseLocalDate(r.until).toLocaleDateString()}`
+  return every
+}
+
+export function validateRecurrence(r, due) {
+  if (!r) return null
+  if (!due) return 'Recurring tasks need a due date.'
+  if (!(Number.isInteger(r.interval) && r.interval > 0)) return 'Repeat interval must be a positive whole number.'
+  if (r.ends === 'after' && !(Number.isInteger(r.count) && r.count > 0)) return 'Number of occurrences must be a positive whole number.'
+  if (r.ends === 'on' && (!r.until || r.until < due)) return 'End date must be on or after the due date.'
+  return null
+}
+
+// Merges the rule edited in the task form with the series bookkeeping of the
+// task being saved (none for a new task, which starts its own series).
+export function attachRecurrence(rule, prev, id, due) {
+  if (!rule) return null
+  const { freq, unit, interval, ends, count, until } = rule
+  return {
+    freq, unit, interval, ends, count:ends === 'after' ? count : null, until:ends === 'on' ? until : '',
+    seriesId: prev?.seriesId || id, n: prev?.n || 1, spawned: !!prev?.spawned,
+    day: parseLocalDate(due).getDate()
+  }
+}
+
+// ─── Date Math ───────────────────────────────────────────────────────────────
+export function addInterval(due, unit, interval, day) {
+  const d = parseLocalDate(due)
+  if (unit === 'day')  d.setDate(d.getDate() + interval)
+  if (unit === 'week') d.setDate(d.getDate() + interval * 7)
+  if (unit === 'month' || unit === 'year') {
+    const months = unit === 'year' ? interval * 12 : interval
+    const target = new Date(d.getFullYear(), d.getMonth() + months, 1)
+    const last = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate()
+    target.setDate(Math.min(day || d.getDate(), last))
+    return dateKey(target)
+  }
+  return dateKey(d)
+}
+
+// Due date of the occurrence after `task`, or null when the series has ended.
+export function nextDue(task) {
+  const r = task.recurrence
+  if (!r || !task.due) return null
+  if (r.ends === 'after' && (r.n || 1) >= r.count) return null
+  const due = addInterval(task.due, r.unit, r.interval, r.day)
+  if (r.ends === 'on' && r.until && due > r.until) return null
+  return due
+}
+
+function spawnFrom(task, due, board, at, id = genId()) {
+  return {
+    ...task,
+    id, due, stage: board.columns[0].name,
+    createdAt: at, updatedAt: at, rev: 0, completedAt: null,
+    checklist: (task.checklist || []).map((i, k) => ({ ...i, id:`${id}-${k}`, done:false })),
+    stageLog: [{ col:board.columns[0].id, at }],
+    blockedBy: [], timeEntries: [], rank: null,
+    recurrence: { ...task.recurrence, n:(task.recurrence.n || 1) + 1, spawned:false },
+    activity: [{ at, type:'created' }, { at, type:'recurred', from:task.due, to:due }]
+  }
+}
+
+// ─── Generation ──────────────────────────────────────────────────────────────
+// Runs after every task command: a recurring task that just entered a done
+// column gets its next instance, once.
+export function spawnCompleted(prevTasks, nextTasks, boards, at = new Date().toISOString()) {
+  const prevById = new Map(prevTasks.map(t => [t.id, t]))
+  const boardById = new Map(boards.map(b => [b.id, b]))
+  const spawned = []
+  const tasks = nextTasks.map(t => {
+    const board = boardById.get(t.boardId)
+    if (!t.recurrence || t.recurrence.spawned || !board || !isDoneStage(board.columns, t.stage)) return t
+    const prev = prevById.get(t.id)
+    if (prev && isDoneStage(board.columns, prev.stage)) return t
+    const due = nextDue(t)
+    if (!due) return t
+    spawned.push(spawnFrom(t, due, board, at))
+    return { ...t, recurrence:{ ...t.recurrence, spawned:true } }
+  })
+  return spawned.length ? [...tasks, ...spawned] : nextTasks
+}
+
+// Catches series up to today: while the newest instance's next occurrence is
+// already due, that occurrence is created (open, so it shows as overdue).
+// Every tab and client runs this on open, so an occurrence is built only from
+// its series, number and due date — the same everywhere, and merged as one.
+export function catchUpRecurring(tasks, boards, today = dateKey(new Date())) {
+  const boardById = new Map(boards.map(b => [b.id, b]))
+  const latest = new Map()
+  const exists = new Set(tasks.map(t => t.recurrence?.seriesId && `${t.recurrence.seriesId}-${t.recurrence.n || 1}`))
+  tasks.forEach(t => {
+    const r = t.recurrence
+    if (!r?.seriesId || r.spawned || !boardById.has(t.boardId)) return
+    const cur = latest.get(r.seriesId)
+    if (!cur || (r.n || 1) > (cur.recurrence.n || 1)) latest.set(r.seriesId, t)
+  })
+  if (!latest.size) return tasks
+
+  const updated = new Map()
+  const created = []
+  latest.forEach(t => {
+    let cur = t
+    for (let i = 0; i < MAX_CATCH_UP; i++) {
+      const due = nextDue(cur)
+      const id = `${cur.recurrence.seriesId}-${(cur.recurrence.n || 1) + 1}`
+      if (!due || due > today || exists.has(id)) break
+      const next = spawnFrom(cur, due, boardById.get(cur.boardId), parseLocalDate(due).toISOString(), id)
+      const done = { ...cur, recurrence:{ ...cur.recurrence, spawned:true } }
+      if (cur === t) updated.set(t.id, done)
+      else created[created.length - 1] = done
+      created.push(next)
+      cur = next
+    }
+  })
+  return created.length ? [...tasks.map(t => updated.get(t.id) || t), ...created] : tasks
+}
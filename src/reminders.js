@@ -0,0 +1,79 @@
+import { parseLocalDate } from './helpers.js'
+import { isDoneStage } from './workflow.js'
+import { slaStatus, TARGET_LABELS, AT_RISK } from './sla.js'
+
+// ─── Reminders ───────────────────────────────────────────────────────────────
+// Each reminder has a key naming the task, the kind and the moment it is
+// about, so moving a due date or SLA clock yields a fresh reminder. Fired and
+// snoozed keys live per browser in their own localStorage key, which is what
+// stops a reload from firing them again.
+const STATE_KEY = 'cybertasks.reminders'
+const HOUR = 3600000
+const KEEP = 60 * 24 * HOUR
+
+// Due dates are whole days: a task becomes overdue when its due day ends.
+const dueMoment = (due) => { const d = parseLocalDate(due); d.setDate(d.getDate() + 1); return d.getTime() }
+
+// Every reminder that could fire for open tasks: { key, at, taskId, kind, text }.
+export function reminderEvents(tasks, { boards, policies, leadHours, now = Date.now() }) {
+  const boardById = new Map(boards.map(b => [b.id, b]))
+  const out = []
+  tasks.forEach(task => {
+    const columns = boardById.get(task.boardId)?.columns || []
+    if (isDoneStage(columns, task.stage)) return
+    if (task.due) {
+      const at = dueMoment(task.due)
+      if (leadHours) out.push({ key:`due:${task.id}:${at}`, at:at - leadHours * HOUR, until:at, taskId:task.id, kind:'due-soon', text:`${task.title} is due in ${leadHours}h` })
+      out.push({ key:`overdue:${task.id}:${at}`, at, taskId:task.id, kind:'overdue', text:`${task.title} is overdue` })
+    }
+    slaStatus(task, columns, policies, now)?.targets.forEach(t => {
+      if (t.due === null || t.metAt !== null) return
+      const label = TARGET_LABELS[t.kind].toLowerCase()
+      out.push({ key:`sla-risk:${task.id}:${t.kind}:${t.due}`, at:t.start + (t.due - t.start) * AT_RISK, until:t.due, taskId:task.id, kind:'sla-risk', text:`${task.title}: ${label} SLA at risk` })
+      out.push({ key:`sla:${task.id}:${t.kind}:${t.due}`, at:t.due, taskId:task.id, kind:'sla-breach', text:`${task.title}: ${label} SLA breached` })
+    })
+  })
+  return out
+}
+
+// state: { since, fired:{ key:at }, snoozed:{ key:until } }
+export function loadReminderState() {
+  try {
+    const s = JSON.parse(localStorage.getItem(STATE_KEY))
+    if (s && Number.isFinite(s.since)) return { since:s.since, fired:s.fired || {}, snoozed:s.snoozed || {} }
+  } catch { /* start over */ }
+  return null
+}
+
+export function saveReminderState(state) {
+  try { localStorage.setItem(STATE_KEY, JSON.stringify(state)) } catch { /* not critical */ }
+}
+
+// Splits events into those to fire now and the next state. Warnings whose
+// moment has already passed are dropped in favour of the breach reminder, and
+// events from before reminders were first enabled are recorded silently.
+// `changed` tells whether the state needs saving.
+export function collectDue(events, state, now = Date.now()) {
+  const fired = { ...state.fired }, snoozed = { ...state.snoozed }
+  const fire = []
+  let changed = false
+  events.forEach(e => {
+    if (e.at > now) return
+    const wake = snoozed[e.key]
+    if (wake !== undefined) {
+      if (wake > now) return
+      delete snoozed[e.key]
+    } else if (fired[e.key]) return
+    fired[e.key] = now
+    changed = true
+    if (e.at >= state.since && !(e.until && e.until <= now)) fire.push(e)
+  })
+  // Keys outlive their event a while so a task reopened by undo stays quiet.
+  const live = new Set(events.map(e => e.key))
+  Object.keys(fired).forEach(k => { if (!live.has(k) && now - fired[k] > KEEP) { delete fired[k]; changed = true } })
+  Object.keys(snoozed).forEach(k => { if (!live.has(k)) { delete snoozed[k]; changed = true } })
+  return { fire, state:{ since:state.since, fired, snoozed }, changed }
+}
+
+export const snoozeAll = (state, keys, until) =>
+  ({ ...state, snoozed:{ ...state.snoozed, ...Object.fromEntries(keys.map(k => [k, until])) } })
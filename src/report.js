@@ -0,0 +1,245 @@
+import { PRIORITIES } from './constants.js'
+import { dateKey, isOverdue } from './helpers.js'
+import { SEVERITY_COLORS } from './cvss.js'
+import { findingScore, findingSeverity } from './findings.js'
+
+// ─── Engagement Report ───────────────────────────────────────────────────────
+// buildReport() turns a task selection into a plain model; toMarkdown() and
+// toHtml() render it. The HTML is self-contained (inline CSS, no scripts or
+// external resources) and has a print stylesheet for "print to PDF".
+const SEVERITIES = ['Critical', 'High', 'Medium', 'Low', 'None']
+const PRIORITY_COLORS = { Critical:'#dc2626', High:'#ea580c', Medium:'#ca8a04', Low:'#16a34a' }
+
+const day = (iso) => iso ? (iso.includes('T') ? dateKey(new Date(iso)) : iso) : ''
+
+// CVSS severity when the task has a score, otherwise its priority.
+export const severityLabel = (task) => findingSeverity(task.finding) || task.priority
+
+export function compareSeverity(a, b) {
+  const rank = (t) => SEVERITIES.indexOf(severityLabel(t))
+  return rank(a) - rank(b)
+    || (findingScore(b.finding) ?? -1) - (findingScore(a.finding) ?? -1)
+    || PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority)
+    || a.title.localeCompare(b.title)
+}
+
+const countBy = (list, key, order = []) => {
+  const m = new Map(order.map(k => [k, 0]))
+  list.forEach(x => { const k = key(x); m.set(k, (m.get(k) || 0) + 1) })
+  return [...m].filter(([, n]) => n > 0)
+}
+
+// meta: { title, client, author, scope }; boardName(task), isDone(task).
+export function buildReport(tasks, { meta, boardName = () => '', isDone = () => false, now = new Date() }) {
+  const findings = [...tasks].sort(compareSeverity).map((task, i) => ({
+    ref: `F-${String(i + 1).padStart(2, '0')}`, task,
+    severity: severityLabel(task), score: findingScore(task.finding),
+    board: boardName(task), done: isDone(task)
+  }))
+  const refOf = new Map(findings.map(f => [f.task.id, f.ref]))
+  const timeline = tasks.flatMap(t => [
+    { date:day(t.createdAt), type:'Created', ref:refOf.get(t.id), title:t.title },
+    ...(t.completedAt ? [{ date:day(t.completedAt), type:'Completed', ref:refOf.get(t.id), title:t.title }] : [])
+  ]).filter(e => e.date).sort((a, b) => a.date.localeCompare(b.date) || a.ref.localeCompare(b.ref))
+  const done = findings.filter(f => f.done).length
+  return {
+    meta: { ...meta, date:dateKey(now) },
+    summary: {
+      total: tasks.length, done, open: tasks.length - done,
+      overdue: findings.filter(f => isOverdue(f.task.due, f.done)).length,
+      byPriority: countBy(tasks, t => t.priority, PRIORITIES),
+      byStage: countBy(tasks, t => t.stage),
+      bySeverity: countBy(tasks.filter(t => findingScore(t.finding) !== null), t => findingSeverity(t.finding), SEVERITIES),
+      from: timeline[0]?.date || '', to: timeline[timeline.length - 1]?.date || ''
+    },
+    findings, timeline
+  }
+}
+
+// ─── Markdown ────────────────────────────────────────────────────────────────
+const mdCell = (v) => String(v ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ')
+const mdTable = (head, rows) => [
+  `| ${head.join(' | ')} |`, `| ${head.map(() => '---').join(' | ')} |`,
+  ...rows.map(r => `| ${r.map(mdCell).join(' | ')} |`)
+].join('\n')
+
+function findingFacts(f) {
+  const { task } = f
+  return [
+    ['Severity', f.score !== null ? `${f.severity} (CVSS ${f.score.toFixed(1)})` : `${f.severity} (priority)`],
+    ['Status', `${task.stage}${f.done ? ' (done)' : ''}`],
+    ['Category', task.category],
+    f.board && ['Board', f.board],
+    task.finding?.cvss && ['CVSS Vector', task.finding.cvss],
+    task.finding?.cves.length && ['CVE', task.finding.cves.join(', ')],
+    task.finding?.cwes.length && ['CWE', task.finding.cwes.join(', ')],
+    task.finding?.assets.length && ['Affected Assets', task.finding.assets.join(', ')],
+    task.finding && ['Remediation', task.finding.remediation],
+    task.due && ['Due', task.due],
+  ].filter(Boolean)
+}
+
+export function toMarkdown(report) {
+  const { meta, summary, findings, timeline } = report
+  const out = [
+    `# ${meta.title || 'Engagement Report'}`, '',
+    ...[['Client', meta.client], ['Author', meta.author], ['Date', meta.date], ['Scope', meta.scope]]
+      .filter(([, v]) => v).map(([k, v]) => `**${k}:** ${v}  `),
+    '', '## 1. Executive Summary', '',
+    `${summary.total} task${summary.total === 1 ? '' : 's'} in scope: ${summary.done} done, ${summary.open} open` +
+      `${summary.overdue ? `, ${summary.overdue} overdue` : ''}.` +
+      (summary.from ? ` Activity from ${summary.from} to ${summary.to}.` : ''), '',
+    mdTable(['Priority', 'Tasks'], summary.byPriority), '',
+    mdTable(['Stage', 'Tasks'], summary.byStage), '',
+    ...(summary.bySeverity.length ? [mdTable(['CVSS Severity', 'Findings'], summary.bySeverity), ''] : []),
+    '## 2. Findings', '',
+  ]
+  if (!findings.length) out.push('_No tasks selected._', '')
+  findings.forEach(f => {
+    out.push(`### ${f.ref} — ${f.task.title}`, '', ...findingFacts(f).map(([k, v]) => `- **${k}:** ${v}`), '')
+    if (f.task.notes?.trim()) out.push(f.task.notes.trim(), '')
+  })
+  out.push('## 3. Timeline', '')
+  out.push(timeline.length ? mdTable(['Date', 'Event', 'Ref', 'Task'], timeline.map(e => [e.date, e.type, e.ref, e.title])) : '_No dated activity._', '')
+  out.push('## Appendix A — Task Register', '')
+  out.push(mdTable(
+    ['Ref', 'Task', 'Category', 'Priority', 'Stage', 'CVSS', 'Due', 'Created', 'Completed'],
+    findings.map(({ ref, task, score }) => [ref, task.title, task.category, task.priority, task.stage,
+      score !== null ? score.toFixed(1) : '', task.due, day(task.createdAt), day(task.completedAt)])
+  ), '')
+  return out.join('\n')
+}
+
+// ─── HTML ────────────────────────────────────────────────────────────────────
+export const escapeHtml = (s) => String(s ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;')
+
+function inline(text) {
+  return escapeHtml(text)
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[\s(])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+}
+
+// Notes are plain text with light Markdown: paragraphs, "- " lists, fenced
+// code blocks, `code`, **bold** and *italic*. Everything is escaped first.
+export function renderNotes(text) {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n')
+  const isItem = (l) => /^\s*[-*] /.test(l)
+  const html = []
+  let i = 0
+  while (i < lines.length) {
+    const line = lines[i]
+    if (line.startsWith('```')) {
+      const body = []
+      for (i++; i < lines.length && !lines[i].startsWith('```'); i++) body.push(lines[i])
+      html.push(`<pre><code>${escapeHtml(body.join('\n'))}</code></pre>`)
+      i++
+    } else if (!line.trim()) {
+      i++
+    } else if (isItem(line)) {
+      const items = []
+      for (; i < lines.length && isItem(lines[i]); i++) items.push(`<li>${inline(lines[i].replace(/^\s*[-*] /, ''))}</li>`)
+      html.push(`<ul>${items.join('')}</ul>`)
+    } else {
+      const para = []
+      for (; i < lines.length && lines[i].trim() && !isItem(lines[i]) && !lines[i].startsWith('```'); i++) para.push(inline(lines[i]))
+      html.push(`<p>${para.join('<br>')}</p>`)
+    }
+  }
+  return html.join('\n')
+}
+
+const CSS = `
+*{box-sizing:border-box}
+body{font:14px/1.55 -apple-system,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;color:#1e293b;max-width:900px;margin:0 auto;padding:32px 24px}
+h1{font-size:28px;margin:0 0 12px;color:#0f172a}
+h2{font-size:20px;border-bottom:2px solid #0f172a;padding-bottom:4px;margin:36px 0 14px}
+h3{font-size:16px;margin:0 0 8px}
+.cover{border-left:6px solid #16a34a;padding:8px 0 8px 18px;margin-bottom:24px}
+.cover dl{display:grid;grid-template-columns:max-content 1fr;gap:2px 14px;margin:0}
+dt{font-weight:600;color:#475569}
+dd{margin:0}
+table{border-collapse:collapse;width:100%;margin:8px 0 16px;font-size:12.5px}
+th,td{border:1px solid #cbd5e1;padding:5px 8px;text-align:left;vertical-align:top}
+th{background:#f1f5f9}
+.counts{display:flex;gap:16px;flex-wrap:wrap}
+.counts table{width:auto;min-width:200px}
+.finding{border:1px solid #cbd5e1;border-radius:6px;padding:14px 16px;margin:0 0 14px}
+.finding dl{display:grid;grid-template-columns:max-content 1fr;gap:2px 14px;font-size:12.5px;margin:0 0 10px}
+.badge{display:inline-block;color:#fff;border-radius:10px;padding:1px 9px;font-size:11px;font-weight:700;margin-left:8px;vertical-align:middle}
+.notes{border-top:1px solid #e2e8f0;padding-top:8px}
+pre{background:#f1f5f9;padding:8px 10px;border-radius:4px;overflow-x:auto;white-space:pre-wrap;word-break:break-word}
+code{font-family:Consolas,'Courier New',monospace;font-size:12px}
+.muted{color:#64748b}
+@page{margin:18mm 16mm}
+@media print{
+  body{max-width:none;padding:0;font-size:11pt}
+  .cover{page-break-after:always;break-after:page;margin-top:30vh}
+  h2{break-after:avoid;page-break-after:avoid}
+  .finding,tr{break-inside:avoid;page-break-inside:avoid}
+  thead{display:table-header-group}
+  .badge,th{-webkit-print-color-adjust:exact;print-color-adjust:exact}
+}`
+
+const htmlTable = (head, rows) =>
+  `<table><thead><tr>${head.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>` +
+  `<tbody>${rows.map(r => `<tr>${r.map(c => `<td>${escapeHtml(c)}</td>`).join('')}</tr>`).join('')}</tbody></table>`
+
+const badge = (f) => {
+  const color = f.score !== null ? SEVERITY_COLORS[f.severity] : PRIORITY_COLORS[f.severity]
+  return `<span class="badge" style="background:${color}">${escapeHtml(f.score !== null ? `${f.score.toFixed(1)} ${f.severity}` : f.severity)}</span>`
+}
+
+export function toHtml(report) {
+  const { meta, summary, findings, timeline } = report
+  const title = meta.title || 'Engagement Report'
+  const facts = [['Client', meta.client], ['Author', meta.author], ['Date', meta.date], ['Scope', meta.scope]].filter(([, v]) => v)
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${CSS}</style>
+</head>
+<body>
+<header class="cover">
+<h1>${escapeHtml(title)}</h1>
+<dl>${facts.map(([k, v]) => `<dt>${k}</dt><dd>${escapeHtml(v)}</dd>`).join('')}</dl>
+</header>
+
+<section>
+<h2>1. Executive Summary</h2>
+<p>${summary.total} task${summary.total === 1 ? '' : 's'} in scope: <strong>${summary.done} done</strong>, <strong>${summary.open} open</strong>${summary.overdue ? `, <strong>${summary.overdue} overdue</strong>` : ''}.${summary.from ? ` Activity from ${summary.from} to ${summary.to}.` : ''}</p>
+<div class="counts">
+${htmlTable(['Priority', 'Tasks'], summary.byPriority)}
+${htmlTable(['Stage', 'Tasks'], summary.byStage)}
+${summary.bySeverity.length ? htmlTable(['CVSS Severity', 'Findings'], summary.bySeverity) : ''}
+</div>
+</section>
+
+<section>
+<h2>2. Findings</h2>
+${findings.length ? findings.map(f => `<article class="finding">
+<h3>${f.ref} — ${escapeHtml(f.task.title)}${badge(f)}</h3>
+<dl>${findingFacts(f).map(([k, v]) => `<dt>${k}</dt><dd>${escapeHtml(v)}</dd>`).join('')}</dl>
+${f.task.notes?.trim() ? `<div class="notes">${renderNotes(f.task.notes)}</div>` : ''}
+</article>`).join('\n') : '<p class="muted">No tasks selected.</p>'}
+</section>
+
+<section>
+<h2>3. Timeline</h2>
+${timeline.length ? htmlTable(['Date', 'Event', 'Ref', 'Task'], timeline.map(e => [e.date, e.type, e.ref, e.title])) : '<p class="muted">No dated activity.</p>'}
+</section>
+
+<section>
+<h2>Appendix A — Task Register</h2>
+${htmlTable(['Ref', 'Task', 'Category', 'Priority', 'Stage', 'CVSS', 'Due', 'Created', 'Completed'],
+    findings.map(({ ref, task, score }) => [ref, task.title, task.category, task.priority, task.stage,
+      score !== null ? score.toFixed(1) : '', task.due, day(task.createdAt), day(task.completedAt)]))}
+</section>
+</body>
+</html>
+`
+}
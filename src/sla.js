@@ -0,0 +1,92 @@
+import { genId } from './helpers.js'
+import { stageLogOf } from './metrics.js'
+
+// ─── SLA Policies ────────────────────────────────────────────────────────────
+// settings.slaPolicies: [{ id, name, priorities:[], categories:[], ackHours,
+//   resolveHours, resolveFrom }] — empty lists match any priority/category and
+// the first matching policy applies. Acknowledge runs from createdAt until the
+// card first leaves the first column; resolve runs from createdAt (or from
+// first entering the `resolveFrom` stage) until it reaches a done column.
+const HOUR = 3600000
+export const AT_RISK = 0.75 // share of the window after which a target is at risk
+
+export function newPolicy(patch = {}) {
+  return { id:genId(), name:'', priorities:[], categories:[], ackHours:null, resolveHours:null, resolveFrom:'', ...patch }
+}
+
+export const SLA_PRESETS = {
+  'Incident Response': [
+    { name:'IR Critical', priorities:['Critical'], categories:['Incident Response'], ackHours:1, resolveHours:24 },
+    { name:'IR High', priorities:['High'], categories:['Incident Response'], ackHours:4, resolveHours:72 },
+  ],
+  'Vulnerability remediation': [
+    { name:'Critical vulns', priorities:['Critical'], categories:['Vulnerability Assessment', 'Pen Testing'], ackHours:null, resolveHours:7 * 24 },
+    { name:'High vulns', priorities:['High'], categories:['Vulnerability Assessment', 'Pen Testing'], ackHours:null, resolveHours:30 * 24 },
+  ],
+}
+
+const validHours = (h) => h === null || (Number.isFinite(h) && h > 0 && h <= 24 * 365)
+
+export function policyProblem(p) {
+  if (!p.name.trim()) return 'Each policy needs a name.'
+  if (!validHours(p.ackHours) || !validHours(p.resolveHours)) return `"${p.name}": hours must be between 0 and one year.`
+  if (p.ackHours === null && p.resolveHours === null) return `"${p.name}": set an acknowledge or resolve target.`
+  if (p.ackHours !== null && p.resolveHours !== null && !p.resolveFrom && p.ackHours > p.resolveHours) {
+    return `"${p.name}": acknowledge target is longer than resolve target.`
+  }
+  return null
+}
+
+export const policyFor = (task, policies = []) => policies.find(p =>
+  (!p.priorities.length || p.priorities.includes(task.priority)) &&
+  (!p.categories.length || p.categories.includes(task.category)))
+
+// One target: { kind, start, due, metAt, state } with state
+// 'pending' (clock not started) | 'running' | 'at-risk' | 'breached' | 'met' | 'missed'.
+function target(kind, start, hours, metAt, now) {
+  if (start === null) return { kind, start, due:null, metAt, state:'pending' }
+  const due = start + hours * HOUR
+  let state
+  if (metAt !== null) state = metAt <= due ? 'met' : 'missed'
+  else if (now >= due) state = 'breached'
+  else state = now - start >= hours * HOUR * AT_RISK ? 'at-risk' : 'running'
+  return { kind, start, due, metAt, state }
+}
+
+export function slaStatus(task, columns, policies, now = Date.now()) {
+  const policy = policyFor(task, policies)
+  if (!policy || !columns.length) return null
+  const log = stageLogOf(task, columns)
+  const created = Date.parse(task.createdAt)
+  const targets = []
+  if (policy.ackHours) {
+    const left = log.find(e => e.col !== columns[0].id)
+    targets.push(target('ack', created, policy.ackHours, left ? Date.parse(left.at) : null, now))
+  }
+  if (policy.resolveHours) {
+    const fromCol = policy.resolveFrom && columns.find(c => c.name === policy.resolveFrom)
+    const entered = fromCol ? log.find(e => e.col === fromCol.id) : null
+    const start = !policy.resolveFrom ? created : entered ? Date.parse(entered.at) : null
+    targets.push(target('resolve', start, policy.resolveHours, task.completedAt ? Date.parse(task.completedAt) : null, now))
+  }
+  const open = targets.filter(t => t.state === 'running' || t.state === 'at-risk' || t.state === 'breached')
+  const worst = open.find(t => t.state === 'breached') || open.sort((a, b) => a.due - b.due)[0] || null
+  return { policy, targets, current:worst, breached:targets.some(t => t.state === 'breached' || t.state === 'missed') }
+}
+
+export const TARGET_LABELS = { ack:'Acknowledge', resolve:'Resolve' }
+
+// "2h 05m", "3d 4h", "12m"
+export function formatSpan(ms) {
+  const mins = Math.max(0, Math.round(ms / 60000))
+  if (mins < 60) return `${mins}m`
+  const h = Math.floor(mins / 60)
+  return h < 48 ? `${h}h ${String(mins % 60).padStart(2, '0')}m` : `${Math.floor(h / 24)}d ${h % 24}h`
+}
+
+export function describeSla(status, now = Date.now()) {
+  const t = status?.current
+  if (!t) return status?.breached ? 'SLA missed' : ''
+  const label = TARGET_LABELS[t.kind]
+  return t.state === 'breached' ? `${label} breached ${formatSpan(now - t.due)} ago` : `${label} in ${formatSpan(t.due - now)}`
+}
@@ -0,0 +1,258 @@
+import { DEFAULT_TASK } from './constants.js'
+import { DEFAULT_COLUMNS, inferStageLog } from './workflow.js'
+import { DEFAULT_BOARD } from './boards.js'
+import { sanitizeFinding } from './findings.js'
+import { newPolicy } from './sla.js'
+import { pruneLinks } from './deps.js'
+import { LockError, parseSealed, openLock, seal, unseal } from './crypto.js'
+
+// ─── Storage Envelope ────────────────────────────────────────────────────────
+// The stored board is { app, version, savedAt, data } where data is
+// { tasks, settings }; adapters.js decides where it is kept. Unversioned
+// stores (a bare task array) are v0.
+export const DEFAULT_REPORT_META = { title:'Engagement Report', client:'', author:'' }
+export const STORAGE_KEY      = 'cybertasks'
+export const STORE_VERSION    = 15
+export const DEFAULT_SETTINGS = { boards:[DEFAULT_BOARD], checklistTemplates:[], taskTemplates:[], savedViews:[], reportMeta:DEFAULT_REPORT_META, members:[], slaPolicies:[] }
+const APP_ID = 'cybersec-task-manager'
+
+// MIGRATIONS[n] upgrades data stored at version n to version n + 1.
+// Append a function here whenever the persisted shape changes.
+const MIGRATIONS = [
+  // v1: wrap the legacy bare task array
+  (tasks) => ({ tasks, settings:{} }),
+  // v2: seed the activity log from the timestamps we already have
+  (data) => ({
+    ...data,
+    tasks: data.tasks.map(t => ({
+      ...t,
+      activity: [
+        { at:t.createdAt || new Date().toISOString(), type:'created' },
+        ...(t.completedAt ? [{ at:t.completedAt, type:'stage', from:null, to:t.stage }] : [])
+      ]
+    }))
+  }),
+  // v3: the workflow columns become user-editable settings
+  (data) => ({ ...data, settings:{ ...data.settings, columns:DEFAULT_COLUMNS } }),
+  // v4: multiple boards — the single workflow becomes the first board's
+  (data) => {
+    const { columns, ...settings } = data.settings
+    return {
+      tasks: data.tasks.map(t => ({ ...t, boardId:DEFAULT_BOARD.id })),
+      settings: { ...settings, boards:[{ ...DEFAULT_BOARD, columns }] }
+    }
+  },
+  // v5: checklists on tasks and reusable checklist templates
+  (data) => ({
+    tasks: data.tasks.map(t => ({ ...t, checklist:[] })),
+    settings: { ...data.settings, checklistTemplates:[] }
+  }),
+  // v6: recurring tasks and saved task templates
+  (data) => ({
+    tasks: data.tasks.map(t => ({ ...t, recurrence:null })),
+    settings: { ...data.settings, taskTemplates:[] }
+  }),
+  // v7: saved search views
+  (data) => ({ ...data, settings:{ ...data.settings, savedViews:[] } }),
+  // v8: per-column entry timestamps, reconstructed from the activity log
+  (data) => {
+    const boards = new Map(data.settings.boards.map(b => [b.id, b]))
+    return {
+      ...data,
+      tasks: data.tasks.map(t => ({ ...t, stageLog:inferStageLog(t, (boards.get(t.boardId) || data.settings.boards[0]).columns) }))
+    }
+  },
+  // v9: structured security finding fields
+  (data) => ({ ...data, tasks:data.tasks.map(t => ({ ...t, finding:null })) }),
+  // v10: report title / client / author, kept with the (possibly encrypted) board
+  (data) => ({ ...data, settings:{ ...data.settings, reportMeta:DEFAULT_REPORT_META } }),
+  // v11: "blocked by" links between tasks
+  (data) => ({ ...data, tasks:data.tasks.map(t => ({ ...t, blockedBy:[] })) }),
+  // v12: team members, assignees, estimates and time entries
+  (data) => ({
+    tasks: data.tasks.map(t => ({ ...t, assignees:[], estimate:null, timeEntries:[] })),
+    settings: { ...data.settings, members:[] }
+  }),
+  // v13: SLA policies
+  (data) => ({ ...data, settings:{ ...data.settings, slaPolicies:[] } }),
+  // v14: per-task revision numbers for syncing between tabs and clients
+  (data) => ({ ...data, tasks:data.tasks.map(t => ({ ...t, rev:0, updatedAt:null })) }),
+  // v15: manual card order within a column (unranked cards keep insertion order)
+  (data) => ({ ...data, tasks:data.tasks.map(t => ({ ...t, rank:null })) }),
+]
+
+export class StoreError extends Error {
+  constructor(reason, message) {
+    super(message)
+    this.reason = reason
+  }
+}
+
+function sanitizeTask(t) {
+  if (!t || typeof t !== 'object' || !t.id) throw new StoreError('invalid', 'A task is missing its id.')
+  return {
+    ...DEFAULT_TASK, ...t,
+    title: String(t.title ?? ''), notes: String(t.notes ?? ''), due: t.due || '',
+    createdAt: t.createdAt || new Date().toISOString(), completedAt: t.completedAt || null,
+    activity: Array.isArray(t.activity) ? t.activity : [],
+    checklist: Array.isArray(t.checklist) ? t.checklist.filter(i => i?.id) : [],
+    recurrence: t.recurrence && typeof t.recurrence === 'object' ? t.recurrence : null,
+    stageLog: Array.isArray(t.stageLog) ? t.stageLog.filter(e => e?.col && e.at) : [],
+    finding: sanitizeFinding(t.finding),
+    blockedBy: Array.isArray(t.blockedBy) ? [...new Set(t.blockedBy.filter(x => typeof x === 'string' && x !== t.id))] : [],
+    assignees: Array.isArray(t.assignees) ? t.assignees.filter(x => typeof x === 'string') : [],
+    estimate: Number.isFinite(t.estimate) && t.estimate > 0 ? t.estimate : null,
+    timeEntries: Array.isArray(t.timeEntries) ? t.timeEntries.filter(e => e?.id && e.memberId && !isNaN(Date.parse(e.start))) : [],
+    rev: Number.isInteger(t.rev) && t.rev >= 0 ? t.rev : 0,
+    updatedAt: t.updatedAt && !isNaN(Date.parse(t.updatedAt)) ? t.updatedAt : null,
+    rank: Number.isFinite(t.rank) ? t.rank : null
+  }
+}
+
+// Parses and upgrades a raw envelope (or legacy array) to the current shape.
+// Throws StoreError with reason 'corrupt' | 'newer' | 'invalid'.
+export function decodeStore(raw) {
+  let parsed
+  try { parsed = JSON.parse(raw) } catch { throw new StoreError('corrupt', 'Data is not valid JSON.') }
+
+  let version, data
+  if (Array.isArray(parsed)) { version = 0; data = parsed }
+  else if (parsed && parsed.app === APP_ID && Number.isInteger(parsed.version)) { version = parsed.version; data = parsed.data }
+  else throw new StoreError('invalid', 'Data is not a Cybersec Task Manager board.')
+
+  if (version > STORE_VERSION) {
+    throw new StoreError('newer', `Data was saved by a newer version (v${version}); this app supports up to v${STORE_VERSION}.`)
+  }
+  const fromVersion = version
+  try {
+    while (version < STORE_VERSION) data = MIGRATIONS[version++](data)
+  } catch (err) {
+    if (err instanceof StoreError) throw err
+    throw new StoreError('invalid', `Migration from v${version - 1} failed: ${err.message}`)
+  }
+
+  if (!data || !Array.isArray(data.tasks)) throw new StoreError('invalid', 'Data has no task list.')
+  const settings = { ...DEFAULT_SETTINGS, ...data.settings }
+  if (!Array.isArray(settings.boards) || !settings.boards.length || settings.boards.some(b => !b?.id || !b.name)) {
+    throw new StoreError('invalid', 'Boards are malformed.')
+  }
+  settings.boards = settings.boards.map(b => {
+    if (!Array.isArray(b.columns) || !b.columns.length || b.columns.some(c => !c?.id || !c.name)) {
+      throw new StoreError('invalid', `Workflow columns of board "${b.name}" are malformed.`)
+    }
+    return { ...b, archived:!!b.archived, columns:b.columns.map(c => ({ wipLimit:null, wipStrict:false, allowFrom:[], ...c, done:!!c.done })) }
+  })
+  settings.members = Array.isArray(settings.members)
+    ? settings.members.filter(m => m?.id && m.name).map(m => ({ initials:'?', color:'#64748b', ...m, active:m.active !== false }))
+    : []
+  settings.slaPolicies = Array.isArray(settings.slaPolicies)
+    ? settings.slaPolicies.filter(p => p?.id).map(p => ({ ...newPolicy(), ...p, priorities:p.priorities || [], categories:p.categories || [] }))
+    : []
+  const boardIds = new Set(settings.boards.map(b => b.id))
+  const tasks = pruneLinks(data.tasks.map(sanitizeTask).map(t => boardIds.has(t.boardId) ? t : { ...t, boardId:settings.boards[0].id }))
+  return { fromVersion, savedAt:parsed.savedAt || null, data:{ tasks, settings } }
+}
+
+export function encodeStore(data) {
+  return JSON.stringify({ app:APP_ID, version:STORE_VERSION, savedAt:new Date().toISOString(), data })
+}
+
+// ─── Load / Save ─────────────────────────────────────────────────────────────
+// Copies unreadable data aside so the persist effect never overwrites it.
+export function quarantine(raw) {
+  const prefix = `${STORAGE_KEY}.quarantine.`
+  for (let i = 0; i < localStorage.length; i++) {
+    const k = localStorage.key(i)
+    if (k.startsWith(prefix) && localStorage.getItem(k) === raw) return k
+  }
+  const key = prefix + new Date().toISOString()
+  try { localStorage.setItem(key, raw) } catch { return null }
+  return key
+}
+
+function keepPreMigration(raw, fromVersion) {
+  if (fromVersion >= STORE_VERSION) return
+  try { localStorage.setItem(`${STORAGE_KEY}.pre-v${STORE_VERSION}`, raw) } catch { /* best effort */ }
+}
+
+// Reads a stored board as handed over by a storage adapter.
+// Returns { status:'empty' } | { status:'ok', data, fromVersion } | { status:'locked', env }
+//       | { status:'quarantined', reason, message, key, raw }
+export function readStore(raw) {
+  if (raw === null) return { status:'empty' }
+  try {
+    const env = parseSealed(raw)
+    if (env) return { status:'locked', env }
+    const result = decodeStore(raw)
+    keepPreMigration(raw, result.fromVersion)
+    return { status:'ok', ...result }
+  } catch (err) {
+    const reason = err instanceof StoreError || err instanceof LockError ? err.reason : 'corrupt'
+    return { status:'quarantined', reason, message:err.message, key:quarantine(raw), raw }
+  }
+}
+
+// Decrypts and decodes a sealed envelope (stored board or backup file).
+// Throws LockError for a wrong passphrase or tampered data, StoreError when
+// the decrypted board itself can't be read. Nothing is written.
+export async function openSealedStore(env, passphrase) {
+  const lock = await openLock(passphrase, env)
+  return { lock, ...decodeStore(await unseal(lock, env)) }
+}
+
+export async function unlockStore(env, passphrase) {
+  const result = await openSealedStore(env, passphrase)
+  keepPreMigration(JSON.stringify(env), result.fromVersion)
+  return result
+}
+
+// The board as handed to a storage adapter: sealed with `lock` when
+// encryption is on.
+export async function packStore(data, lock = null) {
+  const text = encodeStore(data)
+  return lock ? seal(lock, text) : text
+}
+
+// Migration and quarantine copies written while the board was unencrypted.
+export function plaintextCopies() {
+  const keys = []
+  for (let i = 0; i < localStorage.length; i++) {
+    const k = localStorage.key(i)
+    if (!k.startsWith(`${STORAGE_KEY}.pre-v`) && !k.startsWith(`${STORAGE_KEY}.quarantine.`)) continue
+    try { if (!parseSealed(localStorage.getItem(k))) keys.push(k) } catch { /* sealed but damaged */ }
+  }
+  return keys
+}
+
+// ─── Backup / Restore ────────────────────────────────────────────────────────
+export function backupFileName(sealed = false) {
+  return `cybersec-board-${new Date().toISOString().slice(0,10)}${sealed ? '.locked' : ''}.json`
+}
+
+// Restoring accepts any version decodeStore() can upgrade, including a bare
+// legacy task array.
+export function parseBackup(text) {
+  return decodeStore(text)
+}
+
+// Replace swaps everything wholesale; merge keeps current tasks and settings,
+// adds boards, members and tasks whose ids are not already present, and drops
+// cards into the first column when their board lacks a column of their stage.
+export function restoreStore(current, backup, mode) {
+  if (mode === 'replace') return { data:backup, added:backup.tasks.length, skipped:0 }
+  const boardIds = new Set(current.settings.boards.map(b => b.id))
+  const boards = [...current.settings.boards, ...backup.settings.boards.filter(b => !boardIds.has(b.id))]
+  const byId = new Map(boards.map(b => [b.id, b]))
+  const memberIds = new Set(current.settings.members.map(m => m.id))
+  const members = [...current.settings.members, ...backup.settings.members.filter(m => !memberIds.has(m.id))]
+  const ids = new Set(current.tasks.map(t => t.id))
+  const fresh = backup.tasks.filter(t => !ids.has(t.id)).map(t => {
+    const board = byId.get(t.boardId)
+    return board.columns.some(c => c.name === t.stage) ? t : { ...t, stage:board.columns[0].name }
+  })
+  return {
+    data: { tasks:[...current.tasks, ...fresh], settings:{ ...backup.settings, ...current.settings, boards, members } },
+    added: fresh.length,
+    skipped: backup.tasks.length - fresh.length
+  }
+}
@@ -0,0 +1,262 @@
+import { STORAGE_KEY, decodeStore, readStore, packStore } from './storage.js'
+import { LockError, parseSealed, unseal } from './crypto.js'
+
+// ─── Merging ─────────────────────────────────────────────────────────────────
+// Every change to a task raises its `rev` (see stampRevisions in history.js),
+// so comparing revs against the board as last synced tells which side edited
+// what. Settings have no revs and are compared per top-level key.
+export const SETTING_NAMES = {
+  boards:'Boards & workflows', checklistTemplates:'Checklist templates', taskTemplates:'Task templates',
+  savedViews:'Saved views', reportMeta:'Report details', members:'Team members', slaPolicies:'SLA policies'
+}
+
+const byId = (tasks = []) => new Map(tasks.map(t => [t.id, t]))
+const same = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b)
+const content = ({ rev, updatedAt, activity, ...rest }) => rest
+const stamp = (t) => t.updatedAt || t.createdAt || ''
+const later = (a, b) => stamp(a) > stamp(b) || (stamp(a) === stamp(b) && a.rev >= b.rev)
+
+// Three-way merge of the board as last synced (`base`, null when unknown), the
+// local board and the stored one. Returns the patch that folds their changes
+// into ours — { tasks:Map(id → { task|null, rev }), settings } where rev is
+// our rev the entry was decided against — and the conflicts: both sides
+// changed the same task or setting. Those are settled last-writer-wins (an
+// edit beats a delete, our settings beat theirs) and listed as
+// { kind:'task'|'setting', id, title, mine, theirs, kept:'mine'|'theirs' }.
+export function mergeBoards(base, mine, theirs) {
+  const was = byId(base?.tasks), have = byId(mine.tasks), got = byId(theirs.tasks)
+  const tasks = new Map(), settings = {}, conflicts = []
+
+  new Set([...was.keys(), ...got.keys()]).forEach(id => {
+    const b = was.get(id), m = have.get(id), t = got.get(id)
+    const take = (task) => tasks.set(id, { task, rev:m ? m.rev : null })
+    if (b ? t?.rev === b.rev : !t) return
+    if (b ? m?.rev === b.rev : !m) { take(t || null); return }
+    if (!m && !t) return
+    if (m && t && same(content(m), content(t))) { take(t); return }
+    const keepMine = !t || (!!m && later(m, t))
+    if (keepMine && t) take({ ...m, rev:Math.max(m.rev, t.rev) + 1 })
+    if (!keepMine) take(t)
+    conflicts.push({ kind:'task', id, title:(m || t).title, mine:m || null, theirs:t || null, kept:keepMine ? 'mine' : 'theirs' })
+  })
+
+  new Set([...Object.keys(base?.settings || {}), ...Object.keys(theirs.settings)]).forEach(k => {
+    const b = base?.settings[k], m = mine.settings[k], t = theirs.settings[k]
+    if (base && same(b, t)) return
+    if (!base || same(b, m) || same(m, t)) { settings[k] = t; return }
+    conflicts.push({ kind:'setting', id:k, title:SETTING_NAMES[k] || k, mine:m, theirs:t, kept:'mine' })
+  })
+
+  return { patch:{ tasks, settings }, conflicts }
+}
+
+// With `strict`, entries are skipped for tasks changed since the merge was
+// worked out, so an edit made meanwhile is not overwritten.
+export function applyPatch(data, { tasks, settings }, strict = false) {
+  const seen = new Set()
+  const next = data.tasks.flatMap(t => {
+    const p = tasks.get(t.id)
+    seen.add(t.id)
+    if (!p || (strict && p.rev !== t.rev)) return [t]
+    return p.task ? [p.task] : []
+  })
+  tasks.forEach((p, id) => { if (p.task && !seen.has(id) && !(strict && p.rev !== null)) next.push(p.task) })
+  return { tasks:next, settings:{ ...data.settings, ...settings } }
+}
+
+// True when `data` differs from the board as last synced.
+export function hasChanges(base, data) {
+  if (!base) return true
+  if (base === data) return false
+  if (base.tasks.length !== data.tasks.length) return true
+  const revs = new Map(base.tasks.map(t => [t.id, t.rev]))
+  return data.tasks.some(t => revs.get(t.id) !== t.rev) || !same(base.settings, data.settings)
+}
+
+// ─── Sync ────────────────────────────────────────────────────────────────────
+// Keeps the app's board and one storage adapter in step. Writes carry the
+// revision they were based on; when another tab or client saved first, their
+// board is merged in and the write retried. For a remote backend the last
+// synced board and any write it could not take are kept in an outbox, so the
+// app opens offline and the write is replayed once the backend answers again.
+//
+// on: { onRemote(patch, conflicts), onLocked(env), onDecrypted(), onStatus(status), onError(err) }
+// status: 'saving' | 'synced' | 'offline' | 'error'
+const OUTBOX_KEY = `${STORAGE_KEY}.outbox`
+const RETRY_MIN  = 5000
+const RETRY_MAX  = 60000
+
+export function createSync(adapter, on) {
+  let lock   = null
+  let base   = null   // { data, raw, rev } as last read from or written to the backend
+  let latest = null   // the local board, including merged-in remote changes
+  let boot   = null   // what open() found, until start() hands over the opened board
+  let ready  = false
+  let closed = false
+  let unwatch = null, retry = null, delay = RETRY_MIN
+  let chain = Promise.resolve()
+
+  const setStatus = (s) => { if (!closed) on.onStatus(s) }
+
+  function enqueue(fn) {
+    const run = chain.then(() => closed ? undefined : fn())
+    chain = run.catch(() => {})
+    return run
+  }
+  const background = (fn) => enqueue(fn).catch(err => {
+    if (closed) return
+    setStatus('error')
+    on.onError(err)
+  })
+
+  function readOutbox() {
+    if (!adapter.remote) return null
+    try {
+      const box = JSON.parse(localStorage.getItem(OUTBOX_KEY))
+      return box?.id === adapter.id ? box : null
+    } catch { return null }
+  }
+  function writeOutbox(raw) {
+    if (!adapter.remote) return
+    try { localStorage.setItem(OUTBOX_KEY, JSON.stringify({ id:adapter.id, baseRaw:base?.raw ?? null, baseRev:base?.rev ?? 0, raw })) } catch { /* best effort */ }
+  }
+
+  // { data } — or { env } when the board is sealed and this lock can't open it.
+  async function read(raw) {
+    if (raw === null) return { data:null }
+    const env = parseSealed(raw)
+    if (!env) return { data:decodeStore(raw).data, plain:true }
+    if (!lock) return { env }
+    try {
+      return { data:decodeStore(await unseal(lock, env)).data }
+    } catch (err) {
+      if (err instanceof LockError) return { env }
+      throw err
+    }
+  }
+
+  async function receive(raw, rev) {
+    if (base && rev === base.rev) return
+    if (!ready) {
+      if (boot) boot.remote = { raw, rev }
+      const env = parseSealed(raw)
+      if (env) on.onLocked(env)
+      return
+    }
+    const got = await read(raw)
+    if (got.env) {
+      ready = false; lock = null; latest = null
+      boot = { baseRaw:raw, baseRev:rev, startRaw:raw, remote:null }
+      on.onLocked(got.env)
+      return
+    }
+    if (got.plain && lock) { lock = null; on.onDecrypted() }
+    const prev = base
+    base = { data:got.data, raw, rev }
+    if (!latest || !got.data) return
+    const { patch, conflicts } = mergeBoards(prev?.data, latest, got.data)
+    if (!patch.tasks.size && !Object.keys(patch.settings).length && !conflicts.length) return
+    latest = applyPatch(latest, patch)
+    on.onRemote(patch, conflicts)
+  }
+
+  async function write(force = false) {
+    while (ready && latest && (force || hasChanges(base?.data, latest))) {
+      force = false
+      const mine = latest
+      setStatus('saving')
+      const raw = await packStore(mine, lock)
+      try {
+        const { rev } = await adapter.save(raw, base?.rev ?? 0)
+        base = { data:mine, raw, rev }
+        writeOutbox(null)
+        delay = RETRY_MIN
+      } catch (err) {
+        if (err.reason === 'offline') { writeOutbox(raw); setStatus('offline'); retryLater(); return }
+        if (err.reason !== 'conflict' || err.current.rev === base?.rev) throw err
+        await receive(err.current.raw, err.current.rev)
+      }
+    }
+    if (ready) setStatus('synced')
+  }
+
+  async function refresh() {
+    let cur
+    try {
+      cur = await adapter.load()
+    } catch (err) {
+      if (err.reason !== 'offline') throw err
+      setStatus('offline'); retryLater()
+      return
+    }
+    await receive(cur.raw, cur.rev)
+    await write()
+  }
+
+  function retryLater() {
+    clearTimeout(retry)
+    retry = setTimeout(() => background(refresh), delay)
+    delay = Math.min(delay * 2, RETRY_MAX)
+  }
+
+  const onOnline = () => background(refresh)
+
+  // Reads the stored board: readStore()'s result, plus the lock when the
+  // board is sealed and `currentLock` opens it. Nothing is written until
+  // start() is called with the board the app opened.
+  const open = (currentLock = null) => enqueue(async () => {
+    ready = false; lock = currentLock; latest = null
+    if (!unwatch) {
+      unwatch = adapter.watch(() => background(refresh))
+      window.addEventListener('online', onOnline)
+    }
+    let remote = null
+    try {
+      remote = await adapter.load()
+    } catch (err) {
+      if (err.reason !== 'offline') throw err
+      setStatus('offline'); retryLater()
+    }
+    const saved = readOutbox()
+    const baseRaw = saved ? saved.baseRaw : remote?.raw ?? null
+    boot = { baseRaw, baseRev:saved ? saved.baseRev : remote?.rev ?? 0, startRaw:saved?.raw ?? baseRaw, remote }
+    const res = readStore(boot.startRaw)
+    if (res.status === 'locked' && lock) {
+      const got = await read(boot.startRaw)
+      if (got.data) return { status:'ok', data:got.data, lock }
+    }
+    return { ...res, lock:null }
+  })
+
+  // `data` is the board open() returned (null when starting empty). Replays
+  // the outbox and merges whatever the backend got meanwhile.
+  const start = (data, startLock = lock) => enqueue(async () => {
+    if (!boot) return
+    lock = startLock
+    const { baseRaw, baseRev, startRaw, remote } = boot
+    base = { data:baseRaw === startRaw ? data : (await read(baseRaw)).data ?? null, raw:baseRaw, rev:baseRev }
+    latest = data
+    ready = true; boot = null
+    if (remote && remote.rev !== baseRev) await receive(remote.raw, remote.rev)
+    await write()
+  })
+
+  return {
+    open, start,
+    push(data) {
+      if (!ready || data === latest) return
+      latest = data
+      background(write)
+    },
+    // Writes right away, sealed with `newLock` (null for plaintext).
+    rekey: (newLock) => enqueue(async () => { lock = newLock; await write(true) }),
+    flush: () => enqueue(async () => {}),
+    close() {
+      closed = true
+      unwatch?.()
+      clearTimeout(retry)
+      window.removeEventListener('online', onOnline)
+      adapter.close?.()
+    },
+  }
+}
@@ -0,0 +1,39 @@
+import { genId, dateKey, parseLocalDate } from './helpers.js'
+import { checklistItems } from './checklists.js'
+
+// ─── Task Templates ──────────────────────────────────────────────────────────
+// settings.taskTemplates: [{ id, name, title, priority, category, notes,
+//   dueOffset, checklist:[text], recurrence, estimate }]
+// dueOffset is in days from the day the template is used (null = no due date).
+export function newTaskTemplate(name, form, dueOffset) {
+  const { freq, unit, interval, ends, count, until } = form.recurrence || {}
+  return {
+    id: genId(), name: name.trim(),
+    title: form.title.trim(), priority: form.priority, category: form.category, notes: form.notes,
+    dueOffset: Number.isInteger(dueOffset) ? dueOffset : null,
+    checklist: (form.checklist || []).map(i => i.text.trim()).filter(Boolean),
+    recurrence: form.recurrence ? { freq, unit, interval, ends, count, until } : null,
+    estimate: Number(form.estimate) > 0 ? Number(form.estimate) : null
+  }
+}
+
+// Days from today to `due`, used to prefill the offset when saving a template.
+export function dueOffsetOf(due) {
+  if (!due) return null
+  const today = new Date(); today.setHours(0, 0, 0, 0)
+  return Math.round((parseLocalDate(due) - today) / 86400000)
+}
+
+export function taskFromTemplate(tpl, today = new Date()) {
+  let due = ''
+  if (tpl.dueOffset !== null && tpl.dueOffset !== undefined) {
+    const d = new Date(today.getFullYear(), today.getMonth(), today.getDate() + tpl.dueOffset)
+    due = dateKey(d)
+  }
+  return {
+    title: tpl.title, priority: tpl.priority, category: tpl.category, notes: tpl.notes, due,
+    checklist: checklistItems(tpl.checklist || []),
+    recurrence: tpl.recurrence ? { ...tpl.recurrence } : null,
+    estimate: tpl.estimate ?? null
+  }
+}
@@ -0,0 +1,115 @@
+import { genId, dateKey, parseLocalDate } from './helpers.js'
+
+// ─── Time Tracking ───────────────────────────────────────────────────────────
+// task.timeEntries: [{ id, memberId, start, end, note }] with ISO timestamps;
+// end is null while the timer runs. Because only the start is stored, a
+// running timer survives reloads. Each member has at most one running entry.
+const HOUR = 3600000
+
+export const entryMs = (e, now = Date.now()) => Math.max(0, (e.end ? Date.parse(e.end) : now) - Date.parse(e.start))
+
+export const loggedMs = (task, now) => (task.timeEntries || []).reduce((sum, e) => sum + entryMs(e, now), 0)
+
+export function runningEntry(tasks, memberId) {
+  for (const task of tasks) {
+    const entry = task.timeEntries?.find(e => !e.end && e.memberId === memberId)
+    if (entry) return { task, entry }
+  }
+  return null
+}
+
+// Stops `memberId`'s running entry wherever it is.
+export function stopTimer(tasks, memberId, at = new Date().toISOString()) {
+  return tasks.map(t => t.timeEntries?.some(e => !e.end && e.memberId === memberId)
+    ? { ...t, timeEntries:t.timeEntries.map(e => !e.end && e.memberId === memberId ? { ...e, end:at } : e) }
+    : t)
+}
+
+// Starts a timer on `taskId`, stopping the member's other one first.
+export function startTimer(tasks, taskId, memberId, at = new Date().toISOString()) {
+  return stopTimer(tasks, memberId, at).map(t => t.id === taskId
+    ? { ...t, timeEntries:[...(t.timeEntries || []), { id:genId(), memberId, start:at, end:null, note:'' }] }
+    : t)
+}
+
+// Manual entry of `hours` on `day` (YYYY-MM-DD), starting at 09:00 local.
+export function manualEntry(memberId, day, hours, note = '') {
+  const start = parseLocalDate(day); start.setHours(9, 0, 0, 0)
+  return { id:genId(), memberId, start:start.toISOString(), end:new Date(start.getTime() + hours * HOUR).toISOString(), note }
+}
+
+// Errors for an edited entry list; running entries are left alone.
+export function entriesProblem(entries) {
+  const bad = entries.find(e => e.end && !(Date.parse(e.end) > Date.parse(e.start)))
+  if (bad) return 'Each time entry must end after it starts.'
+  if (entries.some(e => !e.memberId)) return 'Each time entry needs a person.'
+  const running = entries.filter(e => !e.end).map(e => e.memberId)
+  if (new Set(running).size !== running.length) return 'A person can only have one running timer.'
+  return null
+}
+
+// "1h 05m", "45m", "0m"
+export function formatDuration(ms) {
+  const mins = Math.floor(ms / 60000)
+  const h = Math.floor(mins / 60), m = mins % 60
+  return h ? `${h}h ${String(m).padStart(2, '0')}m` : `${m}m`
+}
+
+export const toHours = (ms) => Math.round(ms / HOUR * 100) / 100
+
+// ─── Timesheet ───────────────────────────────────────────────────────────────
+// Hours inside [from, to] (inclusive local days). Entries crossing the edges
+// are clipped; running entries count up to `now`. `memberId` narrows to one person.
+export function timesheet(tasks, { from, to, memberName, boardName = () => '', memberId = null, now = Date.now() }) {
+  const lo = parseLocalDate(from).getTime()
+  const hiDay = parseLocalDate(to); hiDay.setDate(hiDay.getDate() + 1)
+  const hi = hiDay.getTime()
+  const rows = []
+  tasks.forEach(task => (task.timeEntries || []).forEach(e => {
+    if (memberId && e.memberId !== memberId) return
+    const start = Math.max(lo, Date.parse(e.start))
+    const end = Math.min(hi, e.end ? Date.parse(e.end) : now)
+    if (end <= start) return
+    rows.push({
+      date: dateKey(new Date(start)), person: memberName(e.memberId), task: task.title, taskId: task.id,
+      category: task.category, board: boardName(task), hours: toHours(end - start), running: !e.end, note: e.note || '',
+      estimate: task.estimate
+    })
+  }))
+  rows.sort((a, b) => a.date.localeCompare(b.date) || a.person.localeCompare(b.person))
+  const sum = (key) => {
+    const m = new Map()
+    rows.forEach(r => {
+      const k = r[key]
+      const g = m.get(k) || { name:k, hours:0, entries:0, ...(key === 'taskId' && { name:r.task, category:r.category, board:r.board, estimate:r.estimate }) }
+      g.hours += r.hours; g.entries++
+      m.set(k, g)
+    })
+    return [...m.values()].map(g => ({ ...g, hours:Math.round(g.hours * 100) / 100 })).sort((a, b) => b.hours - a.hours)
+  }
+  return {
+    rows, byTask:sum('taskId'), byCategory:sum('category'), byPerson:sum('person'),
+    total: Math.round(rows.reduce((s, r) => s + r.hours, 0) * 100) / 100
+  }
+}
+
+// Text that a spreadsheet would read as a formula is prefixed with a quote.
+function csvCell(v) {
+  let s = String(v ?? '')
+  if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+export function toCsv(head, rows) {
+  return [head, ...rows].map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n'
+}
+
+// One CSV with the three roll-ups stacked: Group, Name, Hours, Entries.
+export function timesheetCsv(sheet) {
+  return toCsv(['Group', 'Name', 'Hours', 'Entries'], [
+    ...sheet.byTask.map(g => ['Task', g.name, g.hours, g.entries]),
+    ...sheet.byCategory.map(g => ['Category', g.name, g.hours, g.entries]),
+    ...sheet.byPerson.map(g => ['Person', g.name, g.hours, g.entries]),
+    ['Total', '', sheet.total, sheet.rows.length]
+  ])
+}
@@ -0,0 +1,77 @@
+import { useEffect } from 'react'
+
+// ─── Shared Styles ────────────────────────────────────────────────────────────
+export const inputStyle = {
+  background: '#161b2e', border: '1px solid #1e3a2f', color: '#e2e8f0',
+  padding: '8px 12px', borderRadius: 6, fontSize: 13,
+  width: '100%', boxSizing: 'border-box', fontFamily: "'Courier New', monospace"
+}
+export const btnStyle = (bg, color) => ({
+  background: bg, color, border: `1px solid ${color}44`,
+  padding: '5px 11px', borderRadius: 5, cursor: 'pointer',
+  fontSize: 11, fontFamily: "'Courier New', monospace", transition: 'opacity 0.15s'
+})
+
+// ─── Toast ────────────────────────────────────────────────────────────────────
+export function Toast({ msg, action, duration, onDone }) {
+  useEffect(() => { const t = setTimeout(onDone, duration || (action ? 6000 : 2800)); return () => clearTimeout(t) }, [onDone, action, duration])
+  return (
+    <div role="alert" aria-live="assertive" style={{
+      position:'fixed', bottom:24, right:24, background:'#1e3a2f',
+      border:'1px solid #00ff88', color:'#00ff88', padding:'10px 18px',
+      borderRadius:8, fontSize:13, zIndex:999, boxShadow:'0 4px 20px #00000088',
+      display:'flex', alignItems:'center', gap:14
+    }}>
+      {msg}
+      {action && (
+        <button onClick={() => { action.onClick(); onDone() }}
+          style={{ background:'none', border:'1px solid #00ff8866', color:'#00ff88', padding:'3px 10px', borderRadius:5, cursor:'pointer', fontSize:12, fontWeight:'bold', fontFamily:'inherit' }}>
+          {action.label}
+        </button>
+      )}
+    </div>
+  )
+}
+
+// ─── Modal ────────────────────────────────────────────────────────────────────
+export function Modal({ children, onClose, label, width = 460 }) {
+  useEffect(() => {
+    const h = (e) => { if (e.key === 'Escape') onClose() }
+    window.addEventListener('keydown', h)
+    return () => window.removeEventListener('keydown', h)
+  }, [onClose])
+
+  return (
+    <div role="dialog" aria-modal="true" aria-label={label}
+      style={{ position:'fixed', inset:0, background:'#000000bb', display:'flex', alignItems:'center', justifyContent:'center', zIndex:200, padding:16 }}
+      onClick={(e) => { if (e.target === e.currentTarget) onClose() }}>
+      <div style={{ background:'#0d1117', border:'1px solid #1e3a2f', borderRadius:12, padding:24, width:'100%', maxWidth:width, maxHeight:'90vh', overflowY:'auto' }}>
+        {children}
+      </div>
+    </div>
+  )
+}
+
+// ─── Field ────────────────────────────────────────────────────────────────────
+export function Field({ label, htmlFor, children, hint }) {
+  return (
+    <div style={{ marginBottom: 12 }}>
+      <label htmlFor={htmlFor} style={{ display:'block', fontSize:11, color:'#64748b', marginBottom:5, letterSpacing:1 }}>
+        {label.toUpperCase()}
+        {hint && <span style={{ color:'#475569', fontWeight:'normal', marginLeft:6 }}>{hint}</span>}
+      </label>
+      {children}
+    </div>
+  )
+}
+
+// ─── Highlight ───────────────────────────────────────────────────────────────
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+export function Highlight({ text, terms }) {
+  if (!text || !terms?.length) return text
+  const re = new RegExp(`(${terms.map(escapeRe).join('|')})`, 'gi')
+  return text.split(re).map((part, i) => i % 2
+    ? <mark key={i} style={{ background:'#eab30855', color:'inherit', borderRadius:2 }}>{part}</mark>
+    : part)
+}
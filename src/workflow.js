@@ -0,0 +1,129 @@
+import { COLUMNS, COL_COLORS } from './constants.js'
+import { genId } from './helpers.js'
+
+// ─── Workflow Columns ────────────────────────────────────────────────────────
+// board.columns: [{ id, name, color, done, wipLimit, wipStrict, allowFrom }]
+// Tasks reference their column by name in `stage`, so renames and deletions
+// rewrite the affected tasks (see applyWorkflow).
+//   done       — cards here count as finished (completedAt, progress, overdue)
+//   wipLimit   — max cards in the column, null for unlimited
+//   wipStrict  — refuse drops over the limit instead of only warning
+//   allowFrom  — column ids a card may enter from; empty means any
+export const DEFAULT_COLUMNS = COLUMNS.map(name => ({
+  id: name.toLowerCase().replace(/[^a-z0-9]+/g, '-'), name, color: COL_COLORS[name],
+  done: name === 'Completed', wipLimit: null, wipStrict: false, allowFrom: []
+}))
+
+export const WORKFLOW_PRESETS = {
+  'Default':           COLUMNS,
+  'Incident Response': ['Triage', 'Containment', 'Eradication', 'Recovery', 'Closed'],
+  'Pen Test':          ['Scoping', 'Testing', 'Reporting', 'Retest', 'Done'],
+}
+const PRESET_COLORS = ['#3b82f6', '#f97316', '#a855f7', '#eab308', '#22c55e', '#06b6d4', '#ec4899']
+
+export function newColumn(name = '', index = 0) {
+  return { id:genId(), name, color:PRESET_COLORS[index % PRESET_COLORS.length], done:false, wipLimit:null, wipStrict:false, allowFrom:[] }
+}
+
+export function presetColumns(preset) {
+  const names = WORKFLOW_PRESETS[preset]
+  return names.map((name, i) => ({ ...newColumn(name, i), color: COL_COLORS[name] || PRESET_COLORS[i % PRESET_COLORS.length], done: i === names.length - 1 }))
+}
+
+export const isDoneStage = (columns, stage) => !!columns.find(c => c.name === stage)?.done
+
+// task.stageLog: [{ col, at }] — when the card entered each column (by id, so
+// renames keep their history). Appends unless the card is already there.
+export function logStage(task, colId, at) {
+  const log = task.stageLog || []
+  return log.length && log[log.length - 1].col === colId ? log : [...log, { col:colId, at }]
+}
+
+// Best reconstruction for tasks that predate the log: stage changes recorded in
+// the activity log, otherwise the first column from creation and the current
+// column from completion.
+export function inferStageLog(task, columns) {
+  const idOf = (name) => columns.find(c => c.name === name)?.id
+  const moves = (task.activity || []).filter(e => e.type === 'stage')
+  const first = moves[0]?.from ? idOf(moves[0].from) : (moves.length || task.completedAt ? columns[0].id : idOf(task.stage))
+  let log = first ? [{ col:first, at:task.createdAt }] : []
+  moves.forEach(e => { const id = idOf(e.to); if (id) log = logStage({ stageLog:log }, id, e.at) })
+  const cur = idOf(task.stage)
+  return cur ? logStage({ stageLog:log }, cur, task.completedAt || task.createdAt) : log
+}
+
+// Sets the stage and keeps completedAt in step with the target column's done flag.
+export function withStage(task, stage, columns, at = new Date().toISOString()) {
+  const done = isDoneStage(columns, stage)
+  const col = columns.find(c => c.name === stage)
+  return {
+    ...task, stage,
+    completedAt: done ? (isDoneStage(columns, task.stage) && task.completedAt ? task.completedAt : at) : null,
+    stageLog: col ? logStage(task, col.id, at) : task.stageLog || []
+  }
+}
+
+// ─── Transition Rules ────────────────────────────────────────────────────────
+// Returns { level:'ok'|'warn'|'block', msg } for moving `task` into column `to`.
+export function checkTransition(columns, tasks, task, to) {
+  const target = columns.find(c => c.name === to)
+  if (!target) return { level:'block', msg:`⛔ Unknown column "${to}".` }
+  const from = columns.find(c => c.name === task.stage)
+  if (target.allowFrom.length && from && !target.allowFrom.includes(from.id)) {
+    const allowed = columns.filter(c => target.allowFrom.includes(c.id)).map(c => c.name).join(', ')
+    return { level:'block', msg:`⛔ ${to} only accepts cards from ${allowed}.` }
+  }
+  if (target.wipLimit) {
+    const count = tasks.filter(x => x.stage === to && x.id !== task.id).length + 1
+    if (count > target.wipLimit) {
+      return target.wipStrict
+        ? { level:'block', msg:`⛔ WIP limit reached for ${to} (${target.wipLimit}).` }
+        : { level:'warn',  msg:`⚠ ${to} is over its WIP limit (${count}/${target.wipLimit}).` }
+    }
+  }
+  return { level:'ok', msg:'' }
+}
+
+// The most severe of several transition checks.
+export const worstRule = (...rules) =>
+  rules.find(r => r.level === 'block') || rules.find(r => r.level === 'warn') || { level:'ok', msg:'' }
+
+// ─── Editing ─────────────────────────────────────────────────────────────────
+export function validateColumns(columns) {
+  if (!columns.length) return 'At least one column is required.'
+  const names = columns.map(c => c.name.trim())
+  if (names.some(n => !n)) return 'Column names cannot be empty.'
+  if (new Set(names.map(n => n.toLowerCase())).size !== names.length) return 'Column names must be unique.'
+  if (columns.some(c => c.wipLimit !== null && !(Number.isInteger(c.wipLimit) && c.wipLimit > 0))) return 'WIP limits must be positive whole numbers.'
+  return null
+}
+
+// Applies an edited column list to one board. `reassign` maps the id of each
+// removed column to the id of the column its cards move to; renamed columns
+// carry their cards along. Cards left in an unknown stage go to the first column.
+export function applyWorkflow(data, boardId, nextColumns, reassign = {}) {
+  const prev = data.settings.boards.find(b => b.id === boardId).columns
+  const columns = nextColumns.map(c => ({
+    ...c, name:c.name.trim(),
+    allowFrom: c.allowFrom.filter(id => id !== c.id && nextColumns.some(n => n.id === id))
+  }))
+  const byId = new Map(columns.map(c => [c.id, c]))
+  const stageMap = new Map(prev.map(c => [c.name, byId.get(c.id) || byId.get(reassign[c.id]) || columns[0]]))
+  const at = new Date().toISOString()
+  const tasks = data.tasks.map(t => {
+    if (t.boardId !== boardId) return t
+    const target = stageMap.get(t.stage) || (columns.some(c => c.name === t.stage) ? null : columns[0])
+    if (!target) return t
+    // Cards already finished keep their completion time through a rename.
+    const completedAt = target.done ? (t.completedAt || at) : null
+    const stageLog = logStage(t, target.id, at)
+    return target.name === t.stage && completedAt === t.completedAt && stageLog === t.stageLog ? t : { ...t, stage:target.name, completedAt, stageLog }
+  })
+  const boards = data.settings.boards.map(b => b.id === boardId ? { ...b, columns } : b)
+  // SLA policies name their resolve-from stage, so a renamed column takes its
+  // policies along unless another board still has a column by the old name.
+  const elsewhere = new Set(boards.flatMap(b => b.id === boardId ? [] : b.columns.map(c => c.name)))
+  const renamed = new Map(prev.filter(c => byId.has(c.id) && byId.get(c.id).name !== c.name && !elsewhere.has(c.name)).map(c => [c.name, byId.get(c.id).name]))
+  const slaPolicies = data.settings.slaPolicies.map(p => renamed.has(p.resolveFrom) ? { ...p, resolveFrom:renamed.get(p.resolveFrom) } : p)
+  return { ...data, settings:{ ...data.settings, boards, slaPolicies }, tasks }
+}